@@ -0,0 +1,311 @@
+const db = require('../config/db.js');
+const dayjs = require('dayjs');
+const accommodationService = require('../services/accommodationService');
+const { STAY_FIELDS } = require('../services/accommodationService');
+const { isAdmin } = require('../middleware/authorize');
+
+const formatStay = (stay) => ({
+  ...stay,
+  latitude: stay.latitude !== null ? parseFloat(stay.latitude) : null,
+  longitude: stay.longitude !== null ? parseFloat(stay.longitude) : null,
+  check_in: stay.check_in ? dayjs(stay.check_in).format('YYYY-MM-DD') : null,
+  check_out: stay.check_out ? dayjs(stay.check_out).format('YYYY-MM-DD') : null
+});
+
+// The itinerary a stay is attached to, locked, when the user may plan it.
+// Returns { itinerary } or { status, message } for the response.
+const getPlannableItinerary = async (connection, itineraryId, user) => {
+  const [itineraries] = await connection.query(
+    'SELECT itinerary_id, traveler_id, start_date, end_date, status FROM itinerary WHERE itinerary_id = ? FOR UPDATE',
+    [itineraryId]
+  );
+
+  if (itineraries.length === 0) {
+    return { status: 404, message: 'Itinerary not found' };
+  }
+  if (!isAdmin(user) && Number(itineraries[0].traveler_id) !== Number(user.user_id)) {
+    return { status: 403, message: 'You can only add stays to your own itineraries' };
+  }
+  if (itineraries[0].status === 'cancelled') {
+    return { status: 409, message: 'Stays cannot be added to a cancelled itinerary' };
+  }
+
+  return { itinerary: itineraries[0] };
+};
+
+// Create a stay, optionally attached to an itinerary right away
+const createAccommodation = async (req, res) => {
+  const data = req.body || {};
+  const error = accommodationService.validateFields(data);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const travelerId = isAdmin(req.user) && data.traveler_id ? data.traveler_id : req.user.user_id;
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    if (data.itinerary_id) {
+      const target = await getPlannableItinerary(connection, data.itinerary_id, req.user);
+      if (!target.itinerary) {
+        await connection.rollback();
+        connection.release();
+        return res.status(target.status).json({ message: target.message });
+      }
+
+      const stays = await accommodationService.getStays(data.itinerary_id, connection, { lock: true });
+      const fitError = accommodationService.checkStayFitsTrip(data, target.itinerary, stays);
+      if (fitError) {
+        await connection.rollback();
+        connection.release();
+        return res.status(fitError.conflict ? 409 : 400).json({ message: fitError.message });
+      }
+    }
+
+    const accommodationId = await accommodationService.insertStay(connection, travelerId, data.itinerary_id, data);
+
+    await connection.commit();
+    connection.release();
+
+    const stay = await accommodationService.getById(accommodationId);
+    res.status(201).json({ message: 'Accommodation created successfully', accommodation: formatStay(stay) });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error creating accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// The caller's stays; ?itinerary_id= narrows it to one trip, in night order
+const getAccommodations = async (req, res) => {
+  const { itinerary_id, traveler_id } = req.query;
+  const travelerId = isAdmin(req.user) && traveler_id ? traveler_id : req.user.user_id;
+
+  try {
+    let query = 'SELECT * FROM accommodation WHERE traveler_id = ?';
+    const params = [travelerId];
+
+    if (itinerary_id === 'none') {
+      query += ' AND itinerary_id IS NULL';
+    } else if (itinerary_id) {
+      query += ' AND itinerary_id = ?';
+      params.push(itinerary_id);
+    }
+
+    query += ' ORDER BY itinerary_id IS NULL, itinerary_id, check_in, accommodation_id';
+
+    const [stays] = await db.query(query, params);
+    res.status(200).json({ accommodations: stays.map(formatStay) });
+  } catch (err) {
+    console.error('Error fetching accommodations:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const getAccommodationById = async (req, res) => {
+  try {
+    const stay = await accommodationService.getById(req.params.id);
+    if (!stay) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    res.status(200).json({ accommodation: formatStay(stay) });
+  } catch (err) {
+    console.error('Error fetching accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Partial update; a stay on an itinerary must still fit the trip afterwards
+const updateAccommodation = async (req, res) => {
+  const { id } = req.params;
+  const data = req.body || {};
+
+  const error = accommodationService.validateFields(data, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const fields = STAY_FIELDS.filter(field => data[field] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({ message: 'Nothing to update' });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const current = await accommodationService.getById(id, connection);
+    if (!current) {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    const updated = { ...current, ...data };
+
+    if (current.itinerary_id) {
+      const target = await getPlannableItinerary(connection, current.itinerary_id, req.user);
+      if (!target.itinerary) {
+        await connection.rollback();
+        connection.release();
+        return res.status(target.status).json({ message: target.message });
+      }
+
+      const stays = await accommodationService.getStays(current.itinerary_id, connection, { lock: true });
+      const fitError = accommodationService.checkStayFitsTrip(updated, target.itinerary, stays);
+      if (fitError) {
+        await connection.rollback();
+        connection.release();
+        return res.status(fitError.conflict ? 409 : 400).json({ message: fitError.message });
+      }
+    } else if (updated.check_in && updated.check_out &&
+      dayjs(updated.check_out).format('YYYY-MM-DD') <= dayjs(updated.check_in).format('YYYY-MM-DD')) {
+      await connection.rollback();
+      connection.release();
+      return res.status(400).json({ message: 'check_out must be after check_in' });
+    }
+
+    await connection.query(
+      `UPDATE accommodation SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE accommodation_id = ?`,
+      [
+        ...fields.map(field => (['check_in', 'check_out'].includes(field) && data[field]
+          ? dayjs(data[field]).format('YYYY-MM-DD')
+          : data[field] === '' ? null : data[field])),
+        id
+      ]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    const stay = await accommodationService.getById(id);
+    res.status(200).json({ message: 'Accommodation updated successfully', accommodation: formatStay(stay) });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error updating accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const deleteAccommodation = async (req, res) => {
+  try {
+    const [result] = await db.query('DELETE FROM accommodation WHERE accommodation_id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    res.status(200).json({ message: 'Accommodation deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Attach a saved stay to an itinerary; check_in / check_out may be set at the same time
+const attachAccommodation = async (req, res) => {
+  const { id } = req.params;
+  const { itinerary_id, check_in, check_out } = req.body || {};
+
+  if (!itinerary_id) {
+    return res.status(400).json({ message: 'itinerary_id is required' });
+  }
+
+  const error = accommodationService.validateFields({ check_in, check_out }, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const stay = await accommodationService.getById(id, connection);
+    if (!stay) {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    const target = await getPlannableItinerary(connection, itinerary_id, req.user);
+    if (!target.itinerary) {
+      await connection.rollback();
+      connection.release();
+      return res.status(target.status).json({ message: target.message });
+    }
+
+    const attached = {
+      ...stay,
+      check_in: check_in || stay.check_in,
+      check_out: check_out || stay.check_out
+    };
+
+    const stays = await accommodationService.getStays(itinerary_id, connection, { lock: true });
+    const fitError = accommodationService.checkStayFitsTrip(attached, target.itinerary, stays);
+    if (fitError) {
+      await connection.rollback();
+      connection.release();
+      return res.status(fitError.conflict ? 409 : 400).json({ message: fitError.message });
+    }
+
+    await connection.query(
+      'UPDATE accommodation SET itinerary_id = ?, check_in = ?, check_out = ? WHERE accommodation_id = ?',
+      [
+        itinerary_id,
+        dayjs(attached.check_in).format('YYYY-MM-DD'),
+        dayjs(attached.check_out).format('YYYY-MM-DD'),
+        id
+      ]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    res.status(200).json({
+      message: 'Accommodation attached to itinerary',
+      accommodation: formatStay(await accommodationService.getById(id))
+    });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error attaching accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Take a stay off its itinerary but keep it saved
+const detachAccommodation = async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'UPDATE accommodation SET itinerary_id = NULL WHERE accommodation_id = ?',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    res.status(200).json({
+      message: 'Accommodation detached from itinerary',
+      accommodation: formatStay(await accommodationService.getById(req.params.id))
+    });
+  } catch (err) {
+    console.error('Error detaching accommodation:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  createAccommodation,
+  getAccommodations,
+  getAccommodationById,
+  updateAccommodation,
+  deleteAccommodation,
+  attachAccommodation,
+  detachAccommodation
+};
@@ -1,9 +1,14 @@
 //authController.js
 require('dotenv').config(); // Load environment variables
 const db = require('../config/db.js');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/userModel');
+const sessionService = require('../services/sessionService');
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
 
 exports.loginUser = async (req, res) => {
   try {
@@ -23,19 +28,8 @@ const wasFirstLogin = user.is_first_login ===1;
       return res.status(400).json({ error: 'Invalid email or password' });
     }
 
-    // Create a JWT token using the secret key stored in .env
-    const token = jwt.sign(
-      { 
-        user_id: user.user_id,     // User's unique ID
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-         is_first_login: user.is_first_login
-      },
-      process.env.JWT_SECRET,       // The secret key stored in your .env file for signing the token
-      { expiresIn: '1h' }           // Token's expiration time; 1 hour in this case
-    );
+    // Start a session: short-lived access token (JWT) + rotating refresh token
+    const session = await sessionService.createSession(user, getClientInfo(req));
 
     // if (user.is_first_login) {
     //   await db.execute('UPDATE users SET is_first_login = 0 WHERE user_id = ?', [user.user_id]);
@@ -47,8 +41,15 @@ const wasFirstLogin = user.is_first_login ===1;
     }
 
 
-    // Return both the token and the user data
-    res.status(200).json({ token, user, wasFirstLogin });  // Send both token and user data
+    // Return the tokens and the user data
+    res.status(200).json({
+      token: session.token,
+      refresh_token: session.refresh_token,
+      refresh_token_expires_at: session.refresh_token_expires_at,
+      session_id: session.session_id,
+      user,
+      wasFirstLogin
+    });
 
   } catch (error) {
     console.error('Error logging in:', error);
@@ -56,6 +57,84 @@ const wasFirstLogin = user.is_first_login ===1;
   }
 };
 
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const result = await sessionService.rotateRefreshToken(refresh_token, getClientInfo(req));
+
+    if (result.status === 'reused') {
+      return res.status(401).json({ error: 'Refresh token reuse detected. Session has been revoked, please log in again.' });
+    }
+    if (result.status === 'expired') {
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+    if (result.status !== 'ok') {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refresh_token: result.refresh_token,
+      refresh_token_expires_at: result.refresh_token_expires_at,
+      session_id: result.session_id
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Log out of the current device
+exports.logoutUser = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.session_id, 'logout');
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Sign out of all devices. With { keep_current: true } the current session survives.
+exports.logoutAllDevices = async (req, res) => {
+  try {
+    const { keep_current } = req.body || {};
+    const revoked = await sessionService.revokeAllSessions(
+      req.user.user_id,
+      'logout_all',
+      keep_current ? req.user.session_id : null
+    );
+
+    res.status(200).json({ message: 'Signed out of all devices', sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Error signing out of all devices:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List the devices the user is currently signed in on
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.user_id);
+
+    res.status(200).json({
+      sessions: sessions.map(session => ({
+        ...session,
+        is_current: session.session_id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // exports.completeFirstLogin = async (req, res) => {
 //   try {
 //     const userId = req.params.id;
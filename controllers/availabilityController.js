@@ -1,6 +1,21 @@
 require('dotenv').config();
 
 const db = require('../config/db.js');
+const dayjs = require('dayjs');
+const availabilityService = require('../services/availabilityService');
+const { EXCEPTION_TYPES } = require('../services/availabilityService');
+const experienceRevisionService = require('../services/experienceRevisionService');
+
+// Date exceptions are not part of a listing's revisions, so an active
+// listing's dates change through its weekly schedule instead
+const LIVE_EXCEPTION_MESSAGE = 'Dates of an active listing cannot be changed directly. Edit its schedule ' +
+  '(PUT /api/experience/:id) to submit a revision for an admin to review.';
+
+const getExperienceStatus = async (experienceId) => {
+  const [rows] = await db.query('SELECT status FROM experience WHERE experience_id = ?', [experienceId]);
+  return rows.length > 0 ? rows[0].status : null;
+};
+
 // Create availability for a specific experience
 const createAvailability = async (req, res) => {
   const { experience_id, availability } = req.body;
@@ -56,14 +71,14 @@ const getAvailability = async (req, res) => {
   try {
     // Fetch availability days for the experience
     const [availability] = await db.query(
-      'SELECT availability_id, experience_id, day_of_week FROM experience_availability WHERE experience_id = ?',
+      'SELECT availability_id, experience_id, day_of_week, valid_from, valid_until FROM experience_availability WHERE experience_id = ?',
       [experience_id]
     );
 
     // For each availability day, fetch its time slots
     for (const day of availability) {
       const [timeSlots] = await db.query(
-        'SELECT slot_id, availability_id, start_time, end_time FROM availability_time_slots WHERE availability_id = ?',
+        'SELECT slot_id, availability_id, start_time, end_time, capacity FROM availability_time_slots WHERE availability_id = ?',
         [day.availability_id]
       );
       day.time_slots = timeSlots;
@@ -104,8 +119,332 @@ const updateAvailability = async (req, res) => {
   }
 };
 
+// Effective availability per date (weekly rules + exceptions)
+const getAvailabilityCalendar = async (req, res) => {
+  const { experience_id } = req.params;
+  const { start_date, end_date } = req.query;
+
+  if (!start_date || !end_date) {
+    return res.status(400).json({ message: 'start_date and end_date are required' });
+  }
+
+  if (!dayjs(start_date).isValid() || !dayjs(end_date).isValid() || dayjs(end_date).isBefore(start_date, 'day')) {
+    return res.status(400).json({ message: 'Invalid date range' });
+  }
+
+  // Keep the calendar to a sensible window
+  if (dayjs(end_date).diff(dayjs(start_date), 'day') > 366) {
+    return res.status(400).json({ message: 'Date range cannot be longer than one year' });
+  }
+
+  try {
+    const calendar = await availabilityService.getCalendar([experience_id], start_date, end_date);
+
+    res.status(200).json({
+      experience_id: parseInt(experience_id, 10),
+      start_date: dayjs(start_date).format('YYYY-MM-DD'),
+      end_date: dayjs(end_date).format('YYYY-MM-DD'),
+      dates: Object.values(calendar[experience_id])
+    });
+  } catch (err) {
+    console.error('Error fetching availability calendar:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const getExceptions = async (req, res) => {
+  const { experience_id } = req.params;
+  const { start_date, end_date } = req.query;
+
+  try {
+    const params = [experience_id];
+    let query = `
+      SELECT ae.exception_id, ae.experience_id, ae.exception_date, ae.type, ae.reason, ae.created_at,
+             aes.exception_slot_id, aes.start_time, aes.end_time, aes.capacity
+      FROM availability_exceptions ae
+      LEFT JOIN availability_exception_slots aes ON ae.exception_id = aes.exception_id
+      WHERE ae.experience_id = ?`;
+
+    if (start_date) {
+      query += ' AND ae.exception_date >= ?';
+      params.push(dayjs(start_date).format('YYYY-MM-DD'));
+    }
+    if (end_date) {
+      query += ' AND ae.exception_date <= ?';
+      params.push(dayjs(end_date).format('YYYY-MM-DD'));
+    }
+
+    query += ' ORDER BY ae.exception_date, aes.start_time';
+
+    const [rows] = await db.query(query, params);
+
+    // Group the slots under their exception
+    const exceptions = [];
+    const exceptionMap = {};
+
+    rows.forEach(row => {
+      if (!exceptionMap[row.exception_id]) {
+        exceptionMap[row.exception_id] = {
+          exception_id: row.exception_id,
+          experience_id: row.experience_id,
+          date: dayjs(row.exception_date).format('YYYY-MM-DD'),
+          type: row.type,
+          reason: row.reason,
+          created_at: row.created_at,
+          time_slots: []
+        };
+        exceptions.push(exceptionMap[row.exception_id]);
+      }
+
+      if (row.exception_slot_id) {
+        exceptionMap[row.exception_id].time_slots.push({
+          exception_slot_id: row.exception_slot_id,
+          start_time: row.start_time,
+          end_time: row.end_time,
+          capacity: row.capacity
+        });
+      }
+    });
+
+    res.status(200).json({ exceptions });
+  } catch (err) {
+    console.error('Error fetching availability exceptions:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Blackout a date, replace its slots (override) or add one-off sessions (extra)
+const createException = async (req, res) => {
+  const { experience_id } = req.params;
+  const { date, type, reason, time_slots } = req.body;
+
+  if (!date || !dayjs(date).isValid()) {
+    return res.status(400).json({ message: 'A valid date is required' });
+  }
+
+  if (!EXCEPTION_TYPES.includes(type)) {
+    return res.status(400).json({ message: `type must be one of: ${EXCEPTION_TYPES.join(', ')}` });
+  }
+
+  const slots = Array.isArray(time_slots) ? time_slots : [];
+
+  if (type === 'blackout' && slots.length > 0) {
+    return res.status(400).json({ message: 'A blackout date cannot have time slots' });
+  }
+
+  if (type === 'extra' && slots.length === 0) {
+    return res.status(400).json({ message: 'An extra session needs at least one time slot' });
+  }
+
+  for (const slot of slots) {
+    if (!slot.start_time || !slot.end_time || slot.start_time >= slot.end_time) {
+      return res.status(400).json({ message: 'Each time slot must have a start_time before its end_time' });
+    }
+  }
+
+  if (await getExperienceStatus(experience_id) === 'active') {
+    return res.status(409).json({ message: LIVE_EXCEPTION_MESSAGE });
+  }
+
+  const exceptionDate = dayjs(date).format('YYYY-MM-DD');
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // A blackout or override decides the whole day, so only one of them per date
+    if (type !== 'extra') {
+      const [existing] = await connection.query(
+        `SELECT exception_id, type FROM availability_exceptions
+         WHERE experience_id = ? AND exception_date = ? AND type IN ('blackout', 'override')`,
+        [experience_id, exceptionDate]
+      );
+
+      if (existing.length > 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          message: `${exceptionDate} already has a ${existing[0].type}`,
+          exception_id: existing[0].exception_id
+        });
+      }
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO availability_exceptions (experience_id, exception_date, type, reason)
+       VALUES (?, ?, ?, ?)`,
+      [experience_id, exceptionDate, type, reason || null]
+    );
+
+    for (const slot of slots) {
+      await connection.query(
+        `INSERT INTO availability_exception_slots (exception_id, start_time, end_time, capacity)
+         VALUES (?, ?, ?, ?)`,
+        [result.insertId, slot.start_time, slot.end_time, slot.capacity ? parseInt(slot.capacity, 10) : null]
+      );
+    }
+
+    await connection.commit();
+    connection.release();
+
+    // Bookings already made for that date are not touched; let the creator know
+    const [affected] = await db.query(
+      `SELECT COUNT(*) AS count FROM bookings
+       WHERE experience_id = ? AND booking_date = ? AND status NOT IN ('Cancelled', 'Completed')`,
+      [experience_id, exceptionDate]
+    );
+
+    const calendar = await availabilityService.getCalendar([experience_id], exceptionDate, exceptionDate);
+
+    res.status(201).json({
+      message: 'Availability exception created successfully',
+      exception_id: result.insertId,
+      availability: calendar[experience_id][exceptionDate],
+      existing_bookings: affected[0].count
+    });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error creating availability exception:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const deleteException = async (req, res) => {
+  const { exception_id } = req.params;
+
+  try {
+    const [exceptions] = await db.query(
+      'SELECT experience_id FROM availability_exceptions WHERE exception_id = ?',
+      [exception_id]
+    );
+
+    if (exceptions.length === 0) {
+      return res.status(404).json({ message: 'Availability exception not found' });
+    }
+
+    if (await getExperienceStatus(exceptions[0].experience_id) === 'active') {
+      return res.status(409).json({ message: LIVE_EXCEPTION_MESSAGE });
+    }
+
+    // Exception slots go with it (ON DELETE CASCADE)
+    await db.query('DELETE FROM availability_exceptions WHERE exception_id = ?', [exception_id]);
+
+    res.status(200).json({ message: 'Availability exception deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting availability exception:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Limit a weekly rule to a season; null clears a bound. The schedule is part
+// of the listing's revision, so on an active listing the new dates wait for
+// an admin to publish them.
+const updateRuleDates = async (req, res) => {
+  const { availability_id } = req.params;
+  const { valid_from, valid_until, revision_note } = req.body;
+
+  if (valid_from === undefined && valid_until === undefined) {
+    return res.status(400).json({ message: 'valid_from or valid_until is required' });
+  }
+
+  if ((valid_from && !dayjs(valid_from).isValid()) || (valid_until && !dayjs(valid_until).isValid())) {
+    return res.status(400).json({ message: 'Invalid date' });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rules] = await connection.query(
+      'SELECT availability_id, experience_id, day_of_week, valid_from, valid_until FROM experience_availability WHERE availability_id = ?',
+      [availability_id]
+    );
+
+    if (rules.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ message: 'Availability rule not found' });
+    }
+
+    const rule = rules[0];
+    const formatDate = (value) => (value ? dayjs(value).format('YYYY-MM-DD') : null);
+    const pickDate = (value, current) => (value === undefined ? formatDate(current) : formatDate(value));
+
+    const validFrom = pickDate(valid_from, rule.valid_from);
+    const validUntil = pickDate(valid_until, rule.valid_until);
+
+    if (validFrom && validUntil && validUntil < validFrom) {
+      await connection.rollback();
+      connection.release();
+      return res.status(400).json({ message: 'valid_until cannot be before valid_from' });
+    }
+
+    const experience = await experienceRevisionService.lockExperience(connection, rule.experience_id);
+
+    if (experience.status === 'active') {
+      // The schedule with this rule's season changed, as the revision sees it
+      const live = await experienceRevisionService.loadSnapshot(connection, rule.experience_id);
+      const availability = live.availability.map(snapshotRule => (
+        snapshotRule.day_of_week === rule.day_of_week &&
+        snapshotRule.valid_from === formatDate(rule.valid_from) &&
+        snapshotRule.valid_until === formatDate(rule.valid_until)
+          ? { ...snapshotRule, valid_from: validFrom, valid_until: validUntil }
+          : snapshotRule
+      ));
+
+      const result = await experienceRevisionService.proposeRevision(
+        connection,
+        rule.experience_id,
+        { availability },
+        req.user,
+        { note: revision_note }
+      );
+
+      await connection.commit();
+      connection.release();
+
+      return res.status(result.status === 'pending' ? 202 : 200).json({
+        message: result.status === 'pending'
+          ? 'Schedule change saved as a pending revision. It goes live once an admin reviews and publishes it.'
+          : 'The schedule already has these dates',
+        revision: result.revision,
+        changes: result.changes
+      });
+    }
+
+    // Updated in place so bookings keep their slots
+    await connection.query(
+      'UPDATE experience_availability SET valid_from = ?, valid_until = ? WHERE availability_id = ?',
+      [validFrom, validUntil, availability_id]
+    );
+    await experienceRevisionService.recordPublished(connection, rule.experience_id, req.user, { note: 'Edited while not live' });
+
+    await connection.commit();
+    connection.release();
+
+    res.status(200).json({
+      message: 'Availability rule updated successfully',
+      availability_id: parseInt(availability_id, 10),
+      valid_from: validFrom,
+      valid_until: validUntil
+    });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error updating availability rule:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
 module.exports = {
   createAvailability,
   getAvailability,
   updateAvailability,
+  getAvailabilityCalendar,
+  getExceptions,
+  createException,
+  deleteException,
+  updateRuleDates,
 };
@@ -0,0 +1,157 @@
+require('dotenv').config();
+const bookingApprovalService = require('../services/bookingApprovalService');
+const { formatTransferConflicts } = require('./itineraryController');
+
+// Turn a service result that is not a success into an HTTP response
+const sendActionError = (res, result) => {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'Booking not found' });
+    case 'not_active':
+      return res.status(409).json({ message: `A ${result.booking_status} booking can no longer be changed` });
+    case 'invalid_transition':
+      return res.status(409).json({
+        message: `Cannot ${result.action.replace('_', ' ')} a booking that is ${result.from}`,
+        approval_status: result.from
+      });
+    case 'no_proposal':
+      return res.status(404).json({ message: 'This booking has no open proposal' });
+    case 'outside_trip':
+      return res.status(400).json({
+        message: `The new date must be within the trip (${result.start_date} to ${result.end_date})`
+      });
+    case 'unavailable':
+      return res.status(400).json({ message: `This slot is not available on ${result.date}` });
+    case 'same_slot':
+      return res.status(400).json({ message: 'The proposed slot is the one already booked' });
+    case 'full':
+      return res.status(409).json({
+        message: 'This time slot is fully booked',
+        remaining_capacity: result.remaining_capacity
+      });
+    case 'transfer_conflict':
+      return res.status(409).json({
+        message: 'The proposed time does not leave enough time to travel to or from the other activities that day',
+        conflicts: formatTransferConflicts(result.conflicts)
+      });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Creator accepts a booking
+const acceptBooking = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await bookingApprovalService.accept(id, req.user);
+    if (result.status !== 'accepted') return sendActionError(res, result);
+
+    res.status(200).json({ message: 'Booking accepted', booking: result.booking });
+  } catch (err) {
+    console.error('Error accepting booking:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Creator declines a booking; the traveler is refunded in full
+const declineBooking = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ message: 'A reason is required to decline a booking' });
+  }
+
+  try {
+    const result = await bookingApprovalService.decline(id, req.user, String(reason).trim());
+    if (result.status !== 'declined') return sendActionError(res, result);
+
+    res.status(200).json({
+      message: 'Booking declined',
+      booking: result.booking,
+      total_refund: result.total_refund,
+      refunds: result.refunds
+    });
+  } catch (err) {
+    console.error('Error declining booking:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Creator proposes another slot: { slot_id | exception_slot_id, date?, message? }
+const proposeBookingChange = async (req, res) => {
+  const { id } = req.params;
+  const { slot_id, exception_slot_id, date, message } = req.body || {};
+
+  if (!slot_id && !exception_slot_id) {
+    return res.status(400).json({ message: 'slot_id or exception_slot_id is required' });
+  }
+
+  try {
+    const result = await bookingApprovalService.propose(id, req.user, {
+      slotId: slot_id,
+      exceptionSlotId: exception_slot_id,
+      date,
+      message
+    });
+    if (result.status !== 'proposed') return sendActionError(res, result);
+
+    res.status(201).json({ message: 'New time proposed', proposal: result.proposal });
+  } catch (err) {
+    console.error('Error proposing booking change:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const getBookingProposals = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const proposals = await bookingApprovalService.getProposals(id);
+    res.status(200).json({ proposals });
+  } catch (err) {
+    console.error('Error fetching booking proposals:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Traveler accepts the proposed time; the itinerary item moves with it
+const acceptBookingProposal = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await bookingApprovalService.acceptProposal(id, req.user);
+    if (result.status !== 'accepted') return sendActionError(res, result);
+
+    res.status(200).json({ message: 'Proposed time accepted', booking: result.booking, refunds: result.refunds });
+  } catch (err) {
+    console.error('Error accepting booking proposal:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Traveler keeps the original time
+const rejectBookingProposal = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  try {
+    const result = await bookingApprovalService.rejectProposal(id, req.user, reason);
+    if (result.status !== 'rejected') return sendActionError(res, result);
+
+    res.status(200).json({ message: 'Proposed time rejected', booking: result.booking });
+  } catch (err) {
+    console.error('Error rejecting booking proposal:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  acceptBooking,
+  declineBooking,
+  proposeBookingChange,
+  getBookingProposals,
+  acceptBookingProposal,
+  rejectBookingProposal
+};
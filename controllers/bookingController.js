@@ -1,7 +1,42 @@
   require('dotenv').config();
   const db = require('../config/db.js');
+  const dayjs = require('dayjs');
+  const notificationService = require('../services/notificationService');
+  const inventoryService = require('../services/inventoryService');
+  const availabilityService = require('../services/availabilityService');
+  const { parseParty, calculateItemPrice } = require('../utils/pricing');
+  const bookingStateService = require('../services/bookingStateService');
+  const itineraryPaymentService = require('../services/itineraryPaymentService');
+
+  // Slot with the experience/day it belongs to
+  const getSlot = async (connection, slot_id) => {
+    const [slots] = await connection.query(
+      `SELECT ats.slot_id, ats.start_time, ats.end_time, ats.capacity, ea.experience_id, ea.day_of_week
+       FROM availability_time_slots ats
+       JOIN experience_availability ea ON ats.availability_id = ea.availability_id
+       WHERE ats.slot_id = ?`,
+      [slot_id]
+    );
+    return slots[0] || null;
+  };
 
-  // Create a booking
+  // The slot as it is offered on a date, or null when a blackout, an override
+  // or the rule's valid_from / valid_until takes it off that day
+  const getSlotOnDate = async (connection, slot, bookingDate) => {
+    const slots = await availabilityService.getSlotsForDate(slot.experience_id, bookingDate, connection);
+    return slots.find(offered => Number(offered.slot_id) === Number(slot.slot_id)) || null;
+  };
+
+  const getExperiencePricing = async (connection, experience_id) => {
+    const [rows] = await connection.query(
+      'SELECT creator_id, price, unit, child_price, group_pricing, current_revision_id FROM experience WHERE experience_id = ?',
+      [experience_id]
+    );
+    return rows[0] || null;
+  };
+
+  // Create a booking. It always starts Pending, Unpaid and awaiting the
+  // creator; payments and the creator's accept action move it on from there.
   const createBooking = async (req, res) => {
     const {
       itinerary_id,
@@ -9,47 +44,177 @@
       experience_id,
       slot_id,
       traveler_id,
-      creator_id,
-      status,
-      payment_status,
+      guest_count,
+      adults,
+      children,
     } = req.body;
 
-    if (!itinerary_id || !item_id || !experience_id || !slot_id || !traveler_id || !creator_id) {
+    if (!itinerary_id || !item_id || !experience_id || !slot_id || !traveler_id) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
+    // guest_count alone (older clients) means that many adults
+    const party = parseParty({ adults: adults !== undefined ? adults : guest_count, children });
+    if (party.error) {
+      return res.status(400).json({ message: party.error });
+    }
+
+    const guests = party.guests;
+    const connection = await db.getConnection();
+
     try {
-      const [result] = await db.query(
+      const slot = await getSlot(connection, slot_id);
+      if (!slot || Number(slot.experience_id) !== Number(experience_id)) {
+        connection.release();
+        return res.status(400).json({ message: 'slot_id does not belong to this experience' });
+      }
+
+      // The item must be this experience on the traveler's itinerary; the
+      // booking date is the itinerary day the item is on
+      const [itemRows] = await connection.query(
+        `SELECT ii.experience_id, i.traveler_id,
+                DATE_ADD(i.start_date, INTERVAL (ii.day_number - 1) DAY) AS booking_date
+         FROM itinerary_items ii
+         JOIN itinerary i ON ii.itinerary_id = i.itinerary_id
+         WHERE ii.item_id = ? AND ii.itinerary_id = ?`,
+        [item_id, itinerary_id]
+      );
+      if (itemRows.length === 0) {
+        connection.release();
+        return res.status(404).json({ message: 'Itinerary item not found' });
+      }
+      if (Number(itemRows[0].experience_id) !== Number(experience_id)) {
+        connection.release();
+        return res.status(400).json({ message: 'experience_id does not match the itinerary item' });
+      }
+      if (Number(itemRows[0].traveler_id) !== Number(traveler_id)) {
+        connection.release();
+        return res.status(400).json({ message: 'traveler_id does not match the itinerary' });
+      }
+
+      const booking_date = dayjs(itemRows[0].booking_date).format('YYYY-MM-DD');
+      if (req.body.booking_date && dayjs(req.body.booking_date).format('YYYY-MM-DD') !== booking_date) {
+        connection.release();
+        return res.status(400).json({ message: `This item is on ${booking_date}` });
+      }
+
+      if (!(await getSlotOnDate(connection, slot, booking_date))) {
+        connection.release();
+        return res.status(400).json({ message: `This slot is not available on ${booking_date}` });
+      }
+
+      const experience = await getExperiencePricing(connection, experience_id);
+      const pricing = calculateItemPrice(experience, {
+        adults: party.adults,
+        children: party.children,
+        startTime: slot.start_time,
+        endTime: slot.end_time
+      });
+
+      await connection.beginTransaction();
+
+      // Take the seats first; the inventory row stays locked until commit
+      const reservation = await inventoryService.reserve(connection, {
+        experienceId: experience_id,
+        bookingDate: booking_date,
+        startTime: slot.start_time,
+        capacity: slot.capacity,
+        guests
+      });
+
+      if (!reservation.reserved) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          message: 'This time slot is fully booked',
+          remaining_capacity: reservation.remaining
+        });
+      }
+
+      const [result] = await connection.query(
         `INSERT INTO bookings 
-          (itinerary_id, item_id, experience_id, slot_id, traveler_id, creator_id, status, payment_status) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          (itinerary_id, item_id, experience_id, revision_id, slot_id, guest_count, adults, children, unit_price, subtotal,
+           traveler_id, creator_id, status, payment_status, approval_status, booking_date, generated_start_time, generated_end_time) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', 'Unpaid', 'awaiting', ?, ?, ?)`,
         [
           itinerary_id,
           item_id,
           experience_id,
+          experience.current_revision_id,
           slot_id,
+          guests,
+          party.adults,
+          party.children,
+          pricing.unit_price,
+          pricing.subtotal,
           traveler_id,
-          creator_id,
-          status || 'Confirmed',
-          payment_status || 'Unpaid',
+          experience.creator_id,
+          booking_date,
+          slot.start_time,
+          slot.end_time,
         ]
       );
 
+      await bookingStateService.recordCreated(connection, result.insertId, 'Pending', {
+        actorId: req.user ? req.user.user_id : traveler_id,
+        actorRole: req.user ? req.user.role : null,
+        reason: 'Booking created'
+      });
+
+      await itineraryPaymentService.adjustTotal(connection, itinerary_id, pricing.subtotal);
+
+      await connection.commit();
+      connection.release();
+
       res.status(201).json({
         message: 'Booking created successfully',
         booking_id: result.insertId,
+        subtotal: pricing.subtotal,
+        remaining_capacity: reservation.remaining,
       });
     } catch (err) {
+      await connection.rollback();
+      connection.release();
       console.error('Error creating booking:', err);
       res.status(500).json({ error: 'Server error' });
     }
   };
 
+  // Attendance drives the booking status: an absent traveler is a NoShow, and
+  // marking them present again undoes it. Returns the state machine's result.
+  const applyAttendanceStatus = async (booking_id, attendance, user) => {
+    const actor = {
+      actorId: user ? user.user_id : null,
+      actorRole: user ? user.role : null
+    };
+
+    if (attendance === 'Absent') {
+      return bookingStateService.transition(booking_id, 'NoShow', { ...actor, reason: 'Traveler marked absent' });
+    }
+
+    if (attendance === 'Present') {
+      const [rows] = await db.query('SELECT status FROM bookings WHERE booking_id = ?', [booking_id]);
+      if (rows.length > 0 && rows[0].status === 'NoShow') {
+        return bookingStateService.transition(booking_id, 'Ongoing', { ...actor, reason: 'Traveler marked present' });
+      }
+    }
+
+    return { status: 'unchanged' };
+  };
+
   const confirmAttendance = async (req, res) => {
   const { booking_id, response } = req.body; 
   // response = 'Present' | 'Absent' | 'Waiting'
 
   try {
+    const statusChange = await applyAttendanceStatus(booking_id, response, req.user);
+    if (statusChange.status === 'not_allowed') {
+      return res.status(403).json({ error: "Only the experience's creator or an admin can mark attendance" });
+    }
+    if (statusChange.status === 'invalid_transition') {
+      return res.status(409).json({ error: `Cannot mark attendance on a ${statusChange.from} booking` });
+    }
+
     await db.query(
       `UPDATE bookings 
        SET traveler_attendance = ?, 
@@ -273,6 +438,20 @@ const updateTravelerAttendance = async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid response type" });
     }
 
+    const statusChange = await applyAttendanceStatus(bookingIdNum, newAttendance, req.user);
+    if (statusChange.status === 'not_allowed') {
+      return res.status(403).json({
+        success: false,
+        error: "Only the experience's creator or an admin can mark attendance"
+      });
+    }
+    if (statusChange.status === 'invalid_transition') {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot mark attendance on a ${statusChange.from} booking`
+      });
+    }
+
     // Update bookings table
     await db.query(
       `UPDATE bookings 
@@ -303,13 +482,14 @@ const updateTravelerAttendance = async (req, res) => {
   }
 };
 
- // NEW: NOT IMPLEMENTED YET
+// Called by the payment service once an itinerary is fully paid
 const notifyCreatorsAfterPayment = async (itinerary_id) => {
   const [items] = await db.query(
-    `SELECT ii.experience_id, e.title, e.creator_id, i.start_date
+    `SELECT ii.experience_id, ii.day_number, e.title, e.creator_id, i.start_date, b.booking_id
      FROM itinerary_items ii
      JOIN experience e ON ii.experience_id = e.experience_id
      JOIN itinerary i ON ii.itinerary_id = i.itinerary_id
+     LEFT JOIN bookings b ON b.item_id = ii.item_id
      WHERE ii.itinerary_id = ?`,
     [itinerary_id]
   );
@@ -321,8 +501,10 @@ const notifyCreatorsAfterPayment = async (itinerary_id) => {
       user_id: item.creator_id,
       type: 'booking',
       title: 'New Booking Received!',
-      description: `You have a new booking for "${item.title}" on ${bookingDate}`,
+      description: `You have a new booking for "${item.title}" on ${bookingDate}. Please accept, decline or propose another time.`,
       itinerary_id,
+      booking_id: item.booking_id,
+      experience_id: item.experience_id,
       icon: 'calendar',
       icon_color: '#3B82F6',
       created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
@@ -333,7 +515,9 @@ const notifyCreatorsAfterPayment = async (itinerary_id) => {
 
 
 
-  // Update booking
+  // Update booking. Only the status can change here: payment_status is
+  // written by paymentService / webhookService, and a new time goes through
+  // the creator's propose action so the itinerary item moves with it.
   const updateBooking = async (req, res) => {
     const { id } = req.params;
     const { slot_id, status, payment_status } = req.body;
@@ -341,50 +525,115 @@ const notifyCreatorsAfterPayment = async (itinerary_id) => {
     if (!id) {
       return res.status(400).json({ message: 'Booking ID is required' });
     }
+    if (payment_status !== undefined) {
+      return res.status(400).json({ message: 'payment_status is set by payments and cannot be updated directly' });
+    }
+
+    const connection = await db.getConnection();
 
     try {
-      const [result] = await db.query(
-        `UPDATE bookings 
-        SET slot_id = ?, status = ?, payment_status = ?, updated_at = NOW() 
-        WHERE booking_id = ?`,
-        [slot_id, status, payment_status, id]
+      await connection.beginTransaction();
+
+      const [bookings] = await connection.query(
+        'SELECT * FROM bookings WHERE booking_id = ? FOR UPDATE',
+        [id]
       );
 
-      if (result.affectedRows === 0) {
+      if (bookings.length === 0) {
+        await connection.rollback();
+        connection.release();
         return res.status(404).json({ message: 'Booking not found' });
       }
 
+      const booking = bookings[0];
+
+      if (slot_id !== undefined && Number(slot_id) !== Number(booking.slot_id)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          message: 'Use the propose action to move a booking to another time slot'
+        });
+      }
+
+      // Confirming and cancelling go through the creator's accept/decline
+      // actions and the cancel endpoint, which check the booking's state
+      if (status !== undefined && status !== booking.status && ['Confirmed', 'Cancelled'].includes(status)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          message: `Use the ${status === 'Confirmed' ? 'accept' : 'decline or cancel'} action to set a booking to ${status}`
+        });
+      }
+
+      // Any other status change must be a legal move in the state machine
+      if (status !== undefined && status !== booking.status) {
+        const change = await bookingStateService.transition(id, status, {
+          actorId: req.user ? req.user.user_id : null,
+          actorRole: req.user ? req.user.role : null,
+          reason: req.body.reason || 'Booking updated',
+          connection
+        });
+
+        if (change.status === 'not_allowed') {
+          await connection.rollback();
+          connection.release();
+          return res.status(403).json({
+            message: `Only the experience's creator or an admin can mark a booking ${status}`
+          });
+        }
+
+        if (change.status !== 'changed') {
+          await connection.rollback();
+          connection.release();
+          return res.status(409).json({
+            message: change.status === 'invalid_status'
+              ? `Invalid booking status "${status}"`
+              : `A ${change.from} booking cannot be changed to ${status}`
+          });
+        }
+      }
+
+      await connection.commit();
+      connection.release();
+
       res.status(200).json({ message: 'Booking updated successfully' });
     } catch (err) {
+      await connection.rollback();
+      connection.release();
       console.error('Error updating booking:', err);
       res.status(500).json({ error: 'Server error' });
     }
   };
 
-  // Delete booking
-  const deleteBooking = async (req, res) => {
+  // Every status change of a booking, oldest first
+  const getBookingHistory = async (req, res) => {
     const { id } = req.params;
 
-    if (!id) {
-      return res.status(400).json({ message: 'Booking ID is required' });
-    }
-
     try {
-      const [result] = await db.query('DELETE FROM bookings WHERE booking_id = ?', [id]);
-
-      if (result.affectedRows === 0) {
+      const [bookings] = await db.query('SELECT booking_id, status FROM bookings WHERE booking_id = ?', [id]);
+      if (bookings.length === 0) {
         return res.status(404).json({ message: 'Booking not found' });
       }
 
-      res.status(200).json({ message: 'Booking deleted successfully' });
+      const history = await bookingStateService.getHistory(id);
+
+      res.status(200).json({
+        booking_id: bookings[0].booking_id,
+        status: bookings[0].status,
+        history: history.map(entry => ({
+          ...entry,
+          created_at: dayjs(entry.created_at).format('YYYY-MM-DD HH:mm:ss')
+        }))
+      });
     } catch (err) {
-      console.error('Error deleting booking:', err);
-      res.status(500).json({ error: 'Server error' });
+      console.error('Error fetching booking history:', err);
+      res.status(500).json({ error: 'Server error', details: err.message });
     }
   };
 
   module.exports = {
     createBooking,
+    getBookingHistory,
     confirmAttendance,
     getAllBookings,
     getBookingById,
@@ -392,5 +641,5 @@ const notifyCreatorsAfterPayment = async (itinerary_id) => {
     getUpcomingBookings,
     updateTravelerAttendance,
     updateBooking,
-    deleteBooking,
+    notifyCreatorsAfterPayment,
   };
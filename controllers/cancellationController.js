@@ -0,0 +1,223 @@
+require('dotenv').config();
+const db = require('../config/db.js');
+const cancellationService = require('../services/cancellationService');
+const experienceRevisionService = require('../services/experienceRevisionService');
+const {
+  CANCELLATION_POLICIES,
+  validateCustomTiers,
+  getPolicyTiers
+} = require('../utils/cancellationPolicy');
+
+const POLICY_NAMES = [...Object.keys(CANCELLATION_POLICIES), 'custom'];
+
+// Get the cancellation policy of an experience, with its refund tiers spelled out
+const getCancellationPolicy = async (req, res) => {
+  const { experience_id } = req.params;
+
+  try {
+    const [rows] = await db.query(
+      'SELECT experience_id, cancellation_policy, cancellation_tiers FROM experience WHERE experience_id = ?',
+      [experience_id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Experience not found' });
+    }
+
+    const { cancellation_policy, cancellation_tiers } = rows[0];
+
+    res.status(200).json({
+      experience_id: Number(experience_id),
+      policy: cancellation_policy,
+      tiers: getPolicyTiers(cancellation_policy, cancellation_tiers)
+    });
+  } catch (err) {
+    console.error('Error fetching cancellation policy:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Creator sets the policy: flexible, moderate, strict, or custom with
+// tiers: [{ hours_before, refund_percent }]. The policy is part of the
+// listing's revision, so on an active listing it waits for an admin to
+// publish it like any other edit.
+const updateCancellationPolicy = async (req, res) => {
+  const { experience_id } = req.params;
+  const { policy, tiers, revision_note } = req.body;
+
+  if (!POLICY_NAMES.includes(policy)) {
+    return res.status(400).json({ message: `policy must be one of: ${POLICY_NAMES.join(', ')}` });
+  }
+
+  if (policy === 'custom') {
+    const tierError = validateCustomTiers(tiers);
+    if (tierError) {
+      return res.status(400).json({ message: tierError });
+    }
+  }
+
+  const customTiers = policy === 'custom'
+    ? tiers.map(tier => ({
+        hours_before: Number(tier.hours_before),
+        refund_percent: Number(tier.refund_percent)
+      }))
+    : null;
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await experienceRevisionService.edit(
+      connection,
+      experience_id,
+      { cancellation_policy: policy, cancellation_tiers: customTiers },
+      req.user,
+      { note: revision_note }
+    );
+
+    if (result.status === 'not_found') {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ message: 'Experience not found' });
+    }
+
+    await connection.commit();
+    connection.release();
+
+    // Travelers keep seeing the published policy until the revision is published
+    if (result.status === 'pending') {
+      return res.status(202).json({
+        message: 'Cancellation policy saved as a pending revision. It applies once an admin reviews and publishes it.',
+        revision: result.revision,
+        changes: result.changes
+      });
+    }
+
+    res.status(200).json({
+      message: 'Cancellation policy updated successfully',
+      policy,
+      tiers: getPolicyTiers(policy, customTiers)
+    });
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error updating cancellation policy:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const getBookingItineraryId = async (bookingId) => {
+  const [rows] = await db.query('SELECT itinerary_id FROM bookings WHERE booking_id = ?', [bookingId]);
+  return rows.length > 0 ? rows[0].itinerary_id : null;
+};
+
+// Preview the refund before cancelling a booking
+const getBookingCancellationQuote = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const itineraryId = await getBookingItineraryId(id);
+    if (!itineraryId) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const quote = await cancellationService.getQuote({ itineraryId, bookingIds: [id] });
+    res.status(200).json(quote.bookings[0]);
+  } catch (err) {
+    console.error('Error fetching cancellation quote:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Traveler cancels a single booking
+const cancelBooking = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  try {
+    const itineraryId = await getBookingItineraryId(id);
+    if (!itineraryId) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await cancellationService.cancelBookings({
+      itineraryId,
+      bookingIds: [id],
+      actorId: req.user.user_id,
+      actorRole: req.user.role,
+      reason
+    });
+
+    if (result.status === 'not_cancellable') {
+      return res.status(400).json({ message: `A ${result.bookings[0].status} booking cannot be cancelled` });
+    }
+
+    res.status(200).json({
+      message: 'Booking cancelled successfully',
+      booking: result.bookings[0],
+      total_refund: result.total_refund,
+      refunds: result.refunds
+    });
+  } catch (err) {
+    console.error('Error cancelling booking:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Preview the refund before cancelling a whole trip
+const getItineraryCancellationQuote = async (req, res) => {
+  const { itinerary_id } = req.params;
+
+  try {
+    const quote = await cancellationService.getQuote({ itineraryId: itinerary_id });
+    res.status(200).json(quote);
+  } catch (err) {
+    console.error('Error fetching cancellation quote:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Traveler cancels the whole trip: every open booking is cancelled and refunded
+const cancelItinerary = async (req, res) => {
+  const { itinerary_id } = req.params;
+  const { reason } = req.body || {};
+
+  try {
+    const [itinerary] = await db.query('SELECT status FROM itinerary WHERE itinerary_id = ?', [itinerary_id]);
+
+    if (itinerary.length === 0) {
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (['cancelled', 'completed'].includes(itinerary[0].status)) {
+      return res.status(400).json({ message: `A ${itinerary[0].status} itinerary cannot be cancelled` });
+    }
+
+    const result = await cancellationService.cancelBookings({
+      itineraryId: itinerary_id,
+      actorId: req.user.user_id,
+      actorRole: req.user.role,
+      reason,
+      cancelItinerary: true
+    });
+
+    res.status(200).json({
+      message: 'Itinerary cancelled successfully',
+      bookings: result.bookings,
+      total_refund: result.total_refund,
+      refunds: result.refunds
+    });
+  } catch (err) {
+    console.error('Error cancelling itinerary:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  getBookingCancellationQuote,
+  cancelBooking,
+  getItineraryCancellationQuote,
+  cancelItinerary
+};
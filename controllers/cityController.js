@@ -0,0 +1,123 @@
+const cityService = require('../services/cityService');
+
+// Turn a cityService.saveCity result that is not ok into an HTTP response
+const sendSaveError = (res, result) => {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'City not found' });
+    case 'province_not_found':
+      return res.status(400).json({ message: `Province "${result.province}" does not exist yet; include region to create it` });
+    case 'duplicate':
+      return res.status(409).json({ message: 'This province already has a city with that name', city_id: result.city_id });
+    case 'alias_taken':
+      return res.status(409).json({ message: `The alias "${result.alias}" already belongs to another city` });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ?province=&region=&q=
+const getCities = async (req, res) => {
+  const { province, region, q } = req.query || {};
+
+  try {
+    const cities = await cityService.list({ province, region, q });
+    res.status(200).json({ cities });
+  } catch (err) {
+    console.error('Error fetching cities:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// ?name=bacolod_city -> the registered city that name refers to
+const resolveCity = async (req, res) => {
+  const { name } = req.query || {};
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: 'name is required' });
+  }
+
+  try {
+    const city = await cityService.resolve(name);
+    if (!city) {
+      return res.status(404).json({ message: `No city matches "${name}"` });
+    }
+    res.status(200).json({ city });
+  } catch (err) {
+    console.error('Error resolving city:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const getCityById = async (req, res) => {
+  try {
+    const city = await cityService.getById(req.params.id);
+    if (!city) {
+      return res.status(404).json({ message: 'City not found' });
+    }
+    res.status(200).json({ city });
+  } catch (err) {
+    console.error('Error fetching city:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Body: name, province, latitude, longitude, and optionally type, aliases,
+// and region / region_code when the province is new
+const createCity = async (req, res) => {
+  const data = req.body || {};
+  const error = cityService.validateFields(data);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const result = await cityService.saveCity(data);
+    if (result.status !== 'ok') return sendSaveError(res, result);
+
+    res.status(201).json({ message: 'City created successfully', city: result.city });
+  } catch (err) {
+    console.error('Error creating city:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Partial update; aliases, when given, replace the current list
+const updateCity = async (req, res) => {
+  const data = req.body || {};
+  const error = cityService.validateFields(data, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const result = await cityService.saveCity(data, { cityId: req.params.id });
+    if (result.status !== 'ok') return sendSaveError(res, result);
+
+    res.status(200).json({ message: 'City updated successfully', city: result.city });
+  } catch (err) {
+    console.error('Error updating city:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const deleteCity = async (req, res) => {
+  try {
+    const deleted = await cityService.deleteCity(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'City not found' });
+    }
+    res.status(200).json({ message: 'City deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting city:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  getCities,
+  resolveCity,
+  getCityById,
+  createCity,
+  updateCity,
+  deleteCity
+};
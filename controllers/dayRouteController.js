@@ -0,0 +1,88 @@
+const dayRouteService = require('../services/dayRouteService');
+
+// Turn a service result that is not a proposal into an HTTP response
+const sendRouteError = (res, result) => {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'Itinerary not found' });
+    case 'invalid_day':
+      return res.status(400).json({ message: `day_number must be between 1 and ${result.total_days}` });
+    case 'no_items':
+      return res.status(404).json({ message: 'This day has no activities to reorder' });
+    case 'too_many_items':
+      return res.status(400).json({ message: `Days with more than ${result.max_items} activities cannot be optimized` });
+    case 'infeasible':
+      return res.status(409).json({ message: `No order of the activities fits the time slots offered on ${result.date}` });
+    case 'stale':
+      return res.status(409).json({ message: 'The day has changed since this proposal was made. Request a new one.' });
+    case 'full':
+      return res.status(409).json({
+        message: 'One of the new time slots is fully booked',
+        item_id: result.item_id,
+        remaining_capacity: result.remaining_capacity
+      });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const formatProposal = (result) => ({
+  day_number: result.day_number,
+  date: result.date,
+  current_distance_km: result.current_distance_km,
+  current_feasible: result.current_feasible,
+  proposed_distance_km: result.proposed_distance_km,
+  saved_km: result.saved_km,
+  changes: result.changes.map(({ slot, ...change }) => change),
+  proposal_token: result.proposal_token
+});
+
+// Shortest route for one day. Without apply the proposal is only returned so
+// the traveler can review the diff; with apply and the proposal_token it is saved.
+const optimizeItineraryDay = async (req, res) => {
+  const { itinerary_id } = req.params;
+  const { day_number, apply, proposal_token } = req.body || {};
+
+  const dayNumber = Number(day_number);
+  if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+    return res.status(400).json({ message: 'day_number must be a whole number of 1 or more' });
+  }
+  if (apply && !proposal_token) {
+    return res.status(400).json({ message: 'proposal_token is required to apply a proposal' });
+  }
+
+  try {
+    if (!apply) {
+      const result = await dayRouteService.proposeDay(itinerary_id, dayNumber);
+
+      if (result.status === 'unchanged') {
+        return res.status(200).json({
+          message: 'This day is already in the shortest order',
+          day_number: result.day_number,
+          date: result.date,
+          current_distance_km: result.current_distance_km,
+          current_feasible: result.current_feasible,
+          changes: []
+        });
+      }
+      if (result.status !== 'proposed') return sendRouteError(res, result);
+
+      return res.status(200).json({ message: 'Route proposal ready', ...formatProposal(result) });
+    }
+
+    const result = await dayRouteService.applyDay(itinerary_id, dayNumber, proposal_token, req.user);
+    if (result.status === 'unchanged') {
+      return res.status(409).json({ message: 'The day has changed since this proposal was made. Request a new one.' });
+    }
+    if (result.status !== 'applied') return sendRouteError(res, result);
+
+    res.status(200).json({ message: 'Day route updated', ...formatProposal(result) });
+  } catch (err) {
+    console.error('Error optimizing itinerary day:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  optimizeItineraryDay
+};
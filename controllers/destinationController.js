@@ -2,6 +2,8 @@ require('dotenv').config();
 
 const db = require('../config/db.js');
 const bcrypt = require('bcrypt');  
+const mapPinService = require('../services/mapPinService');
+const { parseGeoQuery, parseBbox, parseZoom, distanceSql, geoConditions, MAX_ZOOM } = require('../utils/geoQuery');
 
 
 
@@ -41,9 +43,27 @@ const createDestination = async (req, res) => {
 
 
 
+// ?lat=&lng= adds distance_km and sorts closest first; radius (km) and
+// bbox=west,south,east,north narrow the list
 const getAllDestination = async (req, res) => {
+  const geo = parseGeoQuery(req.query || {});
+  if (geo.error) {
+    return res.status(400).json({ message: geo.error });
+  }
+
   try {
-    const [destinations] = await db.query('SELECT * FROM destination');
+    const distance = geo.origin ? distanceSql('location', geo.origin, 'latitude') : null;
+    const filter = geoConditions('location', geo, { latitude: 'latitude', longitude: 'longitude' });
+
+    let query = `SELECT *${distance ? `, ${distance.sql} AS distance_km` : ''} FROM destination`;
+    if (filter.conditions.length > 0) {
+      query += ` WHERE ${filter.conditions.join(' AND ')}`;
+    }
+    if (distance) {
+      query += ' ORDER BY distance_km IS NULL, distance_km ASC';
+    }
+
+    const [destinations] = await db.query(query, [...(distance ? distance.params : []), ...filter.params]);
     res.status(200).json(destinations);
   } catch (err) {
     console.error(err);
@@ -51,6 +71,27 @@ const getAllDestination = async (req, res) => {
   }
 };
 
+// GET /destination/pins?bbox=west,south,east,north&zoom= - clustered map pins
+const getDestinationPins = async (req, res) => {
+  const { bbox, zoom } = req.query || {};
+  const parsed = parseBbox(bbox || '');
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const level = parseZoom(zoom);
+  if (level === null) {
+    return res.status(400).json({ message: `zoom must be a whole number between 0 and ${MAX_ZOOM}` });
+  }
+
+  try {
+    const result = await mapPinService.getPins('destination', parsed.bbox, level);
+    res.status(200).json({ bbox: parsed.bbox, zoom: level, ...result });
+  } catch (err) {
+    console.error('Error fetching destination pins:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
 const getDestinationByExperienceId = async (req, res) => {
   const { experienceId } = req.params; 
 
@@ -131,4 +172,4 @@ const updateDestination = async (req, res) => {
 };
 
 
-module.exports = { createDestination, getAllDestination, getDestinationById,getDestinationByExperienceId, updateDestination  };
+module.exports = { createDestination, getAllDestination, getDestinationPins, getDestinationById,getDestinationByExperienceId, updateDestination  };
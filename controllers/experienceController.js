@@ -1,5 +1,14 @@
 require('dotenv').config();
-const { CITY_CENTERS, calculateDistanceFromCityCenter } = require('../utils/cityUtils');
+const { straightLineDistance } = require('../utils/cityUtils');
+const cityService = require('../services/cityService');
+const { parseGeoQuery, distanceSql, geoConditions } = require('../utils/geoQuery');
+const { isAdmin } = require('../middleware/authorize');
+const inventoryService = require('../services/inventoryService');
+const availabilityService = require('../services/availabilityService');
+const experienceStatusService = require('../services/experienceStatusService');
+const { EXPERIENCE_STATUSES } = require('../services/experienceStatusService');
+const experienceRevisionService = require('../services/experienceRevisionService');
+const { validateGroupTiers } = require('../utils/pricing');
 
 const db = require('../config/db.js');
 const multer = require('multer');
@@ -9,6 +18,9 @@ const dayjs = require('dayjs');
 const util = require('util');
 const unlinkAsync = util.promisify(fs.unlink);
 
+// Rejections need reasons for the creator, so they only go through the moderation endpoint
+const REJECT_ENDPOINT_MESSAGE = 'Use POST /experience/:experience_id/reject with reasons to reject an experience';
+
 
 
 const storage = multer.diskStorage({
@@ -38,11 +50,42 @@ const upload = multer({
 });
 
 
+// child_price / group_pricing from a request (form fields arrive as strings).
+// Returns { childPrice, groupPricing } ready to store, or { error }.
+const parseOptionalPricing = ({ child_price, group_pricing }) => {
+  let childPrice = null;
+  if (child_price !== undefined && child_price !== null && child_price !== '') {
+    childPrice = Number(child_price);
+    if (!Number.isFinite(childPrice) || childPrice < 0) {
+      return { error: 'child_price must be a number of 0 or more' };
+    }
+  }
+
+  let groupPricing = null;
+  if (group_pricing !== undefined && group_pricing !== null && group_pricing !== '') {
+    let tiers;
+    try {
+      tiers = typeof group_pricing === 'string' ? JSON.parse(group_pricing) : group_pricing;
+    } catch (e) {
+      return { error: 'Invalid group_pricing format' };
+    }
+
+    const tierError = validateGroupTiers(tiers);
+    if (tierError) return { error: tierError };
+
+    groupPricing = tiers.length > 0
+      ? JSON.stringify(tiers.map(tier => ({ min_guests: Number(tier.min_guests), price: Number(tier.price) })))
+      : null;
+  }
+
+  return { childPrice, groupPricing };
+};
+
 const createExperience = async (req, res) => {
   // Extract destination and experience data from request body
   const { 
     creator_id, title, description, notes, price, unit, availability, tags, status,
-    category_id, 
+    category_id, child_price, group_pricing,
     destination_name, city, destination_description, latitude, longitude,
     destination_id,
     travel_companions
@@ -70,12 +113,19 @@ const createExperience = async (req, res) => {
       return res.status(400).json({ message: 'Invalid unit type' });
     }
 
-    // Validate 'status' value if provided
-    const validStatuses = ['draft', 'inactive', 'active', 'pending'];
+    // Optional child and group prices
+    const pricing = parseOptionalPricing({ child_price, group_pricing });
+    if (pricing.error) {
+      await connection.rollback();
+      return res.status(400).json({ message: pricing.error });
+    }
+
+    // New listings start as draft or pending; only an admin can publish one directly
     const experienceStatus = status || 'draft';
-    if (!validStatuses.includes(experienceStatus)) {
+    const statusError = experienceStatusService.checkInitialStatus(experienceStatus, { isAdmin: isAdmin(req.user) });
+    if (statusError) {
       await connection.rollback();
-      return res.status(400).json({ message: 'Invalid status value' });
+      return res.status(400).json({ message: statusError });
     }
 
     // Check if creator_id exists and has role 'Creator'
@@ -171,18 +221,9 @@ const createExperience = async (req, res) => {
         console.log(`✅ Using existing destination: ${destination_name} (ID: ${finalDestinationId})`);
       } else {
         // Calculate distance from city center
-        let distanceFromCenter = null;
+        const distanceFromCenter = await cityService.distanceFromCenter(city, latitude, longitude);
         
-        const cityCenter = CITY_CENTERS[city];
-        if (cityCenter) {
-          distanceFromCenter = calculateDistanceFromCityCenter(
-            parseFloat(latitude),
-            parseFloat(longitude),
-            cityCenter.lat,
-            cityCenter.lng
-          );
-          
-          distanceFromCenter = Math.round(distanceFromCenter * 100) / 100;
+        if (distanceFromCenter !== null) {
           console.log(`✅ Calculated distance for ${destination_name}: ${distanceFromCenter}km from ${city} center`);
         } else {
           console.warn(`⚠️ Warning: No city center coordinates found for "${city}". Distance will be NULL.`);
@@ -202,12 +243,16 @@ const createExperience = async (req, res) => {
     // Insert new experience
   const [result] = await connection.query(
     `INSERT INTO experience 
-    (creator_id, destination_id, title, description, notes, price, unit, status, travel_companions, category_id, created_at) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE())`,
-    [creator_id, finalDestinationId, title || null, description || null, notes || null, price, unit, experienceStatus, JSON.stringify(parsedCompanions), category_id]
+    (creator_id, destination_id, title, description, notes, price, child_price, group_pricing, unit, status, travel_companions, category_id, created_at) 
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE())`,
+    [creator_id, finalDestinationId, title || null, description || null, notes || null, price, pricing.childPrice, pricing.groupPricing, unit, experienceStatus, JSON.stringify(parsedCompanions), category_id]
   );
 
     const experience_id = result.insertId;
+    await experienceStatusService.recordCreated(connection, experience_id, experienceStatus, {
+      actorId: req.user ? req.user.user_id : null,
+      actorRole: req.user ? req.user.role : null
+    });
 
     // Parse and validate availability
     if (!availability || (typeof availability === 'string' && !availability.trim()) || (Array.isArray(availability) && availability.length === 0)) {
@@ -228,7 +273,7 @@ const createExperience = async (req, res) => {
 
     // Insert availability and time slots
     for (const dayAvailability of parsedAvailability) {
-      const { day_of_week, time_slots } = dayAvailability;
+      const { day_of_week, time_slots, valid_from, valid_until } = dayAvailability;
 
       if (!validDays.includes(day_of_week) || !Array.isArray(time_slots) || time_slots.length === 0) {
         await connection.rollback();
@@ -237,14 +282,14 @@ const createExperience = async (req, res) => {
 
       // Insert into experience_availability
       const [availabilityResult] = await connection.execute(
-        `INSERT INTO experience_availability (experience_id, day_of_week) VALUES (?, ?)`,
-        [experience_id, day_of_week]
+        `INSERT INTO experience_availability (experience_id, day_of_week, valid_from, valid_until) VALUES (?, ?, ?, ?)`,
+        [experience_id, day_of_week, valid_from || null, valid_until || null]
       );
       const availability_id = availabilityResult.insertId;
 
       // Insert all associated time slots
       for (const slot of time_slots) {
-        const { start_time, end_time } = slot;
+        const { start_time, end_time, capacity } = slot;
 
         if (!start_time || !end_time) {
           await connection.rollback();
@@ -252,8 +297,8 @@ const createExperience = async (req, res) => {
         }
 
         await connection.execute(
-          `INSERT INTO availability_time_slots (availability_id, start_time, end_time) VALUES (?, ?, ?)`,
-          [availability_id, start_time, end_time]
+          `INSERT INTO availability_time_slots (availability_id, start_time, end_time, capacity) VALUES (?, ?, ?, ?)`,
+          [availability_id, start_time, end_time, capacity ? parseInt(capacity, 10) : null]
         );
       }
     }
@@ -281,6 +326,9 @@ const createExperience = async (req, res) => {
       );
     }
 
+    // Revision 1 is the content the listing was created with
+    await experienceRevisionService.recordPublished(connection, experience_id, req.user, { note: 'Experience created' });
+
     // Commit the transaction
     await connection.commit();
     connection.release();
@@ -369,6 +417,7 @@ const createMultipleExperiences = async (req, res) => {
       // Extract data for current experience
       const { 
         creator_id, title, description, price, unit, availability, tags, status,
+        child_price, group_pricing,
         destination_name, city, destination_description, latitude, longitude,
         destination_id,
         travel_companions
@@ -386,11 +435,16 @@ const createMultipleExperiences = async (req, res) => {
           throw new Error(`Experience ${i + 1}: Invalid unit type`);
         }
 
-        // Validate 'status' value if provided
-        const validStatuses = ['draft', 'inactive', 'active', 'pending'];
+        const pricing = parseOptionalPricing({ child_price, group_pricing });
+        if (pricing.error) {
+          throw new Error(`Experience ${i + 1}: ${pricing.error}`);
+        }
+
+        // New listings start as draft or pending; only an admin can publish one directly
         const experienceStatus = status || 'draft';
-        if (!validStatuses.includes(experienceStatus)) {
-          throw new Error(`Experience ${i + 1}: Invalid status value`);
+        const statusError = experienceStatusService.checkInitialStatus(experienceStatus, { isAdmin: isAdmin(req.user) });
+        if (statusError) {
+          throw new Error(`Experience ${i + 1}: ${statusError}`);
         }
 
         // Check if creator_id exists and has role 'Creator'
@@ -472,18 +526,9 @@ const createMultipleExperiences = async (req, res) => {
             console.log(`✅ Experience ${i + 1}: Using existing destination: ${destination_name} (ID: ${finalDestinationId})`);
           } else {
             // Calculate distance from city center
-            let distanceFromCenter = null;
+            const distanceFromCenter = await cityService.distanceFromCenter(city, latitude, longitude);
             
-            const cityCenter = CITY_CENTERS[city];
-            if (cityCenter) {
-              distanceFromCenter = calculateDistanceFromCityCenter(
-                parseFloat(latitude),
-                parseFloat(longitude),
-                cityCenter.lat,
-                cityCenter.lng
-              );
-              
-              distanceFromCenter = Math.round(distanceFromCenter * 100) / 100;
+            if (distanceFromCenter !== null) {
               console.log(`✅ Experience ${i + 1}: Calculated distance for ${destination_name}: ${distanceFromCenter}km from ${city} center`);
             } else {
               console.warn(`⚠️ Experience ${i + 1}: Warning: No city center coordinates found for "${city}". Distance will be NULL.`);
@@ -503,12 +548,16 @@ const createMultipleExperiences = async (req, res) => {
         // Insert new experience with JSON travel_companions
         const [result] = await connection.query(
           `INSERT INTO experience 
-          (creator_id, destination_id, title, description, price, unit, status, travel_companions, created_at) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURDATE())`,
-          [creator_id, finalDestinationId, title || null, description || null, price, unit, experienceStatus, JSON.stringify(parsedCompanions)]
+          (creator_id, destination_id, title, description, price, child_price, group_pricing, unit, status, travel_companions, created_at) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE())`,
+          [creator_id, finalDestinationId, title || null, description || null, price, pricing.childPrice, pricing.groupPricing, unit, experienceStatus, JSON.stringify(parsedCompanions)]
         );
 
         const experience_id = result.insertId;
+        await experienceStatusService.recordCreated(connection, experience_id, experienceStatus, {
+          actorId: req.user ? req.user.user_id : null,
+          actorRole: req.user ? req.user.role : null
+        });
 
         // Parse and validate availability
         if (!availability || (typeof availability === 'string' && !availability.trim()) || (Array.isArray(availability) && availability.length === 0)) {
@@ -527,7 +576,7 @@ const createMultipleExperiences = async (req, res) => {
 
         // Insert availability and time slots
         for (const dayAvailability of parsedAvailability) {
-          const { day_of_week, time_slots } = dayAvailability;
+          const { day_of_week, time_slots, valid_from, valid_until } = dayAvailability;
 
           if (!validDays.includes(day_of_week) || !Array.isArray(time_slots) || time_slots.length === 0) {
             throw new Error(`Experience ${i + 1}: Each availability entry must have a valid day and time_slots array`);
@@ -535,22 +584,22 @@ const createMultipleExperiences = async (req, res) => {
 
           // Insert into experience_availability
           const [availabilityResult] = await connection.execute(
-            `INSERT INTO experience_availability (experience_id, day_of_week) VALUES (?, ?)`,
-            [experience_id, day_of_week]
+            `INSERT INTO experience_availability (experience_id, day_of_week, valid_from, valid_until) VALUES (?, ?, ?, ?)`,
+            [experience_id, day_of_week, valid_from || null, valid_until || null]
           );
           const availability_id = availabilityResult.insertId;
 
           // Insert all associated time slots
           for (const slot of time_slots) {
-            const { start_time, end_time } = slot;
+            const { start_time, end_time, capacity } = slot;
 
             if (!start_time || !end_time) {
               throw new Error(`Experience ${i + 1}: Each time slot must have a start_time and end_time`);
             }
 
             await connection.execute(
-              `INSERT INTO availability_time_slots (availability_id, start_time, end_time) VALUES (?, ?, ?)`,
-              [availability_id, start_time, end_time]
+              `INSERT INTO availability_time_slots (availability_id, start_time, end_time, capacity) VALUES (?, ?, ?, ?)`,
+              [availability_id, start_time, end_time, capacity ? parseInt(capacity, 10) : null]
             );
           }
         }
@@ -564,6 +613,8 @@ const createMultipleExperiences = async (req, res) => {
 
         // For bulk upload, file handling would need to be enhanced
         // Currently skipping image upload for bulk operations
+
+        await experienceRevisionService.recordPublished(connection, experience_id, req.user, { note: 'Experience created' });
         
         results.push({
           index: i + 1,
@@ -659,23 +710,12 @@ const getAllExperience = async (req, res) => {
     console.log('=== API REQUEST DEBUG ===');
     console.log('Query params:', req.query);
 
-    // Normalize city name helper function
-    const normalizeCityName = (city) => {
-      if (!city) return city;
-      
-      // Replace underscores with spaces
-      let normalized = city.replace(/_/g, ' ');
-      
-      // Capitalize each word
-      normalized = normalized.replace(/\b\w/g, char => char.toUpperCase());
-      
-      // Handle common variations
-      if (!normalized.toLowerCase().includes('city')) {
-        normalized = normalized + ' City';
-      }
-      
-      return normalized;
-    };
+    // lat/lng (+ radius in km) and bbox=west,south,east,north
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ message: geo.error });
+    }
+    const distanceColumn = geo.origin ? distanceSql('d.location', geo.origin, 'd.latitude') : null;
 
     // Get accommodation details if filtering for itinerary
     let accommodationDetails = null;
@@ -685,18 +725,21 @@ const getAllExperience = async (req, res) => {
         let accommodationParams;
         
         if (itinerary_id) {
+          // First stay of the trip
           accommodationQuery = `
             SELECT a.check_in_time, a.check_out_time, i.start_date, i.end_date
             FROM itinerary i
-            LEFT JOIN accommodation a ON i.accommodation_id = a.id
+            LEFT JOIN accommodation a ON a.itinerary_id = i.itinerary_id
             WHERE i.itinerary_id = ?
+            ORDER BY a.check_in
+            LIMIT 1
           `;
           accommodationParams = [itinerary_id];
         } else {
           accommodationQuery = `
             SELECT check_in_time, check_out_time
             FROM accommodation
-            WHERE id = ?
+            WHERE accommodation_id = ?
           `;
           accommodationParams = [accommodation_id];
         }
@@ -739,40 +782,15 @@ const getAllExperience = async (req, res) => {
     console.log('Trip day names:', tripDayNames);
     console.log('Trip dates:', tripDates);
 
-    // FIXED: Case-insensitive city center lookup
+    // City center from the city registry
     let selectedCityCenter = null;
     if (location && location.trim()) {
-      // Normalize the city name first
-      const normalizedCity = normalizeCityName(location.trim());
-      console.log(`Normalizing city name: "${location}" -> "${normalizedCity}"`);
+      selectedCityCenter = await cityService.getCenter(location.trim());
       
-      // Try exact match with normalized name
-      selectedCityCenter = CITY_CENTERS[normalizedCity];
-      
-      if (!selectedCityCenter) {
-        // Try various cases if exact match fails
-        const cityVariations = [
-          normalizedCity,
-          normalizedCity.toLowerCase(),
-          normalizedCity.toUpperCase(),
-          location.trim(), // Original input
-          location.trim().replace(/_/g, ' '), // Just replace underscores
-        ];
-        
-        for (const variation of cityVariations) {
-          if (CITY_CENTERS[variation]) {
-            selectedCityCenter = CITY_CENTERS[variation];
-            console.log(`✅ Found city center using variation: "${variation}" for input: "${location}"`);
-            break;
-          }
-        }
+      if (selectedCityCenter) {
+        console.log(`✅ Found city center for "${location}":`, selectedCityCenter);
       } else {
-        console.log(`✅ Found city center for "${normalizedCity}":`, selectedCityCenter);
-      }
-      
-      if (!selectedCityCenter) {
-        console.warn(`⚠️ No city center coordinates found for "${location}". Available cities:`, Object.keys(CITY_CENTERS).slice(0, 10));
-        console.warn(`⚠️ Falling back to city-based filtering.`);
+        console.warn(`⚠️ No city center coordinates found for "${location}". Falling back to city-based filtering.`);
       }
     }
 
@@ -790,14 +808,15 @@ const getAllExperience = async (req, res) => {
         d.distance_from_city_center,
         e.travel_companion,
         e.travel_companions, 
-        GROUP_CONCAT(DISTINCT t.name) AS tags
+        GROUP_CONCAT(DISTINCT t.name) AS tags${distanceColumn ? `,
+        ${distanceColumn.sql} AS distance_km` : ''}
       FROM experience e
       JOIN destination d ON e.destination_id = d.destination_id
       LEFT JOIN experience_tags et ON e.experience_id = et.experience_id
       LEFT JOIN tags t ON et.tag_id = t.tag_id
     `;
 
-    const params = [];
+    const params = distanceColumn ? [...distanceColumn.params] : [];
     const conditions = [];
 
     // Build the query structure first, then add parameters in the right order
@@ -824,17 +843,12 @@ const getAllExperience = async (req, res) => {
         // Calculate distance from selected city center for each destination
         conditions.push(`(
           d.distance_from_city_center IS NULL OR
-          (6371 * acos(
-            cos(radians(?)) * cos(radians(d.latitude)) * 
-            cos(radians(d.longitude) - radians(?)) + 
-            sin(radians(?)) * sin(radians(d.latitude))
-          )) <= ?
+          ST_Distance_Sphere(d.location, POINT(?, ?)) <= ? * 1000
         )`);
         
         params.push(
-          selectedCityCenter.lat,   // Selected city center latitude
           selectedCityCenter.lng,   // Selected city center longitude  
-          selectedCityCenter.lat,   // Selected city center latitude (for sin calculation)
+          selectedCityCenter.lat,   // Selected city center latitude
           maxDistance               // Maximum distance
         );
         
@@ -968,6 +982,11 @@ const getAllExperience = async (req, res) => {
       }
     }
 
+    // Near me / map viewport
+    const geoFilter = geoConditions('d.location', geo, { latitude: 'd.latitude', longitude: 'd.longitude' });
+    conditions.push(...geoFilter.conditions);
+    params.push(...geoFilter.params);
+
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(' AND ')}`;
     }
@@ -975,26 +994,21 @@ const getAllExperience = async (req, res) => {
     query += ` GROUP BY e.experience_id`;
 
     // Updated ordering logic for cross-city approach
-    if (selectedCityCenter && travel_distance) {
+    if (geo.origin) {
+      // Near me: closest to the given point first
+      query += ` ORDER BY distance_km IS NULL, distance_km ASC, e.created_at DESC`;
+    } else if (selectedCityCenter && travel_distance) {
       if (travel_distance.toLowerCase() === 'nearby') {
         // Nearby: Order by actual distance from selected city center (closest first)
         query += ` ORDER BY 
-          (6371 * acos(
-            cos(radians(${selectedCityCenter.lat})) * cos(radians(d.latitude)) * 
-            cos(radians(d.longitude) - radians(${selectedCityCenter.lng})) + 
-            sin(radians(${selectedCityCenter.lat})) * sin(radians(d.latitude))
-          )) ASC, 
+          ST_Distance_Sphere(d.location, POINT(${selectedCityCenter.lng}, ${selectedCityCenter.lat})) ASC, 
           e.created_at DESC`;
       } else if (travel_distance.toLowerCase() === 'moderate') {
         // Moderate: Balanced ordering
         query += ` ORDER BY 
           CASE 
             WHEN d.distance_from_city_center IS NULL THEN 1
-            WHEN (6371 * acos(
-              cos(radians(${selectedCityCenter.lat})) * cos(radians(d.latitude)) * 
-              cos(radians(d.longitude) - radians(${selectedCityCenter.lng})) + 
-              sin(radians(${selectedCityCenter.lat})) * sin(radians(d.latitude))
-            )) <= 10 THEN 2
+            WHEN ST_Distance_Sphere(d.location, POINT(${selectedCityCenter.lng}, ${selectedCityCenter.lat})) <= 10000 THEN 2
             ELSE 3
           END,
           e.created_at DESC`;
@@ -1105,7 +1119,7 @@ const getAllExperience = async (req, res) => {
     });
 
     // Finalize experience data with proper travel companion handling and distance calculations
-    experiences.forEach(exp => {
+    for (const exp of experiences) {
       exp.tags = exp.tags ? exp.tags.split(',') : [];
       exp.images = imageMap[exp.id] || [];
       exp.availability = availabilityMap[exp.id] || [];
@@ -1141,10 +1155,12 @@ const getAllExperience = async (req, res) => {
       exp.travel_companions = companions; // Array format (new)
       // Keep exp.travel_companion as is for old clients
 
-      // Calculate actual distance from selected city center if available
+      // Calculate actual distance from selected city center if available.
+      // Lists use the straight-line distance; road distances are only looked
+      // up when an itinerary is generated.
       let actualDistanceFromSelectedCity = null;
       if (selectedCityCenter && exp.latitude && exp.longitude) {
-        actualDistanceFromSelectedCity = calculateDistanceFromCityCenter(
+        actualDistanceFromSelectedCity = straightLineDistance(
           parseFloat(exp.latitude),
           parseFloat(exp.longitude),
           selectedCityCenter.lat,
@@ -1175,7 +1191,7 @@ const getAllExperience = async (req, res) => {
       } else {
         exp.budget_category = 'Premium';
       }
-    });
+    }
 
     // Debug: Show distance distribution from selected city center
     if (travel_distance && selectedCityCenter) {
@@ -1267,7 +1283,7 @@ const getExperienceTitlesAndTags = async (req, res) => {
 
 const getExperienceAvailability = async (req, res) => {
   const experienceId = req.params.id;
-  const { day } = req.query;
+  const { day, date, start_date, end_date } = req.query;
 
   console.log('=== AVAILABILITY API DEBUG ===');
   console.log('Experience ID:', experienceId);
@@ -1289,11 +1305,33 @@ const getExperienceAvailability = async (req, res) => {
       return res.status(404).json({ error: 'Experience not found' });
     }
 
+    // A date or date range returns what is really offered on those dates,
+    // with blackouts, seasons and one-off sessions applied
+    if (date || start_date) {
+      const rangeStart = date || start_date;
+      const rangeEnd = date || end_date || start_date;
+
+      if (!dayjs(rangeStart).isValid() || !dayjs(rangeEnd).isValid() || dayjs(rangeEnd).isBefore(rangeStart, 'day')) {
+        return res.status(400).json({ error: 'Invalid date range' });
+      }
+
+      const calendar = await availabilityService.getCalendar([experienceId], rangeStart, rangeEnd);
+
+      return res.json({
+        experience_id: parseInt(experienceId),
+        start_date: dayjs(rangeStart).format('YYYY-MM-DD'),
+        end_date: dayjs(rangeEnd).format('YYYY-MM-DD'),
+        dates: Object.values(calendar[experienceId])
+      });
+    }
+
     // Get availability data with time slots - using exact schema names
     let query = `SELECT 
       ea.availability_id,
       ea.experience_id,
       ea.day_of_week,
+      ea.valid_from,
+      ea.valid_until,
       ats.slot_id,
       ats.start_time,
       ats.end_time
@@ -1335,6 +1373,8 @@ const getExperienceAvailability = async (req, res) => {
           availability_id: result.availability_id,
           experience_id: result.experience_id,
           day_of_week: result.day_of_week,
+          valid_from: result.valid_from,
+          valid_until: result.valid_until,
           time_slots: []
         };
         availability.push(availabilityMap[result.availability_id]);
@@ -1370,16 +1410,9 @@ const getAvailableTimeSlots = async (req, res) => {
     return res.status(400).json({ message: 'Missing required parameters' });
   }
 
-  const dayOfWeek = dayjs(date).format('dddd');
-
   try {
-    // Step 1: Get all available time slots for the experience on that day
-    const [availableSlots] = await db.query(`
-      SELECT ats.start_time, ats.end_time
-      FROM experience_availability ea
-      JOIN availability_time_slots ats ON ea.availability_id = ats.availability_id
-      WHERE ea.experience_id = ? AND ea.day_of_week = ?
-    `, [experience_id, dayOfWeek]);
+    // Step 1: Get the time slots the experience offers on that date
+    const availableSlots = await availabilityService.getSlotsForDate(experience_id, date);
 
     // Step 2: Get existing itinerary items for the same day (excluding current item)
     const [bookedSlots] = await db.query(`
@@ -1399,7 +1432,26 @@ const getAvailableTimeSlots = async (req, res) => {
       );
     });
 
-    res.status(200).json({ available_slots: conflictFree });
+    // Step 4: Filter out full slots. The seats this item already holds count
+    // as free, since moving within its own slot does not need new ones.
+    const [currentBooking] = await db.query(`
+      SELECT guest_count, TIME_FORMAT(generated_start_time, '%H:%i:%s') AS start_time
+      FROM bookings
+      WHERE item_id = ? AND booking_date = ? AND status != 'Cancelled'
+    `, [item_id, dayjs(date).format('YYYY-MM-DD')]);
+
+    const withCapacity = await inventoryService.withRemainingCapacity(experience_id, date, conflictFree);
+    const openSlots = withCapacity
+      .map(slot => {
+        const ownBooking = currentBooking.find(b => b.start_time === inventoryService.normalizeTime(slot.start_time));
+        if (ownBooking && slot.remaining_capacity !== null) {
+          return { ...slot, remaining_capacity: slot.remaining_capacity + ownBooking.guest_count };
+        }
+        return slot;
+      })
+      .filter(slot => inventoryService.hasRoom(slot));
+
+    res.status(200).json({ available_slots: openSlots });
   } catch (error) {
     console.error('Error fetching available slots:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1502,7 +1554,8 @@ const getExperienceById = async (req, res) => {
         a.day_of_week,
         ts.slot_id,
         ts.start_time,
-        ts.end_time
+        ts.end_time,
+        ts.capacity
        FROM experience_availability a
        LEFT JOIN availability_time_slots ts ON a.availability_id = ts.availability_id
        WHERE a.experience_id = ?
@@ -1526,7 +1579,8 @@ const getExperienceById = async (req, res) => {
         availabilityMap[row.availability_id].time_slots.push({
           slot_id: row.slot_id,
           start_time: row.start_time,
-          end_time: row.end_time
+          end_time: row.end_time,
+          capacity: row.capacity
         });
       }
     });
@@ -1816,6 +1870,7 @@ const updateExperience = async (req, res) => {
   const { 
     // Experience data
     title, description, notes, price, unit, status, 
+    child_price, group_pricing,
     travel_companion, // Keep for backward compatibility
     travel_companions, // New array field
     
@@ -1828,7 +1883,10 @@ const updateExperience = async (req, res) => {
     availability, tags,
     
     // Images to delete
-    images_to_delete
+    images_to_delete,
+
+    // Shown with the pending revision when the listing is live
+    revision_note
   } = req.body;
 
   // Get uploaded files if any
@@ -1852,35 +1910,35 @@ const updateExperience = async (req, res) => {
 
     const currentExperience = existingExperience[0];
 
-    // Check if user has permission to update (must be the creator)
-    if (req.user && req.user.user_id !== currentExperience.creator_id) {
+    // Check if user has permission to update (must be the creator or an admin)
+    if (req.user && !isAdmin(req.user) && req.user.user_id !== currentExperience.creator_id) {
       await connection.rollback();
       return res.status(403).json({ message: 'You do not have permission to update this experience' });
     }
 
-    // Build dynamic update query for experience table
-    const updateFields = [];
-    const updateValues = [];
+    // Collect the bookable content being edited; experienceRevisionService
+    // decides whether it is applied now or kept as a pending revision
+    const changes = {};
 
     if (title !== undefined) {
-      updateFields.push('title = ?');
-      updateValues.push(title);
+      changes.title = title;
     }
 
     if (description !== undefined) {
-      updateFields.push('description = ?');
-      updateValues.push(description);
+      changes.description = description;
     }
 
     // Handle notes update
     if (notes !== undefined) {
-      updateFields.push('notes = ?');
-      updateValues.push(notes || null);
+      changes.notes = notes || null;
     }
 
     if (price !== undefined) {
-      updateFields.push('price = ?');
-      updateValues.push(price);
+      if (price === null || price === '' || !Number.isFinite(Number(price)) || Number(price) < 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'price must be a number of 0 or more' });
+      }
+      changes.price = price;
     }
 
     if (unit !== undefined) {
@@ -1890,19 +1948,50 @@ const updateExperience = async (req, res) => {
         await connection.rollback();
         return res.status(400).json({ message: 'Invalid unit type' });
       }
-      updateFields.push('unit = ?');
-      updateValues.push(unit);
+      changes.unit = unit;
     }
 
-    if (status !== undefined) {
-      // Validate status
-      const validStatuses = ['draft', 'inactive', 'active', 'pending'];
-      if (!validStatuses.includes(status)) {
+    // Child and group prices; an empty value clears them
+    if (child_price !== undefined || group_pricing !== undefined) {
+      const pricing = parseOptionalPricing({ child_price, group_pricing });
+      if (pricing.error) {
+        await connection.rollback();
+        return res.status(400).json({ message: pricing.error });
+      }
+      if (child_price !== undefined) {
+        changes.child_price = pricing.childPrice;
+      }
+      if (group_pricing !== undefined) {
+        changes.group_pricing = pricing.groupPricing;
+      }
+    }
+
+    // Status changes follow the moderation rules (a creator cannot publish
+    // their own listing) and are recorded in the status history
+    let statusResult = null;
+    if (status !== undefined && status !== currentExperience.status) {
+      if (status === 'rejected') {
+        await connection.rollback();
+        return res.status(400).json({ message: REJECT_ENDPOINT_MESSAGE });
+      }
+
+      statusResult = await experienceStatusService.transition(experience_id, status, {
+        ...req.user,
+        isAdmin: isAdmin(req.user)
+      }, { connection });
+
+      if (statusResult.status === 'invalid_status') {
         await connection.rollback();
         return res.status(400).json({ message: 'Invalid status value' });
       }
-      updateFields.push('status = ?');
-      updateValues.push(status);
+      if (statusResult.status === 'taken_down') {
+        await connection.rollback();
+        return res.status(409).json({ message: 'An admin took this experience offline; only an admin can make it active again' });
+      }
+      if (statusResult.status === 'invalid_transition') {
+        await connection.rollback();
+        return res.status(409).json({ message: `An experience cannot be moved from ${statusResult.from} to ${statusResult.to}` });
+      }
     }
 
     // Handle travel companions update (new array format)
@@ -1933,22 +2022,11 @@ const updateExperience = async (req, res) => {
         });
       }
 
-      updateFields.push('travel_companions = ?');
-      updateValues.push(JSON.stringify(parsedCompanions));
-
-      // Also update the old ENUM field with the first value for backward compatibility
-      if (parsedCompanions.length > 0) {
-        updateFields.push('travel_companion = ?');
-        updateValues.push(parsedCompanions[0]);
-      }
+      // The old single-value travel_companion column follows the first entry
+      changes.travel_companions = parsedCompanions;
     } else if (travel_companion !== undefined) {
       // Backward compatibility: if only single travel_companion is provided
-      updateFields.push('travel_companion = ?');
-      updateValues.push(travel_companion);
-      
-      // Also update the new JSON field
-      updateFields.push('travel_companions = ?');
-      updateValues.push(JSON.stringify([travel_companion]));
+      changes.travel_companions = [travel_companion];
     }
 
     // Handle destination update - IMPROVED LOGIC
@@ -1960,17 +2038,7 @@ const updateExperience = async (req, res) => {
         console.log('Updating existing destination:', destination_id);
         
         // Calculate distance from city center if applicable
-        let distanceFromCenter = null;
-        if (typeof CITY_CENTERS !== 'undefined' && CITY_CENTERS[city]) {
-          const cityCenter = CITY_CENTERS[city];
-          distanceFromCenter = calculateDistanceFromCityCenter(
-            parseFloat(latitude),
-            parseFloat(longitude),
-            cityCenter.lat,
-            cityCenter.lng
-          );
-          distanceFromCenter = Math.round(distanceFromCenter * 100) / 100;
-        }
+        const distanceFromCenter = await cityService.distanceFromCenter(city, latitude, longitude);
 
         await connection.query(
           `UPDATE destination 
@@ -2009,18 +2077,7 @@ const updateExperience = async (req, res) => {
           console.log('Found existing destination:', finalDestinationId);
         } else {
           // Calculate distance from city center
-          let distanceFromCenter = null;
-          
-          if (typeof CITY_CENTERS !== 'undefined' && CITY_CENTERS[city]) {
-            const cityCenter = CITY_CENTERS[city];
-            distanceFromCenter = calculateDistanceFromCityCenter(
-              parseFloat(latitude),
-              parseFloat(longitude),
-              cityCenter.lat,
-              cityCenter.lng
-            );
-            distanceFromCenter = Math.round(distanceFromCenter * 100) / 100;
-          }
+          const distanceFromCenter = await cityService.distanceFromCenter(city, latitude, longitude);
 
           const [newDestination] = await connection.query(
             'INSERT INTO destination (name, city, description, latitude, longitude, distance_from_city_center) VALUES (?, ?, ?, ?, ?, ?)',
@@ -2033,20 +2090,10 @@ const updateExperience = async (req, res) => {
       }
 
       if (finalDestinationId) {
-        updateFields.push('destination_id = ?');
-        updateValues.push(finalDestinationId);
+        changes.destination_id = finalDestinationId;
       }
     }
 
-    // Update experience if there are fields to update
-    if (updateFields.length > 0) {
-      updateValues.push(experience_id);
-      await connection.query(
-        `UPDATE experience SET ${updateFields.join(', ')} WHERE experience_id = ?`,
-        updateValues
-      );
-    }
-
     // Handle availability update
     if (availability !== undefined) {
       let parsedAvailability;
@@ -2058,25 +2105,6 @@ const updateExperience = async (req, res) => {
       }
 
       if (Array.isArray(parsedAvailability) && parsedAvailability.length > 0) {
-        // Delete existing availability and time slots
-        const [existingAvailability] = await connection.query(
-          'SELECT availability_id FROM experience_availability WHERE experience_id = ?',
-          [experience_id]
-        );
-
-        for (const avail of existingAvailability) {
-          await connection.query(
-            'DELETE FROM availability_time_slots WHERE availability_id = ?',
-            [avail.availability_id]
-          );
-        }
-
-        await connection.query(
-          'DELETE FROM experience_availability WHERE experience_id = ?',
-          [experience_id]
-        );
-
-        // Insert new availability
         const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
         for (const dayAvailability of parsedAvailability) {
@@ -2087,26 +2115,13 @@ const updateExperience = async (req, res) => {
             return res.status(400).json({ message: 'Each availability entry must have a valid day and time_slots array' });
           }
 
-          const [availabilityResult] = await connection.execute(
-            `INSERT INTO experience_availability (experience_id, day_of_week) VALUES (?, ?)`,
-            [experience_id, day_of_week]
-          );
-          const availability_id = availabilityResult.insertId;
-
-          for (const slot of time_slots) {
-            const { start_time, end_time } = slot;
-
-            if (!start_time || !end_time) {
-              await connection.rollback();
-              return res.status(400).json({ message: 'Each time slot must have a start_time and end_time' });
-            }
-
-            await connection.execute(
-              `INSERT INTO availability_time_slots (availability_id, start_time, end_time) VALUES (?, ?, ?)`,
-              [availability_id, start_time, end_time]
-            );
+          if (time_slots.some(slot => !slot.start_time || !slot.end_time)) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Each time slot must have a start_time and end_time' });
           }
         }
+
+        changes.availability = parsedAvailability;
       }
     }
 
@@ -2132,22 +2147,21 @@ const updateExperience = async (req, res) => {
           return res.status(400).json({ message: 'One or more tag IDs do not exist' });
         }
 
-        // Delete existing tags
-        await connection.query(
-          'DELETE FROM experience_tags WHERE experience_id = ?',
-          [experience_id]
-        );
-
-        // Insert new tags
-        const tagValues = parsedTags.map(tag_id => [experience_id, tag_id]);
-        await connection.query(
-          `INSERT INTO experience_tags (experience_id, tag_id) VALUES ?`,
-          [tagValues]
-        );
+        changes.tags = parsedTags;
       }
     }
 
-    // Handle image deletions
+    // While the listing is live its published content stays as it is and the
+    // edits wait as a pending revision; otherwise they are applied now
+    const liveStatus = statusResult && statusResult.status === 'changed' ? statusResult.to : currentExperience.status;
+    let revisionResult = { status: 'unchanged' };
+    if (Object.keys(changes).length > 0) {
+      revisionResult = liveStatus === 'active'
+        ? await experienceRevisionService.proposeRevision(connection, experience_id, changes, req.user, { note: revision_note })
+        : await experienceRevisionService.applyChanges(connection, experience_id, changes, req.user);
+    }
+
+    // Handle image deletions (images are not versioned and change right away)
     if (images_to_delete) {
       let parsedImagesToDelete;
       try {
@@ -2212,6 +2226,10 @@ const updateExperience = async (req, res) => {
     await connection.commit();
     connection.release();
 
+    if (statusResult && statusResult.status === 'changed' && isAdmin(req.user)) {
+      await experienceStatusService.notifyCreator(statusResult.experience, statusResult.from, statusResult.to);
+    }
+
     const [updatedExperience] = await db.query(
       'SELECT * FROM experience WHERE experience_id = ?',
       [experience_id]
@@ -2265,6 +2283,20 @@ const updateExperience = async (req, res) => {
       [experience_id]
     );
 
+    // A pending revision is not live yet, so the listing below is unchanged
+    if (revisionResult.status === 'pending') {
+      return res.status(202).json({
+        message: 'Changes saved as a pending revision. They go live once an admin reviews and publishes them.',
+        revision: revisionResult.revision,
+        changes: revisionResult.changes,
+        experience: experience,
+        destination: destinationInfo[0],
+        availability: processedAvailability,
+        tags: tagRecords,
+        images: imageRecords || []
+      });
+    }
+
     res.status(200).json({ 
       message: 'Experience updated successfully',
       experience: experience,
@@ -2436,95 +2468,72 @@ const updateExperienceSection = async (req, res) => {
   return updateExperience(req, res);
 };
 
+// Creator/admin status change. Creators can take a listing offline, bring an
+// approved one back (unless an admin took it offline), or withdraw it to draft; going live needs an admin
+// approval (see experienceModerationController).
 const updateExperienceStatus = async (req, res) => {
-  const { experience_id } = req.params; // experience_id from URL
-  const { status } = req.body; // new status from request body
-  
-  // Get database connection
-  const connection = await db.getConnection();
-  
+  const { experience_id } = req.params;
+  const { status, reason } = req.body;
+
+  if (!status) {
+    return res.status(400).json({
+      message: `Invalid status value. Must be one of: ${EXPERIENCE_STATUSES.join(', ')}`
+    });
+  }
+
+  if (status === 'rejected') {
+    return res.status(400).json({ message: REJECT_ENDPOINT_MESSAGE });
+  }
+
   try {
-    // Validate status value
-    const validStatuses = ['draft', 'inactive', 'active'];
-    if (!status || !validStatuses.includes(status)) {
-      connection.release();
-      return res.status(400).json({ 
-        message: 'Invalid status value. Must be one of: draft, inactive, active' 
-      });
-    }
-    
-    // Check if experience exists
-    const [experience] = await connection.query(
-      'SELECT experience_id, creator_id, status FROM experience WHERE experience_id = ?',
-      [experience_id]
-    );
-    
-    if (experience.length === 0) {
-      connection.release();
-      return res.status(404).json({ message: 'Experience not found' });
-    }
-    
-    // Optional: Check if the user is the creator of the experience
-    // This assumes you have user info from auth middleware in req.user
-    if (req.user && req.user.user_id !== experience[0].creator_id) {
-      connection.release();
-      return res.status(403).json({ 
-        message: 'You are not authorized to update this experience' 
-      });
-    }
-    
-    // Check if status is actually changing
-    if (experience[0].status === status) {
-      connection.release();
-      return res.status(200).json({ 
-        message: 'Status is already set to ' + status,
-        experience_id: parseInt(experience_id),
-        status: status
-      });
+    const result = await experienceStatusService.transition(experience_id, status, {
+      ...req.user,
+      isAdmin: isAdmin(req.user)
+    }, { reason });
+
+    switch (result.status) {
+      case 'not_found':
+        return res.status(404).json({ message: 'Experience not found' });
+      case 'invalid_status':
+        return res.status(400).json({
+          message: `Invalid status value. Must be one of: ${EXPERIENCE_STATUSES.join(', ')}`
+        });
+      case 'invalid_transition':
+        return res.status(409).json({
+          message: result.to === 'active' && result.from !== 'inactive'
+            ? 'Submit the experience for review; an admin will activate it once approved'
+            : `An experience cannot be moved from ${result.from} to ${result.to}`
+        });
+      case 'taken_down':
+        return res.status(409).json({
+          message: 'An admin took this experience offline; only an admin can make it active again'
+        });
+      case 'unchanged':
+        return res.status(200).json({
+          message: 'Status is already set to ' + status,
+          experience_id: parseInt(experience_id),
+          status
+        });
     }
-    
-    // Update the experience status
-    const [result] = await connection.query(
-      'UPDATE experience SET status = ?, updated_at = NOW() WHERE experience_id = ?',
-      [status, experience_id]
-    );
-    
-    if (result.affectedRows === 0) {
-      connection.release();
-      return res.status(500).json({ message: 'Failed to update experience status' });
+
+    if (isAdmin(req.user)) {
+      await experienceStatusService.notifyCreator(result.experience, result.from, result.to, reason);
     }
-    
-    // Log the status change (optional - for audit trail)
-    console.log(`✅ Experience ${experience_id} status updated from ${experience[0].status} to ${status}`); // FIXED: changed 'id' to 'experience_id'
-    
-    // Optional: If you have a status history table, insert a record
-    // await connection.query(
-    //   'INSERT INTO experience_status_history (experience_id, old_status, new_status, changed_by, changed_at) VALUES (?, ?, ?, ?, NOW())',
-    //   [experience_id, experience[0].status, status, req.user?.user_id || null] // FIXED: changed 'id' to 'experience_id'
-    // );
-    
-    connection.release();
-    
-    // Return success response
-    return res.status(200).json({ // Added 'return' for clarity
+
+    return res.status(200).json({
       message: 'Experience status updated successfully',
       experience_id: parseInt(experience_id),
-      old_status: experience[0].status,
-      new_status: status,
+      old_status: result.from,
+      new_status: result.to,
       updated_at: new Date()
     });
-    
   } catch (err) {
-    connection.release();
     console.error('Error updating experience status:', err);
-    return res.status(500).json({ // Added 'return' for clarity
-      error: 'Server error', 
-      details: err.message 
+    return res.status(500).json({
+      error: 'Server error',
+      details: err.message
     });
   }
 };
 
-
-
-
 module.exports = { upload, createExperienceHandler: [upload.array('images', 5), createExperience], createExperience, createMultipleExperiences, getAllExperience, getExperienceTitlesAndTags,getExperienceAvailability, getExperienceById, getAvailableTimeSlots, updateExperience,updateExperienceSection,updateExperienceStatus, getExperienceByUserID, getActiveExperience, getPendingExperience };
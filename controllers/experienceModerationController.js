@@ -0,0 +1,146 @@
+const experienceStatusService = require('../services/experienceStatusService');
+const { REJECTION_REASONS } = require('../services/experienceStatusService');
+const experienceRevisionService = require('../services/experienceRevisionService');
+const { isAdmin } = require('../middleware/authorize');
+
+const formatHistory = (row) => ({
+  ...row,
+  reason_codes: typeof row.reason_codes === 'string' ? JSON.parse(row.reason_codes) : row.reason_codes
+});
+
+// Turn a transition result that did not change anything into an HTTP response
+const sendTransitionError = (res, result) => {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'Experience not found' });
+    case 'unchanged':
+      return res.status(409).json({ message: `This experience is already ${result.to}` });
+    case 'invalid_transition':
+      return res.status(409).json({ message: `An experience that is ${result.from} cannot be moved to ${result.to}` });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Creator sends a draft (or a rejected listing after fixing it) to the admins
+const submitExperience = async (req, res) => {
+  const { experience_id } = req.params;
+
+  try {
+    const result = await experienceStatusService.transition(experience_id, 'pending', {
+      ...req.user,
+      isAdmin: isAdmin(req.user)
+    }, { reason: 'Submitted for review' });
+
+    if (result.status !== 'changed') return sendTransitionError(res, result);
+
+    res.status(200).json({
+      message: 'Experience submitted for review',
+      experience_id: parseInt(experience_id),
+      old_status: result.from,
+      new_status: result.to
+    });
+  } catch (err) {
+    console.error('Error submitting experience for review:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin approves a pending listing; it goes live right away
+const approveExperience = async (req, res) => {
+  const { experience_id } = req.params;
+  const { note } = req.body || {};
+
+  try {
+    const result = await experienceStatusService.transition(experience_id, 'active', {
+      ...req.user,
+      isAdmin: true
+    }, { from: ['pending'], reason: note ? String(note).trim() : 'Approved' });
+
+    if (result.status !== 'changed') return sendTransitionError(res, result);
+
+    await experienceStatusService.notifyCreator(result.experience, result.from, result.to);
+
+    res.status(200).json({
+      message: 'Experience approved',
+      experience_id: parseInt(experience_id),
+      old_status: result.from,
+      new_status: result.to
+    });
+  } catch (err) {
+    console.error('Error approving experience:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin sends a pending listing back with one or more REJECTION_REASONS and an optional note
+const rejectExperience = async (req, res) => {
+  const { experience_id } = req.params;
+
+  const rejection = experienceStatusService.parseRejection(req.body || {});
+  if (rejection.error) {
+    return res.status(400).json({ message: rejection.error });
+  }
+
+  try {
+    const result = await experienceStatusService.transition(experience_id, 'rejected', {
+      ...req.user,
+      isAdmin: true
+    }, { from: ['pending'], reason: rejection.text, reasonCodes: rejection.codes });
+
+    if (result.status !== 'changed') return sendTransitionError(res, result);
+
+    await experienceStatusService.notifyCreator(result.experience, result.from, result.to, rejection.text);
+
+    res.status(200).json({
+      message: 'Experience rejected',
+      experience_id: parseInt(experience_id),
+      old_status: result.from,
+      new_status: result.to,
+      reasons: rejection.codes,
+      reason: rejection.text
+    });
+  } catch (err) {
+    console.error('Error rejecting experience:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin review queue, oldest submission first: new listings, and pending
+// edits of live listings (published through the revisions endpoints), with
+// the reasons an admin can pick from
+const getModerationQueue = async (req, res) => {
+  try {
+    const experiences = await experienceStatusService.getQueue();
+    const revisions = await experienceRevisionService.getReviewQueue();
+
+    res.status(200).json({
+      total: experiences.length,
+      experiences,
+      revisions,
+      rejection_reasons: Object.entries(REJECTION_REASONS).map(([code, label]) => ({ code, label }))
+    });
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Every status change of one listing, oldest first
+const getExperienceStatusHistory = async (req, res) => {
+  try {
+    const history = await experienceStatusService.getHistory(req.params.experience_id);
+    res.status(200).json({ history: history.map(formatHistory) });
+  } catch (err) {
+    console.error('Error fetching experience status history:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  submitExperience,
+  approveExperience,
+  rejectExperience,
+  getModerationQueue,
+  getExperienceStatusHistory
+};
@@ -0,0 +1,119 @@
+const dayjs = require('dayjs');
+const experienceRevisionService = require('../services/experienceRevisionService');
+const notificationService = require('../services/notificationService');
+
+// Turn a service result that did not succeed into an HTTP response
+const sendRevisionError = (res, result) => {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'Revision not found' });
+    case 'compare_not_found':
+      return res.status(404).json({ message: 'The revision to compare with was not found' });
+    case 'not_pending':
+      return res.status(409).json({ message: `This revision is already ${result.revision_status}` });
+    case 'stale':
+      return res.status(409).json({
+        message: 'The listing has changed since these edits were made. Edit the experience again to create a new revision.'
+      });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Every revision of a listing, newest first
+const getExperienceRevisions = async (req, res) => {
+  try {
+    const revisions = await experienceRevisionService.listRevisions(req.params.experience_id);
+    res.status(200).json({ revisions });
+  } catch (err) {
+    console.error('Error fetching experience revisions:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// One revision's content and what changed. ?compare_to=<revision_id> or
+// ?compare_to=live picks what to diff against (default: the revision it was edited from).
+const getExperienceRevision = async (req, res) => {
+  const { experience_id, revision_id } = req.params;
+  const { compare_to } = req.query;
+
+  if (compare_to !== undefined && compare_to !== 'live' && !/^\d+$/.test(compare_to)) {
+    return res.status(400).json({ message: 'compare_to must be a revision id or "live"' });
+  }
+
+  try {
+    const result = await experienceRevisionService.getRevisionDiff(experience_id, revision_id, compare_to);
+    if (result.status !== 'ok') return sendRevisionError(res, result);
+
+    res.status(200).json({
+      revision: result.revision,
+      compared_to: result.compared_to,
+      changes: result.changes
+    });
+  } catch (err) {
+    console.error('Error fetching experience revision:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin makes a pending revision live after reviewing it. New bookings are
+// made against it; existing bookings keep the revision they were made against.
+const publishExperienceRevision = async (req, res) => {
+  const { experience_id, revision_id } = req.params;
+
+  try {
+    const result = await experienceRevisionService.publish(experience_id, revision_id, req.user);
+    if (result.status !== 'published') return sendRevisionError(res, result);
+
+    if (Number(result.experience.creator_id) !== Number(req.user.user_id)) {
+      try {
+        await notificationService.createNotification({
+          user_id: result.experience.creator_id,
+          type: 'update',
+          title: 'Listing changes published',
+          description: `Your changes to "${result.experience.title}" were approved and are now live.`,
+          experience_id: result.experience.experience_id,
+          icon: 'checkmark-circle',
+          icon_color: '#10B981',
+          created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+        });
+      } catch (notificationError) {
+        console.error('Error notifying creator of published revision:', notificationError);
+      }
+    }
+
+    res.status(200).json({
+      message: 'Revision published',
+      revision: result.revision,
+      changes: result.changes
+    });
+  } catch (err) {
+    console.error('Error publishing experience revision:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Throw away pending edits; the live listing is not touched
+const discardExperienceRevision = async (req, res) => {
+  const { experience_id, revision_id } = req.params;
+  const { note } = req.body || {};
+
+  try {
+    const result = await experienceRevisionService.discard(experience_id, revision_id, {
+      note: note ? String(note).trim().slice(0, 500) : null
+    });
+    if (result.status !== 'discarded') return sendRevisionError(res, result);
+
+    res.status(200).json({ message: 'Revision discarded', revision_id: parseInt(revision_id) });
+  } catch (err) {
+    console.error('Error discarding experience revision:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  getExperienceRevisions,
+  getExperienceRevision,
+  publishExperienceRevision,
+  discardExperienceRevision
+};
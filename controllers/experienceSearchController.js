@@ -0,0 +1,144 @@
+const experienceSearchService = require('../services/experienceSearchService');
+const { SORTS, PRICE_BUCKETS } = require('../services/experienceSearchService');
+const mapPinService = require('../services/mapPinService');
+const { parseBbox, parseZoom, MAX_ZOOM } = require('../utils/geoQuery');
+
+const UNITS = ['Entry', 'Hour', 'Day', 'Package'];
+const COMPANIONS = ['Solo', 'Partner', 'Family', 'Friends', 'Group', 'Any'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// "a, b" or ?x=a&x=b -> ['a', 'b']
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const toOptionalNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// Case-insensitive match against a list of allowed values; returns the
+// canonical spellings, or null when one of the values is not allowed
+const matchAllowed = (values, allowed) => {
+  const matched = values.map(value => allowed.find(option => option.toLowerCase() === value.toLowerCase()));
+  return matched.includes(undefined) ? null : matched;
+};
+
+// GET /experience/search?q=&tags=&budget=&min_price=&max_price=&unit=
+//   &travel_companion=&city=&lat=&lng=&sort=&limit=&cursor=
+// Keyword search over active experiences with facet counts and cursor paging.
+// sort: relevance (default with q), rating (default without), price_asc,
+// price_desc or distance (needs lat/lng).
+const searchExperiences = async (req, res) => {
+  const query = req.query || {};
+  const q = String(query.q || '').trim();
+
+  const sort = query.sort ? String(query.sort).toLowerCase() : null;
+  if (sort && !SORTS[sort]) {
+    return res.status(400).json({ message: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ message: `limit must be a whole number between 1 and ${MAX_LIMIT}` });
+  }
+
+  let origin = null;
+  if (query.lat !== undefined || query.lng !== undefined) {
+    const lat = Number(query.lat);
+    const lng = Number(query.lng);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      return res.status(400).json({ message: 'lat and lng must be given together as valid coordinates' });
+    }
+    origin = { lat, lng };
+  }
+  if (sort === 'distance' && !origin) {
+    return res.status(400).json({ message: 'lat and lng are required to sort by distance' });
+  }
+
+  const minPrice = toOptionalNumber(query.min_price);
+  const maxPrice = toOptionalNumber(query.max_price);
+  if ((minPrice !== null && !(minPrice >= 0)) || (maxPrice !== null && !(maxPrice >= 0))) {
+    return res.status(400).json({ message: 'min_price and max_price must be numbers of 0 or more' });
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return res.status(400).json({ message: 'min_price cannot be more than max_price' });
+  }
+
+  const budgets = matchAllowed(toList(query.budget), PRICE_BUCKETS.map(bucket => bucket.key));
+  if (!budgets) {
+    return res.status(400).json({ message: `budget must be one of: ${PRICE_BUCKETS.map(bucket => bucket.key).join(', ')}` });
+  }
+
+  const units = matchAllowed(toList(query.unit), UNITS);
+  if (!units) {
+    return res.status(400).json({ message: `unit must be one of: ${UNITS.join(', ')}` });
+  }
+
+  const companions = matchAllowed(toList(query.travel_companion || query.travel_companions), COMPANIONS);
+  if (!companions) {
+    return res.status(400).json({ message: `travel_companion must be one of: ${COMPANIONS.join(', ')}` });
+  }
+
+  try {
+    const result = await experienceSearchService.search({
+      q,
+      sort,
+      cursor: query.cursor,
+      limit,
+      origin,
+      tags: toList(query.tags),
+      budgets,
+      minPrice,
+      maxPrice,
+      units,
+      companions,
+      cities: toList(query.city)
+    });
+
+    if (result.status === 'invalid_cursor') {
+      return res.status(400).json({ message: 'cursor is invalid or was made for a different sort' });
+    }
+
+    res.status(200).json({
+      query: {
+        q,
+        terms: result.terms,
+        corrections: result.corrections
+      },
+      sort: result.sort,
+      results: result.results,
+      facets: result.facets,
+      next_cursor: result.next_cursor,
+      has_more: result.next_cursor !== null
+    });
+  } catch (err) {
+    console.error('Error searching experiences:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// GET /experience/pins?bbox=west,south,east,north&zoom= - clustered map pins
+// of the active experiences in the viewport
+const getExperiencePins = async (req, res) => {
+  const { bbox, zoom } = req.query || {};
+  const parsed = parseBbox(bbox || '');
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+  const level = parseZoom(zoom);
+  if (level === null) {
+    return res.status(400).json({ message: `zoom must be a whole number between 0 and ${MAX_ZOOM}` });
+  }
+
+  try {
+    const result = await mapPinService.getPins('experience', parsed.bbox, level);
+    res.status(200).json({ bbox: parsed.bbox, zoom: level, ...result });
+  } catch (err) {
+    console.error('Error fetching experience pins:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  searchExperiences,
+  getExperiencePins
+};
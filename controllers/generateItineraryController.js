@@ -1,34 +1,98 @@
+const crypto = require('crypto');
 const dayjs = require('dayjs');
 const db = require('../config/db.js');
 const path = require('path');
-const { CITY_CENTERS, calculateDistanceFromCityCenter } = require('../utils/cityUtils');
+const { calculateDistances } = require('../utils/cityUtils');
+const cityService = require('../services/cityService');
 const notificationService = require('../services/notificationService');
+const inventoryService = require('../services/inventoryService');
+const availabilityService = require('../services/availabilityService');
+const bookingStateService = require('../services/bookingStateService');
+const { parseParty, calculateItemPrice } = require('../utils/pricing');
+const {
+  PLANNER_VERSION,
+  PROPOSAL_STRATEGIES,
+  createRandom,
+  deriveSeed,
+  perturbWeights,
+  planDay,
+  getDailyBudget,
+  buildTagPreferences,
+  typesOf
+} = require('../utils/itineraryPlanner');
+const accommodationService = require('../services/accommodationService');
+const dayRouteService = require('../services/dayRouteService');
+const { buildPlanDiff } = require('../utils/planDiff');
+const { buildTransferLegs } = require('../utils/travelTime');
+const { isAdmin } = require('../middleware/authorize');
+const itineraryPreviewService = require('../services/itineraryPreviewService');
+const dayRegenerationService = require('../services/dayRegenerationService');
+
+// Farthest an activity may be from the day's reference point (lodging or city center), in km
+const TRAVEL_DISTANCE_LIMITS = {
+  nearby: 10,
+  moderate: 40,
+  far: null // No limit
+};
 
-const normalizeCityName = (city) => {
-  if (!city) return city;
-  
-  // Replace underscores with spaces
-  let normalized = city.replace(/_/g, ' ');
-  
-  // Capitalize each word
-  normalized = normalized.replace(/\b\w/g, char => char.toUpperCase());
-  
-  // List of actual cities (not municipalities)
-  const actualCities = [
-    'bacolod', 'bago', 'cadiz', 'escalante', 'himamaylan', 
-    'kabankalan', 'la carlota', 'sagay', 'san carlos', 
-    'silay', 'sipalay', 'talisay', 'victorias'
-  ];
-  
-  // Only add "City" if it's an actual city and doesn't already have it
-  const normalizedLower = normalized.toLowerCase();
-  if (!normalizedLower.includes('city') && 
-      actualCities.some(city => normalizedLower.includes(city))) {
-    normalized = normalized + ' City';
-  }
-  
-  return normalized;
+// Extra tries, with nudged weights, for a strategy that repeats an earlier
+// plan or plans nothing while fewer than MIN_PROPOSALS plans differ
+const MIN_PROPOSALS = 2;
+const PROPOSAL_RETRIES = 3;
+
+const anchorKey = (anchor) => `${anchor.latitude},${anchor.longitude}`;
+
+// Generation preferences kept on a saved itinerary (itinerary.generation_profile)
+const PROFILE_FIELDS = [
+  'city', 'experience_types', 'travel_companions', 'explore_time',
+  'budget', 'activity_intensity', 'travel_distance'
+];
+
+const pickProfileFields = (source) => {
+  const picked = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (source && source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+};
+
+const buildGenerationProfile = (source, seed) => ({
+  ...pickProfileFields(source),
+  seed: seed === undefined || seed === null ? null : Number(seed),
+  planner_version: PLANNER_VERSION
+});
+
+// Stored profile of an itinerary, {} when it was not generated
+const getStoredProfile = async (itineraryId) => {
+  const [rows] = await db.query('SELECT generation_profile FROM itinerary WHERE itinerary_id = ?', [itineraryId]);
+  const profile = rows[0] && rows[0].generation_profile;
+  if (!profile) return {};
+  return typeof profile === 'string' ? JSON.parse(profile) : profile;
 };
+
+// Summary shown with each proposal: cost, distance between consecutive
+// activities of a day, and which of the requested experience types it covers
+const getProposalStats = (items, experienceMap, experienceTypes, totalAmount) => {
+  const legs = buildTransferLegs(items).filter(Boolean);
+  const requested = Array.isArray(experienceTypes) ? experienceTypes : [experienceTypes];
+  const covered = requested.filter(type =>
+    items.some(item => typesOf(experienceMap[item.experience_id] || {}, [type]).length > 0)
+  );
+
+  return {
+    total_cost: totalAmount,
+    activities: items.length,
+    transfers: legs.length,
+    total_travel_km: Math.round(legs.reduce((sum, leg) => sum + (leg.distance_km || 0), 0) * 100) / 100,
+    tag_coverage: {
+      requested,
+      covered,
+      missing: requested.filter(type => !covered.includes(type)),
+      ratio: requested.length > 0 ? Math.round((covered.length / requested.length) * 100) / 100 : 1
+    }
+  };
+};
+
 const generateItinerary = async (req, res) => {
   const { 
     traveler_id, 
@@ -43,7 +107,12 @@ const generateItinerary = async (req, res) => {
     activity_intensity,
     travel_distance,
     title,
-    notes
+    notes,
+    adults,
+    children,
+    seed,
+    accommodations, // Stays for this trip, not saved yet
+    accommodation_ids // The traveler's saved stays
   } = req.body;
 
   // Debug: Log the entire request body
@@ -92,6 +161,17 @@ const generateItinerary = async (req, res) => {
     });
   }
 
+  // Party size decides slot capacity and per-person prices
+  const party = parseParty({ adults, children });
+  if (party.error) {
+    return res.status(400).json({ message: party.error });
+  }
+
+  const hasSeed = seed !== undefined && seed !== null && seed !== '';
+  if (hasSeed && (!Number.isInteger(Number(seed)) || Number(seed) < 0 || Number(seed) > 0xFFFFFFFF)) {
+    return res.status(400).json({ message: 'seed must be a whole number between 0 and 4294967295' });
+  }
+
   try {
     const startDate = dayjs(start_date);
     const endDate = dayjs(end_date);
@@ -102,6 +182,47 @@ const generateItinerary = async (req, res) => {
 
     const totalDays = endDate.diff(startDate, 'day') + 1;
 
+    // Where the traveler sleeps each night; each day is planned around that
+    // night's lodging instead of the city center
+    const stays = [];
+    if (accommodation_ids !== undefined) {
+      if (!Array.isArray(accommodation_ids)) {
+        return res.status(400).json({ message: 'accommodation_ids must be an array' });
+      }
+      if (accommodation_ids.length > 0) {
+        const [savedStays] = await db.query(
+          'SELECT * FROM accommodation WHERE accommodation_id IN (?) AND traveler_id = ?',
+          [accommodation_ids, traveler_id]
+        );
+        if (savedStays.length !== new Set(accommodation_ids.map(Number)).size) {
+          return res.status(404).json({ message: 'One or more accommodations were not found' });
+        }
+        stays.push(...savedStays);
+      }
+    }
+    if (accommodations !== undefined) {
+      if (!Array.isArray(accommodations)) {
+        return res.status(400).json({ message: 'accommodations must be an array' });
+      }
+      stays.push(...accommodations);
+    }
+
+    const trip = { start_date, end_date };
+    const checkedStays = [];
+    for (const stay of stays) {
+      const error = accommodationService.validateFields(stay) ||
+        accommodationService.checkStayFitsTrip(stay, trip, checkedStays)?.message;
+      if (error) {
+        return res.status(400).json({ message: `Accommodation "${stay.name || 'unnamed'}": ${error}` });
+      }
+      checkedStays.push(stay);
+    }
+
+    const dailyAnchors = accommodationService.getDailyAnchors(stays, start_date, totalDays);
+    const anchors = [...new Map(
+      dailyAnchors.filter(Boolean).map(anchor => [anchorKey(anchor), anchor])
+    ).values()];
+
     // Get diagnostic information about available experiences
     const diagnosticInfo = await getDiagnosticInfo({
       city,
@@ -125,7 +246,8 @@ const generateItinerary = async (req, res) => {
       budget,
       travel_distance,
       start_date,
-      end_date
+      end_date,
+      anchors
     });
 
     console.log('Found experiences:', experiences.length);
@@ -166,8 +288,34 @@ const generateItinerary = async (req, res) => {
       console.warn(`Only ${experiences.length} experiences found, but ${requiredExperiences} recommended for ${totalDays} days`);
     }
 
-    // Step 2: Generate smart itinerary distribution with activity intensity
-    const generatedItinerary = await smartItineraryGeneration({
+    // The traveler's saved tag preferences feed the preference score
+    const [preferences] = await db.query(
+      'SELECT tag_id, preference_level FROM preferences WHERE traveler_id = ?',
+      [traveler_id]
+    );
+
+    // Without an explicit seed the plan is derived from the inputs, so asking
+    // twice with the same preferences gives the same itinerary
+    const planSeed = hasSeed
+      ? Number(seed)
+      : deriveSeed({
+          traveler_id, city, start_date, end_date, experience_types, travel_companions: companionsToUse,
+          explore_time, budget, activity_intensity, travel_distance, adults: party.adults, children: party.children,
+          ...(anchors.length > 0 && { lodging: dailyAnchors.map(anchor => (anchor ? anchorKey(anchor) : null)) })
+        });
+
+    // Sent back with the preview and stored by saveItinerary
+    const generationProfile = buildGenerationProfile({ ...req.body, travel_companions: companionsToUse }, planSeed);
+
+    // Step 2: One plan per proposal strategy, from the same candidates and
+    // seed. Empty plans and plans an earlier strategy already made are dropped;
+    // until there are MIN_PROPOSALS different plans such a strategy is tried
+    // again with its weights nudged (seeded, so the result is reproducible).
+    const proposals = [];
+    const seenPlans = new Set();
+    let firstPlan = null;
+
+    const buildPlan = (weights, planSeedValue) => smartItineraryGeneration({
       experiences,
       totalDays,
       experience_types,
@@ -176,42 +324,89 @@ const generateItinerary = async (req, res) => {
       travel_companions: companionsToUse, // Pass the array
       activity_intensity,
       travel_distance,
-      start_date 
+      budget,
+      preferences,
+      start_date,
+      guests: party.guests,
+      party,
+      seed: planSeedValue,
+      dailyAnchors,
+      weights
     });
+    const signatureOf = (plan) => plan.map(item => `${item.day_number}:${item.experience_id}:${item.start_time}`).join('|');
+    const isNewPlan = (plan) => plan.length > 0 && !seenPlans.has(signatureOf(plan));
+
+    for (const [strategy, { label, weights }] of Object.entries(PROPOSAL_STRATEGIES)) {
+      let plan = await buildPlan(weights, planSeed);
+      if (!firstPlan) firstPlan = { strategy, label, plan };
+
+      for (let attempt = 1; attempt <= PROPOSAL_RETRIES && !isNewPlan(plan) && proposals.length < MIN_PROPOSALS; attempt++) {
+        const attemptSeed = deriveSeed({ seed: planSeed, strategy, attempt });
+        plan = await buildPlan(perturbWeights(weights, createRandom(attemptSeed)), attemptSeed);
+      }
+
+      if (!isNewPlan(plan)) continue;
+      seenPlans.add(signatureOf(plan));
+
+      proposals.push({ strategy, label, plan });
+    }
+
+    // Say why there is nothing to compare rather than quietly returning one plan
+    let proposalsNote = null;
+    if (proposals.length === 0) {
+      proposals.push(firstPlan);
+      proposalsNote = {
+        reason: 'no_plan',
+        message: 'None of the matching experiences has an open time slot on the trip dates'
+      };
+    } else if (proposals.length < MIN_PROPOSALS) {
+      proposalsNote = {
+        reason: 'single_plan',
+        message: `Only ${experiences.length} matching experience${experiences.length === 1 ? '' : 's'} fit the trip, so every strategy leads to the same plan`
+      };
+    }
 
     const itineraryTitle = title || `${city || 'Adventure'} - ${startDate.format('MMM DD')} to ${endDate.format('MMM DD, YYYY')}`;
+    const experienceMap = Object.fromEntries(experiences.map(experience => [experience.experience_id, experience]));
 
-    // Create the itinerary object for preview/generation
-    const previewItinerary = {
-      // Use a temporary ID for preview (negative number to distinguish from real IDs)
-      itinerary_id: -1,
-      traveler_id,
-      start_date,
-      end_date,
-      title: itineraryTitle,
-      notes: notes || 'Auto-generated itinerary',
-      created_at: dayjs().format('YYYY-MM-DD HH:mm:ss'),
-      status: 'preview',
-      // Store travel companions for the itinerary
-      travel_companions: companionsToUse,
-      // Add experience details to each item for preview
-      items: await Promise.all(generatedItinerary.map(async (item) => {
-        // Get experience details
+    // Experience details are shared by the proposals, so each is looked up once
+    const detailCache = new Map();
+    const getPreviewExperience = async (experienceId) => {
+      if (!detailCache.has(experienceId)) {
         const [experienceRows] = await db.query(
           `SELECT e.*, d.name as destination_name, d.city as destination_city,
+                  d.latitude, d.longitude,
                   GROUP_CONCAT(ei.image_url) as images
            FROM experience e
            LEFT JOIN destination d ON e.destination_id = d.destination_id
            LEFT JOIN experience_images ei ON e.experience_id = ei.experience_id
            WHERE e.experience_id = ?
            GROUP BY e.experience_id`,
-          [item.experience_id]
+          [experienceId]
         );
+        detailCache.set(experienceId, experienceRows[0]);
+      }
+      return detailCache.get(experienceId);
+    };
 
-        const experience = experienceRows[0];
+    await itineraryPreviewService.purgeExpired();
+
+    // Create the itinerary object for preview/generation, one per proposal
+    const previews = [];
+    for (const [index, { strategy, label, plan }] of proposals.entries()) {
+      const items = [];
+      for (const item of plan) {
+        // Get experience details
+        const experience = await getPreviewExperience(item.experience_id);
         const images = experience.images ? experience.images.split(',') : [];
+        const pricing = calculateItemPrice(experience, {
+          adults: party.adults,
+          children: party.children,
+          startTime: item.start_time,
+          endTime: item.end_time
+        });
 
-        return {
+        items.push({
           experience_id: item.experience_id,
           day_number: item.day_number,
           start_time: item.start_time,
@@ -221,23 +416,79 @@ const generateItinerary = async (req, res) => {
           experience_description: experience.description,
           destination_name: experience.destination_name,
           destination_city: experience.destination_city,
+          latitude: experience.latitude !== null ? parseFloat(experience.latitude) : null,
+          longitude: experience.longitude !== null ? parseFloat(experience.longitude) : null,
           images: images,
           primary_image: images[0] || null,
           price: experience.price,
-          unit: experience.unit
-        };
-      }))
-    };
+          unit: experience.unit,
+          child_price: pricing.child_price,
+          unit_price: pricing.unit_price,
+          hours: pricing.hours,
+          subtotal: pricing.subtotal,
+          score: item.score,
+          score_components: item.score_components,
+          travel_minutes: item.travel_minutes
+        });
+      }
+
+      const profile = { ...generationProfile, proposal: strategy };
+      const totalAmount = Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+
+      // Kept server-side; saveItinerary takes the token instead of the items
+      const stored = await itineraryPreviewService.createPreview(traveler_id, {
+        start_date,
+        end_date,
+        title: itineraryTitle,
+        notes: notes || 'Auto-generated itinerary',
+        adults: party.adults,
+        children: party.children,
+        generation_profile: profile,
+        items: items.map(({ experience_id, day_number, start_time, end_time, custom_note, subtotal }) => ({
+          experience_id, day_number, start_time, end_time, custom_note, subtotal
+        }))
+      });
+
+      previews.push({
+        // Use a temporary ID for preview (negative number to distinguish from real IDs)
+        itinerary_id: -(index + 1),
+        proposal: strategy,
+        proposal_label: label,
+        traveler_id,
+        start_date,
+        end_date,
+        title: itineraryTitle,
+        notes: notes || 'Auto-generated itinerary',
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss'),
+        status: 'preview',
+        // Store travel companions for the itinerary
+        travel_companions: companionsToUse,
+        // Lodging each day starts and ends at (null on days without one)
+        daily_lodging: dailyAnchors,
+        generation_profile: profile,
+        adults: party.adults,
+        children: party.children,
+        total_amount: totalAmount,
+        stats: getProposalStats(items, experienceMap, experience_types, totalAmount),
+        items,
+        preview_token: stored.preview_token,
+        preview_expires_at: stored.expires_at
+      });
+    }
 
     return res.status(200).json({ 
       message: 'Itinerary generated successfully',
       itinerary_id: -1, // Temporary ID for preview
-      itineraries: [previewItinerary],
+      itineraries: previews,
       total_experiences: experiences.length,
-      selected_experiences: generatedItinerary.length,
+      selected_experiences: proposals[0].plan.length,
+      ...(proposalsNote && { proposals_note: proposalsNote }),
       activity_intensity: activity_intensity,
       travel_distance: travel_distance,
       travel_companions: companionsToUse, // Return the companions used
+      seed: planSeed, // Send it back to reproduce this exact plan
+      planner_version: PLANNER_VERSION,
+      generation_profile: generationProfile,
       generated: true
     });
 
@@ -406,45 +657,179 @@ const generateItinerary = async (req, res) => {
 // };
 
 const saveItinerary = async (req, res) => {
+  const { preview_token, accept_price_changes } = req.body;
+
+  // A proposal's preview_token stands in for the preview fields, which are
+  // read from the stored preview; only the title and notes can still be changed
+  let source = req.body;
+  let previewId = null;
+  if (preview_token) {
+    const resolved = await itineraryPreviewService.resolveToken(preview_token);
+    switch (resolved.status) {
+      case 'ok':
+        break;
+      case 'expired':
+        return res.status(400).json({ message: 'This preview has expired. Please generate the itinerary again.' });
+      case 'used':
+        return res.status(409).json({ message: 'This preview has already been saved', itinerary_id: resolved.itinerary_id });
+      default:
+        return res.status(400).json({ message: 'Invalid preview token' });
+    }
+
+    const { preview } = resolved;
+    // Regenerated days are applied through POST /itinerary/:id/regenerate-day
+    if (preview.payload.kind === 'day') {
+      return res.status(400).json({ message: 'Invalid preview token' });
+    }
+    if (!isAdmin(req.user) && Number(preview.traveler_id) !== Number(req.user.user_id)) {
+      return res.status(403).json({ message: 'This preview belongs to another traveler' });
+    }
+
+    previewId = preview.preview_id;
+    source = {
+      ...preview.payload,
+      traveler_id: preview.traveler_id,
+      title: req.body.title || preview.payload.title,
+      notes: req.body.notes || preview.payload.notes
+    };
+  }
+
   const {
     traveler_id,
     start_date,
     end_date,
     title,
     notes,
-    items // Array of itinerary items from preview
-  } = req.body;
+    items, // Array of itinerary items from preview
+    adults,
+    children,
+    generation_profile // From the preview; kept so the trip can be regenerated later
+  } = source;
 
   if (!traveler_id || !start_date || !end_date || !title || !items || !Array.isArray(items)) {
     return res.status(400).json({ 
       message: 'Missing required fields for saving itinerary',
-      required: ['traveler_id', 'start_date', 'end_date', 'title', 'items']
+      required: ['traveler_id', 'start_date', 'end_date', 'title', 'items'],
+      alternative: ['preview_token']
+    });
+  }
+
+  const party = parseParty({ adults, children });
+  if (party.error) {
+    return res.status(400).json({ message: party.error });
+  }
+
+  // Step 0: Check every item against the live data. Prices always come from
+  // the experiences; with a preview they must also still match the quote.
+  let check;
+  try {
+    check = await itineraryPreviewService.revalidate({
+      start_date,
+      end_date,
+      items,
+      party,
+      checkPrices: Boolean(previewId)
+    });
+  } catch (err) {
+    console.error('Error checking itinerary items:', err);
+    return res.status(500).json({ error: 'Server error', details: err.message });
+  }
+
+  const conflicts = check.conflicts.filter(conflict => !(accept_price_changes && conflict.type === 'price_changed'));
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      message: 'Some activities changed since the preview. Please review them and try again.',
+      conflicts
     });
   }
 
+  const bookingDateOf = (item) => dayjs(start_date).add(item.day_number - 1, 'day').format('YYYY-MM-DD');
+
+  // Everything below is written in one transaction: a failure or a conflict
+  // leaves no itinerary, payment, item, booking or held seat behind
+  const connection = await db.getConnection();
+  let itinerary_id;
+  let totalAmount;
+
   try {
+    await connection.beginTransaction();
+
+    // Hold seats for the whole party in every slot, so a slot that filled up
+    // in the meantime stops the save
+    const reservation = await inventoryService.reserveItems(
+      connection,
+      items.map(item => ({
+        experience_id: item.experience_id,
+        booking_date: bookingDateOf(item),
+        start_time: item.start_time,
+        guests: party.guests
+      }))
+    );
+
+    if (!reservation.reserved) {
+      await connection.rollback();
+      connection.release();
+      return res.status(409).json({
+        message: 'Some time slots are fully booked. Please pick another time.',
+        conflicts: reservation.conflicts.map(conflict => ({ ...conflict, type: 'slot_full' }))
+      });
+    }
+
+    const findReservation = (item) => reservation.reservations.find(r =>
+      r.experience_id === item.experience_id &&
+      r.booking_date === bookingDateOf(item) &&
+      r.start_time === item.start_time
+    );
+
+    // Prices come from the experiences, never from the client's preview
+    const experienceMap = check.experiences;
+    const pricedItems = items.map((item, index) => ({
+      ...item,
+      pricing: check.pricing[index]
+    }));
+
+    const profile = generation_profile && typeof generation_profile === 'object'
+      ? {
+          ...pickProfileFields(generation_profile),
+          seed: Number.isInteger(Number(generation_profile.seed)) ? Number(generation_profile.seed) : null,
+          planner_version: generation_profile.planner_version || null,
+          proposal: PROPOSAL_STRATEGIES[generation_profile.proposal] ? generation_profile.proposal : null
+        }
+      : null;
+
     // Step 1: Create the itinerary record
-    const [result] = await db.query(
-      `INSERT INTO itinerary (traveler_id, start_date, end_date, title, notes, created_at, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    const [result] = await connection.query(
+      `INSERT INTO itinerary (traveler_id, start_date, end_date, title, notes, generation_profile, adults, children, created_at, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         traveler_id, 
         start_date, 
         end_date, 
         title, 
         notes || 'Auto-generated itinerary', 
+        profile ? JSON.stringify(profile) : null,
+        party.adults,
+        party.children,
         dayjs().format('YYYY-MM-DD HH:mm:ss'), 
         'pending'
       ]
     );
 
-    const itinerary_id = result.insertId;
+    itinerary_id = result.insertId;
+
+    if (previewId && !(await itineraryPreviewService.markSaved(connection, previewId, itinerary_id))) {
+      await connection.rollback();
+      connection.release();
+      return res.status(409).json({ message: 'This preview has already been saved' });
+    }
 
     // --- Step 1.5: Insert itinerary payment record ---
-    // Calculate total amount from items (assuming each item has a price)
-const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.price || 0), 0);
+    // The total is the sum of the booking subtotals
+    totalAmount = Math.round(
+      pricedItems.reduce((sum, item) => sum + (item.pricing ? item.pricing.subtotal : 0), 0) * 100
+    ) / 100;
 
-    await db.query(
+    await connection.query(
       `INSERT INTO itinerary_payments 
         (itinerary_id, total_amount, amount_paid, payment_status, created_at, updated_at)
        VALUES (?, ?, ?, ?, ?, ?)`,
@@ -461,9 +846,9 @@ const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.price || 0
     // Step 2: Insert itinerary items + Step 3: Auto-create bookings
     const creatorIds = new Set(); // To collect unique creator IDs
 
-    for (const item of items) {
+    for (const item of pricedItems) {
       // Insert itinerary item
-      const [itemResult] = await db.query(
+      const [itemResult] = await connection.query(
         `INSERT INTO itinerary_items 
           (itinerary_id, experience_id, day_number, start_time, end_time, custom_note, created_at, updated_at)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -482,28 +867,34 @@ const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.price || 0
       const item_id = itemResult.insertId;
 
       // Find creator of the experience
-      const [creatorRows] = await db.query(
-        `SELECT creator_id FROM experience WHERE experience_id = ?`,
-        [item.experience_id]
-      );
+      const experience = experienceMap[item.experience_id];
 
-      if (creatorRows.length > 0) {
-        const creator_id = creatorRows[0].creator_id;
+      if (experience) {
+        const creator_id = experience.creator_id;
         creatorIds.add(creator_id);
 
         // Calculate booking date
-        const bookingDate = dayjs(start_date).add(item.day_number - 1, 'day').format('YYYY-MM-DD');
+        const bookingDate = bookingDateOf(item);
+        const reserved = findReservation(item);
 
         // Insert booking
-        await db.query(
+        const [bookingResult] = await connection.query(
           `INSERT INTO bookings 
-            (itinerary_id, item_id, experience_id, traveler_id, creator_id, status, payment_status, 
-             booking_date, generated_start_time, generated_end_time, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            (itinerary_id, item_id, experience_id, revision_id, slot_id, exception_slot_id, guest_count, adults, children, unit_price, subtotal,
+             traveler_id, creator_id, status, payment_status, booking_date, generated_start_time, generated_end_time, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             itinerary_id,
             item_id,
             item.experience_id,
+            experience.current_revision_id,
+            reserved ? reserved.slot_id : null,
+            reserved ? reserved.exception_slot_id : null,
+            party.guests,
+            party.adults,
+            party.children,
+            item.pricing.unit_price,
+            item.pricing.subtotal,
             traveler_id,
             creator_id,
             'Pending',          // booking status
@@ -515,9 +906,25 @@ const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.price || 0
             dayjs().format('YYYY-MM-DD HH:mm:ss')
           ]
         );
+
+        await bookingStateService.recordCreated(connection, bookingResult.insertId, 'Pending', {
+          actorId: traveler_id,
+          actorRole: 'Traveler',
+          reason: 'Itinerary saved'
+        });
       }
     }
 
+    await connection.commit();
+    connection.release();
+  } catch (err) {
+    await connection.rollback();
+    connection.release();
+    console.error('Error saving itinerary:', err);
+    return res.status(500).json({ error: 'Server error', details: err.message });
+  }
+
+  try {
     // Step 4: Get full saved itinerary with details
     const savedItinerary = await getItineraryWithDetails(itinerary_id);
 
@@ -543,16 +950,585 @@ const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.price || 0
     res.status(201).json({
       message: 'Itinerary saved successfully',
       itinerary_id,
+      total_amount: totalAmount,
       itinerary: savedItinerary
     });
 
   } catch (err) {
-    console.error('Error saving itinerary:', err);
+    // The itinerary is saved; only loading it back for the response failed
+    console.error('Error loading saved itinerary:', err);
+    res.status(201).json({
+      message: 'Itinerary saved successfully',
+      itinerary_id,
+      total_amount: totalAmount
+    });
+  }
+};
+
+
+
+// Generation constraints sent with a day regeneration or replacement request.
+// Returns { companions } or { error } with the 400 body.
+const readConstraints = (body, { requireIntensity = false } = {}) => {
+  const {
+    experience_types,
+    travel_companion,
+    travel_companions,
+    explore_time,
+    budget,
+    activity_intensity,
+    travel_distance,
+    seed
+  } = body;
+
+  let companions = [];
+  if (Array.isArray(travel_companions) && travel_companions.length > 0) {
+    companions = travel_companions;
+  } else if (travel_companion) {
+    companions = [travel_companion];
+  }
+
+  const missing = {
+    experience_types: !experience_types,
+    travel_companions: companions.length === 0,
+    explore_time: !explore_time,
+    budget: !budget,
+    travel_distance: !travel_distance,
+    ...(requireIntensity && { activity_intensity: !activity_intensity })
+  };
+  if (Object.values(missing).some(Boolean)) {
+    return { error: { message: 'The generation preferences are required', missing_fields: missing } };
+  }
+
+  if (!Object.keys(TRAVEL_DISTANCE_LIMITS).includes(String(travel_distance).toLowerCase())) {
+    return { error: { message: 'Invalid travel_distance. Must be: nearby, moderate, or far' } };
+  }
+  if (requireIntensity && !['low', 'moderate', 'high'].includes(String(activity_intensity).toLowerCase())) {
+    return { error: { message: 'Invalid activity_intensity. Must be: low, moderate, or high' } };
+  }
+
+  const hasSeed = seed !== undefined && seed !== null && seed !== '';
+  if (hasSeed && (!Number.isInteger(Number(seed)) || Number(seed) < 0 || Number(seed) > 0xFFFFFFFF)) {
+    return { error: { message: 'seed must be a whole number between 0 and 4294967295' } };
+  }
+
+  // A fresh seed each time, so asking again reshuffles; it is sent back to repeat a result
+  return { companions, seed: hasSeed ? Number(seed) : crypto.randomInt(0, 0x100000000) };
+};
+
+// The day being changed and everything the suggestions must fit around:
+// the itinerary, the day's items, the other experiences of the trip and
+// candidates that meet the constraints on that date
+const loadDayContext = async (itineraryId, dayNumber, body, companions) => {
+  const day = await dayRouteService.loadDay(db, itineraryId, dayNumber);
+  if (!day) return { status: 'not_found' };
+
+  const { itinerary, items } = day;
+  const totalDays = dayjs(itinerary.end_date).diff(dayjs(itinerary.start_date), 'day') + 1;
+  if (dayNumber > totalDays) return { status: 'invalid_day', total_days: totalDays };
+  if (itinerary.status === 'cancelled') return { status: 'cancelled' };
+
+  const date = dayjs(itinerary.start_date).add(dayNumber - 1, 'day');
+  const guests = (itinerary.adults || 1) + (itinerary.children || 0);
+
+  const [tripItems] = await db.query(
+    'SELECT DISTINCT experience_id FROM itinerary_items WHERE itinerary_id = ?',
+    [itineraryId]
+  );
+
+  const stays = await accommodationService.getStays(itineraryId);
+  const anchor = accommodationService.getDailyAnchors(stays, itinerary.start_date, totalDays)[dayNumber - 1];
+
+  const experiences = await getFilteredExperiences({
+    city: body.city,
+    experience_types: body.experience_types,
+    travel_companions: companions,
+    explore_time: body.explore_time,
+    budget: body.budget,
+    travel_distance: body.travel_distance,
+    start_date: date.format('YYYY-MM-DD'),
+    end_date: date.format('YYYY-MM-DD'),
+    anchors: anchor ? [anchor] : []
+  });
+  experiences.sort((a, b) => a.experience_id - b.experience_id);
+
+  const calendar = await availabilityService.getCalendar(
+    experiences.map(experience => experience.experience_id),
+    date,
+    date
+  );
+
+  const candidates = await getDayCandidates(experiences, calendar, date, {
+    guests,
+    explore_time: body.explore_time,
+    anchor,
+    maxDistance: TRAVEL_DISTANCE_LIMITS[String(body.travel_distance).toLowerCase()] ?? null,
+    excludeIds: tripItems.map(item => item.experience_id)
+  });
+
+  const [preferences] = await db.query(
+    'SELECT tag_id, preference_level FROM preferences WHERE traveler_id = ?',
+    [itinerary.traveler_id]
+  );
+
+  return {
+    status: 'ok',
+    itinerary,
+    items,
+    date,
+    anchor,
+    candidates,
+    tagPreferences: buildTagPreferences(preferences)
+  };
+};
+
+const sendDayContextError = (res, context) => {
+  switch (context.status) {
+    case 'not_found':
+      return res.status(404).json({ message: 'Itinerary not found' });
+    case 'invalid_day':
+      return res.status(400).json({ message: `day_number must be between 1 and ${context.total_days}` });
+    case 'cancelled':
+      return res.status(409).json({ message: 'This itinerary has been cancelled' });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Planned pick -> suggested item, priced for the itinerary's party
+const formatSuggestion = (pick, pricingRows, itinerary, dayNumber) => {
+  const pricing = calculateItemPrice(pricingRows[pick.experience.experience_id] || pick.experience, {
+    adults: itinerary.adults || 1,
+    children: itinerary.children || 0,
+    startTime: pick.slot.start_time,
+    endTime: pick.slot.end_time
+  });
+
+  return {
+    experience_id: pick.experience.experience_id,
+    day_number: dayNumber,
+    start_time: pick.slot.start_time,
+    end_time: pick.slot.end_time,
+    experience_name: pick.experience.title,
+    destination_name: pick.experience.destination_name,
+    destination_city: pick.experience.city,
+    primary_image: pick.experience.image_url,
+    price: pick.experience.price,
+    unit: pick.experience.unit,
+    unit_price: pricing.unit_price,
+    subtotal: pricing.subtotal,
+    distance_km: pick.experience.distance_from_lodging ?? pick.experience.distance_from_selected_city,
+    score: pick.score,
+    score_components: pick.components,
+    travel_minutes: pick.travel_minutes
+  };
+};
+
+// Pricing columns per experience_id
+const getPricingRows = async (experienceIds) => {
+  if (experienceIds.length === 0) return {};
+
+  const [rows] = await db.query(
+    'SELECT experience_id, price, unit, child_price, group_pricing FROM experience WHERE experience_id IN (?)',
+    [[...new Set(experienceIds)]]
+  );
+  return Object.fromEntries(rows.map(row => [row.experience_id, row]));
+};
+
+// Turn a dayRegenerationService result that was not applied into an HTTP response
+const sendDayApplyError = (res, result) => {
+  switch (result.status) {
+    case 'expired':
+      return res.status(400).json({ message: 'This suggestion has expired. Please regenerate the day again.' });
+    case 'used':
+      return res.status(409).json({ message: 'This suggestion has already been applied' });
+    case 'invalid':
+      return res.status(400).json({ message: 'Invalid proposal token' });
+    case 'not_found':
+      return res.status(404).json({ message: 'Itinerary not found' });
+    case 'cancelled':
+      return res.status(409).json({ message: 'This itinerary has been cancelled' });
+    case 'stale':
+      return res.status(409).json({ message: 'The day has changed since this suggestion was made. Regenerate it again.' });
+    case 'conflicts':
+      return res.status(409).json({
+        message: 'Some suggested activities changed since the suggestion. Regenerate the day again.',
+        conflicts: result.conflicts
+      });
+    case 'full':
+      return res.status(409).json({
+        message: 'Some time slots are fully booked. Regenerate the day again.',
+        conflicts: result.conflicts.map(conflict => ({ ...conflict, type: 'slot_full' }))
+      });
+    default:
+      return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// New activities for one day. Pinned items and bookings the creator already
+// accepted stay where they are; the rest of the day is planned again around
+// them, with experiences not used elsewhere in the trip. Without apply this is
+// only a suggestion listing what would be removed and added, with a
+// proposal_token; with apply and that token the day is saved
+// (services/dayRegenerationService.js).
+const regenerateItineraryDay = async (req, res) => {
+  const { itinerary_id } = req.params;
+  const { apply, proposal_token } = req.body || {};
+
+  if (apply) {
+    if (!proposal_token) {
+      return res.status(400).json({ message: 'proposal_token is required to apply a suggestion' });
+    }
+
+    try {
+      const result = await dayRegenerationService.applyDay(itinerary_id, proposal_token, req.user);
+      if (result.status !== 'applied') return sendDayApplyError(res, result);
+
+      const { status, ...applied } = result;
+      return res.status(200).json({ message: 'Day updated', ...applied });
+    } catch (err) {
+      console.error('Error applying regenerated itinerary day:', err);
+      return res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  }
+
+  const dayNumber = Number((req.body || {}).day_number);
+  if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+    return res.status(400).json({ message: 'day_number must be a whole number of 1 or more' });
+  }
+
+  try {
+    // Preferences not sent default to the ones the trip was generated with
+    const body = { ...pickProfileFields(await getStoredProfile(itinerary_id)), ...req.body };
+    const constraints = readConstraints(body, { requireIntensity: true });
+    if (constraints.error) {
+      return res.status(400).json(constraints.error);
+    }
+
+    const context = await loadDayContext(itinerary_id, dayNumber, body, constraints.companions);
+    if (context.status !== 'ok') return sendDayContextError(res, context);
+
+    const { itinerary, items, date, anchor, candidates, tagPreferences } = context;
+    const kept = items.filter(item => dayRouteService.getLockReason(item));
+    const removed = items.filter(item => !dayRouteService.getLockReason(item));
+
+    const experiencesPerDay = { low: 2, moderate: 3, high: 4 }[body.activity_intensity.toLowerCase()];
+    const random = createRandom(constraints.seed);
+    const typesTrip = {};
+    const picks = [];
+    const party = { adults: itinerary.adults || 1, children: itinerary.children || 0 };
+    // What the kept items cost the party: the booked price, or the listing's
+    let spent = kept.reduce((sum, item) => sum + (item.booking_id
+      ? parseFloat(item.subtotal) || 0
+      : calculateItemPrice(item, { ...party, startTime: String(item.start_time), endTime: String(item.end_time) }).subtotal), 0);
+
+    // Fill the gaps before, between and after the items that stay
+    for (let gap = 0; gap <= kept.length && kept.length + picks.length < experiencesPerDay; gap++) {
+      const before = kept[gap - 1] || null;
+      const after = kept[gap] || null;
+
+      const gapPlan = planDay(
+        candidates.filter(candidate => !picks.some(pick => pick.experience.experience_id === candidate.experience_id)),
+        {
+          experiencesPerDay: experiencesPerDay - kept.length - picks.length,
+          experienceTypes: body.experience_types,
+          tagPreferences,
+          dailyBudget: getDailyBudget(body.budget, experiencesPerDay),
+          travelDistance: body.travel_distance,
+          typesTrip,
+          origin: before || anchor,
+          originEnd: before ? convertTimeToMinutes(String(before.end_time)) : null,
+          destination: after,
+          latestStart: after ? convertTimeToMinutes(String(after.start_time)) : null,
+          spent,
+          party,
+          random
+        }
+      );
+
+      gapPlan.forEach(pick => {
+        spent += pick.subtotal;
+      });
+      picks.push(...gapPlan);
+    }
+
+    const pricingRows = await getPricingRows(picks.map(pick => pick.experience.experience_id));
+    const added = picks
+      .map(pick => formatSuggestion(pick, pricingRows, itinerary, dayNumber))
+      .sort((a, b) => a.start_time.localeCompare(b.start_time));
+
+    // Kept server-side so applying saves exactly what the traveler was shown
+    const proposal = added.length > 0
+      ? await dayRegenerationService.createProposal(itinerary, dayNumber, items, removed, added)
+      : null;
+
+    res.status(200).json({
+      message: added.length > 0
+        ? 'Suggested plan for this day. Nothing is saved until you apply it with the proposal_token.'
+        : 'No other experiences fit this day',
+      itinerary_id: Number(itinerary_id),
+      day_number: dayNumber,
+      date: date.format('YYYY-MM-DD'),
+      kept: kept.map(item => ({
+        item_id: item.item_id,
+        experience_id: item.experience_id,
+        experience_name: item.title,
+        start_time: item.start_time,
+        end_time: item.end_time,
+        lock_reason: dayRouteService.getLockReason(item)
+      })),
+      removed: removed.map(item => ({
+        item_id: item.item_id,
+        experience_id: item.experience_id,
+        experience_name: item.title,
+        start_time: item.start_time,
+        end_time: item.end_time
+      })),
+      added,
+      proposal_token: proposal ? proposal.proposal_token : null,
+      expires_at: proposal ? proposal.expires_at : null,
+      seed: constraints.seed,
+      planner_version: PLANNER_VERSION
+    });
+  } catch (err) {
+    console.error('Error regenerating itinerary day:', err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 };
 
+// Up to `count` experiences that could take one item's place: same date,
+// a slot between the neighbouring items with time to travel to and from
+// them, not already in the trip, best score first
+const suggestItemReplacements = async (req, res) => {
+  const { itinerary_id, item_id } = req.params;
+  const { count: requestedCount } = req.body || {};
+
+  const count = requestedCount === undefined ? 5 : Number(requestedCount);
+  if (!Number.isInteger(count) || count < 1 || count > 10) {
+    return res.status(400).json({ message: 'count must be a whole number between 1 and 10' });
+  }
+
+  try {
+    // Preferences not sent default to the ones the trip was generated with
+    const body = { ...pickProfileFields(await getStoredProfile(itinerary_id)), ...req.body };
+    const constraints = readConstraints(body);
+    if (constraints.error) {
+      return res.status(400).json(constraints.error);
+    }
+
+    const [itemRows] = await db.query(
+      'SELECT item_id, day_number FROM itinerary_items WHERE item_id = ? AND itinerary_id = ?',
+      [item_id, itinerary_id]
+    );
+    if (itemRows.length === 0) {
+      return res.status(404).json({ message: 'Itinerary item not found' });
+    }
+
+    const dayNumber = itemRows[0].day_number;
+    const context = await loadDayContext(itinerary_id, dayNumber, body, constraints.companions);
+    if (context.status !== 'ok') return sendDayContextError(res, context);
+
+    const { itinerary, items, date, anchor, candidates, tagPreferences } = context;
+    const index = items.findIndex(item => Number(item.item_id) === Number(item_id));
+    const before = items[index - 1] || null;
+    const after = items[index + 1] || null;
+
+    const random = createRandom(constraints.seed);
+    const picks = [];
+
+    // One planner pass per suggestion, each without the ones already suggested
+    while (picks.length < count) {
+      const [pick] = planDay(
+        candidates.filter(candidate => !picks.some(chosen => chosen.experience.experience_id === candidate.experience_id)),
+        {
+          experiencesPerDay: 1,
+          experienceTypes: body.experience_types,
+          tagPreferences,
+          dailyBudget: getDailyBudget(body.budget, 1),
+          travelDistance: body.travel_distance,
+          typesTrip: {},
+          origin: before || anchor,
+          originEnd: before ? convertTimeToMinutes(String(before.end_time)) : null,
+          destination: after,
+          latestStart: after ? convertTimeToMinutes(String(after.start_time)) : null,
+          party: { adults: itinerary.adults || 1, children: itinerary.children || 0 },
+          random
+        }
+      );
+      if (!pick) break;
+      picks.push(pick);
+    }
+
+    const pricingRows = await getPricingRows(picks.map(pick => pick.experience.experience_id));
+
+    res.status(200).json({
+      item_id: Number(item_id),
+      day_number: dayNumber,
+      date: date.format('YYYY-MM-DD'),
+      window: {
+        after: before ? before.end_time : null,
+        before: after ? after.start_time : null
+      },
+      suggestions: picks.map(pick => formatSuggestion(pick, pricingRows, itinerary, dayNumber)),
+      seed: constraints.seed,
+      planner_version: PLANNER_VERSION
+    });
+  } catch (err) {
+    console.error('Error suggesting replacements:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Generate a saved itinerary again from its stored profile with some
+// preferences changed (body.overrides), and compare the result with the
+// current plan day by day. The stored seed is reused unless overridden, so
+// the differences come from the changed preferences. Nothing is saved.
+const regenerateItinerary = async (req, res) => {
+  const { itinerary_id } = req.params;
+  const { overrides = {} } = req.body || {};
+
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return res.status(400).json({ message: 'overrides must be an object' });
+  }
+
+  try {
+    const [itineraries] = await db.query('SELECT * FROM itinerary WHERE itinerary_id = ?', [itinerary_id]);
+    if (itineraries.length === 0) {
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+
+    const itinerary = itineraries[0];
+    if (itinerary.status === 'cancelled') {
+      return res.status(409).json({ message: 'This itinerary has been cancelled' });
+    }
+
+    const storedProfile = await getStoredProfile(itinerary_id);
+    const merged = {
+      ...pickProfileFields(storedProfile),
+      seed: storedProfile.seed,
+      ...pickProfileFields(overrides),
+      ...(overrides.seed !== undefined && { seed: overrides.seed })
+    };
+
+    const constraints = readConstraints(merged, { requireIntensity: true });
+    if (constraints.error) {
+      return res.status(400).json(constraints.error);
+    }
+
+    // The proposal the trip was saved from, unless another one is asked for
+    const proposal = overrides.proposal || storedProfile.proposal || 'balanced';
+    if (!PROPOSAL_STRATEGIES[proposal]) {
+      return res.status(400).json({
+        message: `proposal must be one of: ${Object.keys(PROPOSAL_STRATEGIES).join(', ')}`
+      });
+    }
+
+    const party = parseParty({ adults: itinerary.adults, children: itinerary.children });
+    const startDate = dayjs(itinerary.start_date);
+    const totalDays = dayjs(itinerary.end_date).diff(startDate, 'day') + 1;
 
+    const stays = await accommodationService.getStays(itinerary_id);
+    const dailyAnchors = accommodationService.getDailyAnchors(stays, startDate, totalDays);
+    const anchors = [...new Map(
+      dailyAnchors.filter(Boolean).map(anchor => [anchorKey(anchor), anchor])
+    ).values()];
+
+    const experiences = await getFilteredExperiences({
+      city: merged.city,
+      experience_types: merged.experience_types,
+      travel_companions: constraints.companions,
+      explore_time: merged.explore_time,
+      budget: merged.budget,
+      travel_distance: merged.travel_distance,
+      start_date: startDate.format('YYYY-MM-DD'),
+      end_date: dayjs(itinerary.end_date).format('YYYY-MM-DD'),
+      anchors
+    });
+
+    const [preferences] = await db.query(
+      'SELECT tag_id, preference_level FROM preferences WHERE traveler_id = ?',
+      [itinerary.traveler_id]
+    );
+
+    const generated = experiences.length === 0 ? [] : await smartItineraryGeneration({
+      experiences,
+      totalDays,
+      experience_types: merged.experience_types,
+      explore_time: merged.explore_time,
+      travel_companions: constraints.companions,
+      activity_intensity: merged.activity_intensity,
+      travel_distance: merged.travel_distance,
+      budget: merged.budget,
+      preferences,
+      start_date: startDate.format('YYYY-MM-DD'),
+      guests: party.guests,
+      party,
+      seed: constraints.seed,
+      dailyAnchors,
+      weights: PROPOSAL_STRATEGIES[proposal].weights
+    });
+
+    const experienceMap = Object.fromEntries(experiences.map(experience => [experience.experience_id, experience]));
+    const pricingRows = await getPricingRows(generated.map(item => item.experience_id));
+
+    const proposed = generated.map(item => {
+      const pricing = calculateItemPrice(pricingRows[item.experience_id] || experienceMap[item.experience_id], {
+        adults: party.adults,
+        children: party.children,
+        startTime: item.start_time,
+        endTime: item.end_time
+      });
+
+      return {
+        experience_id: item.experience_id,
+        day_number: item.day_number,
+        start_time: item.start_time,
+        end_time: item.end_time,
+        experience_name: experienceMap[item.experience_id].title,
+        subtotal: pricing.subtotal,
+        score: item.score
+      };
+    });
+
+    const [currentItems] = await db.query(
+      `SELECT ii.item_id, ii.experience_id, ii.day_number, ii.start_time, ii.end_time,
+              e.title AS experience_name, b.subtotal
+       FROM itinerary_items ii
+       JOIN experience e ON ii.experience_id = e.experience_id
+       LEFT JOIN bookings b ON b.item_id = ii.item_id AND b.status != 'Cancelled'
+       WHERE ii.itinerary_id = ?`,
+      [itinerary_id]
+    );
+
+    const current = currentItems.map(item => ({
+      ...item,
+      subtotal: item.subtotal === null ? null : parseFloat(item.subtotal)
+    }));
+
+    const { days, summary } = buildPlanDiff(current, proposed, { startDate, totalDays });
+    const sumSubtotals = (items) => Math.round(items.reduce((sum, item) => sum + (item.subtotal || 0), 0) * 100) / 100;
+
+    res.status(200).json({
+      message: proposed.length > 0 ? 'Itinerary regenerated' : 'No suitable experiences found for these preferences',
+      itinerary_id: Number(itinerary_id),
+      previous_profile: Object.keys(storedProfile).length > 0 ? storedProfile : null,
+      generation_profile: {
+        ...buildGenerationProfile({ ...merged, travel_companions: constraints.companions }, constraints.seed),
+        proposal
+      },
+      planner_version_changed: Boolean(storedProfile.planner_version) && storedProfile.planner_version !== PLANNER_VERSION,
+      days,
+      summary: {
+        ...summary,
+        current_total: sumSubtotals(current),
+        proposed_total: sumSubtotals(proposed)
+      }
+    });
+  } catch (err) {
+    console.error('Error regenerating itinerary:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
 
 const getDestinationInfo = async (itinerary) => {
   try {
@@ -581,28 +1557,6 @@ const getExperienceDetails = async (experienceId) => {
   }
 };
 
-// Enhanced helper function to get experience with its actual availability time slots
-const getExperienceWithAvailability = async (experience_id, day_of_week) => {
-  try {
-    const [availability] = await db.query(`
-      SELECT DISTINCT 
-        ea.day_of_week, 
-        ats.start_time, 
-        ats.end_time,
-        ea.availability_id
-      FROM experience_availability ea
-      JOIN availability_time_slots ats ON ea.availability_id = ats.availability_id
-      WHERE ea.experience_id = ? AND ea.day_of_week = ?
-      ORDER BY ats.start_time
-    `, [experience_id, day_of_week]);
-
-    return availability;
-  } catch (error) {
-    console.error('Error getting experience availability:', error);
-    return [];
-  }
-};
-
 // Helper function to check if two time slots conflict
 const timeSlotConflict = (slot1, slot2) => {
   const start1 = convertTimeToMinutes(slot1.start_time);
@@ -869,16 +1823,93 @@ const findNonConflictingSlot = (availableTimeSlots, scheduledSlotsForDay) => {
   
 //   return itinerary;
 // };
+// Experiences that can be done on a date, each with the slots that suit the
+// party (room for everyone, explore_time, not already past) and within the
+// travel distance of that night's lodging
+const getDayCandidates = async (experiences, calendar, date, {
+  guests = 1,
+  explore_time,
+  anchor = null,
+  maxDistance = null,
+  excludeIds = []
+}) => {
+  const currentDate = dayjs(date);
+  const dateStr = currentDate.format('YYYY-MM-DD');
+  const isToday = currentDate.isSame(dayjs(), 'day');
+  const currentTimeStr = dayjs().format('HH:mm');
+  const candidates = [];
+
+  for (const experience of experiences) {
+    if (excludeIds.includes(experience.experience_id)) continue;
+
+    const distanceFromLodging = anchor
+      ? experience.lodging_distances?.[anchorKey(anchor)] ?? null
+      : null;
+    if (maxDistance !== null && distanceFromLodging !== null && distanceFromLodging > maxDistance) continue;
+
+    const timeSlots = calendar[experience.experience_id][dateStr].slots;
+
+    // Drop slots without room for the whole party on this date
+    const slotsWithCapacity = await inventoryService.withRemainingCapacity(
+      experience.experience_id,
+      dateStr,
+      timeSlots
+    );
+
+    const filteredTimeSlots = slotsWithCapacity.filter(slot => {
+      if (!inventoryService.hasRoom(slot, guests)) return false;
+
+      const startHour = parseInt(slot.start_time.split(':')[0]);
+
+      // Skip past slots if today
+      if (isToday && slot.start_time <= currentTimeStr) return false;
+
+      // Filter by explore_time
+      switch (explore_time) {
+        case 'Daytime': return startHour >= 6 && startHour < 18;
+        case 'Nighttime': return startHour >= 18 || startHour < 6;
+        case 'Both': default: return true;
+      }
+    });
+
+    if (filteredTimeSlots.length > 0) {
+      candidates.push({
+        ...experience,
+        distance_from_lodging: distanceFromLodging,
+        availableTimeSlots: filteredTimeSlots
+      });
+    }
+  }
+
+  return candidates;
+};
+
+// Builds the plan with the scoring planner (utils/itineraryPlanner.js). The
+// seed makes it repeatable: same experiences, preferences and seed, same plan.
 const smartItineraryGeneration = async ({
   experiences,
   totalDays,
+  experience_types,
   explore_time,
   activity_intensity,
   travel_distance,
-  start_date
+  budget,
+  preferences = [],
+  start_date,
+  guests = 1,
+  party = { adults: guests, children: 0 }, // Who the budget scores price for
+  seed,
+  dailyAnchors = [],
+  weights // Proposal strategy weights; planDay's defaults when not set
 }) => {
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const itinerary = [];
+  const random = createRandom(seed);
+  const tagPreferences = buildTagPreferences(preferences);
+  const typesTrip = {};
+
+  // Candidates in a fixed order so ties always resolve the same way
+  experiences = [...experiences].sort((a, b) => a.experience_id - b.experience_id);
 
   // Determine experiences per day based on activity intensity
   const experiencesPerDayMap = { low: 2, moderate: 3, high: 4 };
@@ -892,65 +1923,37 @@ const smartItineraryGeneration = async ({
   console.log(`📊 Total experiences available: ${experiences.length}`);
   console.log(`⏰ Current time: ${currentTimeStr}`);
 
+  // Effective slots per experience and date (weekly rules, seasons, blackouts, one-off sessions)
+  const calendar = await availabilityService.getCalendar(
+    experiences.map(experience => experience.experience_id),
+    startDate,
+    startDate.add(totalDays - 1, 'day')
+  );
+
   for (let day = 1; day <= totalDays; day++) {
     const currentDate = startDate.add(day - 1, 'day');
     const dayOfWeek = dayNames[currentDate.day()];
     const isToday = currentDate.isSame(currentDateTime, 'day');
 
-    console.log(`\n📅 Planning day ${day} (${dayOfWeek})`);
+    // Tonight's lodging, if any; the day's distances are measured from it
+    const anchor = dailyAnchors[day - 1] || null;
+    const maxDistance = TRAVEL_DISTANCE_LIMITS[String(travel_distance).toLowerCase()] ?? null;
+
+    console.log(`\n📅 Planning day ${day} (${dayOfWeek})${anchor ? ` from ${anchor.name}` : ''}`);
 
-    // Track scheduled slots for the day
-    const scheduledSlotsForDay = [];
     const usedExperienceIds = itinerary.map(item => item.experience_id);
 
     // Filter experiences available today and not used on other days
-    const availableExperiences = [];
-
-    for (const experience of experiences) {
-      if (usedExperienceIds.includes(experience.experience_id)) continue;
-
-      const timeSlots = await getExperienceWithAvailability(experience.experience_id, dayOfWeek);
-
-      const filteredTimeSlots = timeSlots.filter(slot => {
-        const startHour = parseInt(slot.start_time.split(':')[0]);
-
-        // Skip past slots if today
-        if (isToday && slot.start_time <= currentTimeStr) return false;
-
-        // Filter by explore_time
-        switch (explore_time) {
-          case 'Daytime': return startHour >= 6 && startHour < 18;
-          case 'Nighttime': return startHour >= 18 || startHour < 6;
-          case 'Both': default: return true;
-        }
-      });
-
-      if (filteredTimeSlots.length > 0) {
-        availableExperiences.push({
-          ...experience,
-          availableTimeSlots: filteredTimeSlots
-        });
-      }
-    }
+    const availableExperiences = await getDayCandidates(experiences, calendar, currentDate, {
+      guests,
+      explore_time,
+      anchor,
+      maxDistance,
+      excludeIds: usedExperienceIds
+    });
 
     console.log(`✅ Available experiences for ${dayOfWeek}: ${availableExperiences.length}`);
 
-    // Apply travel distance prioritization
-    let sortedExperiences = [...availableExperiences];
-    if (travel_distance === 'nearby') {
-      sortedExperiences.sort((a, b) => (parseFloat(a.distance_from_city_center) || 0) - (parseFloat(b.distance_from_city_center) || 0));
-    } else if (travel_distance === 'moderate') {
-      sortedExperiences.sort((a, b) => ((parseFloat(a.distance_from_city_center) || 0) - (parseFloat(b.distance_from_city_center) || 0)) + (Math.random() - 0.5) * 3);
-    } else if (travel_distance === 'far') {
-      const nearby = sortedExperiences.filter(e => (parseFloat(e.distance_from_city_center) || 0) <= 10);
-      const moderate = sortedExperiences.filter(e => (parseFloat(e.distance_from_city_center) || 0) > 10 && (parseFloat(e.distance_from_city_center) || 0) <= 20);
-      const far = sortedExperiences.filter(e => (parseFloat(e.distance_from_city_center) || 0) > 20);
-      const unknown = sortedExperiences.filter(e => !e.distance_from_city_center);
-      sortedExperiences = [...far.sort(() => Math.random() - 0.5), ...moderate.sort(() => Math.random() - 0.5), ...nearby.sort(() => Math.random() - 0.5), ...unknown.sort(() => Math.random() - 0.5)];
-    } else {
-      sortedExperiences.sort(() => Math.random() - 0.5);
-    }
-
     // Adjust experiences per day if today and starting late
     let adjustedExperiencesPerDay = experiencesPerDay;
     if (isToday && currentDateTime.hour() >= 15) {
@@ -958,26 +1961,34 @@ const smartItineraryGeneration = async ({
       console.log(`🌅 Reducing activities to ${adjustedExperiencesPerDay} because it's past 3 PM`);
     }
 
-    // Schedule experiences for the day
-    let scheduledCount = 0;
-    for (const experience of sortedExperiences) {
-      if (scheduledCount >= adjustedExperiencesPerDay) break;
-
-      const slot = findNonConflictingSlot(experience.availableTimeSlots, scheduledSlotsForDay);
-      if (slot) {
-        itinerary.push({
-          experience_id: experience.experience_id,
-          day_number: day,
-          start_time: slot.start_time,
-          end_time: slot.end_time,
-          auto_note: `${experience.title} - ${dayOfWeek} at ${slot.start_time}`
-        });
+    // Score every experience/slot pair and build the day in time order
+    const dayPlan = planDay(availableExperiences, {
+      experiencesPerDay: adjustedExperiencesPerDay,
+      experienceTypes: experience_types,
+      tagPreferences,
+      dailyBudget: getDailyBudget(budget, experiencesPerDay),
+      travelDistance: travel_distance,
+      typesTrip,
+      origin: anchor,
+      weights,
+      party,
+      random
+    });
 
-        scheduledSlotsForDay.push(slot);
-        scheduledCount++;
-        console.log(`➕ Scheduled: ${experience.title} (${slot.start_time} - ${slot.end_time})`);
-      }
-    }
+    dayPlan.forEach(({ experience, slot, score, components, travel_minutes }) => {
+      itinerary.push({
+        experience_id: experience.experience_id,
+        day_number: day,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        score,
+        score_components: components,
+        travel_minutes,
+        auto_note: `${experience.title} - ${dayOfWeek} at ${slot.start_time}`
+      });
+      console.log(`➕ Scheduled: ${experience.title} (${slot.start_time} - ${slot.end_time}) score ${score}`);
+    });
+    const scheduledCount = dayPlan.length;
 
     // Fallback: insert 1 unused experience if day ends empty
     if (scheduledCount === 0 && availableExperiences.length > 0) {
@@ -1256,7 +2267,8 @@ const getFilteredExperiences = async ({
   budget,
   travel_distance,
   start_date,
-  end_date
+  end_date,
+  anchors = [] // Lodging coordinates; replace the city center as reference points
 }) => {
   try {
     // Handle travel companions - support both old and new format
@@ -1277,39 +2289,6 @@ const getFilteredExperiences = async ({
       travel_distance
     });
 
-    // Calculate trip day names for availability filtering
-    let tripDayNames = [];
-    if (start_date && end_date) {
-      try {
-        const [startYear, startMonth, startDay] = start_date.split('-');
-        const [endYear, endMonth, endDay] = end_date.split('-');
-        
-        const startDate = new Date(parseInt(startYear), parseInt(startMonth) - 1, parseInt(startDay));
-        const endDate = new Date(parseInt(endYear), parseInt(endMonth) - 1, parseInt(endDay));
-        
-        const tripDaysOfWeek = [];
-        const currentDate = new Date(startDate);
-        
-        let dayCount = 0;
-        const maxDays = 365;
-        
-        while (currentDate <= endDate && dayCount < maxDays) {
-          tripDaysOfWeek.push(currentDate.getDay());
-          currentDate.setDate(currentDate.getDate() + 1);
-          dayCount++;
-        }
-        
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        tripDayNames = [...new Set(tripDaysOfWeek.map(dayNum => dayNames[dayNum]))];
-        
-        console.log('Trip day names:', tripDayNames);
-        
-      } catch (error) {
-        console.error('Error calculating trip day names:', error);
-        tripDayNames = [];
-      }
-    }
-
     // Build the main query with proper joins to availability tables
     let query = `
       SELECT DISTINCT
@@ -1320,9 +2299,12 @@ const getFilteredExperiences = async ({
         e.description,
         e.price,
         e.unit,
+        e.child_price,
+        e.group_pricing,
         e.status,
         e.travel_companion,
         e.travel_companions,
+        e.average_rating,
         e.created_at,
         d.name as destination_name,
         d.city,
@@ -1340,78 +2322,53 @@ const getFilteredExperiences = async ({
 
     const queryParams = [];
 
-// FIXED: Case-insensitive city center lookup
-let selectedCityCenter = null;
-if (city && city.trim()) {
-  // Normalize the city name first
-  const normalizedCity = normalizeCityName(city.trim());
-  console.log(`Normalizing city name: "${city}" -> "${normalizedCity}"`);
-  
-  // Try exact match with normalized name
-  selectedCityCenter = CITY_CENTERS[normalizedCity];
-  
-  if (!selectedCityCenter) {
-    // Try various cases if exact match fails
-    const cityVariations = [
-      normalizedCity,
-      normalizedCity.toLowerCase(),
-      normalizedCity.toUpperCase(),
-      city.trim(), // Original input
-      city.trim().replace(/_/g, ' '), // Just replace underscores
-    ];
-    
-    for (const variation of cityVariations) {
-      if (CITY_CENTERS[variation]) {
-        selectedCityCenter = CITY_CENTERS[variation];
-        console.log(`✅ Found city center using variation: "${variation}" for input: "${city}"`);
-        break;
+    // City center from the city registry
+    let selectedCityCenter = null;
+    if (city && city.trim()) {
+      selectedCityCenter = await cityService.getCenter(city.trim());
+
+      if (selectedCityCenter) {
+        console.log(`✅ Found city center for "${city}":`, selectedCityCenter);
+      } else {
+        console.warn(`⚠️ No city center coordinates found for "${city}". Falling back to city-based filtering.`);
       }
     }
-  } else {
-    console.log(`✅ Found city center for "${normalizedCity}":`, selectedCityCenter);
-  }
-  
-  if (!selectedCityCenter) {
-    console.warn(`⚠️ No city center coordinates found for "${city}". Available cities:`, Object.keys(CITY_CENTERS).slice(0, 10));
-    console.warn(`⚠️ Falling back to city-based filtering.`);
-  }
-}
-    if (selectedCityCenter && travel_distance) {
+
+    // Distances are measured from the trip's lodging when there is any,
+    // otherwise from the selected city center
+    const referencePoints = anchors.length > 0
+      ? anchors.map(anchor => ({ lat: anchor.latitude, lng: anchor.longitude, key: anchorKey(anchor) }))
+      : selectedCityCenter ? [selectedCityCenter] : [];
+    const referenceLabel = anchors.length > 0 ? 'lodging' : `${city} center`;
+
+    // Straight-line limit applied in SQL; re-checked against road distance below
+    let maxTravelDistance = null;
+    if (referencePoints.length > 0 && travel_distance) {
       // CROSS-CITY DISTANCE-BASED FILTERING
-      const distanceMap = {
-        'nearby': 10,    // ≤20km from selected city center (increased from 10)
-        'moderate': 40,  // ≤40km from selected city center (increased from 20)
-        'far': null      // All distances from selected city center
-      };
-      
-      const maxDistance = distanceMap[travel_distance.toLowerCase()];
+      const maxDistance = TRAVEL_DISTANCE_LIMITS[travel_distance.toLowerCase()];
       
       if (maxDistance !== null && maxDistance !== undefined) {
-        // Calculate distance from selected city center for each destination
-        // Include destinations within the distance threshold regardless of their administrative city
+        maxTravelDistance = maxDistance;
+
+        // Calculate distance from each reference point for each destination
+        // Include destinations within the distance threshold of any of them, regardless of their administrative city
+        const distanceConditions = referencePoints.map(point => {
+          queryParams.push(point.lng, point.lat, maxDistance);
+          return `ST_Distance_Sphere(d.location, POINT(?, ?)) <= ? * 1000`;
+        });
+
         query += ` AND (
           d.distance_from_city_center IS NULL OR
-          (6371 * acos(
-            cos(radians(?)) * cos(radians(d.latitude)) * 
-            cos(radians(d.longitude) - radians(?)) + 
-            sin(radians(?)) * sin(radians(d.latitude))
-          )) <= ?
+          ${distanceConditions.join(' OR ')}
         )`;
         
-        queryParams.push(
-          selectedCityCenter.lat,   // Selected city center latitude
-          selectedCityCenter.lng,   // Selected city center longitude  
-          selectedCityCenter.lat,   // Selected city center latitude (for sin calculation)
-          maxDistance               // Maximum distance
-        );
-        
-        console.log(`🌍 Applied cross-city distance filter: ${travel_distance} (≤${maxDistance}km from ${city} center)`);
-        console.log(`📍 Using ${city} center coordinates: ${selectedCityCenter.lat}, ${selectedCityCenter.lng}`);
+        console.log(`🌍 Applied cross-city distance filter: ${travel_distance} (≤${maxDistance}km from ${referenceLabel})`);
+        console.log(`📍 Reference points:`, referencePoints.map(point => `${point.lat}, ${point.lng}`));
         
       } else if (travel_distance.toLowerCase() === 'far') {
-        // For "far": No distance restriction, but we can still log the city center being used
-        console.log(`🌍 Applied cross-city distance filter: ${travel_distance} (no distance limit from ${city} center)`);
-        console.log(`📍 Reference point: ${city} center coordinates: ${selectedCityCenter.lat}, ${selectedCityCenter.lng}`);
+        // For "far": No distance restriction, but we can still log the reference points being used
+        console.log(`🌍 Applied cross-city distance filter: ${travel_distance} (no distance limit from ${referenceLabel})`);
+        console.log(`📍 Reference points:`, referencePoints.map(point => `${point.lat}, ${point.lng}`));
         // No additional filtering needed - all destinations included
       }
       
@@ -1450,16 +2407,6 @@ if (city && city.trim()) {
       console.log('Travel companion filter applied:', companionsToFilter);
     }
 
-    // Filter by availability days - ensure experience has availability on trip days
-    if (tripDayNames.length > 0) {
-      query += ` AND e.experience_id IN (
-        SELECT DISTINCT ea.experience_id 
-        FROM experience_availability ea 
-        WHERE ea.day_of_week IN (${tripDayNames.map(() => '?').join(',')})
-      )`;
-      queryParams.push(...tripDayNames);
-    }
-
     // Filter by explore time using actual availability time slots
     if (explore_time && explore_time !== 'Both') {
       let timeCondition = '';
@@ -1502,7 +2449,7 @@ if (city && city.trim()) {
 
     // Group by to handle the aggregated fields
     query += ` GROUP BY e.experience_id, e.creator_id, e.destination_id, e.title, e.description, 
-               e.price, e.unit, e.status, e.travel_companion, e.travel_companions, e.created_at,
+               e.price, e.unit, e.status, e.travel_companion, e.travel_companions, e.average_rating, e.created_at,
                d.name, d.city, d.latitude, d.longitude, d.distance_from_city_center`;
 
     // Filter by experience types after grouping if provided
@@ -1521,22 +2468,14 @@ if (city && city.trim()) {
       if (travel_distance.toLowerCase() === 'nearby') {
         // Nearby: Order by actual distance from selected city center (closest first)
         query += ` ORDER BY 
-          (6371 * acos(
-            cos(radians(${selectedCityCenter.lat})) * cos(radians(d.latitude)) * 
-            cos(radians(d.longitude) - radians(${selectedCityCenter.lng})) + 
-            sin(radians(${selectedCityCenter.lat})) * sin(radians(d.latitude))
-          )) ASC, 
+          ST_Distance_Sphere(d.location, POINT(${selectedCityCenter.lng}, ${selectedCityCenter.lat})) ASC, 
           e.created_at DESC`;
       } else if (travel_distance.toLowerCase() === 'moderate') {
         // Moderate: Balanced ordering with some preference for closer experiences
         query += ` ORDER BY 
           CASE 
             WHEN d.distance_from_city_center IS NULL THEN 1
-            WHEN (6371 * acos(
-              cos(radians(${selectedCityCenter.lat})) * cos(radians(d.latitude)) * 
-              cos(radians(d.longitude) - radians(${selectedCityCenter.lng})) + 
-              sin(radians(${selectedCityCenter.lat})) * sin(radians(d.latitude))
-            )) <= 10 THEN 2
+            WHEN ST_Distance_Sphere(d.location, POINT(${selectedCityCenter.lng}, ${selectedCityCenter.lat})) <= 10000 THEN 2
             ELSE 3
           END,
           e.created_at DESC`;
@@ -1556,25 +2495,60 @@ if (city && city.trim()) {
     const [experiences] = await db.query(query, queryParams);
     console.log('Initial experiences found:', experiences.length);
 
+    // Keep experiences that are open on at least one actual trip date
+    // (weekly rules, seasons, blackouts and one-off sessions all count)
+    let openExperiences = experiences;
+    if (start_date && end_date && experiences.length > 0) {
+      const openIds = await availabilityService.filterAvailableInRange(
+        experiences.map(experience => experience.experience_id),
+        start_date,
+        end_date
+      );
+      openExperiences = experiences.filter(experience => openIds.includes(experience.experience_id));
+      console.log(`📅 Experiences open during the trip: ${openExperiences.length}`);
+    }
+
+    // Distances from every reference point, looked up together up front
+    const located = referencePoints.length > 0
+      ? openExperiences.filter(experience => experience.latitude && experience.longitude)
+      : [];
+    const pairs = located.flatMap(experience => referencePoints.map(point => [
+      { lat: parseFloat(experience.latitude), lng: parseFloat(experience.longitude) },
+      point
+    ]));
+    const pairDistances = await calculateDistances(pairs);
+    const distancesByExperience = new Map(located.map((experience, index) => [
+      experience.experience_id,
+      pairDistances.slice(index * referencePoints.length, (index + 1) * referencePoints.length)
+    ]));
+
     // Add images and calculate actual distances from selected city center
     const processedExperiences = [];
-    for (const experience of experiences) {
+    for (const experience of openExperiences) {
       const [images] = await db.query(`
         SELECT image_url FROM experience_images 
         WHERE experience_id = ? 
         LIMIT 1
       `, [experience.experience_id]);
 
-      // Calculate actual distance from selected city center if available
+      // Calculate actual distance from the nearest reference point if available
       let actualDistanceFromSelectedCity = null;
-      if (selectedCityCenter && experience.latitude && experience.longitude) {
-        actualDistanceFromSelectedCity = calculateDistanceFromCityCenter(
-          parseFloat(experience.latitude),
-          parseFloat(experience.longitude),
-          selectedCityCenter.lat,
-          selectedCityCenter.lng
-        );
-        actualDistanceFromSelectedCity = Math.round(actualDistanceFromSelectedCity * 100) / 100;
+      const lodgingDistances = {};
+      if (distancesByExperience.has(experience.experience_id)) {
+        for (const [index, point] of referencePoints.entries()) {
+          const distance = Math.round(distancesByExperience.get(experience.experience_id)[index] * 100) / 100;
+
+          if (point.key) lodgingDistances[point.key] = distance;
+          if (actualDistanceFromSelectedCity === null || distance < actualDistanceFromSelectedCity) {
+            actualDistanceFromSelectedCity = distance;
+          }
+        }
+
+        // Roads are longer than the straight line the SQL filter used
+        if (maxTravelDistance !== null && actualDistanceFromSelectedCity > maxTravelDistance) {
+          console.log(`🛣️ Skipped ${experience.title}: ${actualDistanceFromSelectedCity}km by road from ${referenceLabel}`);
+          continue;
+        }
       }
 
       // Parse travel_companions JSON field
@@ -1605,7 +2579,8 @@ if (city && city.trim()) {
         image_url: images.length > 0 ? images[0].image_url : null,
         // Include both distance values for debugging/info
         distance_from_city_center: experience.distance_from_city_center, // Original (from destination's own city center)
-        distance_from_selected_city: actualDistanceFromSelectedCity // New (from selected city center)
+        distance_from_selected_city: actualDistanceFromSelectedCity, // New (from selected city center, or the nearest lodging)
+        lodging_distances: lodgingDistances // Per lodging, keyed by "lat,lng"; smartItineraryGeneration picks the night's one
       });
     }
 
@@ -1614,13 +2589,13 @@ if (city && city.trim()) {
     console.log('Travel companions filter applied:', companionsToFilter);
     
     // Debug: Show distance distribution from selected city center
-    if (travel_distance && selectedCityCenter) {
+    if (travel_distance && referencePoints.length > 0) {
       const distances = processedExperiences
         .map(exp => exp.distance_from_selected_city)
         .filter(d => d !== null)
         .sort((a, b) => a - b);
       
-      console.log(`📊 Distance distribution from ${city} center:`, {
+      console.log(`📊 Distance distribution from ${referenceLabel}:`, {
         min: distances[0] || 'N/A',
         max: distances[distances.length - 1] || 'N/A',
         count_with_distance: distances.length,
@@ -1720,4 +2695,10 @@ const getItineraryWithDetails = async (itinerary_id) => {
   }
 };
 
-module.exports = { generateItinerary, saveItinerary };
\ No newline at end of file
+module.exports = {
+  generateItinerary,
+  saveItinerary,
+  regenerateItinerary,
+  regenerateItineraryDay,
+  suggestItemReplacements
+};
\ No newline at end of file
@@ -2,6 +2,49 @@ const dayjs = require('dayjs');  // Import Day.js
 const db = require('../config/db.js');
 const path = require('path');
 const notificationService = require('../services/notificationService.js');
+const accommodationService = require('../services/accommodationService');
+const { buildTransferLegs, findTransferConflicts } = require('../utils/travelTime');
+
+// Destination coordinates per experience, for travel time checks
+const getExperienceCoordinates = async (connection, experienceIds) => {
+  const coordinates = {};
+  if (experienceIds.length === 0) return coordinates;
+
+  const [rows] = await connection.query(
+    `SELECT e.experience_id, e.title, d.latitude, d.longitude
+     FROM experience e
+     LEFT JOIN destination d ON e.destination_id = d.destination_id
+     WHERE e.experience_id IN (?)`,
+    [experienceIds]
+  );
+  rows.forEach(row => {
+    coordinates[row.experience_id] = row;
+  });
+  return coordinates;
+};
+
+// Shape findTransferConflicts results for API responses
+const formatTransferConflicts = (conflicts) => conflicts.map(conflict => ({
+  day_number: conflict.day_number,
+  from: {
+    item_id: conflict.from.item_id,
+    experience_id: conflict.from.experience_id,
+    title: conflict.from.title,
+    end_time: conflict.from.end_time
+  },
+  to: {
+    item_id: conflict.to.item_id,
+    experience_id: conflict.to.experience_id,
+    title: conflict.to.title,
+    start_time: conflict.to.start_time
+  },
+  gap_minutes: conflict.gap_minutes,
+  required_minutes: conflict.required_minutes,
+  travel_minutes: conflict.travel_minutes,
+  distance_km: conflict.distance_km,
+  road_type: conflict.road_type
+}));
+
 const createItinerary = async (req, res) => {
   const { 
     traveler_id, 
@@ -10,7 +53,8 @@ const createItinerary = async (req, res) => {
     title, 
     notes, 
     items,
-    accommodation  // Optional accommodation data
+    accommodation,  // Optional accommodation data
+    accommodations  // Or several stays, one per hotel
   } = req.body;
 
   // Validate required fields
@@ -47,60 +91,47 @@ const createItinerary = async (req, res) => {
       }
     }
 
-    // Validate accommodation data if provided
-    if (accommodation) {
-      const { 
-        name, 
-        address, 
-        latitude, 
-        longitude, 
-        check_in, 
-        check_out, 
-        check_in_time,
-        check_out_time,
-        booking_link 
-      } = accommodation;
-      
-      // Validate required accommodation fields
-      if (!name || !address) {
+    // Leave enough time to travel between consecutive activities
+    const coordinates = await getExperienceCoordinates(connection, [...new Set(items.map(item => item.experience_id))]);
+    const transferConflicts = findTransferConflicts(items.map(item => ({
+      ...item,
+      title: coordinates[item.experience_id] ? coordinates[item.experience_id].title : null,
+      latitude: coordinates[item.experience_id] ? coordinates[item.experience_id].latitude : null,
+      longitude: coordinates[item.experience_id] ? coordinates[item.experience_id].longitude : null
+    })));
+
+    if (transferConflicts.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return res.status(409).json({
+        message: 'Some activities do not leave enough time to travel to the next one',
+        conflicts: formatTransferConflicts(transferConflicts)
+      });
+    }
+
+    // One stay (accommodation) or several (accommodations), e.g. when
+    // changing hotels mid-trip
+    const stays = Array.isArray(accommodations) ? accommodations : accommodation ? [accommodation] : [];
+    const checkedStays = [];
+
+    for (const stay of stays) {
+      const stayError = accommodationService.validateFields(stay);
+      if (stayError) {
         await connection.rollback();
-        return res.status(400).json({ message: 'Accommodation name and address are required' });
+        connection.release();
+        return res.status(400).json({ message: stayError });
       }
 
-      // Validate check-in and check-out dates if provided
-      if (check_in && check_out) {
-        const checkInDate = dayjs(check_in);
-        const checkOutDate = dayjs(check_out);
-        
-        if (checkInDate.isAfter(checkOutDate)) {
+      if (stay.check_in || stay.check_out || stays.length > 1) {
+        const fitError = accommodationService.checkStayFitsTrip(stay, { start_date, end_date }, checkedStays);
+        if (fitError) {
           await connection.rollback();
-          return res.status(400).json({ message: 'Check-in date cannot be after check-out date' });
+          connection.release();
+          return res.status(fitError.conflict ? 409 : 400).json({ message: fitError.message });
         }
       }
 
-      // Validate check-in and check-out times if provided (format: HH:MM or HH:MM:SS)
-      const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
-      
-      if (check_in_time && !timeRegex.test(check_in_time)) {
-        await connection.rollback();
-        return res.status(400).json({ message: 'Check-in time must be in HH:MM or HH:MM:SS format' });
-      }
-      
-      if (check_out_time && !timeRegex.test(check_out_time)) {
-        await connection.rollback();
-        return res.status(400).json({ message: 'Check-out time must be in HH:MM or HH:MM:SS format' });
-      }
-
-      // Validate latitude and longitude if provided
-      if (latitude !== undefined && (latitude < -90 || latitude > 90)) {
-        await connection.rollback();
-        return res.status(400).json({ message: 'Latitude must be between -90 and 90' });
-      }
-      
-      if (longitude !== undefined && (longitude < -180 || longitude > 180)) {
-        await connection.rollback();
-        return res.status(400).json({ message: 'Longitude must be between -180 and 180' });
-      }
+      checkedStays.push(stay);
     }
 
     // Insert into itinerary table
@@ -136,46 +167,15 @@ const createItinerary = async (req, res) => {
       [itemValues]
     );
 
-    // Insert accommodation if provided
-    let accommodationData = null;
-    if (accommodation) {
-      const { 
-        name, 
-        address, 
-        latitude, 
-        longitude, 
-        check_in, 
-        check_out,
-        check_in_time,
-        check_out_time,
-        booking_link 
-      } = accommodation;
-      
-      const [accommodationResult] = await connection.query(
-        `INSERT INTO accommodation 
-         (itinerary_id, name, address, latitude, longitude, check_in, check_out, check_in_time, check_out_time, booking_link)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          itinerary_id,
-          name,
-          address,
-          latitude || null,
-          longitude || null,
-          check_in || null,
-          check_out || null,
-          check_in_time || null,
-          check_out_time || null,
-          booking_link || null
-        ]
-      );
-
-      // Fetch the created accommodation data for response
+    // Insert the stays
+    const accommodationData = [];
+    for (const stay of stays) {
+      const accommodationId = await accommodationService.insertStay(connection, traveler_id, itinerary_id, stay);
       const [createdAccommodation] = await connection.query(
         'SELECT * FROM accommodation WHERE accommodation_id = ?',
-        [accommodationResult.insertId]
+        [accommodationId]
       );
-      
-      accommodationData = createdAccommodation[0];
+      accommodationData.push(createdAccommodation[0]);
     }
 
     // Commit the transaction
@@ -189,8 +189,9 @@ const createItinerary = async (req, res) => {
     };
 
     // Add accommodation data to response if it was created
-    if (accommodationData) {
-      response.accommodation = accommodationData;
+    if (accommodationData.length > 0) {
+      response.accommodation = accommodationData[0];
+      response.accommodations = accommodationData;
     }
 
     res.status(201).json(response);
@@ -634,6 +635,11 @@ const getItineraryWithRealTimeStatus = async (itineraryId) => {
     if (itineraryInfo.length === 0) return null;
     
     const itinerary = itineraryInfo[0];
+
+    // Cancelled trips keep their status whatever the dates say
+    if (itinerary.status === 'cancelled') {
+      return { ...itinerary, currentActivityInfo: null };
+    }
     
     // Calculate real-time status
     const realTimeStatus = await calculateItineraryStatus(itineraryId);
@@ -828,12 +834,17 @@ const getItineraryById = async (req, res) => {
          ii.start_time,
          ii.end_time,
          ii.custom_note,
+         ii.is_pinned,
          ii.created_at,
          ii.updated_at,
          e.title AS experience_name, 
          e.description AS experience_description,
          e.price,
          e.unit,
+         b.adults,
+         b.children,
+         b.unit_price,
+         b.subtotal,
          d.name AS destination_name,
          d.city AS destination_city,
          d.latitude AS destination_latitude,
@@ -841,6 +852,7 @@ const getItineraryById = async (req, res) => {
        FROM itinerary_items ii
        LEFT JOIN experience e ON ii.experience_id = e.experience_id
        LEFT JOIN destination d ON e.destination_id = d.destination_id
+       LEFT JOIN bookings b ON b.item_id = ii.item_id AND b.status != 'Cancelled'
        WHERE ii.itinerary_id = ?
        ORDER BY ii.day_number, ii.start_time`,
       [itinerary_id]
@@ -910,9 +922,35 @@ const formattedPayments = payments.map(payment => ({
       })
     );
 
+    // Estimated transfer from the previous activity of the same day
+    const transferLegs = buildTransferLegs(itemsWithImages);
+
+    const stays = await accommodationService.getStays(itinerary_id);
+
     const detailedItinerary = {
       ...formattedItinerary,
-      items: itemsWithImages
+      accommodations: stays.map(stay => ({
+        ...stay,
+        check_in: stay.check_in ? dayjs(stay.check_in).format('YYYY-MM-DD') : null,
+        check_out: stay.check_out ? dayjs(stay.check_out).format('YYYY-MM-DD') : null
+      })),
+      items: itemsWithImages.map((item, index) => {
+        const leg = transferLegs[index];
+        return {
+          ...item,
+          transfer: leg
+            ? {
+                from_item_id: itemsWithImages[leg.from_index].item_id,
+                distance_km: leg.distance_km,
+                road_type: leg.road_type,
+                travel_minutes: leg.travel_minutes,
+                buffer_minutes: leg.buffer_minutes,
+                gap_minutes: leg.gap_minutes,
+                sufficient: leg.sufficient
+              }
+            : null
+        };
+      })
     };
 
     // 🆕 Include current activity info in response
@@ -1282,18 +1320,6 @@ const updateItinerary = async (req, res) => {
 };
 
 // Delete an itinerary
-const deleteItinerary = async (req, res) => {
-  const { itinerary_id } = req.params;
-
-  try {
-    await db.query('DELETE FROM itinerary WHERE itinerary_id = ?', [itinerary_id]);
-    res.status(200).json({ message: 'Itinerary deleted successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-};
-
 module.exports = {
   createItinerary,
   getItineraryByTraveler,
@@ -1305,5 +1331,6 @@ module.exports = {
   getItineraryItemById,
   getItineraryItems,
   updateItinerary,
-  deleteItinerary,
+  getExperienceCoordinates,
+  formatTransferConflicts,
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 const db = require('../config/db.js');
 const dayjs = require('dayjs');
 const notificationService = require('../services/notificationService');
+const { findTransferConflicts } = require('../utils/travelTime');
+const { formatTransferConflicts } = require('./itineraryController');
 
 // Bulk update itinerary items
 const bulkUpdateItineraryItems = async (req, res) => {
@@ -122,6 +124,37 @@ const bulkUpdateItineraryItems = async (req, res) => {
       }
     }
 
+    // The new times must still leave room to travel between activities
+    const [dayItems] = await connection.query(
+      `SELECT ii.item_id, ii.experience_id, ii.day_number, ii.start_time, ii.end_time,
+              e.title, d.latitude, d.longitude
+       FROM itinerary_items ii
+       JOIN experience e ON ii.experience_id = e.experience_id
+       LEFT JOIN destination d ON e.destination_id = d.destination_id
+       WHERE ii.itinerary_id = ?`,
+      [itinerary_id]
+    );
+
+    const updatesById = {};
+    updates.forEach(update => {
+      updatesById[update.item_id] = update;
+    });
+
+    const transferConflicts = findTransferConflicts(dayItems.map(item => (
+      updatesById[item.item_id]
+        ? { ...item, start_time: updatesById[item.item_id].start_time, end_time: updatesById[item.item_id].end_time }
+        : item
+    ))).filter(conflict => updatesById[conflict.from.item_id] || updatesById[conflict.to.item_id]);
+
+    if (transferConflicts.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return res.status(409).json({
+        message: 'Some activities do not leave enough time to travel to the next one',
+        conflicts: formatTransferConflicts(transferConflicts)
+      });
+    }
+
     // Perform bulk updates
     const updatePromises = updates.map(update => {
       const { item_id, start_time, end_time, custom_note } = update;
@@ -474,9 +507,36 @@ const deleteItineraryItem = async (req, res) => {
   }
 };
 
+// Pin or unpin an item; pinned items keep their time when a day is optimized
+const setItineraryItemPinned = async (req, res) => {
+  const { id: itinerary_id, item_id } = req.params;
+  const { pinned } = req.body || {};
+
+  if (typeof pinned !== 'boolean') {
+    return res.status(400).json({ message: 'pinned must be true or false' });
+  }
+
+  try {
+    const [result] = await db.query(
+      'UPDATE itinerary_items SET is_pinned = ?, updated_at = ? WHERE item_id = ? AND itinerary_id = ?',
+      [pinned ? 1 : 0, dayjs().format('YYYY-MM-DD HH:mm:ss'), item_id, itinerary_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Itinerary item not found' });
+    }
+
+    res.status(200).json({ message: pinned ? 'Item pinned' : 'Item unpinned', item_id: Number(item_id), is_pinned: pinned });
+  } catch (err) {
+    console.error('Error pinning itinerary item:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
 module.exports = {
   bulkUpdateItineraryItems,
   bulkDeleteItineraryItems,
   updateItineraryItem,
-  deleteItineraryItem
+  deleteItineraryItem,
+  setItineraryItemPinned
 };
\ No newline at end of file
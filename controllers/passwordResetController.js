@@ -2,6 +2,7 @@ const db = require("../config/db.js");
 const nodemailer = require("nodemailer");
 const bcrypt = require("bcrypt");
 const generateOtp = require("../utils/generateOTP.js");
+const sessionService = require("../services/sessionService");
 
 
 
@@ -80,6 +81,12 @@ const resetPassword = async (req, res) => {
     [email]
   );
 
+  // A new password signs the account out everywhere
+  const [users] = await db.query("SELECT user_id FROM users WHERE email = ?", [email]);
+  if (users.length > 0) {
+    await sessionService.revokeAllSessions(users[0].user_id, "password_reset");
+  }
+
   res.json({ message: "Password updated successfully" });
 };
 
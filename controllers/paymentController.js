@@ -0,0 +1,243 @@
+require('dotenv').config();
+const db = require('../config/db.js');
+const paymentService = require('../services/paymentService');
+const webhookService = require('../services/webhookService');
+
+const formatIntent = (intent) => ({
+  ...intent,
+  amount: parseFloat(intent.amount)
+});
+
+const formatPayment = (payment) => ({
+  ...payment,
+  total_amount: parseFloat(payment.total_amount),
+  amount_paid: parseFloat(payment.amount_paid),
+  amount_refunded: parseFloat(payment.amount_refunded || 0),
+  remaining_balance: paymentService.getRemainingBalance(payment)
+});
+
+// Start a payment for an itinerary. Without an amount the whole remaining
+// balance is charged; a smaller amount makes it a partial payment.
+const createPaymentIntent = async (req, res) => {
+  const { itinerary_id, amount, currency, provider } = req.body;
+
+  if (!itinerary_id) {
+    return res.status(400).json({ message: 'itinerary_id is required' });
+  }
+
+  try {
+    const [itinerary] = await db.query(
+      'SELECT traveler_id, status FROM itinerary WHERE itinerary_id = ?',
+      [itinerary_id]
+    );
+    if (itinerary.length > 0 && itinerary[0].status === 'cancelled') {
+      return res.status(400).json({ message: 'This itinerary has been cancelled' });
+    }
+
+    const payment = await paymentService.getPaymentByItinerary(itinerary_id);
+    if (!payment) {
+      return res.status(404).json({ message: 'No payment record found for this itinerary' });
+    }
+
+    const remaining = paymentService.getRemainingBalance(payment);
+    if (payment.payment_status === 'Paid' || remaining <= 0) {
+      return res.status(400).json({ message: 'This itinerary is already fully paid' });
+    }
+
+    const chargeAmount = amount === undefined ? remaining : parseFloat(amount);
+    if (isNaN(chargeAmount) || chargeAmount <= 0) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    if (chargeAmount > remaining) {
+      return res.status(400).json({
+        message: 'amount exceeds the remaining balance',
+        remaining_balance: remaining
+      });
+    }
+
+    // The intent belongs to the traveler even when an admin opens it
+    const intent = await paymentService.createIntent(payment, {
+      travelerId: itinerary[0].traveler_id,
+      amount: chargeAmount,
+      currency,
+      providerName: provider
+    });
+
+    res.status(201).json({
+      message: 'Payment intent created',
+      intent: formatIntent(intent),
+      payment: formatPayment(payment)
+    });
+  } catch (err) {
+    console.error('Error creating payment intent:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Pay an open intent through its provider
+const confirmPaymentIntent = async (req, res) => {
+  const { intent_id } = req.params;
+  const { payment_method } = req.body;
+
+  try {
+    const intent = await paymentService.getIntentById(intent_id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+
+    if (intent.status === 'succeeded') {
+      return res.status(400).json({ message: 'This payment intent has already been paid' });
+    }
+    if (['failed', 'cancelled'].includes(intent.status)) {
+      return res.status(400).json({ message: `This payment intent is ${intent.status}. Create a new one to retry.` });
+    }
+
+    // Another payment may have settled part of the balance since this intent was opened
+    const payment = await paymentService.getPaymentByItinerary(intent.itinerary_id);
+    if (parseFloat(intent.amount) > paymentService.getRemainingBalance(payment)) {
+      await paymentService.cancelIntent(intent);
+      return res.status(409).json({
+        message: 'Payment amount exceeds the remaining balance. The intent was cancelled.',
+        remaining_balance: paymentService.getRemainingBalance(payment)
+      });
+    }
+
+    const result = await paymentService.confirmIntent(intent, { payment_method });
+
+    if (result.intent.status === 'failed') {
+      return res.status(402).json({
+        message: 'Payment failed',
+        reason: result.intent.failure_reason,
+        intent: formatIntent(result.intent)
+      });
+    }
+
+    res.status(200).json({
+      message: result.intent.status === 'succeeded' ? 'Payment successful' : 'Payment is processing',
+      intent: formatIntent(result.intent),
+      payment: formatPayment(result.payment),
+      bookings_confirmed: result.becamePaid
+    });
+  } catch (err) {
+    console.error('Error confirming payment intent:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+const cancelPaymentIntent = async (req, res) => {
+  const { intent_id } = req.params;
+
+  try {
+    const intent = await paymentService.getIntentById(intent_id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+
+    if (intent.status !== 'requires_payment') {
+      return res.status(400).json({ message: `A ${intent.status} payment intent cannot be cancelled` });
+    }
+
+    const result = await paymentService.cancelIntent(intent);
+    res.status(200).json({ message: 'Payment intent cancelled', intent: formatIntent(result.intent) });
+  } catch (err) {
+    console.error('Error cancelling payment intent:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Payment summary and payment history of an itinerary
+const getItineraryPayment = async (req, res) => {
+  const { itinerary_id } = req.params;
+
+  try {
+    const payment = await paymentService.getPaymentByItinerary(itinerary_id);
+    if (!payment) {
+      return res.status(404).json({ message: 'No payment record found for this itinerary' });
+    }
+
+    const intents = await paymentService.getIntentsByItinerary(itinerary_id);
+    const refunds = await paymentService.getRefundsByItinerary(itinerary_id);
+
+    res.status(200).json({
+      payment: formatPayment(payment),
+      intents: intents.map(formatIntent),
+      refunds: refunds.map(refund => ({ ...refund, amount: parseFloat(refund.amount) }))
+    });
+  } catch (err) {
+    console.error('Error fetching itinerary payment:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Provider callback. This is the source of truth for payment results, so it
+// answers 500 on processing errors to make the provider deliver the event again.
+const handlePaymentWebhook = async (req, res) => {
+  const provider = req.params.provider || process.env.PAYMENT_PROVIDER || 'mock';
+
+  try {
+    const result = await webhookService.receiveEvent(provider, req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+
+    if (result.status === 'invalid_signature') {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+    if (result.status === 'invalid_payload') {
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
+    if (result.status === 'failed') {
+      return res.status(500).json({ error: 'Event could not be processed', details: result.event.error_message });
+    }
+
+    res.status(200).json({ received: true, duplicate: result.status === 'duplicate' });
+  } catch (err) {
+    if (err.message.startsWith('Unknown payment provider')) {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error('Error handling payment webhook:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin: list stored webhook events, e.g. ?status=failed
+const getWebhookEvents = async (req, res) => {
+  const { status, limit } = req.query;
+
+  try {
+    const events = await webhookService.listEvents({ status, limit });
+    res.status(200).json({ events });
+  } catch (err) {
+    console.error('Error fetching webhook events:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+// Admin: reprocess a stored event. { force: true } also replays processed events.
+const replayWebhookEvent = async (req, res) => {
+  const { webhook_event_id } = req.params;
+  const { force } = req.body || {};
+
+  try {
+    const result = await webhookService.replayEvent(webhook_event_id, { force: !!force });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+    if (result.status === 'already_processed') {
+      return res.status(400).json({ message: 'Event was already processed. Pass force: true to replay it anyway.' });
+    }
+
+    res.status(200).json({ message: `Event ${result.status}`, event: result.event });
+  } catch (err) {
+    console.error('Error replaying webhook event:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = {
+  createPaymentIntent,
+  confirmPaymentIntent,
+  cancelPaymentIntent,
+  getItineraryPayment,
+  handlePaymentWebhook,
+  getWebhookEvents,
+  replayWebhookEvent
+};
@@ -60,6 +60,10 @@ const registerUser = async (req, res) => {
 
     // Set default role if not provided
     const userRole = role || 'Creator';
+    // Admin accounts cannot be self-registered
+    if (!['Traveler', 'Creator'].includes(userRole)) {
+      return res.status(400).json({ message: 'Role must be either Traveler or Creator' });
+    }
     // const userRole = role || 'Traveler';
     // Hash 
     const hashedPassword = await bcrypt.hash(password, 10);
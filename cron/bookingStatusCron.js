@@ -5,6 +5,7 @@ const timezone = require('dayjs/plugin/timezone');
 const isSameOrAfter = require('dayjs/plugin/isSameOrAfter');
 const isSameOrBefore = require('dayjs/plugin/isSameOrBefore');
 const notificationService = require('../services/notificationService.js');
+const bookingStateService = require('../services/bookingStateService');
 const db = require('../config/db.js');
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -83,12 +84,16 @@ const updateBookingStatuses = async () => {
 
         // Update status if it changed
         if (newStatus !== booking.status) {
-          await db.query(
-            `UPDATE bookings 
-             SET status = ?, updated_at = ?
-             WHERE booking_id = ?`,
-            [newStatus, dayjs().format('YYYY-MM-DD HH:mm:ss'), booking.booking_id]
-          );
+          const change = await bookingStateService.transition(booking.booking_id, newStatus, {
+            actorRole: 'system',
+            reason: newStatus === 'Ongoing' ? 'Time slot started' : 'Time slot ended'
+          });
+
+          // Someone else changed the booking since it was read (e.g. cancelled)
+          if (change.status !== 'changed') {
+            console.log(`⏭️ Skipped booking ${booking.booking_id}: ${change.status}`);
+            continue;
+          }
 
           if (newStatus === 'Ongoing') updatedToOngoing++;
           if (newStatus === 'Completed') updatedToCompleted++;
@@ -130,6 +135,11 @@ const updateBookingStatuses = async () => {
 
           // Case 2: auto-mark absent after another 15 min
           if (booking.attendance_reminders_sent === 1 && minutesSincePrompt >= 30) {
+            await bookingStateService.transition(booking.booking_id, 'NoShow', {
+              actorRole: 'system',
+              reason: 'Attendance not confirmed within 30 minutes'
+            });
+
             await db.query(
               `UPDATE bookings 
                SET traveler_attendance = 'Absent', attendance_reminders_sent = 2
@@ -12,7 +12,12 @@ dotenv.config();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around: payment webhooks are signed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // User
@@ -54,6 +59,10 @@ app.use('/itinerary', itineraryRoutes);
 const itineraryExperienceRoutes = require('./routes/itineraryExperienceRoutes');
 app.use('/itinerary', itineraryExperienceRoutes);
 
+// Accommodation
+const accommodationRoutes = require('./routes/accommodationRoutes');
+app.use('/accommodation', accommodationRoutes);
+
 // Booking
 const bookingRoutes = require('./routes/bookingRoutes');
 app.use('/booking', bookingRoutes);
@@ -73,6 +82,14 @@ app.use('/reviews', reviewRoutes);
 const passwordResetRoutes =  require("./routes/passwordResetRoutes");
 app.use("/password-reset", passwordResetRoutes);
 
+// Payments
+const paymentRoutes = require('./routes/paymentRoutes');
+app.use('/payments', paymentRoutes);
+
+// City registry
+const cityRoutes = require('./routes/cityRoutes');
+app.use('/cities', cityRoutes);
+
 
 // Start server
 app.listen(port, '0.0.0.0', () => {
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -6,8 +7,20 @@ const authenticateToken = (req, res, next) => {
 
   if (!token) return res.status(401).json({ error: 'Access denied. No token provided.' });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ error: 'Invalid token' }); 
+
+    // Tokens are tied to a login session; once it is revoked (logout,
+    // sign out of all devices, refresh token reuse) the token stops working
+    try {
+      if (!user.session_id || !(await sessionService.isSessionActive(user.session_id))) {
+        return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+      }
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
     req.user = user;
     next();
   });
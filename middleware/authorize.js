@@ -0,0 +1,181 @@
+// middleware/authorize.js
+// Role and ownership guards. These run AFTER authenticateToken, which puts the
+// JWT payload (user_id, role, ...) on req.user.
+const db = require('../config/db.js');
+
+const ROLES = {
+  TRAVELER: 'Traveler',
+  CREATOR: 'Creator',
+  ADMIN: 'Admin'
+};
+
+const isAdmin = (user) => !!user && String(user.role).toLowerCase() === ROLES.ADMIN.toLowerCase();
+
+// Only allow the listed roles through, e.g. requireRole(ROLES.CREATOR, ROLES.ADMIN)
+const requireRole = (...allowedRoles) => {
+  const allowed = allowedRoles.map(role => role.toLowerCase());
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    if (!allowed.includes(String(req.user.role).toLowerCase())) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires one of the following roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// How to find the owner(s) of each resource. Every column listed in `owners`
+// counts as an owner, and a query may return several rows (e.g. every creator
+// with an experience at a destination).
+const OWNERSHIP_RESOLVERS = {
+  user: {
+    query: 'SELECT user_id FROM users WHERE user_id = ?',
+    owners: ['user_id']
+  },
+  experience: {
+    query: 'SELECT creator_id FROM experience WHERE experience_id = ?',
+    owners: ['creator_id']
+  },
+  destination: {
+    query: 'SELECT DISTINCT creator_id FROM experience WHERE destination_id = ?',
+    owners: ['creator_id']
+  },
+  itinerary: {
+    query: 'SELECT traveler_id FROM itinerary WHERE itinerary_id = ?',
+    owners: ['traveler_id']
+  },
+  booking: {
+    query: 'SELECT traveler_id, creator_id FROM bookings WHERE booking_id = ?',
+    owners: ['traveler_id', 'creator_id']
+  },
+  bookingTraveler: {
+    query: 'SELECT traveler_id FROM bookings WHERE booking_id = ?',
+    owners: ['traveler_id']
+  },
+  bookingCreator: {
+    query: 'SELECT creator_id FROM bookings WHERE booking_id = ?',
+    owners: ['creator_id']
+  },
+  preference: {
+    query: 'SELECT traveler_id FROM preferences WHERE preference_id = ?',
+    owners: ['traveler_id']
+  },
+  accommodation: {
+    query: 'SELECT traveler_id FROM accommodation WHERE accommodation_id = ?',
+    owners: ['traveler_id']
+  },
+  paymentIntent: {
+    query: 'SELECT traveler_id FROM payment_intents WHERE intent_id = ?',
+    owners: ['traveler_id']
+  },
+  availabilityRule: {
+    query: `SELECT e.creator_id FROM experience_availability ea
+            JOIN experience e ON ea.experience_id = e.experience_id
+            WHERE ea.availability_id = ?`,
+    owners: ['creator_id']
+  },
+  availabilityException: {
+    query: `SELECT e.creator_id FROM availability_exceptions ae
+            JOIN experience e ON ae.experience_id = e.experience_id
+            WHERE ae.exception_id = ?`,
+    owners: ['creator_id']
+  }
+};
+
+const resolveOwners = async (resource, resourceId) => {
+  const resolver = OWNERSHIP_RESOLVERS[resource];
+  if (!resolver) {
+    throw new Error(`No ownership resolver registered for "${resource}"`);
+  }
+
+  const [rows] = await db.query(resolver.query, [resourceId]);
+  if (rows.length === 0) return null;
+
+  const owners = new Set();
+  rows.forEach(row => {
+    resolver.owners.forEach(column => {
+      if (row[column] !== null && row[column] !== undefined) {
+        owners.add(Number(row[column]));
+      }
+    });
+  });
+
+  return [...owners];
+};
+
+// Only allow the owner of a resource (or an Admin) through.
+//   requireOwnership('experience', { param: 'experience_id' })
+//   requireOwnership('experience', { param: 'experience_id', from: 'body' })
+// `from` picks where the id is read from: 'params' (default), 'body' or 'query'.
+// A missing id is a 400 and a resource that does not exist is a 404.
+const requireOwnership = (resource, { param = 'id', from = 'params' } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    if (isAdmin(req.user)) return next();
+
+    const resourceId = req[from] ? req[from][param] : undefined;
+    if (resourceId === undefined || resourceId === null || resourceId === '') {
+      return res.status(400).json({ message: `${param} is required` });
+    }
+
+    try {
+      const owners = await resolveOwners(resource, resourceId);
+
+      if (!owners) {
+        return res.status(404).json({ message: `${resource} not found` });
+      }
+
+      if (!owners.includes(Number(req.user.user_id))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `You do not have permission to modify this ${resource}`
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error(`Error checking ${resource} ownership:`, err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  };
+};
+
+// Shortcut for handlers that take the acting user's id from the request
+// (e.g. traveler_id in the body): the id must be the caller's own, unless Admin.
+const requireSelf = (param, from = 'body') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    if (isAdmin(req.user)) return next();
+
+    const value = req[from] ? req[from][param] : undefined;
+    if (value !== undefined && Number(value) !== Number(req.user.user_id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `${param} must match the authenticated user`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  isAdmin,
+  requireRole,
+  requireOwnership,
+  requireSelf
+};
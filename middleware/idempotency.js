@@ -0,0 +1,141 @@
+// middleware/idempotency.js
+// Idempotency-Key support for create endpoints. A retried request with the
+// same key gets the first response back instead of creating a second record.
+// Runs AFTER authenticateToken: keys are per user and per endpoint.
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const db = require('../config/db.js');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A key still 'processing' after this long belongs to a request that died
+// without answering (crash, restart), so it can be used again
+const PROCESSING_TIMEOUT_MINUTES = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES, 10) || 5;
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+const releaseKey = async (keyId) => {
+  try {
+    await db.query('DELETE FROM idempotency_keys WHERE key_id = ?', [keyId]);
+  } catch (err) {
+    console.error('Error releasing Idempotency-Key:', err);
+  }
+};
+
+// Remember the response as soon as the handler produces it, whether or not
+// the client is still connected to receive it: the work is done either way,
+// so a retry must get this response back instead of running it again.
+// Server errors free the key so the client can retry with it. A handler that
+// never answers leaves the key 'processing' until PROCESSING_TIMEOUT_MINUTES.
+const storeResponse = (res, keyId) => {
+  let stored = false;
+
+  const store = async (statusCode, body) => {
+    if (stored) return;
+    stored = true;
+
+    try {
+      if (statusCode >= 500) {
+        await releaseKey(keyId);
+        return;
+      }
+
+      await db.query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = ?, response_body = ?, completed_at = ?
+         WHERE key_id = ?`,
+        [
+          statusCode,
+          JSON.stringify(body),
+          dayjs().format('YYYY-MM-DD HH:mm:ss'),
+          keyId
+        ]
+      );
+    } catch (err) {
+      console.error('Error storing idempotent response:', err);
+    }
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    store(res.statusCode, body);
+    return json(body);
+  };
+
+  // Responses not sent with res.json (e.g. the default error handler)
+  res.on('finish', () => store(res.statusCode, null));
+};
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+  if (!req.user) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  const requestHash = hashBody(req.body);
+
+  try {
+    // Keys older than the TTL, and requests that never finished, can be used again
+    await db.query(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = ? AND scope = ? AND idempotency_key = ?
+         AND (created_at < ? OR (status = 'processing' AND created_at < ?))`,
+      [
+        req.user.user_id,
+        scope,
+        key,
+        dayjs().subtract(KEY_TTL_HOURS, 'hour').format('YYYY-MM-DD HH:mm:ss'),
+        dayjs().subtract(PROCESSING_TIMEOUT_MINUTES, 'minute').format('YYYY-MM-DD HH:mm:ss')
+      ]
+    );
+
+    const [result] = await db.query(
+      `INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, scope, request_hash, status, created_at)
+       VALUES (?, ?, ?, ?, 'processing', ?)`,
+      [req.user.user_id, key, scope, requestHash, dayjs().format('YYYY-MM-DD HH:mm:ss')]
+    );
+
+    if (result.affectedRows === 1) {
+      storeResponse(res, result.insertId);
+      return next();
+    }
+
+    const [rows] = await db.query(
+      'SELECT * FROM idempotency_keys WHERE user_id = ? AND scope = ? AND idempotency_key = ?',
+      [req.user.user_id, scope, key]
+    );
+    const stored = rows[0];
+
+    // Freed between the insert and the select; let the client retry
+    if (!stored) {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+    if (stored.request_hash !== requestHash) {
+      return res.status(422).json({ message: 'This Idempotency-Key was already used with a different request' });
+    }
+    if (stored.status === 'processing') {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    const body = typeof stored.response_body === 'string'
+      ? JSON.parse(stored.response_body)
+      : stored.response_body;
+
+    res.set('Idempotent-Replayed', 'true');
+    res.status(stored.response_status).json(body);
+  } catch (err) {
+    console.error('Error checking Idempotency-Key:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+};
+
+module.exports = idempotent;
@@ -0,0 +1,3 @@
+-- 001: Admin role for the authorization layer (middleware/authorize.js)
+ALTER TABLE `users`
+  MODIFY `role` enum('Traveler','Creator','Admin') NOT NULL DEFAULT 'Traveler';
@@ -0,0 +1,33 @@
+-- 002: Login sessions and rotating refresh tokens (services/sessionService.js)
+-- Every login creates a session; access tokens carry its session_id so that
+-- revoking the session (logout, logout-all, refresh token reuse) invalidates them.
+CREATE TABLE IF NOT EXISTS `user_sessions` (
+  `session_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_used_at` datetime DEFAULT NULL,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `revoke_reason` varchar(50) DEFAULT NULL,
+  PRIMARY KEY (`session_id`),
+  KEY `idx_user_sessions_user` (`user_id`, `revoked_at`),
+  CONSTRAINT `fk_user_sessions_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- One row per issued refresh token. A token is single-use: once rotated it gets
+-- used_at/replaced_by, and presenting it again revokes the whole session.
+CREATE TABLE IF NOT EXISTS `refresh_tokens` (
+  `token_id` int NOT NULL AUTO_INCREMENT,
+  `session_id` int NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `replaced_by` int DEFAULT NULL,
+  PRIMARY KEY (`token_id`),
+  UNIQUE KEY `uq_refresh_tokens_hash` (`token_hash`),
+  KEY `idx_refresh_tokens_session` (`session_id`),
+  CONSTRAINT `fk_refresh_tokens_session` FOREIGN KEY (`session_id`) REFERENCES `user_sessions` (`session_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,31 @@
+-- 003: Payment intents for itinerary_payments (services/paymentService.js)
+-- An itinerary can be paid in several parts; each attempt is one intent.
+CREATE TABLE IF NOT EXISTS `payment_intents` (
+  `intent_id` int NOT NULL AUTO_INCREMENT,
+  `payment_id` int NOT NULL,
+  `itinerary_id` int NOT NULL,
+  `traveler_id` int NOT NULL,
+  `provider` varchar(30) NOT NULL,
+  `provider_reference` varchar(100) DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'PHP',
+  `status` enum('requires_payment','processing','succeeded','failed','cancelled') NOT NULL DEFAULT 'requires_payment',
+  `failure_reason` varchar(255) DEFAULT NULL,
+  `client_secret` varchar(100) DEFAULT NULL,
+  `checkout_url` varchar(255) DEFAULT NULL,
+  `succeeded_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`intent_id`),
+  UNIQUE KEY `uq_payment_intents_provider_ref` (`provider`, `provider_reference`),
+  KEY `idx_payment_intents_payment` (`payment_id`),
+  KEY `idx_payment_intents_itinerary` (`itinerary_id`),
+  CONSTRAINT `fk_payment_intents_payment` FOREIGN KEY (`payment_id`) REFERENCES `itinerary_payments` (`payment_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Partial payments need their own status on both the trip and its bookings
+ALTER TABLE `itinerary_payments`
+  MODIFY `payment_status` enum('Unpaid','Partial','Paid') NOT NULL DEFAULT 'Unpaid';
+
+ALTER TABLE `bookings`
+  MODIFY `payment_status` enum('Unpaid','Partial','Paid') NOT NULL DEFAULT 'Unpaid';
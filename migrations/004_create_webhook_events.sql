@@ -0,0 +1,21 @@
+-- 004: Raw payment provider webhook events (services/webhookService.js)
+-- (provider, event_id) is unique so a redelivered event is recognised and
+-- never applied twice. Failed events can be replayed with
+-- scripts/replayWebhookEvents.js or POST /payments/webhook-events/:id/replay.
+CREATE TABLE IF NOT EXISTS `webhook_events` (
+  `webhook_event_id` int NOT NULL AUTO_INCREMENT,
+  `provider` varchar(30) NOT NULL,
+  `event_id` varchar(100) NOT NULL,
+  `event_type` varchar(100) DEFAULT NULL,
+  `provider_reference` varchar(100) DEFAULT NULL,
+  `payload` longtext NOT NULL,
+  `signature` varchar(255) DEFAULT NULL,
+  `status` enum('received','processed','ignored','failed') NOT NULL DEFAULT 'received',
+  `attempts` int NOT NULL DEFAULT 0,
+  `error_message` text,
+  `received_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `processed_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`webhook_event_id`),
+  UNIQUE KEY `uq_webhook_events_provider_event` (`provider`, `event_id`),
+  KEY `idx_webhook_events_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,48 @@
+-- 005: Cancellation policies per experience and refunds (services/cancellationService.js)
+
+-- 'custom' policies keep their tiers as JSON: [{ "hours_before": 48, "refund_percent": 100 }, ...]
+ALTER TABLE `experience`
+  ADD COLUMN `cancellation_policy` enum('flexible','moderate','strict','custom') NOT NULL DEFAULT 'moderate',
+  ADD COLUMN `cancellation_tiers` json DEFAULT NULL;
+
+-- Cancelled bookings are kept (no more hard deletes)
+ALTER TABLE `bookings`
+  MODIFY `status` enum('Pending','Confirmed','Ongoing','Completed','Cancelled') NOT NULL DEFAULT 'Pending',
+  MODIFY `payment_status` enum('Unpaid','Partial','Paid','Refunded') NOT NULL DEFAULT 'Unpaid',
+  ADD COLUMN `cancelled_at` datetime DEFAULT NULL,
+  ADD COLUMN `cancelled_by` int DEFAULT NULL,
+  ADD COLUMN `cancellation_reason` varchar(255) DEFAULT NULL,
+  ADD COLUMN `refund_amount` decimal(10,2) NOT NULL DEFAULT 0.00;
+
+ALTER TABLE `itinerary_payments`
+  MODIFY `payment_status` enum('Unpaid','Partial','Paid','Partially Refunded','Refunded') NOT NULL DEFAULT 'Unpaid',
+  ADD COLUMN `amount_refunded` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `amount_paid`;
+
+-- One row per refunded booking
+CREATE TABLE IF NOT EXISTS `refunds` (
+  `refund_id` int NOT NULL AUTO_INCREMENT,
+  `payment_id` int NOT NULL,
+  `itinerary_id` int NOT NULL,
+  `booking_id` int DEFAULT NULL,
+  `intent_id` int DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `refund_percent` int NOT NULL,
+  `policy` varchar(20) NOT NULL,
+  `hours_before_start` decimal(10,2) DEFAULT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `status` enum('pending','succeeded','failed') NOT NULL DEFAULT 'pending',
+  `provider_reference` varchar(100) DEFAULT NULL,
+  `failure_reason` varchar(255) DEFAULT NULL,
+  `requested_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`refund_id`),
+  KEY `idx_refunds_payment` (`payment_id`),
+  KEY `idx_refunds_booking` (`booking_id`),
+  CONSTRAINT `fk_refunds_payment` FOREIGN KEY (`payment_id`) REFERENCES `itinerary_payments` (`payment_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Cancelled trips are kept too, with status 'cancelled'
+ALTER TABLE `itinerary`
+  MODIFY `status` enum('upcoming','ongoing','completed','cancelled') NOT NULL DEFAULT 'upcoming',
+  ADD COLUMN `cancelled_at` datetime DEFAULT NULL;
@@ -0,0 +1,28 @@
+-- 006: Slot capacity and per-date inventory (services/inventoryService.js)
+
+-- Max guests per slot occurrence. NULL keeps the old behaviour (unlimited).
+ALTER TABLE `availability_time_slots`
+  ADD COLUMN `capacity` int DEFAULT NULL;
+
+-- Guests booked per experience, date and start time. Keyed by start time instead
+-- of slot_id because editing an experience recreates its slot rows.
+CREATE TABLE IF NOT EXISTS `slot_inventory` (
+  `experience_id` int NOT NULL,
+  `booking_date` date NOT NULL,
+  `start_time` time NOT NULL,
+  `booked_guests` int NOT NULL DEFAULT 0,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`experience_id`, `booking_date`, `start_time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Seats a booking holds in slot_inventory
+ALTER TABLE `bookings`
+  ADD COLUMN `guest_count` int NOT NULL DEFAULT 1;
+
+-- Backfill inventory from the bookings that already exist
+INSERT INTO `slot_inventory` (`experience_id`, `booking_date`, `start_time`, `booked_guests`)
+SELECT experience_id, booking_date, generated_start_time, SUM(guest_count)
+FROM `bookings`
+WHERE status != 'Cancelled' AND booking_date IS NOT NULL AND generated_start_time IS NOT NULL
+GROUP BY experience_id, booking_date, generated_start_time
+ON DUPLICATE KEY UPDATE `booked_guests` = VALUES(`booked_guests`);
@@ -0,0 +1,37 @@
+-- 007: Date-range rules and date-specific exceptions (services/availabilityService.js)
+
+-- A weekly rule can be limited to a season. NULL means open-ended.
+ALTER TABLE `experience_availability`
+  ADD COLUMN `valid_from` date DEFAULT NULL,
+  ADD COLUMN `valid_until` date DEFAULT NULL;
+
+-- Exceptions for one calendar date:
+--   blackout - closed all day, weekly slots do not apply
+--   override - only this exception's slots apply that day
+--   extra    - this exception's slots are added to the weekly ones
+CREATE TABLE IF NOT EXISTS `availability_exceptions` (
+  `exception_id` int NOT NULL AUTO_INCREMENT,
+  `experience_id` int NOT NULL,
+  `exception_date` date NOT NULL,
+  `type` enum('blackout','override','extra') NOT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`exception_id`),
+  KEY `idx_availability_exceptions_date` (`experience_id`, `exception_date`),
+  CONSTRAINT `fk_availability_exceptions_experience` FOREIGN KEY (`experience_id`) REFERENCES `experience` (`experience_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `availability_exception_slots` (
+  `exception_slot_id` int NOT NULL AUTO_INCREMENT,
+  `exception_id` int NOT NULL,
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `capacity` int DEFAULT NULL,
+  PRIMARY KEY (`exception_slot_id`),
+  KEY `idx_availability_exception_slots_exception` (`exception_id`),
+  CONSTRAINT `fk_availability_exception_slots_exception` FOREIGN KEY (`exception_id`) REFERENCES `availability_exceptions` (`exception_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Bookings made in a one-off session point at the exception slot instead
+ALTER TABLE `bookings`
+  ADD COLUMN `exception_slot_id` int DEFAULT NULL AFTER `slot_id`;
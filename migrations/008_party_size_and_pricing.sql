@@ -0,0 +1,23 @@
+-- 008: Party size, child and group pricing, per-booking subtotals (utils/pricing.js)
+
+-- child_price NULL means children pay the adult price.
+-- group_pricing: [{ "min_guests": 6, "price": 450 }, ...]
+ALTER TABLE `experience`
+  ADD COLUMN `child_price` decimal(10,2) DEFAULT NULL AFTER `price`,
+  ADD COLUMN `group_pricing` json DEFAULT NULL AFTER `child_price`;
+
+ALTER TABLE `itinerary`
+  ADD COLUMN `adults` int NOT NULL DEFAULT 1,
+  ADD COLUMN `children` int NOT NULL DEFAULT 0;
+
+-- guest_count stays adults + children so slot inventory keeps working
+ALTER TABLE `bookings`
+  ADD COLUMN `adults` int NOT NULL DEFAULT 1 AFTER `guest_count`,
+  ADD COLUMN `children` int NOT NULL DEFAULT 0 AFTER `adults`,
+  ADD COLUMN `unit_price` decimal(10,2) DEFAULT NULL AFTER `children`,
+  ADD COLUMN `subtotal` decimal(10,2) NOT NULL DEFAULT 0.00 AFTER `unit_price`;
+
+-- Existing bookings were priced at one unit each
+UPDATE `bookings` b
+JOIN `experience` e ON b.experience_id = e.experience_id
+SET b.adults = b.guest_count, b.unit_price = e.price, b.subtotal = e.price;
@@ -0,0 +1,32 @@
+-- 009: Creator approval of bookings and proposed time changes (services/bookingApprovalService.js)
+
+--   awaiting - waiting for the creator
+--   accepted - the creator accepted (the booking is Confirmed once it is paid)
+--   declined - the creator declined; the booking is cancelled and refunded in full
+--   proposed - the creator proposed another time and waits for the traveler
+ALTER TABLE `bookings`
+  ADD COLUMN `approval_status` enum('awaiting','accepted','declined','proposed') NOT NULL DEFAULT 'awaiting' AFTER `status`,
+  ADD COLUMN `responded_at` datetime DEFAULT NULL AFTER `approval_status`,
+  ADD COLUMN `decline_reason` varchar(255) DEFAULT NULL AFTER `responded_at`;
+
+-- Bookings that were already confirmed count as accepted
+UPDATE `bookings` SET `approval_status` = 'accepted'
+WHERE `status` IN ('Confirmed', 'Ongoing', 'Completed');
+
+CREATE TABLE IF NOT EXISTS `booking_change_proposals` (
+  `proposal_id` int NOT NULL AUTO_INCREMENT,
+  `booking_id` int NOT NULL,
+  `proposed_by` int NOT NULL,
+  `slot_id` int DEFAULT NULL,
+  `exception_slot_id` int DEFAULT NULL,
+  `booking_date` date NOT NULL,
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `message` varchar(255) DEFAULT NULL,
+  `status` enum('pending','accepted','rejected','withdrawn') NOT NULL DEFAULT 'pending',
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `responded_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`proposal_id`),
+  KEY `idx_booking_change_proposals_booking` (`booking_id`, `status`),
+  CONSTRAINT `fk_booking_change_proposals_booking` FOREIGN KEY (`booking_id`) REFERENCES `bookings` (`booking_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,25 @@
+-- 010: Booking state machine and status audit trail (services/bookingStateService.js)
+
+ALTER TABLE `bookings`
+  MODIFY `status` enum('Pending','Confirmed','Ongoing','Completed','Cancelled','NoShow') NOT NULL DEFAULT 'Pending';
+
+-- One row per status change. actor_id is NULL for system changes (cron jobs,
+-- payment webhooks); actor_role says who made the change.
+CREATE TABLE IF NOT EXISTS `booking_status_history` (
+  `history_id` int NOT NULL AUTO_INCREMENT,
+  `booking_id` int NOT NULL,
+  `from_status` varchar(20) DEFAULT NULL,
+  `to_status` varchar(20) NOT NULL,
+  `actor_id` int DEFAULT NULL,
+  `actor_role` varchar(20) NOT NULL DEFAULT 'system',
+  `reason` varchar(255) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`history_id`),
+  KEY `idx_booking_status_history_booking` (`booking_id`, `created_at`),
+  CONSTRAINT `fk_booking_status_history_booking` FOREIGN KEY (`booking_id`) REFERENCES `bookings` (`booking_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Start every existing booking's history at its current status
+INSERT INTO `booking_status_history` (booking_id, from_status, to_status, actor_role, reason, created_at)
+SELECT booking_id, NULL, status, 'system', 'Status when history tracking started', NOW()
+FROM `bookings`;
@@ -0,0 +1,17 @@
+-- 011: Cached road routes from the routing provider (services/routingService.js)
+
+-- One row per provider and ordered pair of points. A point key is "lat,lng"
+-- rounded to 5 decimals (about a metre), so every destination and city
+-- center always maps to the same key.
+CREATE TABLE IF NOT EXISTS `route_cache` (
+  `route_id` int NOT NULL AUTO_INCREMENT,
+  `provider` varchar(30) NOT NULL,
+  `origin_key` varchar(32) NOT NULL,
+  `destination_key` varchar(32) NOT NULL,
+  `distance_km` decimal(10,3) NOT NULL,
+  `duration_minutes` decimal(8,2) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`route_id`),
+  UNIQUE KEY `uq_route_cache_pair` (`provider`, `origin_key`, `destination_key`),
+  KEY `idx_route_cache_created` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,5 @@
+-- 012: Pinned itinerary items (services/dayRouteService.js)
+
+-- Pinned items keep their time when a day's route is optimized
+ALTER TABLE `itinerary_items`
+  ADD COLUMN `is_pinned` tinyint(1) NOT NULL DEFAULT 0 AFTER `custom_note`;
@@ -0,0 +1,18 @@
+-- 013: Accommodations as traveler-owned stays (services/accommodationService.js)
+
+-- An accommodation row is one stay: check_in to check_out (the nights in
+-- between). A traveler can save a stay before the trip exists and attach it
+-- later, and an itinerary can have several stays when the traveler changes
+-- hotels mid-trip.
+ALTER TABLE `accommodation`
+  ADD COLUMN `traveler_id` int DEFAULT NULL AFTER `accommodation_id`,
+  MODIFY `itinerary_id` int DEFAULT NULL,
+  ADD COLUMN `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  ADD KEY `idx_accommodation_traveler` (`traveler_id`),
+  ADD KEY `idx_accommodation_itinerary_dates` (`itinerary_id`, `check_in`);
+
+UPDATE `accommodation` a
+JOIN `itinerary` i ON a.itinerary_id = i.itinerary_id
+SET a.traveler_id = i.traveler_id
+WHERE a.traveler_id IS NULL;
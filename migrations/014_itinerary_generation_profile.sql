@@ -0,0 +1,7 @@
+-- 014: Generation profile on saved itineraries (controllers/generateItineraryController.js)
+
+-- Preferences the itinerary was generated from, with the planner version and
+-- seed, so it can be regenerated later with some of them changed. NULL for
+-- itineraries built by hand.
+ALTER TABLE `itinerary`
+  ADD COLUMN `generation_profile` json DEFAULT NULL AFTER `notes`;
@@ -0,0 +1,19 @@
+-- 015: Server-side itinerary previews (services/itineraryPreviewService.js)
+
+-- One row per generated proposal. payload holds the trip, party, profile and
+-- items exactly as shown to the traveler, with the prices quoted; the signed
+-- preview token only carries preview_id. used_at / itinerary_id are set once
+-- the preview has been saved, so a token saves at most one itinerary.
+CREATE TABLE IF NOT EXISTS `itinerary_previews` (
+  `preview_id` int NOT NULL AUTO_INCREMENT,
+  `traveler_id` int NOT NULL,
+  `payload` json NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `itinerary_id` int DEFAULT NULL,
+  PRIMARY KEY (`preview_id`),
+  KEY `idx_itinerary_previews_traveler` (`traveler_id`),
+  KEY `idx_itinerary_previews_expires` (`expires_at`),
+  CONSTRAINT `fk_itinerary_previews_traveler` FOREIGN KEY (`traveler_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,22 @@
+-- 016: Idempotency keys for create endpoints (middleware/idempotency.js)
+
+-- One row per (user, endpoint, Idempotency-Key). request_hash is the SHA-256
+-- of the request body, so the same key cannot be reused for a different
+-- request. While the first request runs the row is 'processing'; afterwards
+-- it holds the response that replays of the key get back.
+CREATE TABLE IF NOT EXISTS `idempotency_keys` (
+  `key_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `idempotency_key` varchar(255) NOT NULL,
+  `scope` varchar(100) NOT NULL,
+  `request_hash` char(64) NOT NULL,
+  `status` enum('processing','completed') NOT NULL DEFAULT 'processing',
+  `response_status` smallint DEFAULT NULL,
+  `response_body` json DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `completed_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`key_id`),
+  UNIQUE KEY `uq_idempotency_keys_user_scope_key` (`user_id`, `scope`, `idempotency_key`),
+  KEY `idx_idempotency_keys_created` (`created_at`),
+  CONSTRAINT `fk_idempotency_keys_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
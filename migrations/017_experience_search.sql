@@ -0,0 +1,13 @@
+-- 017: Keyword search over experiences (services/experienceSearchService.js)
+
+-- InnoDB FULLTEXT indexes for the three places a keyword can match: the
+-- experience itself, where it takes place and how it is tagged. Words shorter
+-- than innodb_ft_min_token_size (3 by default) are not indexed.
+ALTER TABLE `experience`
+  ADD FULLTEXT KEY `ft_experience_title_description` (`title`, `description`);
+
+ALTER TABLE `destination`
+  ADD FULLTEXT KEY `ft_destination_name_city` (`name`, `city`);
+
+ALTER TABLE `tags`
+  ADD FULLTEXT KEY `ft_tags_name` (`name`);
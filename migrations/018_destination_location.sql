@@ -0,0 +1,11 @@
+-- 018: Spatial index on destination coordinates (utils/geoQuery.js)
+
+-- location mirrors longitude/latitude (x = longitude, y = latitude) and is
+-- kept in sync by MySQL, so the code that writes destinations is unchanged.
+-- A SPATIAL index needs a NOT NULL column with a fixed SRID; destinations
+-- without coordinates get POINT(0 0) and are filtered out by the queries.
+-- INVISIBLE keeps it out of SELECT * so API responses do not change.
+ALTER TABLE `destination`
+  ADD COLUMN `location` point SRID 0
+    GENERATED ALWAYS AS (point(coalesce(`longitude`, 0), coalesce(`latitude`, 0))) STORED NOT NULL INVISIBLE,
+  ADD SPATIAL KEY `sp_destination_location` (`location`);
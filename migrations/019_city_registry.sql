@@ -0,0 +1,48 @@
+-- 019: City / municipality registry replacing CITY_CENTERS (services/cityService.js)
+
+-- region > province > city. Cities are matched by name (without a "City"
+-- suffix, see normalizeCityKey in utils/cityUtils.js) or by one of their
+-- aliases; normalized_alias holds the alias in that matching form.
+-- Seed with: node scripts/importCities.js
+CREATE TABLE IF NOT EXISTS `regions` (
+  `region_id` int NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `code` varchar(20) DEFAULT NULL,
+  PRIMARY KEY (`region_id`),
+  UNIQUE KEY `uq_regions_name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `provinces` (
+  `province_id` int NOT NULL AUTO_INCREMENT,
+  `region_id` int NOT NULL,
+  `name` varchar(100) NOT NULL,
+  PRIMARY KEY (`province_id`),
+  UNIQUE KEY `uq_provinces_name` (`name`),
+  KEY `idx_provinces_region` (`region_id`),
+  CONSTRAINT `fk_provinces_region` FOREIGN KEY (`region_id`) REFERENCES `regions` (`region_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `cities` (
+  `city_id` int NOT NULL AUTO_INCREMENT,
+  `province_id` int NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `type` enum('city','municipality') NOT NULL DEFAULT 'municipality',
+  `latitude` decimal(10,6) NOT NULL,
+  `longitude` decimal(10,6) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`city_id`),
+  UNIQUE KEY `uq_cities_province_name` (`province_id`, `name`),
+  CONSTRAINT `fk_cities_province` FOREIGN KEY (`province_id`) REFERENCES `provinces` (`province_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `city_aliases` (
+  `alias_id` int NOT NULL AUTO_INCREMENT,
+  `city_id` int NOT NULL,
+  `alias` varchar(100) NOT NULL,
+  `normalized_alias` varchar(100) NOT NULL,
+  PRIMARY KEY (`alias_id`),
+  UNIQUE KEY `uq_city_aliases_normalized` (`normalized_alias`),
+  KEY `idx_city_aliases_city` (`city_id`),
+  CONSTRAINT `fk_city_aliases_city` FOREIGN KEY (`city_id`) REFERENCES `cities` (`city_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
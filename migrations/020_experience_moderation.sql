@@ -0,0 +1,35 @@
+-- 020: Experience moderation queue and status audit trail (services/experienceStatusService.js)
+
+-- pending  = submitted, waiting for an admin
+-- rejected = sent back by an admin; the creator edits and submits again
+-- approved_at is set the first time an admin approves, so a creator can
+-- take an approved listing offline and back online without a new review.
+ALTER TABLE `experience`
+  MODIFY `status` enum('draft','pending','rejected','active','inactive') DEFAULT 'draft',
+  ADD COLUMN `approved_at` datetime DEFAULT NULL AFTER `status`;
+
+UPDATE `experience` SET `approved_at` = NOW() WHERE `status` IN ('active', 'inactive');
+
+-- One row per status change. changed_by is NULL for system changes;
+-- reason_codes holds the REJECTION_REASONS picked by the admin.
+CREATE TABLE IF NOT EXISTS `experience_status_history` (
+  `history_id` int NOT NULL AUTO_INCREMENT,
+  `experience_id` int NOT NULL,
+  `old_status` varchar(20) DEFAULT NULL,
+  `new_status` varchar(20) NOT NULL,
+  `changed_by` int DEFAULT NULL,
+  `changed_by_role` varchar(20) NOT NULL DEFAULT 'system',
+  `reason` varchar(1000) DEFAULT NULL,
+  `reason_codes` json DEFAULT NULL,
+  `changed_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`history_id`),
+  KEY `idx_experience_status_history_experience` (`experience_id`, `changed_at`),
+  KEY `idx_experience_status_history_status` (`new_status`, `changed_at`),
+  CONSTRAINT `fk_experience_status_history_experience` FOREIGN KEY (`experience_id`) REFERENCES `experience` (`experience_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Start every existing experience's history at its current status
+INSERT INTO `experience_status_history` (experience_id, old_status, new_status, changed_by_role, reason, changed_at)
+SELECT experience_id, NULL, status, 'system', 'Status when history tracking started', NOW()
+FROM `experience`
+WHERE status IS NOT NULL;
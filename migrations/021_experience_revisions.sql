@@ -0,0 +1,97 @@
+-- 021: Versioned experience listings (services/experienceRevisionService.js)
+
+-- One row per version of a listing's content. snapshot holds everything a
+-- traveler books against:
+--   { title, description, notes, price, child_price, group_pricing, unit,
+--     travel_companions, category_id, destination_id,
+--     availability: [{ day_of_week, valid_from, valid_until,
+--                      time_slots: [{ start_time, end_time, capacity }] }],
+--     tags: [tag_id, ...] }
+-- pending    = edits to a live listing, waiting to be published
+-- published  = was (or is, see experience.current_revision_id) the live content
+-- discarded  = pending edits the creator or an admin threw away
+-- superseded = pending edits made against an older published revision
+CREATE TABLE IF NOT EXISTS `experience_revisions` (
+  `revision_id` int NOT NULL AUTO_INCREMENT,
+  `experience_id` int NOT NULL,
+  `revision_number` int NOT NULL,
+  `status` enum('pending','published','discarded','superseded') NOT NULL DEFAULT 'pending',
+  `base_revision_id` int DEFAULT NULL,
+  `snapshot` json NOT NULL,
+  `changed_fields` json DEFAULT NULL,
+  `note` varchar(500) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  `published_by` int DEFAULT NULL,
+  `published_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`revision_id`),
+  UNIQUE KEY `uq_experience_revisions_number` (`experience_id`, `revision_number`),
+  KEY `idx_experience_revisions_status` (`experience_id`, `status`),
+  CONSTRAINT `fk_experience_revisions_experience` FOREIGN KEY (`experience_id`) REFERENCES `experience` (`experience_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- The published revision the experience row currently shows
+ALTER TABLE `experience`
+  ADD COLUMN `current_revision_id` int DEFAULT NULL AFTER `approved_at`;
+
+-- The revision a booking was made against
+ALTER TABLE `bookings`
+  ADD COLUMN `revision_id` int DEFAULT NULL AFTER `experience_id`,
+  ADD KEY `idx_bookings_revision` (`revision_id`),
+  ADD CONSTRAINT `fk_bookings_revision` FOREIGN KEY (`revision_id`) REFERENCES `experience_revisions` (`revision_id`) ON DELETE SET NULL;
+
+-- Revision 1 of every existing experience is its current content
+INSERT INTO `experience_revisions`
+  (experience_id, revision_number, status, snapshot, note, created_by, created_at, published_at)
+SELECT
+  e.experience_id,
+  1,
+  'published',
+  JSON_OBJECT(
+    'title', e.title,
+    'description', e.description,
+    'notes', e.notes,
+    'price', e.price,
+    'child_price', e.child_price,
+    'group_pricing', e.group_pricing,
+    'unit', e.unit,
+    'travel_companions', COALESCE(e.travel_companions, JSON_ARRAY()),
+    'category_id', e.category_id,
+    'destination_id', e.destination_id,
+    'availability', COALESCE((
+      SELECT JSON_ARRAYAGG(JSON_OBJECT(
+        'day_of_week', a.day_of_week,
+        'valid_from', DATE_FORMAT(a.valid_from, '%Y-%m-%d'),
+        'valid_until', DATE_FORMAT(a.valid_until, '%Y-%m-%d'),
+        'time_slots', COALESCE((
+          SELECT JSON_ARRAYAGG(JSON_OBJECT(
+            'start_time', TIME_FORMAT(s.start_time, '%H:%i:%s'),
+            'end_time', TIME_FORMAT(s.end_time, '%H:%i:%s'),
+            'capacity', s.capacity
+          ))
+          FROM `availability_time_slots` s
+          WHERE s.availability_id = a.availability_id
+        ), JSON_ARRAY())
+      ))
+      FROM `experience_availability` a
+      WHERE a.experience_id = e.experience_id
+    ), JSON_ARRAY()),
+    'tags', COALESCE((
+      SELECT JSON_ARRAYAGG(et.tag_id) FROM `experience_tags` et WHERE et.experience_id = e.experience_id
+    ), JSON_ARRAY())
+  ),
+  'Content when revision tracking started',
+  e.creator_id,
+  NOW(),
+  NOW()
+FROM `experience` e;
+
+UPDATE `experience` e
+JOIN `experience_revisions` r ON r.experience_id = e.experience_id AND r.revision_number = 1
+SET e.current_revision_id = r.revision_id;
+
+-- Existing bookings can only be tied to the content as it is today
+UPDATE `bookings` b
+JOIN `experience` e ON b.experience_id = e.experience_id
+SET b.revision_id = e.current_revision_id;
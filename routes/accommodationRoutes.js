@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const accommodationController = require('../controllers/accommodationController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
+
+const traveler = [authenticateToken, requireRole(ROLES.TRAVELER, ROLES.ADMIN)];
+const stayOwner = [authenticateToken, requireOwnership('accommodation')];
+
+// Stays; ?itinerary_id= lists one trip's stays (?itinerary_id=none for unattached ones)
+router.post('/', traveler, accommodationController.createAccommodation);
+router.get('/', traveler, accommodationController.getAccommodations);
+
+// Attach a saved stay to a trip (several stays per trip when changing hotels)
+router.post('/:id/attach', stayOwner, accommodationController.attachAccommodation);
+router.post('/:id/detach', stayOwner, accommodationController.detachAccommodation);
+
+router.get('/:id', stayOwner, accommodationController.getAccommodationById);
+router.put('/:id', stayOwner, accommodationController.updateAccommodation);
+router.delete('/:id', stayOwner, accommodationController.deleteAccommodation);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authenticateToken = require('../middleware/auth');
 
 // Login route
 router.post('/login', authController.loginUser);
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', authenticateToken, authController.logoutUser);
+router.post('/logout-all', authenticateToken, authController.logoutAllDevices);
+router.get('/sessions', authenticateToken, authController.getSessions);
 // router.put('/first-login/:id', authController.completeFirstLogin);
 module.exports = router;
-
-
@@ -1,15 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { createAvailability, getAvailability, updateAvailability } = require('../controllers/availabilityController.js');
-// const authenticateToken = require('../middleware/auth');
+const {
+  createAvailability,
+  getAvailability,
+  updateAvailability,
+  getAvailabilityCalendar,
+  getExceptions,
+  createException,
+  deleteException,
+  updateRuleDates
+} = require('../controllers/availabilityController.js');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
 
+const experienceOwner = [
+  authenticateToken,
+  requireRole(ROLES.CREATOR, ROLES.ADMIN),
+  requireOwnership('experience', { param: 'experience_id', from: 'body' })
+];
 
-router.post('/create', createAvailability);
+const creator = [authenticateToken, requireRole(ROLES.CREATOR, ROLES.ADMIN)];
+
+router.post('/create', experienceOwner, createAvailability);
+
+// Date-specific availability
+router.get('/:experience_id/calendar', getAvailabilityCalendar);
+router.get('/:experience_id/exceptions', getExceptions);
+router.post('/:experience_id/exceptions', creator, requireOwnership('experience', { param: 'experience_id' }), createException);
+router.delete('/exceptions/:exception_id', creator, requireOwnership('availabilityException', { param: 'exception_id' }), deleteException);
+router.put('/rules/:availability_id', creator, requireOwnership('availabilityRule', { param: 'availability_id' }), updateRuleDates);
 
 
 router.get('/:experience_id', getAvailability); 
 
 // Update
-router.put('/:id', updateAvailability); 
+router.put('/:id', experienceOwner, updateAvailability); 
 
 module.exports = router;
@@ -6,12 +6,24 @@ const { createBooking,
   getBookingByCreatorId,
   updateTravelerAttendance,
   updateBooking,
-  deleteBooking,
-  getUpcomingBookings, } = require('../controllers/bookingController.js');
+  getUpcomingBookings,
+  getBookingHistory, } = require('../controllers/bookingController.js');
+const { getBookingCancellationQuote, cancelBooking } = require('../controllers/cancellationController');
+const {
+  acceptBooking,
+  declineBooking,
+  proposeBookingChange,
+  getBookingProposals,
+  acceptBookingProposal,
+  rejectBookingProposal
+} = require('../controllers/bookingApprovalController');
+const authenticateToken = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
+const { requireOwnership, requireSelf } = require('../middleware/authorize');
 
 
 // CRUD Routes
-router.post("/create", createBooking);               // Create booking
+router.post("/create", authenticateToken, requireSelf('traveler_id'), requireOwnership('itinerary', { param: 'itinerary_id', from: 'body' }), idempotent, createBooking);   // Create booking
 router.get("/", getAllBookings); 
 
 // More specific routes must come BEFORE generic :id
@@ -20,13 +32,26 @@ router.get("/creator/:creatorId", getBookingByCreatorId);
 
 
 
-router.put("/:bookingId/attendance/:notificationId", updateTravelerAttendance);
+router.put("/:bookingId/attendance/:notificationId", authenticateToken, requireOwnership('bookingCreator', { param: 'bookingId' }), updateTravelerAttendance);
 
   
 router.get("/:id", getBookingById);                  // Get booking by ID
-
-router.put("/:id", updateBooking);                   // Update booking
-router.delete("/:id", deleteBooking);                // Delete booking
+router.get("/:id/cancellation-quote", authenticateToken, requireOwnership('booking'), getBookingCancellationQuote);
+router.get("/:id/history", authenticateToken, requireOwnership('booking'), getBookingHistory);             // Status changes, oldest first
+
+router.put("/:id", authenticateToken, requireOwnership('booking'), updateBooking);                   // Update booking
+router.post("/:id/cancel", authenticateToken, requireOwnership('bookingTraveler'), cancelBooking);         // Cancel booking (refund per policy)
+router.delete("/:id", authenticateToken, requireOwnership('bookingTraveler'), cancelBooking);              // Same as cancel; bookings are never hard-deleted
+
+// Creator answers a booking
+router.post("/:id/accept", authenticateToken, requireOwnership('bookingCreator'), acceptBooking);
+router.post("/:id/decline", authenticateToken, requireOwnership('bookingCreator'), declineBooking);        // Full refund, reason required
+router.post("/:id/propose", authenticateToken, requireOwnership('bookingCreator'), proposeBookingChange);  // Suggest another slot
+
+// Traveler answers a proposed time
+router.get("/:id/proposals", authenticateToken, requireOwnership('booking'), getBookingProposals);
+router.post("/:id/proposal/accept", authenticateToken, requireOwnership('bookingTraveler'), acceptBookingProposal);
+router.post("/:id/proposal/reject", authenticateToken, requireOwnership('bookingTraveler'), rejectBookingProposal);
 
 
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCities,
+  resolveCity,
+  getCityById,
+  createCity,
+  updateCity,
+  deleteCity
+} = require('../controllers/cityController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole } = require('../middleware/authorize');
+
+const adminOnly = [authenticateToken, requireRole(ROLES.ADMIN)];
+
+router.get('/', getCities);
+router.get('/resolve', resolveCity);
+router.get('/:id', getCityById);
+
+// Registry maintenance
+router.post('/', adminOnly, createCity);
+router.put('/:id', adminOnly, updateCity);
+router.delete('/:id', adminOnly, deleteCity);
+
+module.exports = router;
@@ -1,19 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { createDestination, getAllDestination, getDestinationById,getDestinationByExperienceId, updateDestination } = require('../controllers/destinationController.js');
-// const authenticateToken = require('../middleware/auth');
+const { createDestination, getAllDestination, getDestinationPins, getDestinationById,getDestinationByExperienceId, updateDestination } = require('../controllers/destinationController.js');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
 
 
-router.post('/create', createDestination);
+router.post('/create', authenticateToken, requireRole(ROLES.CREATOR, ROLES.ADMIN), createDestination);
 
 
 // Get all destination
 router.get('/', getAllDestination); 
+router.get('/pins', getDestinationPins);
 
 // Get destination by ID
 router.get('/:id', getDestinationById); 
 router.get('/experience/:experienceId', getDestinationByExperienceId); 
 // Update
-router.put('/:id', updateDestination); 
+router.put('/:id', authenticateToken, requireRole(ROLES.CREATOR, ROLES.ADMIN), requireOwnership('destination'), updateDestination); 
 
 module.exports = router;
@@ -18,10 +18,30 @@ const {
     getSavedExperiences, 
     getExperienceByUserID
 } = require('../controllers/experienceController.js');
-// const authenticateToken = require('../middleware/auth');
+const { getCancellationPolicy, updateCancellationPolicy } = require('../controllers/cancellationController');
+const { searchExperiences, getExperiencePins } = require('../controllers/experienceSearchController');
+const {
+    submitExperience,
+    approveExperience,
+    rejectExperience,
+    getModerationQueue,
+    getExperienceStatusHistory
+} = require('../controllers/experienceModerationController');
+const {
+    getExperienceRevisions,
+    getExperienceRevision,
+    publishExperienceRevision,
+    discardExperienceRevision
+} = require('../controllers/experienceRevisionController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
 
-router.post('/create', createExperienceHandler);
-router.post('/bulk', upload.array('images'), createMultipleExperiences);  // Add bulk endpoint
+const creatorOnly = [authenticateToken, requireRole(ROLES.CREATOR, ROLES.ADMIN)];
+const experienceOwner = [...creatorOnly, requireOwnership('experience', { param: 'experience_id' })];
+const adminOnly = [authenticateToken, requireRole(ROLES.ADMIN)];
+
+router.post('/create', creatorOnly, createExperienceHandler);
+router.post('/bulk', creatorOnly, upload.array('images'), createMultipleExperiences);  // Add bulk endpoint
 // router.post('/create', upload.array('image', 10), createExperience);
 
 router.get('/user/:user_id', getExperienceByUserID);
@@ -29,17 +49,35 @@ router.get('/:id/available-slots', getAvailableTimeSlots);
 router.get('/:id/availability', getExperienceAvailability);
 
 router.get('/', getAllExperience); 
+router.get('/search', searchExperiences);
+router.get('/pins', getExperiencePins);
 router.get('/titletag', getExperienceTitlesAndTags); 
 router.get('/active', getActiveExperience);
 router.get('/pending', getPendingExperience);
+router.get('/moderation/queue', adminOnly, getModerationQueue);
 // Full update route
-router.put('/:experience_id', upload.array('images'), updateExperience);
+router.put('/:experience_id', experienceOwner, upload.array('images'), updateExperience);
 
 // Section-based update route (for updating specific parts)
-router.put('/:experience_id/section', upload.array('images'), updateExperienceSection);
+router.put('/:experience_id/section', experienceOwner, upload.array('images'), updateExperienceSection);
+
+
+router.patch('/:experience_id/status', experienceOwner, updateExperienceStatus);
+router.get('/:experience_id/status-history', experienceOwner, getExperienceStatusHistory);
+
+// Moderation: creators submit, admins approve or reject with reasons
+router.post('/:experience_id/submit', experienceOwner, submitExperience);
+router.post('/:experience_id/approve', adminOnly, approveExperience);
+router.post('/:experience_id/reject', adminOnly, rejectExperience);
 
+// Revisions: edits to a live listing wait here until an admin publishes them
+router.get('/:experience_id/revisions', experienceOwner, getExperienceRevisions);
+router.get('/:experience_id/revisions/:revision_id', experienceOwner, getExperienceRevision);
+router.post('/:experience_id/revisions/:revision_id/publish', adminOnly, publishExperienceRevision);
+router.post('/:experience_id/revisions/:revision_id/discard', experienceOwner, discardExperienceRevision);
 
-router.patch('/:experience_id/status', updateExperienceStatus);
+router.get('/:experience_id/cancellation-policy', getCancellationPolicy);
+router.put('/:experience_id/cancellation-policy', experienceOwner, updateCancellationPolicy);
 
 router.get('/:id', getExperienceById); // LAST!
 
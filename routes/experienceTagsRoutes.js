@@ -2,11 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const experienceTagsController = require('../controllers/experienceTagsController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
+
+const experienceOwner = [
+  authenticateToken,
+  requireRole(ROLES.CREATOR, ROLES.ADMIN),
+  requireOwnership('experience', { param: 'experience_id', from: 'body' })
+];
 
 // Add tags to an experience
-router.post('/create', experienceTagsController.addTagsToExperience);
+router.post('/create', experienceOwner, experienceTagsController.addTagsToExperience);
 
 // Get tags of an experience
 router.get('/:experience_id/tags/', experienceTagsController.getTagsForExperience);
-router.delete('/remove-tag', experienceTagsController.removeTagFromExperience);
+router.delete('/remove-tag', experienceOwner, experienceTagsController.removeTagFromExperience);
 module.exports = router;
@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const itineraryController = require('../controllers/itineraryExperienceController');
+const authenticateToken = require('../middleware/auth');
+const { requireOwnership } = require('../middleware/authorize');
+
+const itineraryOwner = [authenticateToken, requireOwnership('itinerary')];
 
 // Route for adding experiences to an itinerary
 // Bulk operations (recommended for better performance)
-router.put('/:id/items/bulk-update', itineraryController.bulkUpdateItineraryItems);
-router.delete('/:id/items/bulk-delete', itineraryController.bulkDeleteItineraryItems);
+router.put('/:id/items/bulk-update', itineraryOwner, itineraryController.bulkUpdateItineraryItems);
+router.delete('/:id/items/bulk-delete', itineraryOwner, itineraryController.bulkDeleteItineraryItems);
+
+// Pinned items keep their time when the day is optimized
+router.put('/:id/items/:item_id/pin', itineraryOwner, itineraryController.setItineraryItemPinned);
 
 // Single item operations (alternative endpoints)
-router.put('/:id/items/:item_id', itineraryController.updateItineraryItem);
-router.delete('/:id/items/:item_id', itineraryController.deleteItineraryItem);
+router.put('/:id/items/:item_id', itineraryOwner, itineraryController.updateItineraryItem);
+router.delete('/:id/items/:item_id', itineraryOwner, itineraryController.deleteItineraryItem);
 module.exports = router;
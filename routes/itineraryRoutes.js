@@ -2,14 +2,21 @@ const express = require('express');
 const router = express.Router();
 const itineraryController = require('../controllers/itineraryController');
 const generateItineraryController = require('../controllers/generateItineraryController');
+const cancellationController = require('../controllers/cancellationController');
+const dayRouteController = require('../controllers/dayRouteController');
 const authenticateToken = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
+const { ROLES, requireRole, requireOwnership, requireSelf } = require('../middleware/authorize');
+
+const travelerOnly = [authenticateToken, requireRole(ROLES.TRAVELER, ROLES.ADMIN), requireSelf('traveler_id')];
+const itineraryOwner = [authenticateToken, requireOwnership('itinerary', { param: 'itinerary_id' })];
 
 // SPECIFIC routes must come BEFORE generic parameter routes
 
 // Route to create a new itinerary
-router.post('/create', itineraryController.createItinerary);
-router.post('/generate', generateItineraryController.generateItinerary);
-router.post('/save', generateItineraryController.saveItinerary);
+router.post('/create', travelerOnly, idempotent, itineraryController.createItinerary);
+router.post('/generate', travelerOnly, generateItineraryController.generateItinerary);
+router.post('/save', travelerOnly, idempotent, generateItineraryController.saveItinerary);
 
 // Route to get all itineraries for a specific traveler
 router.get('/traveler/:traveler_id', itineraryController.getItineraryByTraveler);
@@ -22,9 +29,24 @@ router.get('/:itinerary_id', itineraryController.getItineraryById);
 router.get('/:itinerary_id/items', itineraryController.getItineraryItems);
 
 // Route to update an itinerary
-router.put('/:itinerary_id', itineraryController.updateItinerary);
+router.put('/:itinerary_id', itineraryOwner, itineraryController.updateItinerary);
+
+// Shortest order for one day: returns a diff, applied with apply + proposal_token
+router.post('/:itinerary_id/optimize-day', itineraryOwner, dayRouteController.optimizeItineraryDay);
+
+// Suggestions only, nothing is saved: the whole trip again with some stored
+// preferences overridden (diffed against the current plan) or replacements
+// for one item
+router.post('/:itinerary_id/regenerate', itineraryOwner, generateItineraryController.regenerateItinerary);
+// A new plan for one day around its pinned and accepted items: returns a
+// suggestion, applied with apply + proposal_token
+router.post('/:itinerary_id/regenerate-day', itineraryOwner, generateItineraryController.regenerateItineraryDay);
+router.post('/:itinerary_id/items/:item_id/replacements', itineraryOwner, generateItineraryController.suggestItemReplacements);
 
 // Route to delete an itinerary
-router.delete('/:itinerary_id', itineraryController.deleteItinerary);
+// Cancelling keeps the trip and its bookings (status 'cancelled') and refunds per policy
+router.get('/:itinerary_id/cancellation-quote', itineraryOwner, cancellationController.getItineraryCancellationQuote);
+router.post('/:itinerary_id/cancel', itineraryOwner, cancellationController.cancelItinerary);
+router.delete('/:itinerary_id', itineraryOwner, cancellationController.cancelItinerary);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPaymentIntent,
+  confirmPaymentIntent,
+  cancelPaymentIntent,
+  getItineraryPayment,
+  handlePaymentWebhook,
+  getWebhookEvents,
+  replayWebhookEvent
+} = require('../controllers/paymentController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
+
+const adminOnly = [authenticateToken, requireRole(ROLES.ADMIN)];
+const intentOwner = [authenticateToken, requireOwnership('paymentIntent', { param: 'intent_id' })];
+
+router.post('/intents', authenticateToken, requireOwnership('itinerary', { param: 'itinerary_id', from: 'body' }), createPaymentIntent);
+router.post('/intents/:intent_id/confirm', intentOwner, confirmPaymentIntent);
+router.post('/intents/:intent_id/cancel', intentOwner, cancelPaymentIntent);
+
+router.get('/itinerary/:itinerary_id', authenticateToken, requireOwnership('itinerary', { param: 'itinerary_id' }), getItineraryPayment);
+
+// Provider callbacks are authenticated by their signature, not by a user token
+router.post('/webhook', handlePaymentWebhook);
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+router.get('/webhook-events', adminOnly, getWebhookEvents);
+router.post('/webhook-events/:webhook_event_id/replay', adminOnly, replayWebhookEvent);
+
+module.exports = router;
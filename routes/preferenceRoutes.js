@@ -6,17 +6,19 @@ const {
   updatePreference,
   deletePreference,
 } = require('../controllers/preferenceController');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership, requireSelf } = require('../middleware/authorize');
 
 // Route for creating a preference
-router.post('/create', createPreference);
+router.post('/create', authenticateToken, requireRole(ROLES.TRAVELER, ROLES.ADMIN), requireSelf('traveler_id'), createPreference);
 
 // Route for getting all preferences by traveler
 router.get('/:traveler_id', getPreferencesByTraveler);
 
 // Route for updating a specific preference
-router.put('/:preference_id', updatePreference);
+router.put('/:preference_id', authenticateToken, requireOwnership('preference', { param: 'preference_id' }), updatePreference);
 
 // Route for deleting a specific preference
-router.delete('/:preference_id', deletePreference);
+router.delete('/:preference_id', authenticateToken, requireOwnership('preference', { param: 'preference_id' }), deletePreference);
 
 module.exports = router;
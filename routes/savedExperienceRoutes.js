@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const savedExperienceController = require('../controllers/savedExperienceController');
+const authenticateToken = require('../middleware/auth');
+const { requireSelf } = require('../middleware/authorize');
+
+const ownList = [authenticateToken, requireSelf('user_id')];
 
 // Toggle save/unsave experience
-router.post('/toggle', savedExperienceController.toggleSavedExperience);
+router.post('/toggle', ownList, savedExperienceController.toggleSavedExperience);
 
 // Check if specific experience is saved
 router.get('/check/:experienceId', savedExperienceController.checkSavedStatus);
@@ -15,9 +19,9 @@ router.get('/', savedExperienceController.getSavedExperiences);
 router.get('/ids', savedExperienceController.getSavedExperienceIds);
 
 // Remove specific saved experience
-router.delete('/:experienceId', savedExperienceController.removeSavedExperience);
+router.delete('/:experienceId', ownList, savedExperienceController.removeSavedExperience);
 
 // Bulk save experiences (for syncing)
-router.post('/bulk', savedExperienceController.bulkSaveExperiences);
+router.post('/bulk', ownList, savedExperienceController.bulkSaveExperiences);
 
 module.exports = router;
\ No newline at end of file
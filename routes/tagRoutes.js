@@ -1,18 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { createTag, getAllTags, getTagById, getCategoriesWithTags , updateTag, deleteTag } = require('../controllers/tagController.js');
-// const authenticateToken = require('../middleware/auth');
+const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole } = require('../middleware/authorize');
 
 
-router.post('/create', createTag);
+router.post('/create', authenticateToken, requireRole(ROLES.CREATOR, ROLES.ADMIN), createTag);
 
 
 router.get('/', getAllTags); 
 router.get('/preference', getCategoriesWithTags);
 router.get('/:tag_id', getTagById); 
 
-router.put('/:tag_id', updateTag); 
+router.put('/:tag_id', authenticateToken, requireRole(ROLES.ADMIN), updateTag); 
 
-router.delete('/:tag_id', deleteTag); 
+router.delete('/:tag_id', authenticateToken, requireRole(ROLES.ADMIN), deleteTag); 
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { upload, registerUser, getAllUsers, getUserById,getUserStats, getAdminDashboardStats, updateUser } = require('../controllers/userController.js');
 const authenticateToken = require('../middleware/auth');
+const { ROLES, requireRole, requireOwnership } = require('../middleware/authorize');
 
 
 
@@ -22,11 +23,11 @@ router.get('/', getAllUsers);
 // Get user by ID
 router.get('/:id', getUserById); 
 // Add this route to your user routes file (e.g., userRoutes.js)
-router.get('/admin/stats', getAdminDashboardStats);
+router.get('/admin/stats', authenticateToken, requireRole(ROLES.ADMIN), getAdminDashboardStats);
 // Update
 
 router.get('/:id/stats', getUserStats);
 
 
-router.put('/:user_id', upload.single('profile_pic'), updateUser);
+router.put('/:user_id', authenticateToken, requireOwnership('user', { param: 'user_id' }), upload.single('profile_pic'), updateUser);
 module.exports = router;
@@ -0,0 +1,83 @@
+// scripts/importCities.js
+// Load cities into the registry (services/cityService.js) from JSON seed
+// files. Cities are matched by province and name, so running a file again
+// updates centroids and aliases instead of adding duplicates.
+//
+//   node scripts/importCities.js                                  every file in scripts/data/cities
+//   node scripts/importCities.js scripts/data/cities/cebu.json    one file
+//
+// File format:
+//   {
+//     "region": { "name": "Negros Island Region", "code": "NIR" },
+//     "province": "Negros Occidental",
+//     "cities": [
+//       { "name": "Bacolod City", "type": "city", "latitude": 10.677, "longitude": 122.954, "aliases": [] }
+//     ]
+//   }
+
+// STEP 1: Import what we need
+const fs = require('fs');
+const path = require('path');
+const cityService = require('../services/cityService');
+
+const SEED_DIR = path.join(__dirname, 'data', 'cities');
+
+async function importCities() {
+  try {
+    // STEP 2: Work out which files to import
+    let files = process.argv.slice(2);
+    if (files.length === 0) {
+      files = fs.readdirSync(SEED_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(SEED_DIR, file));
+    }
+
+    const summary = { created: 0, updated: 0, failed: 0 };
+
+    // STEP 3: Import every city of every file
+    for (const file of files) {
+      const seed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`🚀 Importing ${seed.cities.length} cities of ${seed.province} from ${path.basename(file)}...`);
+
+      for (const city of seed.cities) {
+        const data = {
+          ...city,
+          province: seed.province,
+          region: seed.region.name,
+          region_code: seed.region.code,
+          aliases: city.aliases || []
+        };
+
+        const error = cityService.validateFields(data);
+        if (error) {
+          console.log(`❌ ${city.name}: ${error}`);
+          summary.failed++;
+          continue;
+        }
+
+        const result = await cityService.saveCity(data, { upsert: true });
+        if (result.status !== 'ok') {
+          console.log(`❌ ${city.name}: ${result.status}${result.alias ? ` (${result.alias})` : ''}`);
+          summary.failed++;
+          continue;
+        }
+
+        summary[result.created ? 'created' : 'updated']++;
+      }
+    }
+
+    // STEP 4: Show summary of what happened
+    console.log('\n📊 Summary:');
+    console.log(`✅ Created: ${summary.created}`);
+    console.log(`🔄 Updated: ${summary.updated}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+  } catch (error) {
+    console.error('❌ Error importing cities:', error);
+  } finally {
+    // STEP 5: Exit the script when done
+    process.exit();
+  }
+}
+
+// STEP 6: Actually run the function
+importCities();
@@ -0,0 +1,54 @@
+// scripts/osrmStubServer.js
+// Minimal stand-in for a self-hosted OSRM server, for development and tests
+// without a real road network. Answers the route endpoint used by
+// services/routingProviders/osrmProvider.js with straight-line distance times
+// a road factor, driven at a fixed speed.
+//
+//   node scripts/osrmStubServer.js                 listens on port 5001
+//   OSRM_STUB_PORT=5050 node scripts/osrmStubServer.js
+//
+// Then start the API with OSRM_URL=http://localhost:5001 ROUTING_PROVIDER=osrm
+
+// STEP 1: Import what we need
+const http = require('http');
+const { haversineKm } = require('../utils/travelTime');
+
+const PORT = parseInt(process.env.OSRM_STUB_PORT, 10) || 5001;
+const ROAD_FACTOR = 1.4;
+const SPEED_KMH = 40;
+
+// STEP 2: Answer GET /route/v1/<profile>/<lng>,<lat>;<lng>,<lat>
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const match = url.pathname.match(/^\/route\/v1\/[^/]+\/([^/]+)$/);
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method !== 'GET' || !match) {
+    return send(404, { code: 'InvalidUrl', message: 'Only /route/v1/<profile>/<coordinates> is supported' });
+  }
+
+  const points = decodeURIComponent(match[1]).split(';').map(pair => pair.split(',').map(Number));
+  if (points.length !== 2 || points.some(point => point.length !== 2 || point.some(Number.isNaN))) {
+    return send(400, { code: 'InvalidQuery', message: 'Expected exactly two lng,lat pairs' });
+  }
+
+  const [[lng1, lat1], [lng2, lat2]] = points;
+  const distanceMetres = haversineKm(lat1, lng1, lat2, lng2) * ROAD_FACTOR * 1000;
+
+  send(200, {
+    code: 'Ok',
+    routes: [{
+      distance: Math.round(distanceMetres),
+      duration: Math.round((distanceMetres / 1000 / SPEED_KMH) * 3600)
+    }]
+  });
+});
+
+// STEP 3: Start listening
+server.listen(PORT, () => {
+  console.log(`🛣️ OSRM stub listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,70 @@
+// scripts/replayWebhookEvents.js
+// Reprocess stored payment webhook events.
+//
+//   node scripts/replayWebhookEvents.js --failed          replay every failed event
+//   node scripts/replayWebhookEvents.js 12 15             replay events 12 and 15
+//   node scripts/replayWebhookEvents.js 12 --force        replay even if already processed
+
+// STEP 1: Import what we need
+const db = require('../config/db.js');
+const webhookService = require('../services/webhookService');
+
+async function replayWebhookEvents() {
+  try {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    let eventIds = args.filter(arg => !arg.startsWith('--'));
+
+    // STEP 2: Work out which events to replay
+    if (args.includes('--failed')) {
+      const [failedEvents] = await db.query(
+        `SELECT webhook_event_id FROM webhook_events WHERE status = 'failed' ORDER BY received_at`
+      );
+      eventIds = failedEvents.map(row => row.webhook_event_id);
+    }
+
+    if (eventIds.length === 0) {
+      console.log('⚠️ No events to replay. Pass event ids or --failed.');
+      return;
+    }
+
+    console.log(`🚀 Replaying ${eventIds.length} webhook event(s)...`);
+
+    const summary = { processed: 0, ignored: 0, failed: 0, skipped: 0 };
+
+    // STEP 3: Replay them one at a time, in the order they were received
+    for (const eventId of eventIds) {
+      const result = await webhookService.replayEvent(eventId, { force });
+
+      if (!result) {
+        console.log(`⚠️ Event ${eventId} not found`);
+        summary.skipped++;
+      } else if (result.status === 'already_processed') {
+        console.log(`⚠️ Event ${eventId} was already processed (use --force to replay)`);
+        summary.skipped++;
+      } else if (result.status === 'failed') {
+        console.log(`❌ Event ${eventId} failed again: ${result.event.error_message}`);
+        summary.failed++;
+      } else {
+        console.log(`✅ Event ${eventId} ${result.status}`);
+        summary[result.status]++;
+      }
+    }
+
+    // STEP 4: Show summary of what happened
+    console.log('\n📊 Summary:');
+    console.log(`✅ Processed: ${summary.processed}`);
+    console.log(`⚠️ Ignored: ${summary.ignored}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+    console.log(`⏭️ Skipped: ${summary.skipped}`);
+
+  } catch (error) {
+    console.error('❌ Error replaying webhook events:', error);
+  } finally {
+    // STEP 5: Exit the script when done
+    process.exit();
+  }
+}
+
+// STEP 6: Actually run the function
+replayWebhookEvents();
@@ -2,7 +2,7 @@
 
 // STEP 1: Import what we need
 const db = require('../config/db.js'); // Your database connection
-const { CITY_CENTERS, calculateDistanceFromCityCenter } = require('../utils/cityUtils.js');
+const cityService = require('../services/cityService'); // City centers from the cities table
 
 async function updateAllDestinationDistances() {
   try {
@@ -29,21 +29,11 @@ async function updateAllDestinationDistances() {
       
       console.log(`🔄 Processing: ${name} in ${city}...`);
       
-      // STEP 4: Look up the city center coordinates
-      const cityCenter = CITY_CENTERS[city];
+      // STEP 4-6: Look up the city center and calculate the distance
+      // (rounded to 2 decimal places); null when the city is not registered
+      const roundedDistance = await cityService.distanceFromCenter(city, latitude, longitude);
       
-      if (cityCenter) {
-        // STEP 5: Calculate the distance using our function
-        const distance = calculateDistanceFromCityCenter(
-          parseFloat(latitude),      // Destination latitude
-          parseFloat(longitude),     // Destination longitude
-          cityCenter.lat,            // City center latitude
-          cityCenter.lng             // City center longitude
-        );
-        
-        // STEP 6: Round to 2 decimal places for cleaner data
-        const roundedDistance = Math.round(distance * 100) / 100;
-        
+      if (roundedDistance !== null) {
         // STEP 7: Update the database with the calculated distance
         await db.query(
           'UPDATE destination SET distance_from_city_center = ? WHERE destination_id = ?',
@@ -0,0 +1,165 @@
+// services/accommodationService.js
+// Accommodation stays. A stay covers the nights from check_in up to (not
+// including) check_out, so one hotel can check out on the day the next one
+// checks in. Stays of the same itinerary may not share a night.
+const dayjs = require('dayjs');
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+const STAY_FIELDS = [
+  'name', 'address', 'latitude', 'longitude', 'check_in', 'check_out',
+  'check_in_time', 'check_out_time', 'booking_link'
+];
+
+const formatDate = (date) => (date ? dayjs(date).format('YYYY-MM-DD') : null);
+
+class AccommodationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Returns an error message, or null when the fields are valid. With
+  // partial only the fields that are present are checked.
+  validateFields(data, { partial = false } = {}) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) return 'Accommodation name is required';
+    }
+    if (!partial || data.address !== undefined) {
+      if (!data.address || !String(data.address).trim()) return 'Accommodation address is required';
+    }
+
+    if (data.latitude !== undefined && data.latitude !== null) {
+      const latitude = Number(data.latitude);
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        return 'Latitude must be between -90 and 90';
+      }
+    }
+    if (data.longitude !== undefined && data.longitude !== null) {
+      const longitude = Number(data.longitude);
+      if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return 'Longitude must be between -180 and 180';
+      }
+    }
+
+    for (const field of ['check_in', 'check_out']) {
+      if (data[field] && !dayjs(data[field]).isValid()) {
+        return `${field} must be a date (YYYY-MM-DD)`;
+      }
+    }
+    for (const field of ['check_in_time', 'check_out_time']) {
+      if (data[field] && !TIME_REGEX.test(data[field])) {
+        return `${field} must be in HH:MM or HH:MM:SS format`;
+      }
+    }
+
+    return null;
+  }
+
+  // Stay dates against the trip and the itinerary's other stays.
+  // Returns { message, conflict } (conflict = overlaps another stay) or null.
+  checkStayFitsTrip(stay, itinerary, otherStays) {
+    const checkIn = formatDate(stay.check_in);
+    const checkOut = formatDate(stay.check_out);
+
+    if (!checkIn || !checkOut) {
+      return { message: 'check_in and check_out are required for a stay on an itinerary', conflict: false };
+    }
+    if (checkOut <= checkIn) {
+      return { message: 'check_out must be after check_in', conflict: false };
+    }
+
+    const tripStart = formatDate(itinerary.start_date);
+    const tripEnd = formatDate(itinerary.end_date);
+    if (checkIn < tripStart || checkIn > tripEnd) {
+      return { message: `check_in must be within the trip (${tripStart} to ${tripEnd})`, conflict: false };
+    }
+
+    const overlapping = otherStays.find(other =>
+      Number(other.accommodation_id) !== Number(stay.accommodation_id) &&
+      formatDate(other.check_in) < checkOut &&
+      formatDate(other.check_out) > checkIn
+    );
+    if (overlapping) {
+      return {
+        message: `This stay overlaps "${overlapping.name}" (${formatDate(overlapping.check_in)} to ${formatDate(overlapping.check_out)})`,
+        conflict: true
+      };
+    }
+
+    return null;
+  }
+
+  async getById(accommodationId, connection = this.db) {
+    const [rows] = await connection.query('SELECT * FROM accommodation WHERE accommodation_id = ?', [accommodationId]);
+    return rows[0] || null;
+  }
+
+  async getStays(itineraryId, connection = this.db, { lock = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT * FROM accommodation WHERE itinerary_id = ? ORDER BY check_in, accommodation_id${lock ? ' FOR UPDATE' : ''}`,
+      [itineraryId]
+    );
+    return rows;
+  }
+
+  // Where the traveler sleeps the night of a date; on the last morning of a
+  // stay with no stay after it, the place being checked out of
+  getLodgingForDate(stays, date) {
+    const day = formatDate(date);
+
+    return stays.find(stay => formatDate(stay.check_in) <= day && formatDate(stay.check_out) > day) ||
+      stays.find(stay => formatDate(stay.check_out) === day) ||
+      null;
+  }
+
+  // The lodging each trip day starts and ends at (null when there is none
+  // or it has no coordinates), indexed by day_number - 1
+  getDailyAnchors(stays, startDate, totalDays) {
+    const anchors = [];
+
+    for (let day = 0; day < totalDays; day++) {
+      const lodging = this.getLodgingForDate(stays, dayjs(startDate).add(day, 'day'));
+      const hasCoordinates = lodging && lodging.latitude !== null && lodging.longitude !== null &&
+        lodging.latitude !== undefined && lodging.longitude !== undefined;
+
+      anchors.push(hasCoordinates
+        ? {
+            accommodation_id: lodging.accommodation_id || null,
+            name: lodging.name,
+            latitude: parseFloat(lodging.latitude),
+            longitude: parseFloat(lodging.longitude)
+          }
+        : null);
+    }
+
+    return anchors;
+  }
+
+  // Insert a stay inside the caller's transaction
+  async insertStay(connection, travelerId, itineraryId, data) {
+    const [result] = await connection.query(
+      `INSERT INTO accommodation
+        (traveler_id, itinerary_id, name, address, latitude, longitude, check_in, check_out,
+         check_in_time, check_out_time, booking_link)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        travelerId,
+        itineraryId || null,
+        data.name,
+        data.address,
+        data.latitude ?? null,
+        data.longitude ?? null,
+        formatDate(data.check_in),
+        formatDate(data.check_out),
+        data.check_in_time || null,
+        data.check_out_time || null,
+        data.booking_link || null
+      ]
+    );
+    return result.insertId;
+  }
+}
+
+// Export a singleton instance
+module.exports = new AccommodationService(require('../config/db.js'));
+module.exports.STAY_FIELDS = STAY_FIELDS;
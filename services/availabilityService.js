@@ -0,0 +1,143 @@
+// services/availabilityService.js
+// Resolves which time slots an experience actually offers on a calendar date.
+// Weekly rules (experience_availability, optionally limited by valid_from /
+// valid_until) are combined with the exceptions for that date:
+//   blackout - closed, nothing is offered
+//   override - only the exception's own slots are offered
+//   extra    - the exception's slots are offered on top of the weekly ones
+const dayjs = require('dayjs');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const EXCEPTION_TYPES = ['blackout', 'override', 'extra'];
+
+const formatDate = (date) => (date ? dayjs(date).format('YYYY-MM-DD') : null);
+
+class AvailabilityService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async loadWeeklyRules(connection, experienceIds) {
+    const [rows] = await connection.query(
+      `SELECT ea.availability_id, ea.experience_id, ea.day_of_week, ea.valid_from, ea.valid_until,
+              ats.slot_id, ats.start_time, ats.end_time, ats.capacity
+       FROM experience_availability ea
+       JOIN availability_time_slots ats ON ea.availability_id = ats.availability_id
+       WHERE ea.experience_id IN (?)
+       ORDER BY ats.start_time`,
+      [experienceIds]
+    );
+    return rows;
+  }
+
+  async loadExceptions(connection, experienceIds, startDate, endDate) {
+    const [rows] = await connection.query(
+      `SELECT ae.exception_id, ae.experience_id, ae.exception_date, ae.type, ae.reason,
+              aes.exception_slot_id, aes.start_time, aes.end_time, aes.capacity
+       FROM availability_exceptions ae
+       LEFT JOIN availability_exception_slots aes ON ae.exception_id = aes.exception_id
+       WHERE ae.experience_id IN (?) AND ae.exception_date BETWEEN ? AND ?
+       ORDER BY ae.exception_date, aes.start_time`,
+      [experienceIds, formatDate(startDate), formatDate(endDate)]
+    );
+    return rows;
+  }
+
+  // Effective slots for one experience on one date, from preloaded rows
+  resolveDate(weeklyRules, exceptions, date) {
+    const dateStr = formatDate(date);
+    const dayOfWeek = DAY_NAMES[dayjs(dateStr).day()];
+    const todaysExceptions = exceptions.filter(row => formatDate(row.exception_date) === dateStr);
+
+    if (todaysExceptions.some(row => row.type === 'blackout')) {
+      return { date: dateStr, day_of_week: dayOfWeek, status: 'blackout', slots: [] };
+    }
+
+    const exceptionSlots = (type) => todaysExceptions
+      .filter(row => row.type === type && row.exception_slot_id)
+      .map(row => ({
+        slot_id: null,
+        exception_slot_id: row.exception_slot_id,
+        exception_id: row.exception_id,
+        start_time: row.start_time,
+        end_time: row.end_time,
+        capacity: row.capacity,
+        source: type
+      }));
+
+    let slots;
+    let status;
+
+    if (todaysExceptions.some(row => row.type === 'override')) {
+      slots = exceptionSlots('override');
+      status = 'override';
+    } else {
+      const weeklySlots = weeklyRules
+        .filter(rule =>
+          rule.day_of_week === dayOfWeek &&
+          (!rule.valid_from || formatDate(rule.valid_from) <= dateStr) &&
+          (!rule.valid_until || formatDate(rule.valid_until) >= dateStr)
+        )
+        .map(rule => ({
+          slot_id: rule.slot_id,
+          exception_slot_id: null,
+          availability_id: rule.availability_id,
+          start_time: rule.start_time,
+          end_time: rule.end_time,
+          capacity: rule.capacity,
+          source: 'weekly'
+        }));
+
+      const extraSlots = exceptionSlots('extra');
+      slots = [...weeklySlots, ...extraSlots];
+      status = extraSlots.length > 0 ? 'extra' : 'weekly';
+    }
+
+    slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
+
+    return { date: dateStr, day_of_week: dayOfWeek, status, slots };
+  }
+
+  // Effective availability for several experiences over a date range:
+  //   { [experience_id]: { 'YYYY-MM-DD': { date, day_of_week, status, slots } } }
+  async getCalendar(experienceIds, startDate, endDate, connection = this.db) {
+    const calendar = {};
+    if (!experienceIds || experienceIds.length === 0) return calendar;
+
+    const weeklyRules = await this.loadWeeklyRules(connection, experienceIds);
+    const exceptions = await this.loadExceptions(connection, experienceIds, startDate, endDate);
+
+    const start = dayjs(formatDate(startDate));
+    const end = dayjs(formatDate(endDate));
+
+    for (const experienceId of experienceIds) {
+      const rulesForExperience = weeklyRules.filter(rule => Number(rule.experience_id) === Number(experienceId));
+      const exceptionsForExperience = exceptions.filter(row => Number(row.experience_id) === Number(experienceId));
+
+      calendar[experienceId] = {};
+      for (let date = start; !date.isAfter(end, 'day'); date = date.add(1, 'day')) {
+        calendar[experienceId][date.format('YYYY-MM-DD')] = this.resolveDate(rulesForExperience, exceptionsForExperience, date);
+      }
+    }
+
+    return calendar;
+  }
+
+  async getSlotsForDate(experienceId, date, connection = this.db) {
+    const calendar = await this.getCalendar([experienceId], date, date, connection);
+    return calendar[experienceId][formatDate(date)].slots;
+  }
+
+  // Experiences (of the given ids) that offer at least one slot between the dates
+  async filterAvailableInRange(experienceIds, startDate, endDate) {
+    const calendar = await this.getCalendar(experienceIds, startDate, endDate);
+
+    return experienceIds.filter(experienceId =>
+      Object.values(calendar[experienceId]).some(day => day.slots.length > 0)
+    );
+  }
+}
+
+// Export a singleton instance
+module.exports = new AvailabilityService(require('../config/db.js'));
+module.exports.EXCEPTION_TYPES = EXCEPTION_TYPES;
@@ -0,0 +1,549 @@
+// services/bookingApprovalService.js
+// Creator answers to a booking. Every action goes through APPROVAL_TRANSITIONS,
+// so e.g. a declined booking cannot be accepted later and a traveler can only
+// answer a proposal while one is open.
+const dayjs = require('dayjs');
+const notificationService = require('./notificationService');
+const inventoryService = require('./inventoryService');
+const availabilityService = require('./availabilityService');
+const cancellationService = require('./cancellationService');
+const bookingStateService = require('./bookingStateService');
+const { calculateItemPrice } = require('../utils/pricing');
+const itineraryPaymentService = require('./itineraryPaymentService');
+const experienceRevisionService = require('./experienceRevisionService');
+const dayRouteService = require('./dayRouteService');
+const { findTransferConflicts } = require('../utils/travelTime');
+
+const APPROVAL_TRANSITIONS = {
+  awaiting: { accept: 'accepted', decline: 'declined', propose: 'proposed' },
+  proposed: { accept_proposal: 'accepted', reject_proposal: 'awaiting', decline: 'declined' },
+  accepted: {},
+  declined: {}
+};
+
+// Only bookings that are still going to happen can be answered
+const ACTIVE_STATUSES = ['Pending', 'Confirmed'];
+
+// Itinerary payment statuses a booking can carry too
+const BOOKING_PAYMENT_STATUSES = ['Unpaid', 'Partial', 'Paid'];
+
+class BookingApprovalService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  getNextState(current, action) {
+    const transitions = APPROVAL_TRANSITIONS[current] || {};
+    return transitions[action] || null;
+  }
+
+  async getBooking(connection, bookingId, lock = false) {
+    const [rows] = await connection.query(
+      `SELECT b.*, e.title, e.price, e.unit, e.child_price, e.group_pricing,
+              i.start_date AS itinerary_start_date, i.end_date AS itinerary_end_date
+       FROM bookings b
+       JOIN experience e ON b.experience_id = e.experience_id
+       JOIN itinerary i ON b.itinerary_id = i.itinerary_id
+       WHERE b.booking_id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [bookingId]
+    );
+    return rows[0] || null;
+  }
+
+  // Shared checks for every action. Returns an error result or null.
+  checkTransition(booking, action) {
+    if (!booking) return { status: 'not_found' };
+
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      return { status: 'not_active', booking_status: booking.status };
+    }
+
+    if (!this.getNextState(booking.approval_status, action)) {
+      return { status: 'invalid_transition', from: booking.approval_status, action };
+    }
+
+    return null;
+  }
+
+  async getOpenProposal(connection, bookingId, lock = false) {
+    const [rows] = await connection.query(
+      `SELECT * FROM booking_change_proposals
+       WHERE booking_id = ? AND status = 'pending'
+       ORDER BY created_at DESC LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+      [bookingId]
+    );
+    return rows[0] || null;
+  }
+
+  async getProposals(bookingId) {
+    const [rows] = await this.db.query(
+      `SELECT proposal_id, booking_id, proposed_by, slot_id, exception_slot_id, booking_date,
+              start_time, end_time, message, status, created_at, responded_at
+       FROM booking_change_proposals
+       WHERE booking_id = ?
+       ORDER BY created_at DESC`,
+      [bookingId]
+    );
+    return rows;
+  }
+
+  // `user` is the acting user ({ user_id, role }) for the status history
+  async accept(bookingId, user) {
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const booking = await this.getBooking(connection, bookingId, true);
+      const error = this.checkTransition(booking, 'accept');
+      if (error) {
+        await connection.rollback();
+        connection.release();
+        return error;
+      }
+
+      await connection.query(
+        `UPDATE bookings SET approval_status = 'accepted', responded_at = NOW(), updated_at = NOW()
+         WHERE booking_id = ?`,
+        [bookingId]
+      );
+
+      // A paid booking is confirmed right away; otherwise payment confirms it
+      if (booking.payment_status === 'Paid' && booking.status === 'Pending') {
+        await bookingStateService.transition(bookingId, 'Confirmed', {
+          actorId: user.user_id,
+          actorRole: user.role,
+          reason: 'Accepted by the creator',
+          connection
+        });
+      }
+
+      await connection.commit();
+      connection.release();
+
+      await this.notifyTraveler(booking, {
+        title: 'Booking Accepted',
+        description: `Your booking for "${booking.title}" on ${dayjs(booking.booking_date).format('MMM DD, YYYY')} was accepted by the host.`,
+        icon: 'checkmark-circle',
+        icon_color: '#10B981'
+      });
+
+      return { status: 'accepted', booking: await this.getBooking(this.db, bookingId) };
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error accepting booking:', error);
+      throw error;
+    }
+  }
+
+  // Declining cancels the booking, gives the seats back and refunds everything
+  // paid. The cancellation and the answer are saved together, so a booking is
+  // never left cancelled but still awaiting an answer (or the other way round).
+  async decline(bookingId, user, reason) {
+    const connection = await this.db.getConnection();
+    let booking;
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      booking = await this.getBooking(connection, bookingId, true);
+      const error = this.checkTransition(booking, 'decline');
+      if (error) {
+        await connection.rollback();
+        connection.release();
+        return error;
+      }
+
+      result = await cancellationService.cancelBookings({
+        itineraryId: booking.itinerary_id,
+        bookingIds: [bookingId],
+        actorId: user.user_id,
+        actorRole: user.role,
+        reason: `Declined by the creator: ${reason}`,
+        fullRefund: true,
+        notify: false,
+        connection
+      });
+
+      if (result.status !== 'cancelled') {
+        await connection.rollback();
+        connection.release();
+        return { status: 'not_active', booking_status: booking.status };
+      }
+
+      await connection.query(
+        `UPDATE bookings SET approval_status = 'declined', decline_reason = ?, responded_at = NOW()
+         WHERE booking_id = ?`,
+        [reason, bookingId]
+      );
+      await connection.query(
+        `UPDATE booking_change_proposals SET status = 'withdrawn', responded_at = NOW()
+         WHERE booking_id = ? AND status = 'pending'`,
+        [bookingId]
+      );
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error declining booking:', error);
+      throw error;
+    }
+
+    const refunds = await cancellationService.processRefunds(result.refund_ids);
+
+    const refundText = result.total_refund > 0
+      ? ` A full refund of PHP ${result.total_refund.toFixed(2)} is on its way.`
+      : '';
+
+    await this.notifyTraveler(booking, {
+      title: 'Booking Declined',
+      description: `The host declined your booking for "${booking.title}". Reason: ${reason}.${refundText}`,
+      icon: 'close-circle',
+      icon_color: '#EF4444'
+    });
+
+    return {
+      status: 'declined',
+      booking: await this.getBooking(this.db, bookingId),
+      total_refund: result.total_refund,
+      refunds
+    };
+  }
+
+  // Creator suggests another slot (optionally on another day of the same trip)
+  async propose(bookingId, user, { slotId, exceptionSlotId, date, message }) {
+    const booking = await this.getBooking(this.db, bookingId);
+    const error = this.checkTransition(booking, 'propose');
+    if (error) return error;
+
+    const proposedDate = dayjs(date || booking.booking_date).format('YYYY-MM-DD');
+    const tripStart = dayjs(booking.itinerary_start_date).format('YYYY-MM-DD');
+    const tripEnd = dayjs(booking.itinerary_end_date).format('YYYY-MM-DD');
+
+    if (proposedDate < tripStart || proposedDate > tripEnd) {
+      return { status: 'outside_trip', start_date: tripStart, end_date: tripEnd };
+    }
+
+    const offered = await availabilityService.getSlotsForDate(booking.experience_id, proposedDate);
+    const slot = offered.find(candidate =>
+      (slotId && Number(candidate.slot_id) === Number(slotId)) ||
+      (exceptionSlotId && Number(candidate.exception_slot_id) === Number(exceptionSlotId))
+    );
+
+    if (!slot) {
+      return { status: 'unavailable', date: proposedDate };
+    }
+
+    const sameSlot = proposedDate === dayjs(booking.booking_date).format('YYYY-MM-DD') &&
+      inventoryService.normalizeTime(slot.start_time) === inventoryService.normalizeTime(String(booking.generated_start_time));
+    if (sameSlot) {
+      return { status: 'same_slot' };
+    }
+
+    const [withCapacity] = await inventoryService.withRemainingCapacity(booking.experience_id, proposedDate, [slot]);
+    if (!inventoryService.hasRoom(withCapacity, booking.guest_count)) {
+      return { status: 'full', remaining_capacity: withCapacity.remaining_capacity };
+    }
+
+    const connection = await this.db.getConnection();
+    let proposalId;
+
+    try {
+      await connection.beginTransaction();
+
+      // Re-check under lock so two proposals cannot race
+      const locked = await this.getBooking(connection, bookingId, true);
+      const lockedError = this.checkTransition(locked, 'propose');
+      if (lockedError) {
+        await connection.rollback();
+        connection.release();
+        return lockedError;
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO booking_change_proposals
+          (booking_id, proposed_by, slot_id, exception_slot_id, booking_date, start_time, end_time, message, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+        [bookingId, user.user_id, slot.slot_id, slot.exception_slot_id, proposedDate, slot.start_time, slot.end_time, message || null]
+      );
+      proposalId = result.insertId;
+
+      await connection.query(
+        `UPDATE bookings SET approval_status = 'proposed', responded_at = NOW(), updated_at = NOW()
+         WHERE booking_id = ?`,
+        [bookingId]
+      );
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error proposing booking change:', error);
+      throw error;
+    }
+
+    await this.notifyTraveler(booking, {
+      title: 'New Time Proposed',
+      description: `The host of "${booking.title}" proposed ${dayjs(proposedDate).format('MMM DD, YYYY')} at ${dayjs(`${proposedDate} ${slot.start_time}`).format('h:mm A')} instead.${message ? ` "${message}"` : ''} Please accept or reject the change.`,
+      icon: 'time',
+      icon_color: '#F59E0B'
+    });
+
+    const [proposals] = await this.db.query(
+      'SELECT * FROM booking_change_proposals WHERE proposal_id = ?',
+      [proposalId]
+    );
+
+    return { status: 'proposed', proposal: proposals[0] };
+  }
+
+  // Traveler takes the proposed time: the seats move, the itinerary item moves
+  // with them and the price is worked out again for the new slot. The new
+  // time must leave room to travel on that day; a lower price refunds the
+  // difference once the change is saved.
+  async acceptProposal(bookingId, user) {
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const booking = await this.getBooking(connection, bookingId, true);
+      const error = this.checkTransition(booking, 'accept_proposal');
+      if (error) {
+        await connection.rollback();
+        connection.release();
+        return error;
+      }
+
+      const proposal = await this.getOpenProposal(connection, bookingId, true);
+      if (!proposal) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'no_proposal' };
+      }
+
+      const proposedDate = dayjs(proposal.booking_date).format('YYYY-MM-DD');
+
+      // The slot may have changed since it was proposed
+      const offered = await availabilityService.getSlotsForDate(booking.experience_id, proposedDate, connection);
+      const slot = offered.find(candidate =>
+        inventoryService.normalizeTime(candidate.start_time) === inventoryService.normalizeTime(String(proposal.start_time))
+      );
+
+      if (!slot) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'unavailable', date: proposedDate };
+      }
+
+      await inventoryService.release(connection, {
+        experienceId: booking.experience_id,
+        bookingDate: booking.booking_date,
+        startTime: booking.generated_start_time,
+        guests: booking.guest_count
+      });
+
+      const reservation = await inventoryService.reserve(connection, {
+        experienceId: booking.experience_id,
+        bookingDate: proposedDate,
+        startTime: slot.start_time,
+        capacity: slot.capacity,
+        guests: booking.guest_count
+      });
+
+      if (!reservation.reserved) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'full', remaining_capacity: reservation.remaining };
+      }
+
+      const dayNumber = dayjs(proposedDate).diff(dayjs(booking.itinerary_start_date).startOf('day'), 'day') + 1;
+
+      await connection.query(
+        `UPDATE itinerary_items SET day_number = ?, start_time = ?, end_time = ?, updated_at = NOW()
+         WHERE item_id = ?`,
+        [dayNumber, slot.start_time, slot.end_time, booking.item_id]
+      );
+
+      // The moved item must leave time to travel to and from its new neighbours
+      const day = await dayRouteService.loadDay(connection, booking.itinerary_id, dayNumber);
+      const transferConflicts = findTransferConflicts(day.items).filter(conflict =>
+        conflict.from.item_id === booking.item_id || conflict.to.item_id === booking.item_id
+      );
+
+      if (transferConflicts.length > 0) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'transfer_conflict', conflicts: transferConflicts };
+      }
+
+      // Priced at the revision the traveler booked, not the live listing
+      const pricing = (booking.revision_id && await experienceRevisionService.getPricing(connection, booking.revision_id)) || booking;
+      const subtotal = calculateItemPrice(pricing, {
+        adults: booking.adults,
+        children: booking.children,
+        startTime: slot.start_time,
+        endTime: slot.end_time
+      }).subtotal;
+
+      const adjusted = await itineraryPaymentService.adjustTotal(connection, booking.itinerary_id, subtotal - parseFloat(booking.subtotal));
+
+      // A cheaper slot gives back what was paid beyond the new total
+      const refundId = adjusted && adjusted.overpaid > 0
+        ? await cancellationService.refundOverpayment(connection, {
+            itineraryId: booking.itinerary_id,
+            bookingId,
+            actorId: user.user_id,
+            reason: 'Proposed time costs less'
+          })
+        : null;
+
+      await connection.query(
+        `UPDATE bookings
+         SET slot_id = ?, exception_slot_id = ?, booking_date = ?, generated_start_time = ?, generated_end_time = ?,
+             subtotal = ?, approval_status = 'accepted', updated_at = NOW()
+         WHERE booking_id = ?`,
+        [slot.slot_id, slot.exception_slot_id, proposedDate, slot.start_time, slot.end_time, subtotal, bookingId]
+      );
+
+      // Bookings follow the itinerary's payment status, e.g. a dearer slot
+      // turns a paid trip Partial again
+      let paymentStatus = booking.payment_status;
+      if (adjusted && BOOKING_PAYMENT_STATUSES.includes(adjusted.payment_status)) {
+        paymentStatus = adjusted.payment_status;
+        await connection.query(
+          `UPDATE bookings SET payment_status = ?, updated_at = NOW()
+           WHERE itinerary_id = ? AND status != 'Cancelled'`,
+          [paymentStatus, booking.itinerary_id]
+        );
+      }
+
+      if (paymentStatus === 'Paid' && booking.status === 'Pending') {
+        await bookingStateService.transition(bookingId, 'Confirmed', {
+          actorId: user.user_id,
+          actorRole: user.role,
+          reason: 'Traveler accepted the proposed time',
+          connection
+        });
+      }
+
+      await connection.query(
+        `UPDATE booking_change_proposals SET status = 'accepted', responded_at = NOW()
+         WHERE proposal_id = ?`,
+        [proposal.proposal_id]
+      );
+
+      await connection.commit();
+      connection.release();
+
+      const refunds = refundId ? await cancellationService.processRefunds([refundId]) : [];
+
+      await this.notifyCreator(booking, {
+        title: 'Proposed Time Accepted',
+        description: `The traveler accepted your proposed time for "${booking.title}" on ${dayjs(proposedDate).format('MMM DD, YYYY')}.`,
+        icon: 'checkmark-circle',
+        icon_color: '#10B981'
+      });
+
+      return { status: 'accepted', booking: await this.getBooking(this.db, bookingId), refunds };
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error accepting proposed booking change:', error);
+      throw error;
+    }
+  }
+
+  // Traveler keeps the original time; the creator has to answer again
+  async rejectProposal(bookingId, user, reason) {
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const booking = await this.getBooking(connection, bookingId, true);
+      const error = this.checkTransition(booking, 'reject_proposal');
+      if (error) {
+        await connection.rollback();
+        connection.release();
+        return error;
+      }
+
+      await connection.query(
+        `UPDATE booking_change_proposals SET status = 'rejected', responded_at = NOW()
+         WHERE booking_id = ? AND status = 'pending'`,
+        [bookingId]
+      );
+
+      await connection.query(
+        `UPDATE bookings SET approval_status = 'awaiting', updated_at = NOW()
+         WHERE booking_id = ?`,
+        [bookingId]
+      );
+
+      await connection.commit();
+      connection.release();
+
+      await this.notifyCreator(booking, {
+        title: 'Proposed Time Rejected',
+        description: `The traveler would like to keep the original time for "${booking.title}".${reason ? ` Reason: ${reason}` : ''} Please accept or decline the booking.`,
+        icon: 'close-circle',
+        icon_color: '#EF4444'
+      });
+
+      return { status: 'rejected', booking: await this.getBooking(this.db, bookingId) };
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error rejecting proposed booking change:', error);
+      throw error;
+    }
+  }
+
+  async notifyTraveler(booking, { title, description, icon, icon_color }) {
+    try {
+      await notificationService.createNotification({
+        user_id: booking.traveler_id,
+        type: 'booking',
+        title,
+        description,
+        itinerary_id: booking.itinerary_id,
+        booking_id: booking.booking_id,
+        experience_id: booking.experience_id,
+        icon,
+        icon_color,
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+      });
+    } catch (notificationError) {
+      console.error('Error notifying traveler:', notificationError);
+    }
+  }
+
+  async notifyCreator(booking, { title, description, icon, icon_color }) {
+    try {
+      await notificationService.createNotification({
+        user_id: booking.creator_id,
+        type: 'booking',
+        title,
+        description,
+        itinerary_id: booking.itinerary_id,
+        booking_id: booking.booking_id,
+        experience_id: booking.experience_id,
+        icon,
+        icon_color,
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+      });
+    } catch (notificationError) {
+      console.error('Error notifying creator:', notificationError);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new BookingApprovalService(require('../config/db.js'));
+module.exports.APPROVAL_TRANSITIONS = APPROVAL_TRANSITIONS;
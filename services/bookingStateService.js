@@ -0,0 +1,143 @@
+// services/bookingStateService.js
+// The one place booking statuses change. BOOKING_TRANSITIONS lists the legal
+// moves; every change is written to booking_status_history with who made it
+// and why.
+const dayjs = require('dayjs');
+
+const BOOKING_STATUSES = ['Pending', 'Confirmed', 'Ongoing', 'Completed', 'Cancelled', 'NoShow'];
+
+const BOOKING_TRANSITIONS = {
+  Pending: ['Confirmed', 'Cancelled'],
+  // Confirmed → Completed when the cron job only runs after the slot has ended
+  Confirmed: ['Ongoing', 'Completed', 'Cancelled', 'NoShow'],
+  Ongoing: ['Completed', 'NoShow'],
+  // A creator who marked the traveler absent by mistake can take it back
+  NoShow: ['Ongoing'],
+  // Attendance is often confirmed after the slot has already ended
+  Completed: ['NoShow'],
+  Cancelled: []
+};
+
+// How the booked time went. Only the booking's creator, an admin or the
+// system (the status cron) may set these; travelers cannot mark their own
+// bookings attended.
+const ATTENDANCE_STATUSES = ['Ongoing', 'Completed', 'NoShow'];
+
+// Statuses a booking may be created with
+const INITIAL_STATUSES = ['Pending', 'Confirmed'];
+
+class BookingStateService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  canTransition(from, to) {
+    return (BOOKING_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Whether the actor may move this booking ({ creator_id }) to `to`
+  canActorSet(booking, to, { actorId, actorRole } = {}) {
+    if (!ATTENDANCE_STATUSES.includes(to)) return true;
+
+    const role = String(actorRole || '').toLowerCase();
+    if (role === 'system' || role === 'admin') return true;
+    return !!actorId && Number(actorId) === Number(booking.creator_id);
+  }
+
+  async recordHistory(connection, { bookingId, from, to, actorId, actorRole, reason }) {
+    await connection.query(
+      `INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bookingId,
+        from || null,
+        to,
+        actorId || null,
+        actorRole || (actorId ? 'user' : 'system'),
+        reason || null,
+        dayjs().format('YYYY-MM-DD HH:mm:ss')
+      ]
+    );
+  }
+
+  // Call right after inserting a booking, inside the same transaction
+  async recordCreated(connection, bookingId, status, { actorId, actorRole, reason } = {}) {
+    await this.recordHistory(connection, { bookingId, from: null, to: status, actorId, actorRole, reason });
+  }
+
+  // Move one booking to `to`. `fields` are extra columns set in the same UPDATE
+  // (e.g. cancelled_at). Pass `connection` to take part in the caller's
+  // transaction; otherwise the change runs in its own.
+  // Returns { status: 'changed' | 'unchanged' | 'invalid_transition' | 'not_allowed' | 'invalid_status' | 'not_found', from, to }.
+  // not_allowed: the actor may not set an ATTENDANCE_STATUSES status.
+  async transition(bookingId, to, { actorId, actorRole, reason, fields = {}, connection } = {}) {
+    if (!BOOKING_STATUSES.includes(to)) {
+      return { status: 'invalid_status', to };
+    }
+
+    const conn = connection || await this.db.getConnection();
+    const ownTransaction = !connection;
+
+    try {
+      if (ownTransaction) await conn.beginTransaction();
+
+      const [rows] = await conn.query(
+        'SELECT booking_id, status, creator_id FROM bookings WHERE booking_id = ? FOR UPDATE',
+        [bookingId]
+      );
+
+      let result;
+      if (rows.length === 0) {
+        result = { status: 'not_found' };
+      } else if (rows[0].status === to) {
+        result = { status: 'unchanged', from: to, to };
+      } else if (!this.canTransition(rows[0].status, to)) {
+        result = { status: 'invalid_transition', from: rows[0].status, to };
+      } else if (!this.canActorSet(rows[0], to, { actorId, actorRole })) {
+        result = { status: 'not_allowed', from: rows[0].status, to };
+      } else {
+        const columns = Object.keys(fields);
+        await conn.query(
+          `UPDATE bookings SET status = ?${columns.map(column => `, ${column} = ?`).join('')}, updated_at = NOW()
+           WHERE booking_id = ?`,
+          [to, ...columns.map(column => fields[column]), bookingId]
+        );
+
+        await this.recordHistory(conn, { bookingId, from: rows[0].status, to, actorId, actorRole, reason });
+        result = { status: 'changed', from: rows[0].status, to };
+      }
+
+      if (ownTransaction) {
+        await conn.commit();
+        conn.release();
+      }
+      return result;
+    } catch (error) {
+      if (ownTransaction) {
+        await conn.rollback();
+        conn.release();
+      }
+      console.error(`Error changing booking ${bookingId} to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  async getHistory(bookingId) {
+    const [rows] = await this.db.query(
+      `SELECT h.history_id, h.booking_id, h.from_status, h.to_status, h.actor_id, h.actor_role,
+              h.reason, h.created_at, u.first_name AS actor_first_name, u.last_name AS actor_last_name
+       FROM booking_status_history h
+       LEFT JOIN users u ON h.actor_id = u.user_id
+       WHERE h.booking_id = ?
+       ORDER BY h.created_at, h.history_id`,
+      [bookingId]
+    );
+    return rows;
+  }
+}
+
+// Export a singleton instance
+module.exports = new BookingStateService(require('../config/db.js'));
+module.exports.BOOKING_STATUSES = BOOKING_STATUSES;
+module.exports.BOOKING_TRANSITIONS = BOOKING_TRANSITIONS;
+module.exports.INITIAL_STATUSES = INITIAL_STATUSES;
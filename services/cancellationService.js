@@ -0,0 +1,361 @@
+// services/cancellationService.js
+const dayjs = require('dayjs');
+const { calculateRefund } = require('../utils/cancellationPolicy');
+const notificationService = require('./notificationService');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const bookingStateService = require('./bookingStateService');
+const experienceRevisionService = require('./experienceRevisionService');
+
+const CANCELLABLE_STATUSES = ['Pending', 'Confirmed'];
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+class CancellationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Bookings carry the cancellation terms of the revision they were made
+  // against, like their prices; the live listing's terms are the fallback
+  async getBookings(connection, { itineraryId, bookingIds, lock = false }) {
+    const params = [itineraryId];
+    let query = `
+      SELECT b.booking_id, b.itinerary_id, b.item_id, b.experience_id, b.traveler_id, b.creator_id,
+             b.status, b.payment_status, b.booking_date, b.generated_start_time, b.guest_count, b.subtotal,
+             b.revision_id, e.title, e.price, e.cancellation_policy, e.cancellation_tiers,
+             ii.day_number, ii.start_time AS item_start_time,
+             i.start_date, i.title AS itinerary_title
+      FROM bookings b
+      JOIN experience e ON b.experience_id = e.experience_id
+      JOIN itinerary i ON b.itinerary_id = i.itinerary_id
+      LEFT JOIN itinerary_items ii ON b.item_id = ii.item_id
+      WHERE b.itinerary_id = ?`;
+
+    if (bookingIds && bookingIds.length > 0) {
+      query += ` AND b.booking_id IN (${bookingIds.map(() => '?').join(',')})`;
+      params.push(...bookingIds);
+    }
+
+    query += ' ORDER BY b.booking_date, b.generated_start_time';
+    if (lock) query += ' FOR UPDATE';
+
+    const [bookings] = await connection.query(query, params);
+
+    const policies = new Map();
+    for (const booking of bookings) {
+      if (!booking.revision_id) continue;
+      if (!policies.has(booking.revision_id)) {
+        policies.set(booking.revision_id, await experienceRevisionService.getCancellationPolicy(connection, booking.revision_id));
+      }
+      Object.assign(booking, policies.get(booking.revision_id) || {});
+    }
+
+    return bookings;
+  }
+
+  getBookingStart(booking) {
+    const date = booking.booking_date
+      ? dayjs(booking.booking_date)
+      : dayjs(booking.start_date).add((booking.day_number || 1) - 1, 'day');
+    const time = booking.generated_start_time || booking.item_start_time || '00:00:00';
+
+    return dayjs(`${date.format('YYYY-MM-DD')} ${time}`);
+  }
+
+  // What cancelling one booking would refund. Travelers who paid only part of
+  // the trip get the same share of each booking's price back. With fullRefund
+  // (the creator declined) the policy is ignored and everything paid comes back.
+  buildQuote(booking, payment, { fullRefund = false } = {}) {
+    const startsAt = this.getBookingStart(booking);
+    const cancellable = CANCELLABLE_STATUSES.includes(booking.status);
+
+    let paidRatio = 0;
+    if (payment && toAmount(payment.total_amount) > 0) {
+      paidRatio = Math.min(1, toAmount(payment.amount_paid) / toAmount(payment.total_amount));
+    }
+    const paidAmount = toAmount(toAmount(booking.subtotal) * paidRatio);
+
+    const refund = calculateRefund({
+      policy: booking.cancellation_policy,
+      customTiers: booking.cancellation_tiers,
+      startsAt,
+      paidAmount
+    });
+
+    if (fullRefund) {
+      refund.policy = 'declined';
+      refund.refund_percent = 100;
+      refund.refund_amount = paidAmount;
+    }
+
+    return {
+      booking_id: booking.booking_id,
+      experience_id: booking.experience_id,
+      title: booking.title,
+      status: booking.status,
+      starts_at: startsAt.format('YYYY-MM-DD HH:mm:ss'),
+      cancellable,
+      paid_amount: paidAmount,
+      ...refund,
+      refund_amount: cancellable ? refund.refund_amount : 0
+    };
+  }
+
+  async getQuote({ itineraryId, bookingIds }) {
+    const bookings = await this.getBookings(this.db, { itineraryId, bookingIds });
+    const payment = await paymentService.getPaymentByItinerary(itineraryId);
+    const quotes = bookings.map(booking => this.buildQuote(booking, payment));
+
+    return {
+      bookings: quotes,
+      total_refund: toAmount(quotes.reduce((sum, quote) => sum + quote.refund_amount, 0))
+    };
+  }
+
+  // Cancel bookings of an itinerary (all of them when bookingIds is empty) and
+  // refund them according to the policy each was booked under. Bookings are kept with
+  // status 'Cancelled'. With cancelItinerary the trip itself is cancelled too.
+  // Callers that send their own notifications pass notify: false.
+  // Pass `connection` to take part in the caller's transaction; nothing is
+  // final until the caller commits, so refunds are not sent to the provider
+  // and no one is notified: the result carries refund_ids for the caller to
+  // hand to processRefunds once it has committed.
+  async cancelBookings({ itineraryId, bookingIds, actorId, actorRole, reason, cancelItinerary = false, fullRefund = false, notify = true, connection: callerConnection }) {
+    const connection = callerConnection || await this.db.getConnection();
+    const ownTransaction = !callerConnection;
+    if (ownTransaction) await connection.beginTransaction();
+
+    let quotes;
+    const refundIds = [];
+
+    try {
+      const bookings = await this.getBookings(connection, { itineraryId, bookingIds, lock: true });
+      const toCancel = bookings.filter(booking => CANCELLABLE_STATUSES.includes(booking.status));
+
+      if (bookingIds && bookingIds.length > 0 && toCancel.length === 0) {
+        if (ownTransaction) {
+          await connection.rollback();
+          connection.release();
+        }
+        return { status: 'not_cancellable', bookings };
+      }
+
+      const [payments] = await connection.query(
+        'SELECT * FROM itinerary_payments WHERE itinerary_id = ? FOR UPDATE',
+        [itineraryId]
+      );
+      const payment = payments[0] || null;
+
+      // Never refund more than what is still refundable on the payment
+      let refundable = payment
+        ? toAmount(toAmount(payment.amount_paid) - toAmount(payment.amount_refunded))
+        : 0;
+
+      const now = dayjs().format('YYYY-MM-DD HH:mm:ss');
+      quotes = [];
+
+      for (const booking of toCancel) {
+        const quote = this.buildQuote(booking, payment, { fullRefund });
+        quote.refund_amount = Math.min(quote.refund_amount, refundable);
+        refundable = toAmount(refundable - quote.refund_amount);
+        quotes.push({ ...quote, creator_id: booking.creator_id, traveler_id: booking.traveler_id });
+
+        await bookingStateService.transition(booking.booking_id, 'Cancelled', {
+          actorId,
+          actorRole,
+          reason: reason || (cancelItinerary ? 'Trip cancelled' : 'Booking cancelled'),
+          fields: {
+            cancelled_at: now,
+            cancelled_by: actorId || null,
+            cancellation_reason: reason || null,
+            refund_amount: quote.refund_amount,
+            payment_status: quote.refund_amount > 0 ? 'Refunded' : booking.payment_status
+          },
+          connection
+        });
+
+        // The seats go back on sale
+        await inventoryService.release(connection, {
+          experienceId: booking.experience_id,
+          bookingDate: booking.booking_date,
+          startTime: booking.generated_start_time,
+          guests: booking.guest_count
+        });
+
+        if (quote.refund_amount > 0) {
+          const [refundResult] = await connection.query(
+            `INSERT INTO refunds
+              (payment_id, itinerary_id, booking_id, amount, refund_percent, policy,
+               hours_before_start, reason, status, requested_by, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+            [
+              payment.payment_id,
+              itineraryId,
+              booking.booking_id,
+              quote.refund_amount,
+              quote.refund_percent,
+              quote.policy,
+              quote.hours_before_start,
+              reason || null,
+              actorId || null,
+              now,
+              now
+            ]
+          );
+          refundIds.push(refundResult.insertId);
+        }
+      }
+
+      const totalRefund = toAmount(quotes.reduce((sum, quote) => sum + quote.refund_amount, 0));
+
+      if (payment && totalRefund > 0) {
+        const amountRefunded = toAmount(toAmount(payment.amount_refunded) + totalRefund);
+        const paymentStatus = amountRefunded >= toAmount(payment.amount_paid) ? 'Refunded' : 'Partially Refunded';
+
+        await connection.query(
+          `UPDATE itinerary_payments
+           SET amount_refunded = ?, payment_status = ?, updated_at = ?
+           WHERE payment_id = ?`,
+          [amountRefunded, paymentStatus, now, payment.payment_id]
+        );
+      }
+
+      if (cancelItinerary) {
+        await connection.query(
+          `UPDATE itinerary SET status = 'cancelled', cancelled_at = ?, updated_at = ?
+           WHERE itinerary_id = ?`,
+          [now, now, itineraryId]
+        );
+      }
+
+      if (ownTransaction) {
+        await connection.commit();
+        connection.release();
+      }
+    } catch (error) {
+      if (ownTransaction) {
+        await connection.rollback();
+        connection.release();
+      }
+      console.error('Error cancelling bookings:', error);
+      throw error;
+    }
+
+    const result = {
+      status: 'cancelled',
+      bookings: quotes.map(({ creator_id, traveler_id, ...quote }) => quote),
+      total_refund: toAmount(quotes.reduce((sum, quote) => sum + quote.refund_amount, 0))
+    };
+
+    if (!ownTransaction) {
+      return { ...result, refund_ids: refundIds };
+    }
+
+    const refunds = await this.processRefunds(refundIds);
+
+    if (notify) {
+      await this.notifyCancellation(itineraryId, quotes, { cancelItinerary, reason });
+    }
+
+    return { ...result, refunds };
+  }
+
+  // Record a refund of what the traveler has paid beyond the itinerary's
+  // total, e.g. after a booking was repriced lower. Runs inside the caller's
+  // transaction and returns the refund id (or null when nothing is owed) for
+  // processRefunds once the caller has committed.
+  async refundOverpayment(connection, { itineraryId, bookingId, actorId, reason }) {
+    const [payments] = await connection.query(
+      'SELECT * FROM itinerary_payments WHERE itinerary_id = ? FOR UPDATE',
+      [itineraryId]
+    );
+    if (payments.length === 0) return null;
+
+    const payment = payments[0];
+    const kept = toAmount(toAmount(payment.amount_paid) - toAmount(payment.amount_refunded));
+    const amount = toAmount(kept - toAmount(payment.total_amount));
+    if (amount <= 0) return null;
+
+    const now = dayjs().format('YYYY-MM-DD HH:mm:ss');
+    const [refundResult] = await connection.query(
+      `INSERT INTO refunds
+        (payment_id, itinerary_id, booking_id, amount, refund_percent, policy,
+         hours_before_start, reason, status, requested_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 100, 'repriced', NULL, ?, 'pending', ?, ?, ?)`,
+      [payment.payment_id, itineraryId, bookingId || null, amount, reason || null, actorId || null, now, now]
+    );
+
+    // What is left still covers the total, so only a full refund changes the status
+    const amountRefunded = toAmount(toAmount(payment.amount_refunded) + amount);
+    const paymentStatus = amountRefunded >= toAmount(payment.amount_paid) ? 'Refunded' : payment.payment_status;
+
+    await connection.query(
+      `UPDATE itinerary_payments
+       SET amount_refunded = ?, payment_status = ?, updated_at = ?
+       WHERE payment_id = ?`,
+      [amountRefunded, paymentStatus, now, payment.payment_id]
+    );
+
+    return refundResult.insertId;
+  }
+
+  // Money goes back through the provider once the cancellation is saved;
+  // a failed refund stays in the refunds table for support to retry
+  async processRefunds(refundIds) {
+    const refunds = [];
+    for (const refundId of refundIds) {
+      refunds.push(await paymentService.processRefund(refundId));
+    }
+    return refunds;
+  }
+
+  async notifyCancellation(itineraryId, quotes, { cancelItinerary, reason }) {
+    try {
+      if (cancelItinerary) {
+        await notificationService.cancelScheduledNotifications(itineraryId);
+      }
+
+      if (quotes.length === 0) return;
+
+      const totalRefund = toAmount(quotes.reduce((sum, quote) => sum + quote.refund_amount, 0));
+      const refundText = totalRefund > 0
+        ? `A refund of PHP ${totalRefund.toFixed(2)} is on its way.`
+        : 'No refund applies under the cancellation policy.';
+
+      await notificationService.createNotification({
+        user_id: quotes[0].traveler_id,
+        type: 'update',
+        title: cancelItinerary ? 'Trip Cancelled' : 'Booking Cancelled',
+        description: cancelItinerary
+          ? `Your trip has been cancelled. ${refundText}`
+          : `Your booking for "${quotes[0].title}" has been cancelled. ${refundText}`,
+        itinerary_id: itineraryId,
+        booking_id: cancelItinerary ? null : quotes[0].booking_id,
+        icon: 'close-circle',
+        icon_color: '#EF4444',
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+      });
+
+      for (const quote of quotes) {
+        await notificationService.createNotification({
+          user_id: quote.creator_id,
+          type: 'booking',
+          title: 'Booking Cancelled',
+          description: `A traveler cancelled their booking for "${quote.title}" on ${dayjs(quote.starts_at).format('MMM DD, YYYY')}.${reason ? ` Reason: ${reason}` : ''}`,
+          itinerary_id: itineraryId,
+          booking_id: quote.booking_id,
+          experience_id: quote.experience_id,
+          icon: 'close-circle',
+          icon_color: '#EF4444',
+          created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+        });
+      }
+    } catch (notificationError) {
+      console.error('Error sending cancellation notifications:', notificationError);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new CancellationService(require('../config/db.js'));
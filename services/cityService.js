@@ -0,0 +1,335 @@
+// services/cityService.js
+// City / municipality registry (region > province > city) and the one place
+// a free-text city name is turned into a known city. Names and aliases are
+// matched with normalizeCityKey; "Talisay, Negros Occidental" narrows the
+// match to a province when a name exists in several.
+const { normalizeCityKey, calculateDistanceFromCityCenter } = require('../utils/cityUtils');
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const CITY_TYPES = ['city', 'municipality'];
+
+const CITY_SELECT = `
+  SELECT c.city_id, c.name, c.type, c.latitude, c.longitude,
+         p.province_id, p.name AS province, r.region_id, r.name AS region, r.code AS region_code
+  FROM cities c
+  JOIN provinces p ON p.province_id = c.province_id
+  JOIN regions r ON r.region_id = p.region_id
+`;
+
+const formatCity = (row, aliases = []) => ({
+  city_id: row.city_id,
+  name: row.name,
+  type: row.type,
+  latitude: parseFloat(row.latitude),
+  longitude: parseFloat(row.longitude),
+  province_id: row.province_id,
+  province: row.province,
+  region_id: row.region_id,
+  region: row.region,
+  region_code: row.region_code,
+  aliases
+});
+
+class CityService {
+  constructor(db) {
+    this.db = db;
+    this.index = null;
+    this.indexLoadedAt = 0;
+  }
+
+  // Drop the cached lookup index after the registry changes
+  invalidate() {
+    this.index = null;
+  }
+
+  // normalized name or alias -> cities with that name, cached for INDEX_TTL_MS
+  async getIndex() {
+    if (this.index && Date.now() - this.indexLoadedAt < INDEX_TTL_MS) {
+      return this.index;
+    }
+
+    const [rows] = await this.db.query(`${CITY_SELECT} ORDER BY c.city_id`);
+    const [aliases] = await this.db.query('SELECT city_id, alias FROM city_aliases ORDER BY alias_id');
+
+    const byId = {};
+    const index = new Map();
+    const add = (key, city) => {
+      if (!key) return;
+      const cities = index.get(key) || [];
+      if (!cities.includes(city)) cities.push(city);
+      index.set(key, cities);
+    };
+
+    rows.forEach(row => {
+      byId[row.city_id] = formatCity(row);
+      add(normalizeCityKey(row.name), byId[row.city_id]);
+    });
+    aliases.forEach(row => {
+      if (!byId[row.city_id]) return;
+      byId[row.city_id].aliases.push(row.alias);
+      add(normalizeCityKey(row.alias), byId[row.city_id]);
+    });
+
+    this.index = index;
+    this.indexLoadedAt = Date.now();
+    return index;
+  }
+
+  // The city a free-text name refers to, or null. Without a province the
+  // first registered city of that name wins.
+  async resolve(name) {
+    if (!name || !String(name).trim()) return null;
+
+    const [cityPart, ...rest] = String(name).split(',');
+    const province = normalizeCityKey(rest.join(','));
+    const matches = (await this.getIndex()).get(normalizeCityKey(cityPart)) || [];
+
+    if (province) {
+      return matches.find(city => normalizeCityKey(city.province) === province) || null;
+    }
+    return matches[0] || null;
+  }
+
+  // { lat, lng } of a city's centroid, or null when the city is unknown
+  async getCenter(name) {
+    const city = await this.resolve(name);
+    return city ? { lat: city.latitude, lng: city.longitude } : null;
+  }
+
+  // Km from the city's centroid to a point, rounded to 10 m; null when the
+  // city is unknown or the point has no coordinates
+  async distanceFromCenter(name, latitude, longitude) {
+    const center = await this.getCenter(name);
+    if (!center || latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+      return null;
+    }
+
+    const distance = await calculateDistanceFromCityCenter(
+      parseFloat(latitude),
+      parseFloat(longitude),
+      center.lat,
+      center.lng
+    );
+    return Math.round(distance * 100) / 100;
+  }
+
+  async list({ province, region, q } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (province) {
+      conditions.push('p.name = ?');
+      params.push(province);
+    }
+    if (region) {
+      conditions.push('(r.name = ? OR r.code = ?)');
+      params.push(region, region);
+    }
+    if (q) {
+      conditions.push('c.name LIKE ?');
+      params.push(`%${q}%`);
+    }
+
+    const [rows] = await this.db.query(
+      `${CITY_SELECT}${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY r.name, p.name, c.name`,
+      params
+    );
+    if (rows.length === 0) return [];
+
+    const [aliases] = await this.db.query(
+      'SELECT city_id, alias FROM city_aliases WHERE city_id IN (?) ORDER BY alias_id',
+      [rows.map(row => row.city_id)]
+    );
+
+    return rows.map(row => formatCity(
+      row,
+      aliases.filter(alias => alias.city_id === row.city_id).map(alias => alias.alias)
+    ));
+  }
+
+  async getById(cityId, connection = this.db) {
+    const [rows] = await connection.query(`${CITY_SELECT} WHERE c.city_id = ?`, [cityId]);
+    if (rows.length === 0) return null;
+
+    const [aliases] = await connection.query(
+      'SELECT alias FROM city_aliases WHERE city_id = ? ORDER BY alias_id',
+      [cityId]
+    );
+    return formatCity(rows[0], aliases.map(alias => alias.alias));
+  }
+
+  // Returns an error message, or null when the fields are valid. With
+  // partial only the fields that are present are checked.
+  validateFields(data, { partial = false } = {}) {
+    for (const field of ['name', 'province']) {
+      if (!partial || data[field] !== undefined) {
+        if (!data[field] || !String(data[field]).trim()) return `${field} is required`;
+      }
+    }
+    if (data.type !== undefined && !CITY_TYPES.includes(data.type)) {
+      return `type must be one of: ${CITY_TYPES.join(', ')}`;
+    }
+
+    if (!partial || data.latitude !== undefined) {
+      const latitude = Number(data.latitude);
+      if (data.latitude === null || data.latitude === '' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        return 'Latitude must be between -90 and 90';
+      }
+    }
+    if (!partial || data.longitude !== undefined) {
+      const longitude = Number(data.longitude);
+      if (data.longitude === null || data.longitude === '' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return 'Longitude must be between -180 and 180';
+      }
+    }
+
+    if (data.aliases !== undefined &&
+      (!Array.isArray(data.aliases) || data.aliases.some(alias => !normalizeCityKey(alias)))) {
+      return 'aliases must be a list of names';
+    }
+
+    return null;
+  }
+
+  // Province id by name, creating the province (and its region) when new.
+  // region ({ name, code }) is only needed for a new province.
+  async ensureProvince(connection, provinceName, region) {
+    const [provinces] = await connection.query('SELECT province_id FROM provinces WHERE name = ?', [provinceName]);
+    if (provinces.length > 0) return { province_id: provinces[0].province_id };
+
+    if (!region || !region.name) return { status: 'province_not_found' };
+
+    await connection.query(
+      'INSERT INTO regions (name, code) VALUES (?, ?) ON DUPLICATE KEY UPDATE code = COALESCE(VALUES(code), code)',
+      [region.name, region.code || null]
+    );
+    const [regions] = await connection.query('SELECT region_id FROM regions WHERE name = ?', [region.name]);
+
+    const [result] = await connection.query(
+      'INSERT INTO provinces (region_id, name) VALUES (?, ?)',
+      [regions[0].region_id, provinceName]
+    );
+    return { province_id: result.insertId };
+  }
+
+  // Replace a city's aliases. Returns the alias already used by another
+  // city, or null.
+  async setAliases(connection, cityId, aliases) {
+    const unique = [...new Map(
+      aliases.map(alias => [normalizeCityKey(alias), String(alias).trim()])
+    ).entries()];
+
+    if (unique.length > 0) {
+      const [taken] = await connection.query(
+        'SELECT alias FROM city_aliases WHERE normalized_alias IN (?) AND city_id <> ?',
+        [unique.map(([key]) => key), cityId]
+      );
+      if (taken.length > 0) return taken[0].alias;
+    }
+
+    await connection.query('DELETE FROM city_aliases WHERE city_id = ?', [cityId]);
+    for (const [key, alias] of unique) {
+      await connection.query(
+        'INSERT INTO city_aliases (city_id, alias, normalized_alias) VALUES (?, ?, ?)',
+        [cityId, alias, key]
+      );
+    }
+    return null;
+  }
+
+  // Create a city, or update the city of that name in the province when
+  // upsert is set (used by the seed importer). Runs in its own transaction.
+  // Returns { status: 'ok', city, created } or an error status.
+  async saveCity(data, { cityId = null, upsert = false } = {}) {
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      let current = null;
+      if (cityId) {
+        current = await this.getById(cityId, connection);
+        if (!current) {
+          await connection.rollback();
+          return { status: 'not_found' };
+        }
+      }
+
+      const provinceName = data.province !== undefined ? String(data.province).trim() : current.province;
+      const province = await this.ensureProvince(
+        connection,
+        provinceName,
+        data.region ? { name: String(data.region).trim(), code: data.region_code } : null
+      );
+      if (!province.province_id) {
+        await connection.rollback();
+        return { status: 'province_not_found', province: provinceName };
+      }
+
+      const name = data.name !== undefined ? String(data.name).trim() : current.name;
+      const [sameName] = await connection.query(
+        'SELECT city_id FROM cities WHERE province_id = ? AND name = ?',
+        [province.province_id, name]
+      );
+
+      let targetId = cityId;
+      if (sameName.length > 0 && Number(sameName[0].city_id) !== Number(cityId)) {
+        if (!upsert) {
+          await connection.rollback();
+          return { status: 'duplicate', city_id: sameName[0].city_id };
+        }
+        targetId = sameName[0].city_id;
+      }
+
+      const values = {
+        province_id: province.province_id,
+        name,
+        type: data.type !== undefined ? data.type : (current ? current.type : 'municipality'),
+        latitude: data.latitude !== undefined ? Number(data.latitude) : current.latitude,
+        longitude: data.longitude !== undefined ? Number(data.longitude) : current.longitude
+      };
+
+      if (targetId) {
+        await connection.query(
+          'UPDATE cities SET province_id = ?, name = ?, type = ?, latitude = ?, longitude = ? WHERE city_id = ?',
+          [values.province_id, values.name, values.type, values.latitude, values.longitude, targetId]
+        );
+      } else {
+        const [result] = await connection.query(
+          'INSERT INTO cities (province_id, name, type, latitude, longitude) VALUES (?, ?, ?, ?, ?)',
+          [values.province_id, values.name, values.type, values.latitude, values.longitude]
+        );
+        targetId = result.insertId;
+      }
+
+      if (data.aliases !== undefined) {
+        const taken = await this.setAliases(connection, targetId, data.aliases);
+        if (taken) {
+          await connection.rollback();
+          return { status: 'alias_taken', alias: taken };
+        }
+      }
+
+      await connection.commit();
+      this.invalidate();
+
+      return { status: 'ok', created: !cityId && sameName.length === 0, city: await this.getById(targetId) };
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async deleteCity(cityId) {
+    const [result] = await this.db.query('DELETE FROM cities WHERE city_id = ?', [cityId]);
+    this.invalidate();
+    return result.affectedRows > 0;
+  }
+}
+
+// Export a singleton instance
+module.exports = new CityService(require('../config/db.js'));
+module.exports.CITY_TYPES = CITY_TYPES;
@@ -0,0 +1,270 @@
+// services/dayRegenerationService.js
+// Saves a regenerated day once the traveler accepts it. The suggestion from
+// POST /itinerary/:id/regenerate-day is stored as a preview
+// (itineraryPreviewService) together with a fingerprint of the day it was
+// made for, so it can only be applied while the day still looks the same.
+// Applying it is one transaction: the bookings of the items it drops are
+// cancelled and their seats released, the items are removed, and the new
+// items get seats and Pending bookings the same way a saved itinerary does.
+const dayjs = require('dayjs');
+const notificationService = require('./notificationService');
+const inventoryService = require('./inventoryService');
+const cancellationService = require('./cancellationService');
+const bookingStateService = require('./bookingStateService');
+const dayRouteService = require('./dayRouteService');
+const itineraryPreviewService = require('./itineraryPreviewService');
+const itineraryPaymentService = require('./itineraryPaymentService');
+
+const PREVIEW_KIND = 'day';
+
+class DayRegenerationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Store a suggestion for one day. items are the day's current items (from
+  // dayRouteService.loadDay), removed the ones it drops, added the suggested
+  // items. Returns { proposal_token, expires_at }.
+  async createProposal(itinerary, dayNumber, items, removed, added) {
+    const stored = await itineraryPreviewService.createPreview(itinerary.traveler_id, {
+      kind: PREVIEW_KIND,
+      itinerary_id: Number(itinerary.itinerary_id),
+      day_number: Number(dayNumber),
+      day_token: dayRouteService.buildToken(itinerary.itinerary_id, dayNumber, items, []),
+      removed_item_ids: removed.map(item => Number(item.item_id)),
+      items: added.map(item => ({
+        experience_id: item.experience_id,
+        day_number: item.day_number,
+        start_time: item.start_time,
+        end_time: item.end_time,
+        subtotal: item.subtotal
+      }))
+    });
+
+    return { proposal_token: stored.preview_token, expires_at: stored.expires_at };
+  }
+
+  // Apply a stored suggestion. Returns { status: 'applied', ... } or a status
+  // of invalid, expired, used, not_found, cancelled, stale, conflicts or full.
+  async applyDay(itineraryId, proposalToken, user) {
+    const resolved = await itineraryPreviewService.resolveToken(proposalToken);
+    if (resolved.status !== 'ok') return { status: resolved.status };
+
+    const { preview } = resolved;
+    const proposal = preview.payload;
+    if (proposal.kind !== PREVIEW_KIND || Number(proposal.itinerary_id) !== Number(itineraryId)) {
+      return { status: 'invalid' };
+    }
+
+    const dayNumber = Number(proposal.day_number);
+    const day = await dayRouteService.loadDay(this.db, itineraryId, dayNumber);
+    if (!day) return { status: 'not_found' };
+    if (day.itinerary.status === 'cancelled') return { status: 'cancelled' };
+    if (dayRouteService.buildToken(itineraryId, dayNumber, day.items, []) !== proposal.day_token) {
+      return { status: 'stale' };
+    }
+
+    const { itinerary } = day;
+    const party = { adults: itinerary.adults || 1, children: itinerary.children || 0 };
+    party.guests = party.adults + party.children;
+
+    // The suggested slots and prices must still hold
+    const check = await itineraryPreviewService.revalidate({
+      start_date: itinerary.start_date,
+      end_date: itinerary.end_date,
+      items: proposal.items,
+      party,
+      checkPrices: true
+    });
+    if (check.conflicts.length > 0) return { status: 'conflicts', conflicts: check.conflicts };
+
+    const bookingDate = dayjs(itinerary.start_date).add(dayNumber - 1, 'day').format('YYYY-MM-DD');
+    const connection = await this.db.getConnection();
+    let removed;
+    let cancellation = null;
+    const added = [];
+
+    try {
+      await connection.beginTransaction();
+
+      // Nothing may have changed on the day since the suggestion was made
+      const locked = await dayRouteService.loadDay(connection, itineraryId, dayNumber, true);
+      if (dayRouteService.buildToken(itineraryId, dayNumber, locked.items, []) !== proposal.day_token) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'stale' };
+      }
+
+      if (!(await itineraryPreviewService.markSaved(connection, preview.preview_id, itineraryId))) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'used' };
+      }
+
+      removed = locked.items.filter(item => proposal.removed_item_ids.includes(Number(item.item_id)));
+      const bookingIds = removed.filter(item => item.booking_id).map(item => item.booking_id);
+
+      if (bookingIds.length > 0) {
+        cancellation = await cancellationService.cancelBookings({
+          itineraryId,
+          bookingIds,
+          actorId: user.user_id,
+          actorRole: user.role,
+          reason: 'Removed when the day was regenerated',
+          notify: false,
+          connection
+        });
+
+        if (cancellation.status !== 'cancelled') {
+          await connection.rollback();
+          connection.release();
+          return { status: 'stale' };
+        }
+      }
+
+      if (removed.length > 0) {
+        await connection.query(
+          'DELETE FROM itinerary_items WHERE itinerary_id = ? AND item_id IN (?)',
+          [itineraryId, removed.map(item => item.item_id)]
+        );
+      }
+
+      const reservation = await inventoryService.reserveItems(
+        connection,
+        proposal.items.map(item => ({
+          experience_id: item.experience_id,
+          booking_date: bookingDate,
+          start_time: item.start_time,
+          guests: party.guests
+        }))
+      );
+
+      if (!reservation.reserved) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'full', conflicts: reservation.conflicts };
+      }
+
+      const now = dayjs().format('YYYY-MM-DD HH:mm:ss');
+
+      for (const [index, item] of proposal.items.entries()) {
+        const experience = check.experiences[item.experience_id];
+        const pricing = check.pricing[index];
+        const reserved = reservation.reservations.find(r =>
+          r.experience_id === item.experience_id &&
+          r.booking_date === bookingDate &&
+          r.start_time === item.start_time
+        );
+
+        const [itemResult] = await connection.query(
+          `INSERT INTO itinerary_items
+            (itinerary_id, experience_id, day_number, start_time, end_time, custom_note, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [itineraryId, item.experience_id, dayNumber, item.start_time, item.end_time, '', now, now]
+        );
+
+        const [bookingResult] = await connection.query(
+          `INSERT INTO bookings
+            (itinerary_id, item_id, experience_id, revision_id, slot_id, exception_slot_id, guest_count, adults, children, unit_price, subtotal,
+             traveler_id, creator_id, status, payment_status, booking_date, generated_start_time, generated_end_time, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', 'Unpaid', ?, ?, ?, ?, ?)`,
+          [
+            itineraryId,
+            itemResult.insertId,
+            item.experience_id,
+            experience.current_revision_id,
+            reserved ? reserved.slot_id : null,
+            reserved ? reserved.exception_slot_id : null,
+            party.guests,
+            party.adults,
+            party.children,
+            pricing.unit_price,
+            pricing.subtotal,
+            itinerary.traveler_id,
+            experience.creator_id,
+            bookingDate,
+            item.start_time,
+            item.end_time,
+            now,
+            now
+          ]
+        );
+
+        await bookingStateService.recordCreated(connection, bookingResult.insertId, 'Pending', {
+          actorId: user.user_id,
+          actorRole: user.role,
+          reason: 'Day regenerated'
+        });
+
+        added.push({
+          item_id: itemResult.insertId,
+          booking_id: bookingResult.insertId,
+          experience_id: item.experience_id,
+          experience_name: experience.title,
+          start_time: item.start_time,
+          end_time: item.end_time,
+          subtotal: pricing.subtotal
+        });
+      }
+
+      // The trip now costs the new items instead of the removed ones
+      const removedTotal = removed.reduce((sum, item) => sum + (parseFloat(item.subtotal) || 0), 0);
+      const addedTotal = added.reduce((sum, item) => sum + item.subtotal, 0);
+      await itineraryPaymentService.adjustTotal(connection, itineraryId, addedTotal - removedTotal);
+
+      await connection.query('UPDATE itinerary SET updated_at = NOW() WHERE itinerary_id = ?', [itineraryId]);
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error applying regenerated day:', error);
+      throw error;
+    }
+
+    const refunds = cancellation ? await cancellationService.processRefunds(cancellation.refund_ids) : [];
+    await this.notifyCreators(itineraryId, removed.filter(item => item.booking_id), bookingDate);
+
+    return {
+      status: 'applied',
+      itinerary_id: Number(itineraryId),
+      day_number: dayNumber,
+      date: bookingDate,
+      removed: removed.map(item => ({
+        item_id: item.item_id,
+        experience_id: item.experience_id,
+        experience_name: item.title,
+        booking_id: item.booking_id || null
+      })),
+      added,
+      total_refund: cancellation ? cancellation.total_refund : 0,
+      refunds
+    };
+  }
+
+  // Creators of the dropped bookings no longer need to answer them
+  async notifyCreators(itineraryId, items, bookingDate) {
+    for (const item of items) {
+      try {
+        await notificationService.createNotification({
+          user_id: item.creator_id,
+          type: 'booking',
+          title: 'Booking Cancelled',
+          description: `The traveler changed their plans for ${dayjs(bookingDate).format('MMM DD, YYYY')} and cancelled their booking for "${item.title}".`,
+          itinerary_id: itineraryId,
+          booking_id: item.booking_id,
+          experience_id: item.experience_id,
+          icon: 'close-circle',
+          icon_color: '#EF4444',
+          created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+        });
+      } catch (notificationError) {
+        console.error('Error notifying creator of regenerated day:', notificationError);
+      }
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new DayRegenerationService(require('../config/db.js'));
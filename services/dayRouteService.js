@@ -0,0 +1,444 @@
+// services/dayRouteService.js
+// Reorders the flexible items of one itinerary day to keep the total travel
+// distance as short as possible. Every order of the day's items is tried
+// (days are short, so this stays cheap); each flexible item gets a time slot
+// the experience actually offers that date with room for the party, leaving
+// enough time to travel from the previous stop (utils/travelTime.js).
+// Locked items keep their time:
+//   pinned         - the traveler pinned the item
+//   booking_locked - the creator already accepted (or changed) the booking
+// Distances come from the routing service, so road distances are used when
+// a routing provider is configured.
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const notificationService = require('./notificationService');
+const inventoryService = require('./inventoryService');
+const availabilityService = require('./availabilityService');
+const routingService = require('./routingService');
+const { getRequiredGap, buildTransferLegs } = require('../utils/travelTime');
+const { calculateItemPrice } = require('../utils/pricing');
+const itineraryPaymentService = require('./itineraryPaymentService');
+const experienceRevisionService = require('./experienceRevisionService');
+
+const MAX_ITEMS_PER_DAY = 8;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class DayRouteService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async loadDay(connection, itineraryId, dayNumber, lock = false) {
+    const [itineraries] = await connection.query(
+      'SELECT itinerary_id, traveler_id, start_date, end_date, adults, children, status FROM itinerary WHERE itinerary_id = ?',
+      [itineraryId]
+    );
+    if (itineraries.length === 0) return null;
+
+    const [items] = await connection.query(
+      `SELECT ii.item_id, ii.experience_id, ii.day_number, ii.start_time, ii.end_time, ii.is_pinned,
+              e.title, e.price, e.unit, e.child_price, e.group_pricing,
+              d.latitude, d.longitude,
+              b.booking_id, b.revision_id, b.status AS booking_status, b.approval_status, b.creator_id,
+              b.guest_count, b.adults, b.children, b.subtotal, b.booking_date, b.generated_start_time
+       FROM itinerary_items ii
+       JOIN experience e ON ii.experience_id = e.experience_id
+       LEFT JOIN destination d ON e.destination_id = d.destination_id
+       LEFT JOIN bookings b ON b.item_id = ii.item_id AND b.status != 'Cancelled'
+       WHERE ii.itinerary_id = ? AND ii.day_number = ?
+       ORDER BY ii.start_time, ii.item_id${lock ? ' FOR UPDATE' : ''}`,
+      [itineraryId, dayNumber]
+    );
+
+    return { itinerary: itineraries[0], items };
+  }
+
+  // Why an item cannot move, or null when it is flexible
+  getLockReason(item) {
+    if (item.is_pinned) return 'pinned';
+    if (item.booking_id && (item.booking_status !== 'Pending' || item.approval_status !== 'awaiting')) {
+      return 'booking_locked';
+    }
+    return null;
+  }
+
+  getGuests(item, itinerary) {
+    if (item.guest_count) return item.guest_count;
+    return (itinerary.adults || 1) + (itinerary.children || 0);
+  }
+
+  // Slots the item could move to on the date. Its current slot always counts
+  // as available: the party already holds those seats.
+  async getSlotOptions(item, date, guests) {
+    const slots = await availabilityService.getSlotsForDate(item.experience_id, date);
+    const withCapacity = await inventoryService.withRemainingCapacity(item.experience_id, date, slots);
+    const current = inventoryService.normalizeTime(String(item.start_time));
+
+    return withCapacity.filter(slot =>
+      inventoryService.normalizeTime(slot.start_time) === current || inventoryService.hasRoom(slot, guests)
+    );
+  }
+
+  // Distances between every two items, looked up together so a routing
+  // provider is asked in parallel rather than once per pair in turn
+  async buildDistanceMatrix(items) {
+    const matrix = items.map(() => items.map(() => 0));
+
+    const cells = [];
+    items.forEach((from, i) => items.forEach((to, j) => {
+      if (i !== j) cells.push([i, j]);
+    }));
+
+    const distances = await routingService.getDistancesKm(cells.map(([i, j]) => [items[i], items[j]]));
+    cells.forEach(([i, j], index) => {
+      matrix[i][j] = distances[index] === null ? 0 : distances[index];
+    });
+
+    return matrix;
+  }
+
+  // Best order for the day: shortest total distance, then fewest moved items.
+  // Returns [{ index, start_time, end_time, slot }] or null when no order fits.
+  findBestRoute(items, options, matrix) {
+    const buffers = items.map(from => items.map(to => getRequiredGap(from, to)));
+
+    let best = null;
+    const used = new Array(items.length).fill(false);
+    const route = [];
+
+    // preferCurrent keeps an item's own slot when it still fits, so items
+    // are not shuffled around for no gain
+    const pickSlot = (index, earliestStart, preferCurrent) => {
+      const fitting = options[index].filter(slot => toMinutes(slot.start_time) >= earliestStart);
+      if (fitting.length === 0) return null;
+
+      if (preferCurrent) {
+        const current = fitting.find(slot =>
+          inventoryService.normalizeTime(slot.start_time) === inventoryService.normalizeTime(String(items[index].start_time))
+        );
+        if (current) return current;
+      }
+
+      return fitting.reduce((earliest, slot) =>
+        toMinutes(slot.end_time) < toMinutes(earliest.end_time) ||
+        (toMinutes(slot.end_time) === toMinutes(earliest.end_time) && toMinutes(slot.start_time) < toMinutes(earliest.start_time))
+          ? slot
+          : earliest
+      );
+    };
+
+    const search = (distance, moved, preferCurrent) => {
+      if (best && (distance > best.distance + 1e-9)) return;
+
+      if (route.length === items.length) {
+        if (!best || distance < best.distance - 1e-9 || (Math.abs(distance - best.distance) <= 1e-9 && moved < best.moved)) {
+          best = { distance, moved, route: route.map(stop => ({ ...stop })) };
+        }
+        return;
+      }
+
+      const previous = route[route.length - 1];
+      const earliestStart = previous
+        ? toMinutes(previous.end_time)
+        : 0;
+
+      for (let index = 0; index < items.length; index++) {
+        if (used[index]) continue;
+
+        const bound = previous ? earliestStart + buffers[previous.index][index] : 0;
+        const slot = pickSlot(index, bound, preferCurrent);
+        if (!slot) continue;
+
+        const changed = inventoryService.normalizeTime(slot.start_time) !==
+          inventoryService.normalizeTime(String(items[index].start_time));
+
+        used[index] = true;
+        route.push({ index, start_time: slot.start_time, end_time: slot.end_time, slot });
+        search(
+          distance + (previous ? matrix[previous.index][index] : 0),
+          moved + (changed || route.length - 1 !== index ? 1 : 0),
+          preferCurrent
+        );
+        route.pop();
+        used[index] = false;
+      }
+    };
+
+    search(0, 0, true);
+    search(0, 0, false);
+
+    return best ? best.route : null;
+  }
+
+  routeDistance(route, matrix) {
+    let total = 0;
+    for (let i = 1; i < route.length; i++) {
+      total += matrix[route[i - 1].index][route[i].index];
+    }
+    return round(total);
+  }
+
+  // Fingerprint of the day and the proposed times, so a proposal can only be
+  // applied while the day still looks the way it did when it was proposed
+  buildToken(itineraryId, dayNumber, items, changes) {
+    const state = {
+      itineraryId: Number(itineraryId),
+      dayNumber: Number(dayNumber),
+      items: items.map(item => [item.item_id, String(item.start_time), String(item.end_time), Boolean(item.is_pinned)]),
+      changes: changes.map(change => [change.item_id, change.proposed.start_time, change.proposed.end_time])
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex').slice(0, 32);
+  }
+
+  // The best order for a day and how it differs from the current one
+  async proposeDay(itineraryId, dayNumber) {
+    const day = await this.loadDay(this.db, itineraryId, dayNumber);
+    if (!day) return { status: 'not_found' };
+
+    const { itinerary, items } = day;
+    const totalDays = dayjs(itinerary.end_date).diff(dayjs(itinerary.start_date), 'day') + 1;
+    if (dayNumber < 1 || dayNumber > totalDays) {
+      return { status: 'invalid_day', total_days: totalDays };
+    }
+    if (items.length === 0) return { status: 'no_items' };
+    if (items.length > MAX_ITEMS_PER_DAY) {
+      return { status: 'too_many_items', max_items: MAX_ITEMS_PER_DAY };
+    }
+
+    const date = dayjs(itinerary.start_date).add(dayNumber - 1, 'day').format('YYYY-MM-DD');
+
+    const options = [];
+    for (const item of items) {
+      const current = {
+        slot_id: null,
+        exception_slot_id: null,
+        start_time: String(item.start_time),
+        end_time: String(item.end_time),
+        capacity: null
+      };
+
+      if (this.getLockReason(item)) {
+        options.push([current]);
+      } else {
+        const slots = await this.getSlotOptions(item, date, this.getGuests(item, itinerary));
+        options.push(slots.length > 0 ? slots : [current]);
+      }
+    }
+
+    const matrix = await this.buildDistanceMatrix(items);
+    const currentRoute = items.map((item, index) => ({ index }));
+    const bestRoute = this.findBestRoute(items, options, matrix);
+
+    if (!bestRoute) return { status: 'infeasible', date };
+
+    const currentDistance = this.routeDistance(currentRoute, matrix);
+    const proposedDistance = this.routeDistance(bestRoute, matrix);
+
+    const changes = bestRoute.map((stop, position) => {
+      const item = items[stop.index];
+      return {
+        item_id: item.item_id,
+        experience_id: item.experience_id,
+        title: item.title,
+        locked: this.getLockReason(item),
+        booking_id: item.booking_id || null,
+        current: {
+          position: stop.index + 1,
+          start_time: inventoryService.normalizeTime(String(item.start_time)),
+          end_time: inventoryService.normalizeTime(String(item.end_time))
+        },
+        proposed: {
+          position: position + 1,
+          start_time: inventoryService.normalizeTime(stop.start_time),
+          end_time: inventoryService.normalizeTime(stop.end_time)
+        },
+        leg_km_from_previous: position > 0 ? round(matrix[bestRoute[position - 1].index][stop.index]) : null,
+        slot: stop.slot
+      };
+    });
+
+    changes.forEach(change => {
+      change.changed = change.current.start_time !== change.proposed.start_time ||
+        change.current.end_time !== change.proposed.end_time;
+    });
+
+    // Worth proposing when it is shorter, or when the current times leave too
+    // little time to travel between stops
+    const currentFeasible = buildTransferLegs(items).every(leg => !leg || leg.sufficient);
+    const improves = changes.some(change => change.changed) &&
+      (proposedDistance < currentDistance - 0.01 || !currentFeasible);
+
+    if (!improves) {
+      return {
+        status: 'unchanged',
+        itinerary,
+        date,
+        day_number: Number(dayNumber),
+        current_distance_km: currentDistance,
+        current_feasible: currentFeasible
+      };
+    }
+
+    return {
+      status: 'proposed',
+      itinerary,
+      date,
+      day_number: Number(dayNumber),
+      current_distance_km: currentDistance,
+      current_feasible: currentFeasible,
+      proposed_distance_km: proposedDistance,
+      saved_km: round(currentDistance - proposedDistance),
+      changes,
+      proposal_token: this.buildToken(itineraryId, dayNumber, items, changes)
+    };
+  }
+
+  // Apply a proposal from proposeDay. The proposal is worked out again and
+  // must match the token the traveler saw.
+  async applyDay(itineraryId, dayNumber, proposalToken, user) {
+    const proposal = await this.proposeDay(itineraryId, dayNumber);
+    if (proposal.status !== 'proposed') return proposal;
+    if (proposal.proposal_token !== proposalToken) return { status: 'stale' };
+
+    const toMove = proposal.changes.filter(change => change.changed);
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Nothing may have changed on the day since the proposal was built
+      const day = await this.loadDay(connection, itineraryId, dayNumber, true);
+      const lockedToken = this.buildToken(itineraryId, dayNumber, day.items, proposal.changes);
+      if (lockedToken !== proposalToken) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'stale' };
+      }
+
+      const itemsById = {};
+      day.items.forEach(item => {
+        itemsById[item.item_id] = item;
+      });
+
+      // Give every moved booking's seats back first, so items can swap slots
+      for (const change of toMove) {
+        const item = itemsById[change.item_id];
+        if (!item.booking_id) continue;
+
+        await inventoryService.release(connection, {
+          experienceId: item.experience_id,
+          bookingDate: item.booking_date,
+          startTime: item.generated_start_time,
+          guests: item.guest_count
+        });
+      }
+
+      for (const change of toMove) {
+        const item = itemsById[change.item_id];
+
+        await connection.query(
+          'UPDATE itinerary_items SET start_time = ?, end_time = ?, updated_at = NOW() WHERE item_id = ?',
+          [change.proposed.start_time, change.proposed.end_time, item.item_id]
+        );
+
+        if (!item.booking_id) continue;
+
+        const reservation = await inventoryService.reserve(connection, {
+          experienceId: item.experience_id,
+          bookingDate: item.booking_date,
+          startTime: change.proposed.start_time,
+          capacity: change.slot.capacity,
+          guests: item.guest_count
+        });
+
+        if (!reservation.reserved) {
+          await connection.rollback();
+          connection.release();
+          return { status: 'full', item_id: item.item_id, remaining_capacity: reservation.remaining };
+        }
+
+        // Priced at the revision the traveler booked, not the live listing
+        const pricing = (item.revision_id && await experienceRevisionService.getPricing(connection, item.revision_id)) || item;
+        const subtotal = calculateItemPrice(pricing, {
+          adults: item.adults,
+          children: item.children,
+          startTime: change.proposed.start_time,
+          endTime: change.proposed.end_time
+        }).subtotal;
+
+        await itineraryPaymentService.adjustTotal(connection, itineraryId, subtotal - parseFloat(item.subtotal || 0));
+
+        await connection.query(
+          `UPDATE bookings
+           SET slot_id = ?, exception_slot_id = ?, generated_start_time = ?, generated_end_time = ?,
+               subtotal = ?, updated_at = NOW()
+           WHERE booking_id = ?`,
+          [
+            change.slot.slot_id,
+            change.slot.exception_slot_id,
+            change.proposed.start_time,
+            change.proposed.end_time,
+            subtotal,
+            item.booking_id
+          ]
+        );
+      }
+
+      await connection.query('UPDATE itinerary SET updated_at = NOW() WHERE itinerary_id = ?', [itineraryId]);
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error applying optimized day route:', error);
+      throw error;
+    }
+
+    await this.notifyCreators(itineraryId, proposal, toMove);
+
+    return { ...proposal, status: 'applied', applied_by: user ? user.user_id : null };
+  }
+
+  // Creators still have to answer these bookings, so tell them the new time
+  async notifyCreators(itineraryId, proposal, moved) {
+    if (moved.length === 0) return;
+
+    try {
+      const [bookings] = await this.db.query(
+        'SELECT booking_id, creator_id, experience_id FROM bookings WHERE item_id IN (?) AND status != \'Cancelled\'',
+        [moved.map(change => change.item_id)]
+      );
+
+      for (const booking of bookings) {
+        const change = moved.find(candidate => Number(candidate.booking_id) === Number(booking.booking_id));
+        if (!change) continue;
+
+        await notificationService.createNotification({
+          user_id: booking.creator_id,
+          type: 'booking',
+          title: 'Booking Time Changed',
+          description: `The traveler moved "${change.title}" on ${dayjs(proposal.date).format('MMM DD, YYYY')} to ${change.proposed.start_time.slice(0, 5)}.`,
+          itinerary_id: itineraryId,
+          booking_id: booking.booking_id,
+          experience_id: booking.experience_id,
+          icon: 'time',
+          icon_color: '#3B82F6',
+          created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+        });
+      }
+    } catch (notificationError) {
+      console.error('Error sending route change notifications:', notificationError);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new DayRouteService(require('../config/db.js'));
+module.exports.MAX_ITEMS_PER_DAY = MAX_ITEMS_PER_DAY;
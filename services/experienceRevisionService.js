@@ -0,0 +1,597 @@
+// services/experienceRevisionService.js
+// Versions of an experience's bookable content (details, prices, cancellation
+// policy, schedule, tags). The experience tables always hold the published revision
+// (experience.current_revision_id); edits to a live listing are kept as a
+// pending revision until an admin reviews and publishes them, so travelers
+// who already booked are not shown terms that changed under them and an
+// approved listing cannot be swapped for unreviewed content. Bookings store
+// the revision they were made against.
+const dayjs = require('dayjs');
+
+// Snapshot keys, in the order diffs list them
+const VERSIONED_FIELDS = [
+  'title', 'description', 'notes', 'price', 'child_price', 'group_pricing', 'unit',
+  'cancellation_policy', 'cancellation_tiers', 'travel_companions', 'category_id', 'destination_id', 'availability', 'tags'
+];
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+const toTime = (value) => (value && /^\d{1,2}:\d{2}$/.test(value) ? `${value.padStart(5, '0')}:00` : value);
+const toDate = (value) => (value ? dayjs(value).format('YYYY-MM-DD') : null);
+
+// The same content always normalizes to the same JSON, whether it was read
+// from the tables, stored by MySQL or sent by a client
+const normalizeSnapshot = (snapshot) => {
+  const groupPricing = parseJson(snapshot.group_pricing, null);
+  const cancellationTiers = parseJson(snapshot.cancellation_tiers, null);
+
+  return {
+    title: snapshot.title ?? null,
+    description: snapshot.description ?? null,
+    notes: snapshot.notes || null,
+    price: toNumber(snapshot.price),
+    child_price: toNumber(snapshot.child_price),
+    group_pricing: Array.isArray(groupPricing) && groupPricing.length > 0
+      ? groupPricing
+          .map(tier => ({ min_guests: Number(tier.min_guests), price: Number(tier.price) }))
+          .sort((a, b) => a.min_guests - b.min_guests)
+      : null,
+    unit: snapshot.unit ?? null,
+    cancellation_policy: snapshot.cancellation_policy ?? null,
+    cancellation_tiers: Array.isArray(cancellationTiers) && cancellationTiers.length > 0
+      ? cancellationTiers
+          .map(tier => ({ hours_before: Number(tier.hours_before), refund_percent: Number(tier.refund_percent) }))
+          .sort((a, b) => b.hours_before - a.hours_before)
+      : null,
+    travel_companions: parseJson(snapshot.travel_companions, []),
+    category_id: toNumber(snapshot.category_id),
+    destination_id: toNumber(snapshot.destination_id),
+    availability: parseJson(snapshot.availability, [])
+      .map(rule => ({
+        day_of_week: rule.day_of_week,
+        valid_from: toDate(rule.valid_from),
+        valid_until: toDate(rule.valid_until),
+        time_slots: (rule.time_slots || [])
+          .map(slot => ({
+            start_time: toTime(slot.start_time),
+            end_time: toTime(slot.end_time),
+            capacity: slot.capacity ? parseInt(slot.capacity, 10) : null
+          }))
+          .sort((a, b) => a.start_time.localeCompare(b.start_time))
+      }))
+      .sort((a, b) =>
+        DAY_ORDER.indexOf(a.day_of_week) - DAY_ORDER.indexOf(b.day_of_week) ||
+        String(a.valid_from || '').localeCompare(String(b.valid_from || ''))
+      ),
+    tags: parseJson(snapshot.tags, []).map(Number).sort((a, b) => a - b)
+  };
+};
+
+const ruleKey = (rule) => `${rule.day_of_week} ${rule.valid_from || '*'}..${rule.valid_until || '*'}`;
+
+// Field-level differences between two snapshots. Tags and weekly schedule
+// rules also list what was added, removed or changed.
+const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  VERSIONED_FIELDS.forEach(field => {
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+
+    const change = { field, before: before[field], after: after[field] };
+
+    if (field === 'tags') {
+      change.added = after.tags.filter(tag => !before.tags.includes(tag));
+      change.removed = before.tags.filter(tag => !after.tags.includes(tag));
+    }
+
+    if (field === 'availability') {
+      const beforeRules = new Map(before.availability.map(rule => [ruleKey(rule), rule]));
+      const afterRules = new Map(after.availability.map(rule => [ruleKey(rule), rule]));
+
+      change.added = after.availability.filter(rule => !beforeRules.has(ruleKey(rule)));
+      change.removed = before.availability.filter(rule => !afterRules.has(ruleKey(rule)));
+      change.changed = after.availability
+        .filter(rule => beforeRules.has(ruleKey(rule)) &&
+          JSON.stringify(beforeRules.get(ruleKey(rule)).time_slots) !== JSON.stringify(rule.time_slots))
+        .map(rule => ({
+          day_of_week: rule.day_of_week,
+          valid_from: rule.valid_from,
+          valid_until: rule.valid_until,
+          before: beforeRules.get(ruleKey(rule)).time_slots,
+          after: rule.time_slots
+        }));
+    }
+
+    changes.push(change);
+  });
+
+  return changes;
+};
+
+const formatRevision = (row, { withSnapshot = false } = {}) => {
+  const revision = {
+    revision_id: row.revision_id,
+    experience_id: row.experience_id,
+    revision_number: row.revision_number,
+    status: row.status,
+    base_revision_id: row.base_revision_id,
+    changed_fields: parseJson(row.changed_fields, []),
+    note: row.note,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    published_by: row.published_by,
+    published_at: row.published_at
+  };
+
+  if (row.is_current !== undefined) revision.is_current = !!row.is_current;
+  if (row.booking_count !== undefined) revision.booking_count = Number(row.booking_count);
+  if (withSnapshot) revision.snapshot = normalizeSnapshot(parseJson(row.snapshot, {}));
+
+  return revision;
+};
+
+class ExperienceRevisionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // The experience's current content as a snapshot, or null when it does not exist
+  async loadSnapshot(connection, experienceId) {
+    const [experiences] = await connection.query(
+      `SELECT title, description, notes, price, child_price, group_pricing, unit,
+              cancellation_policy, cancellation_tiers, travel_companions, travel_companion, category_id, destination_id
+       FROM experience WHERE experience_id = ?`,
+      [experienceId]
+    );
+    if (experiences.length === 0) return null;
+
+    const [rules] = await connection.query(
+      'SELECT availability_id, day_of_week, valid_from, valid_until FROM experience_availability WHERE experience_id = ?',
+      [experienceId]
+    );
+    const [slots] = rules.length > 0
+      ? await connection.query(
+          'SELECT availability_id, start_time, end_time, capacity FROM availability_time_slots WHERE availability_id IN (?)',
+          [rules.map(rule => rule.availability_id)]
+        )
+      : [[]];
+    const [tags] = await connection.query('SELECT tag_id FROM experience_tags WHERE experience_id = ?', [experienceId]);
+
+    const experience = experiences[0];
+    return normalizeSnapshot({
+      ...experience,
+      travel_companions: experience.travel_companions ||
+        (experience.travel_companion ? [experience.travel_companion] : []),
+      availability: rules.map(rule => ({
+        ...rule,
+        time_slots: slots.filter(slot => slot.availability_id === rule.availability_id)
+      })),
+      tags: tags.map(tag => tag.tag_id)
+    });
+  }
+
+  // Write the given fields of a snapshot to the experience tables, inside the
+  // caller's transaction. Availability rows are recreated, like any edit did before.
+  async applySnapshot(connection, experienceId, snapshot, fields) {
+    const columns = fields.filter(field => !['availability', 'tags'].includes(field));
+
+    if (columns.length > 0) {
+      const assignments = [];
+      const values = [];
+
+      columns.forEach(field => {
+        assignments.push(`${field} = ?`);
+        values.push(['group_pricing', 'cancellation_tiers', 'travel_companions'].includes(field) && snapshot[field] !== null
+          ? JSON.stringify(snapshot[field])
+          : snapshot[field]);
+
+        // Keep the old single-value column in step for older clients
+        if (field === 'travel_companions') {
+          assignments.push('travel_companion = ?');
+          values.push(snapshot.travel_companions[0] || null);
+        }
+      });
+
+      await connection.query(
+        `UPDATE experience SET ${assignments.join(', ')} WHERE experience_id = ?`,
+        [...values, experienceId]
+      );
+    }
+
+    if (fields.includes('availability')) {
+      await connection.query(
+        `DELETE s FROM availability_time_slots s
+         JOIN experience_availability a ON s.availability_id = a.availability_id
+         WHERE a.experience_id = ?`,
+        [experienceId]
+      );
+      await connection.query('DELETE FROM experience_availability WHERE experience_id = ?', [experienceId]);
+
+      for (const rule of snapshot.availability) {
+        const [result] = await connection.query(
+          'INSERT INTO experience_availability (experience_id, day_of_week, valid_from, valid_until) VALUES (?, ?, ?, ?)',
+          [experienceId, rule.day_of_week, rule.valid_from, rule.valid_until]
+        );
+        for (const slot of rule.time_slots) {
+          await connection.query(
+            'INSERT INTO availability_time_slots (availability_id, start_time, end_time, capacity) VALUES (?, ?, ?, ?)',
+            [result.insertId, slot.start_time, slot.end_time, slot.capacity]
+          );
+        }
+      }
+    }
+
+    if (fields.includes('tags')) {
+      await connection.query('DELETE FROM experience_tags WHERE experience_id = ?', [experienceId]);
+      if (snapshot.tags.length > 0) {
+        await connection.query(
+          'INSERT INTO experience_tags (experience_id, tag_id) VALUES ?',
+          [snapshot.tags.map(tagId => [experienceId, tagId])]
+        );
+      }
+    }
+  }
+
+  async nextRevisionNumber(connection, experienceId) {
+    const [rows] = await connection.query(
+      'SELECT COALESCE(MAX(revision_number), 0) + 1 AS next_number FROM experience_revisions WHERE experience_id = ?',
+      [experienceId]
+    );
+    return rows[0].next_number;
+  }
+
+  // Lock the experience row for the rest of the caller's transaction
+  async lockExperience(connection, experienceId) {
+    const [rows] = await connection.query(
+      'SELECT experience_id, creator_id, title, status, current_revision_id FROM experience WHERE experience_id = ? FOR UPDATE',
+      [experienceId]
+    );
+    return rows[0] || null;
+  }
+
+  // Record what the experience tables hold now as its published revision,
+  // inside the caller's transaction. Nothing is recorded when it matches the
+  // current revision. Pending edits made against the old content are superseded.
+  // Returns the current revision id.
+  async recordPublished(connection, experienceId, actor, { note } = {}) {
+    const experience = await this.lockExperience(connection, experienceId);
+    if (!experience) return null;
+
+    const snapshot = await this.loadSnapshot(connection, experienceId);
+
+    let changedFields = null;
+    const current = experience.current_revision_id
+      ? await this.getRevisionRow(connection, experienceId, experience.current_revision_id)
+      : null;
+    if (current) {
+      changedFields = diffSnapshots(normalizeSnapshot(parseJson(current.snapshot, {})), snapshot).map(change => change.field);
+      if (changedFields.length === 0) return experience.current_revision_id;
+    }
+
+    const actorId = actor ? actor.user_id : null;
+    const [result] = await connection.query(
+      `INSERT INTO experience_revisions
+        (experience_id, revision_number, status, base_revision_id, snapshot, changed_fields, note,
+         created_by, published_by, published_at)
+       VALUES (?, ?, 'published', ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        experienceId,
+        await this.nextRevisionNumber(connection, experienceId),
+        current ? current.revision_id : null,
+        JSON.stringify(snapshot),
+        changedFields ? JSON.stringify(changedFields) : null,
+        note || null,
+        actorId,
+        actorId
+      ]
+    );
+
+    await connection.query(
+      'UPDATE experience SET current_revision_id = ? WHERE experience_id = ?',
+      [result.insertId, experienceId]
+    );
+    await connection.query(
+      `UPDATE experience_revisions SET status = 'superseded'
+       WHERE experience_id = ? AND status = 'pending'`,
+      [experienceId]
+    );
+
+    return result.insertId;
+  }
+
+  // Apply edits straight to a listing travelers cannot book (draft, pending,
+  // rejected, inactive) and record the result as a published revision.
+  // changes holds only the snapshot keys being edited.
+  // Returns { status: 'applied' | 'unchanged', changed_fields, revision_id }.
+  async applyChanges(connection, experienceId, changes, actor) {
+    await this.lockExperience(connection, experienceId);
+    const live = await this.loadSnapshot(connection, experienceId);
+    const updated = normalizeSnapshot({ ...live, ...changes });
+    const changedFields = diffSnapshots(live, updated).map(change => change.field);
+
+    if (changedFields.length > 0) {
+      await this.applySnapshot(connection, experienceId, updated, changedFields);
+    }
+    const revisionId = await this.recordPublished(connection, experienceId, actor, { note: 'Edited while not live' });
+
+    return { status: changedFields.length > 0 ? 'applied' : 'unchanged', changed_fields: changedFields, revision_id: revisionId };
+  }
+
+  // Keep edits to a live listing as its pending revision instead of applying
+  // them. Further edits are merged into the same pending revision.
+  // Returns { status: 'pending', revision, changes } or { status: 'unchanged' }.
+  async proposeRevision(connection, experienceId, changes, actor, { note } = {}) {
+    let experience = await this.lockExperience(connection, experienceId);
+    if (!experience.current_revision_id) {
+      await this.recordPublished(connection, experienceId, null, { note: 'Content when revision tracking started' });
+      experience = await this.lockExperience(connection, experienceId);
+    }
+
+    const live = await this.loadSnapshot(connection, experienceId);
+    const [pendingRows] = await connection.query(
+      `SELECT * FROM experience_revisions WHERE experience_id = ? AND status = 'pending'
+       ORDER BY revision_number DESC LIMIT 1 FOR UPDATE`,
+      [experienceId]
+    );
+
+    let pending = pendingRows[0] || null;
+    if (pending && Number(pending.base_revision_id) !== Number(experience.current_revision_id)) {
+      await connection.query(
+        "UPDATE experience_revisions SET status = 'superseded' WHERE revision_id = ?",
+        [pending.revision_id]
+      );
+      pending = null;
+    }
+
+    const base = pending ? normalizeSnapshot(parseJson(pending.snapshot, {})) : live;
+    const proposed = normalizeSnapshot({ ...base, ...changes });
+    const diff = diffSnapshots(live, proposed);
+
+    if (diff.length === 0) {
+      // The edits put everything back the way it is live
+      if (pending) {
+        await connection.query(
+          "UPDATE experience_revisions SET status = 'discarded', note = ? WHERE revision_id = ?",
+          ['Edits matched the published listing', pending.revision_id]
+        );
+      }
+      return { status: 'unchanged' };
+    }
+
+    const changedFields = JSON.stringify(diff.map(change => change.field));
+    let revisionId;
+
+    if (pending) {
+      await connection.query(
+        'UPDATE experience_revisions SET snapshot = ?, changed_fields = ?, note = COALESCE(?, note) WHERE revision_id = ?',
+        [JSON.stringify(proposed), changedFields, note || null, pending.revision_id]
+      );
+      revisionId = pending.revision_id;
+    } else {
+      const [result] = await connection.query(
+        `INSERT INTO experience_revisions
+          (experience_id, revision_number, status, base_revision_id, snapshot, changed_fields, note, created_by)
+         VALUES (?, ?, 'pending', ?, ?, ?, ?, ?)`,
+        [
+          experienceId,
+          await this.nextRevisionNumber(connection, experienceId),
+          experience.current_revision_id,
+          JSON.stringify(proposed),
+          changedFields,
+          note || null,
+          actor ? actor.user_id : null
+        ]
+      );
+      revisionId = result.insertId;
+    }
+
+    const revision = await this.getRevisionRow(connection, experienceId, revisionId);
+    return { status: 'pending', revision: formatRevision(revision), changes: diff };
+  }
+
+  // Edit a listing from the endpoints that change one part of it (schedule
+  // dates, cancellation policy): a pending revision while it is active,
+  // applied right away otherwise. Returns what proposeRevision or
+  // applyChanges returns, or { status: 'not_found' }.
+  async edit(connection, experienceId, changes, actor, { note } = {}) {
+    const experience = await this.lockExperience(connection, experienceId);
+    if (!experience) return { status: 'not_found' };
+
+    return experience.status === 'active'
+      ? this.proposeRevision(connection, experienceId, changes, actor, { note })
+      : this.applyChanges(connection, experienceId, changes, actor);
+  }
+
+  // Make a pending revision the live content. Runs in its own transaction.
+  // Returns { status: 'published', revision, experience, changes } or
+  // { status: 'not_found' | 'not_pending' | 'stale' }.
+  async publish(experienceId, revisionId, actor) {
+    const connection = await this.db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const experience = await this.lockExperience(connection, experienceId);
+      const revision = experience ? await this.getRevisionRow(connection, experienceId, revisionId, { lock: true }) : null;
+
+      if (!revision) {
+        await connection.rollback();
+        return { status: 'not_found' };
+      }
+      if (revision.status !== 'pending') {
+        await connection.rollback();
+        return { status: 'not_pending', revision_status: revision.status };
+      }
+      if (Number(revision.base_revision_id) !== Number(experience.current_revision_id)) {
+        await connection.query(
+          "UPDATE experience_revisions SET status = 'superseded' WHERE revision_id = ?",
+          [revisionId]
+        );
+        await connection.commit();
+        return { status: 'stale' };
+      }
+
+      const live = await this.loadSnapshot(connection, experienceId);
+      const snapshot = normalizeSnapshot(parseJson(revision.snapshot, {}));
+      const diff = diffSnapshots(live, snapshot);
+
+      await this.applySnapshot(connection, experienceId, snapshot, diff.map(change => change.field));
+
+      await connection.query(
+        `UPDATE experience_revisions
+         SET status = 'published', changed_fields = ?, published_by = ?, published_at = NOW()
+         WHERE revision_id = ?`,
+        [JSON.stringify(diff.map(change => change.field)), actor ? actor.user_id : null, revisionId]
+      );
+      await connection.query(
+        'UPDATE experience SET current_revision_id = ?, updated_at = NOW() WHERE experience_id = ?',
+        [revisionId, experienceId]
+      );
+
+      await connection.commit();
+
+      const published = await this.getRevisionRow(this.db, experienceId, revisionId);
+      return { status: 'published', revision: formatRevision(published), experience, changes: diff };
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Throw away a pending revision. Returns { status: 'discarded' | 'not_found' | 'not_pending' }.
+  async discard(experienceId, revisionId, { note } = {}) {
+    const [result] = await this.db.query(
+      `UPDATE experience_revisions SET status = 'discarded', note = COALESCE(?, note)
+       WHERE experience_id = ? AND revision_id = ? AND status = 'pending'`,
+      [note || null, experienceId, revisionId]
+    );
+    if (result.affectedRows > 0) return { status: 'discarded' };
+
+    const revision = await this.getRevisionRow(this.db, experienceId, revisionId);
+    return revision ? { status: 'not_pending', revision_status: revision.status } : { status: 'not_found' };
+  }
+
+  async getRevisionRow(connection, experienceId, revisionId, { lock = false } = {}) {
+    const [rows] = await connection.query(
+      `SELECT * FROM experience_revisions WHERE experience_id = ? AND revision_id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [experienceId, revisionId]
+    );
+    return rows[0] || null;
+  }
+
+  // Pending edits of live listings waiting for an admin, oldest edit first
+  async getReviewQueue() {
+    const [rows] = await this.db.query(
+      `SELECT r.revision_id, r.experience_id, r.revision_number, r.status, r.base_revision_id, r.changed_fields,
+              r.note, r.created_by, r.created_at, r.updated_at, r.published_by, r.published_at,
+              e.title, e.creator_id, u.first_name AS creator_first_name, u.last_name AS creator_last_name
+       FROM experience_revisions r
+       JOIN experience e ON e.experience_id = r.experience_id
+       LEFT JOIN users u ON u.user_id = e.creator_id
+       WHERE r.status = 'pending'
+       ORDER BY r.updated_at, r.revision_id`
+    );
+    return rows.map(row => ({
+      ...formatRevision(row),
+      title: row.title,
+      creator_id: row.creator_id,
+      creator_first_name: row.creator_first_name,
+      creator_last_name: row.creator_last_name
+    }));
+  }
+
+  // Newest first, with how many bookings were made against each
+  async listRevisions(experienceId) {
+    const [rows] = await this.db.query(
+      `SELECT r.revision_id, r.experience_id, r.revision_number, r.status, r.base_revision_id, r.changed_fields,
+              r.note, r.created_by, r.created_at, r.updated_at, r.published_by, r.published_at,
+              r.revision_id = e.current_revision_id AS is_current,
+              (SELECT COUNT(*) FROM bookings b WHERE b.revision_id = r.revision_id) AS booking_count
+       FROM experience_revisions r
+       JOIN experience e ON e.experience_id = r.experience_id
+       WHERE r.experience_id = ?
+       ORDER BY r.revision_number DESC`,
+      [experienceId]
+    );
+    return rows.map(row => formatRevision(row));
+  }
+
+  // One revision with its content and what it changed. By default it is
+  // compared with the revision it was edited from; compareTo picks another
+  // revision, or 'live' for what travelers see now.
+  // Returns { status: 'ok', revision, compared_to, changes } or { status: 'not_found' | 'compare_not_found' }.
+  async getRevisionDiff(experienceId, revisionId, compareTo) {
+    const row = await this.getRevisionRow(this.db, experienceId, revisionId);
+    if (!row) return { status: 'not_found' };
+
+    const revision = formatRevision(row, { withSnapshot: true });
+
+    let before = null;
+    let comparedTo = null;
+    if (compareTo === 'live') {
+      before = await this.loadSnapshot(this.db, experienceId);
+      comparedTo = 'live';
+    } else if (compareTo || revision.base_revision_id) {
+      const other = await this.getRevisionRow(this.db, experienceId, compareTo || revision.base_revision_id);
+      if (!other) return { status: 'compare_not_found' };
+      before = normalizeSnapshot(parseJson(other.snapshot, {}));
+      comparedTo = other.revision_id;
+    }
+
+    return {
+      status: 'ok',
+      revision,
+      compared_to: comparedTo,
+      changes: before ? diffSnapshots(before, revision.snapshot) : []
+    };
+  }
+
+  // Pricing fields of a revision, shaped like an experience row for utils/pricing.js
+  async getPricing(connection, revisionId) {
+    const [rows] = await connection.query('SELECT snapshot FROM experience_revisions WHERE revision_id = ?', [revisionId]);
+    if (rows.length === 0) return null;
+
+    const snapshot = normalizeSnapshot(parseJson(rows[0].snapshot, {}));
+    return {
+      price: snapshot.price,
+      unit: snapshot.unit,
+      child_price: snapshot.child_price,
+      group_pricing: snapshot.group_pricing
+    };
+  }
+
+  // Cancellation terms of a revision, or null for revisions recorded before
+  // the policy was part of them
+  async getCancellationPolicy(connection, revisionId) {
+    const [rows] = await connection.query('SELECT snapshot FROM experience_revisions WHERE revision_id = ?', [revisionId]);
+    if (rows.length === 0) return null;
+
+    const snapshot = normalizeSnapshot(parseJson(rows[0].snapshot, {}));
+    if (!snapshot.cancellation_policy) return null;
+
+    return {
+      cancellation_policy: snapshot.cancellation_policy,
+      cancellation_tiers: snapshot.cancellation_tiers
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExperienceRevisionService(require('../config/db.js'));
+module.exports.VERSIONED_FIELDS = VERSIONED_FIELDS;
+module.exports.normalizeSnapshot = normalizeSnapshot;
+module.exports.diffSnapshots = diffSnapshots;
@@ -0,0 +1,426 @@
+// services/experienceSearchService.js
+// Keyword search over active experiences. Keywords are matched with the
+// FULLTEXT indexes on the experience (title, description), its destination
+// (name, city) and its tags; a keyword that is not a known word is also
+// searched as the closest known word, so "waterfals" still finds "waterfalls".
+// Results are paged with an opaque cursor holding the sort key of the last
+// row, so pages stay stable while experiences are added.
+const cityService = require('./cityService');
+const { normalizeCityKey } = require('../utils/cityUtils');
+const { distanceSql } = require('../utils/geoQuery');
+
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Sort key per sort: the column compared in the cursor and its direction
+const SORTS = {
+  relevance: { column: 'relevance', direction: 'DESC' },
+  price_asc: { column: 'sort_price', direction: 'ASC' },
+  price_desc: { column: 'sort_price', direction: 'DESC' },
+  rating: { column: 'sort_rating', direction: 'DESC' },
+  distance: { column: 'distance_km', direction: 'ASC' }
+};
+
+// Same bands as budget_category in getAllExperience; condition takes the
+// price column to test
+const PRICE_BUCKETS = [
+  { key: 'free', label: 'Free', condition: (price) => `COALESCE(${price}, 0) = 0` },
+  { key: 'budget-friendly', label: 'Budget-friendly', condition: (price) => `${price} > 0 AND ${price} <= 500` },
+  { key: 'mid-range', label: 'Mid-range', condition: (price) => `${price} > 500 AND ${price} <= 2000` },
+  { key: 'premium', label: 'Premium', condition: (price) => `${price} > 2000` }
+];
+
+// Lowercase words without accents, e.g. "Café Silay!" -> ['cafe', 'silay']
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// normalizeCityKey in SQL (without accent folding), so "Bacolod" and
+// "Bacolod City" are the same city
+const cityKeySql = (column) => `TRIM(REGEXP_REPLACE(
+  TRIM(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(${column}), '[.]', ''), '[^a-z0-9]+', ' ')),
+  '^city of | city$', ''
+))`;
+
+class ExperienceSearchService {
+  constructor(db) {
+    this.db = db;
+    this.vocabulary = null;
+    this.vocabularyLoadedAt = 0;
+  }
+
+  // Every word in the titles, destinations and tags of active experiences
+  async getVocabulary() {
+    if (this.vocabulary && Date.now() - this.vocabularyLoadedAt < VOCABULARY_TTL_MS) {
+      return this.vocabulary;
+    }
+
+    const [rows] = await this.db.query(
+      `SELECT e.title, d.name AS destination_name, d.city,
+              (SELECT GROUP_CONCAT(t.name SEPARATOR ' ')
+               FROM experience_tags et JOIN tags t ON t.tag_id = et.tag_id
+               WHERE et.experience_id = e.experience_id) AS tags
+       FROM experience e
+       JOIN destination d ON d.destination_id = e.destination_id
+       WHERE e.status = 'active'`
+    );
+
+    const words = new Set();
+    rows.forEach(row => {
+      tokenize(`${row.title} ${row.destination_name} ${row.city} ${row.tags}`)
+        .filter(word => word.length >= MIN_TERM_LENGTH)
+        .forEach(word => words.add(word));
+    });
+
+    this.vocabulary = [...words];
+    this.vocabularyLoadedAt = Date.now();
+    return this.vocabulary;
+  }
+
+  // The search terms of q, each with the closest known word when the term
+  // itself is not one (and is not the start of one). Returns
+  // { terms, corrections: [{ term, suggestion }] }.
+  async analyzeQuery(q) {
+    const terms = [...new Set(tokenize(q).filter(term => term.length >= MIN_TERM_LENGTH))].slice(0, MAX_TERMS);
+    if (terms.length === 0) return { terms, corrections: [] };
+
+    const vocabulary = await this.getVocabulary();
+    const corrections = [];
+
+    for (const term of terms) {
+      if (vocabulary.some(word => word.startsWith(term))) continue;
+
+      // One typo for short words, two for longer ones
+      const maxDistance = term.length <= 5 ? 1 : 2;
+      let best = null;
+
+      for (const word of vocabulary) {
+        if (Math.abs(word.length - term.length) > maxDistance) continue;
+        const distance = levenshtein(term, word);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { word, distance };
+        }
+      }
+
+      if (best) corrections.push({ term, suggestion: best.word });
+    }
+
+    return { terms, corrections };
+  }
+
+  // Opaque cursor: the sort key and id of the last row of a page
+  encodeCursor(sort, row) {
+    // DECIMAL columns come back as strings
+    const value = Number(row[SORTS[sort].column]);
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: row.experience_id })).toString('base64url');
+  }
+
+  // Returns { value, id }, or null when the cursor is malformed or was made
+  // for another sort
+  decodeCursor(cursor, sort) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (decoded.s !== sort || !Number.isInteger(decoded.id) || typeof decoded.v !== 'number') return null;
+      return { value: decoded.v, id: decoded.id };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // WHERE conditions for the filters; shared by the results and the facets
+  // cityKeys are lowercase city names without the " City" suffix
+  buildFilters({ tags, budgets, minPrice, maxPrice, units, companions, cityKeys, origin, sort }) {
+    const conditions = ["e.status = 'active'"];
+    const params = [];
+
+    if (tags.length > 0) {
+      conditions.push(`e.experience_id IN (
+        SELECT et.experience_id FROM experience_tags et
+        JOIN tags t ON t.tag_id = et.tag_id
+        WHERE t.name IN (?)
+      )`);
+      params.push(tags);
+    }
+
+    if (budgets.length > 0) {
+      const buckets = PRICE_BUCKETS.filter(bucket => budgets.includes(bucket.key));
+      conditions.push(`(${buckets.map(bucket => `(${bucket.condition('e.price')})`).join(' OR ')})`);
+    }
+    if (minPrice !== null) {
+      conditions.push('COALESCE(e.price, 0) >= ?');
+      params.push(minPrice);
+    }
+    if (maxPrice !== null) {
+      conditions.push('COALESCE(e.price, 0) <= ?');
+      params.push(maxPrice);
+    }
+
+    if (units.length > 0) {
+      conditions.push('e.unit IN (?)');
+      params.push(units);
+    }
+
+    // travel_companions (JSON) with the old single travel_companion as fallback
+    if (companions.length > 0) {
+      conditions.push(`(${companions.map(() =>
+        '(JSON_CONTAINS(e.travel_companions, JSON_QUOTE(?), "$") OR e.travel_companion = ?)'
+      ).join(' OR ')})`);
+      companions.forEach(companion => params.push(companion, companion));
+    }
+
+    if (cityKeys.length > 0) {
+      conditions.push(`${cityKeySql('d.city')} IN (?)`);
+      params.push(cityKeys);
+    }
+
+    if (origin && sort === 'distance') {
+      conditions.push('d.latitude IS NOT NULL AND d.longitude IS NOT NULL');
+    }
+
+    return { conditions, params };
+  }
+
+  // The matching experiences with relevance and distance, before paging.
+  // Returns { sql, params } for use as a derived table.
+  buildMatchQuery(booleanQuery, filters, origin) {
+    const selectParams = [];
+    const whereParams = [...filters.params];
+    const conditions = [...filters.conditions];
+
+    let relevanceSql = '0';
+    if (booleanQuery) {
+      // The experience's own text counts most, then where it is, then its tags
+      relevanceSql = `(
+        MATCH(e.title, e.description) AGAINST(? IN BOOLEAN MODE) * 2 +
+        MATCH(d.name, d.city) AGAINST(? IN BOOLEAN MODE) * 1.5 +
+        COALESCE((SELECT MAX(MATCH(t.name) AGAINST(? IN BOOLEAN MODE))
+                  FROM experience_tags et JOIN tags t ON t.tag_id = et.tag_id
+                  WHERE et.experience_id = e.experience_id), 0)
+      )`;
+      selectParams.push(booleanQuery, booleanQuery, booleanQuery);
+
+      conditions.push(`(
+        MATCH(e.title, e.description) AGAINST(? IN BOOLEAN MODE) OR
+        MATCH(d.name, d.city) AGAINST(? IN BOOLEAN MODE) OR
+        EXISTS (SELECT 1 FROM experience_tags et JOIN tags t ON t.tag_id = et.tag_id
+                WHERE et.experience_id = e.experience_id AND MATCH(t.name) AGAINST(? IN BOOLEAN MODE))
+      )`);
+      whereParams.push(booleanQuery, booleanQuery, booleanQuery);
+    }
+
+    let distanceColumnSql = 'NULL';
+    if (origin) {
+      const distance = distanceSql('d.location', origin, 'd.latitude');
+      distanceColumnSql = distance.sql;
+      selectParams.push(...distance.params);
+    }
+
+    return {
+      sql: `
+        SELECT
+          e.experience_id, e.title, e.description, e.price, e.unit,
+          e.travel_companion, e.travel_companions, e.average_rating, e.review_count,
+          d.destination_id, d.name AS destination_name, d.city, d.latitude, d.longitude,
+          COALESCE(e.price, 0) AS sort_price,
+          COALESCE(e.average_rating, 0) AS sort_rating,
+          ${relevanceSql} AS relevance,
+          ${distanceColumnSql} AS distance_km
+        FROM experience e
+        JOIN destination d ON d.destination_id = e.destination_id
+        WHERE ${conditions.join(' AND ')}
+      `,
+      params: [...selectParams, ...whereParams]
+    };
+  }
+
+  // Counts per facet value over every match (not just the current page)
+  async getFacets(match) {
+    const [tagRows] = await this.db.query(
+      `SELECT t.name AS value, COUNT(*) AS count
+       FROM (${match.sql}) m
+       JOIN experience_tags et ON et.experience_id = m.experience_id
+       JOIN tags t ON t.tag_id = et.tag_id
+       GROUP BY t.name
+       ORDER BY count DESC, t.name`,
+      match.params
+    );
+
+    const [priceRows] = await this.db.query(
+      `SELECT ${PRICE_BUCKETS.map(bucket =>
+        `SUM(${bucket.condition('m.price')}) AS \`${bucket.key}\``
+      ).join(', ')}
+       FROM (${match.sql}) m`,
+      match.params
+    );
+
+    const [unitRows] = await this.db.query(
+      `SELECT m.unit AS value, COUNT(*) AS count
+       FROM (${match.sql}) m
+       WHERE m.unit IS NOT NULL
+       GROUP BY m.unit
+       ORDER BY count DESC, m.unit`,
+      match.params
+    );
+
+    const [companionRows] = await this.db.query(
+      `SELECT jt.companion AS value, COUNT(DISTINCT m.experience_id) AS count
+       FROM (${match.sql}) m
+       JOIN JSON_TABLE(
+         COALESCE(m.travel_companions, JSON_ARRAY(m.travel_companion)),
+         '$[*]' COLUMNS (companion varchar(20) PATH '$')
+       ) jt
+       WHERE jt.companion IS NOT NULL
+       GROUP BY jt.companion
+       ORDER BY count DESC, jt.companion`,
+      match.params
+    );
+
+    const [cityRows] = await this.db.query(
+      `SELECT MIN(m.city) AS value, COUNT(*) AS count
+       FROM (${match.sql}) m
+       WHERE m.city IS NOT NULL
+       GROUP BY ${cityKeySql('m.city')}
+       ORDER BY count DESC, value`,
+      match.params
+    );
+
+    const toCounts = (rows) => rows.map(row => ({ value: row.value, count: Number(row.count) }));
+
+    return {
+      tags: toCounts(tagRows),
+      price: PRICE_BUCKETS.map(bucket => ({
+        value: bucket.key,
+        label: bucket.label,
+        count: Number(priceRows[0][bucket.key]) || 0
+      })),
+      unit: toCounts(unitRows),
+      travel_companion: toCounts(companionRows),
+      city: toCounts(cityRows)
+    };
+  }
+
+  // Every spelling a destination may use for the requested cities: the
+  // registered name and aliases, or the name as given when it is unknown
+  async getCityKeys(cities) {
+    const keys = new Set();
+
+    for (const name of cities) {
+      const city = await cityService.resolve(name);
+      const spellings = city ? [city.name, ...city.aliases] : [name];
+      spellings.forEach(spelling => keys.add(normalizeCityKey(spelling)));
+    }
+
+    return [...keys];
+  }
+
+  // Run a search. options are the parsed query (see searchExperiences);
+  // returns { status: 'invalid_cursor' } or { status: 'ok', ... }.
+  async search({ q, sort, cursor, limit, origin, cities = [], ...filterOptions }) {
+    const { terms, corrections } = await this.analyzeQuery(q);
+
+    // Without keywords there is nothing to rank by relevance
+    const effectiveSort = sort || (terms.length > 0 ? 'relevance' : 'rating');
+    const sortKey = SORTS[effectiveSort];
+
+    let after = null;
+    if (cursor) {
+      after = this.decodeCursor(cursor, effectiveSort);
+      if (!after) return { status: 'invalid_cursor' };
+    }
+
+    // Prefix match every term, plus the corrected spelling of misspelled ones
+    const booleanQuery = [
+      ...terms.map(term => `${term}*`),
+      ...corrections.map(correction => correction.suggestion)
+    ].join(' ');
+
+    const cityKeys = await this.getCityKeys(cities);
+    const filters = this.buildFilters({ ...filterOptions, cityKeys, origin, sort: effectiveSort });
+    const match = this.buildMatchQuery(booleanQuery, filters, origin);
+
+    let pageSql = `SELECT * FROM (${match.sql}) m`;
+    const pageParams = [...match.params];
+
+    if (after) {
+      const comparison = sortKey.direction === 'DESC' ? '<' : '>';
+      pageSql += ` WHERE (m.${sortKey.column} ${comparison} ? OR (m.${sortKey.column} = ? AND m.experience_id > ?))`;
+      pageParams.push(after.value, after.value, after.id);
+    }
+
+    pageSql += ` ORDER BY m.${sortKey.column} ${sortKey.direction}, m.experience_id ASC LIMIT ?`;
+    pageParams.push(limit + 1);
+
+    const [rows] = await this.db.query(pageSql, pageParams);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    const ids = page.map(row => row.experience_id);
+    const tagsById = {};
+    const imageById = {};
+
+    if (ids.length > 0) {
+      const [tagRows] = await this.db.query(
+        `SELECT et.experience_id, t.name
+         FROM experience_tags et JOIN tags t ON t.tag_id = et.tag_id
+         WHERE et.experience_id IN (?)
+         ORDER BY t.name`,
+        [ids]
+      );
+      tagRows.forEach(row => {
+        (tagsById[row.experience_id] = tagsById[row.experience_id] || []).push(row.name);
+      });
+
+      const [imageRows] = await this.db.query(
+        `SELECT experience_id, image_url
+         FROM experience_images
+         WHERE experience_id IN (?)
+         ORDER BY image_id`,
+        [ids]
+      );
+      imageRows.forEach(row => {
+        if (!imageById[row.experience_id]) imageById[row.experience_id] = row.image_url;
+      });
+    }
+
+    return {
+      status: 'ok',
+      terms,
+      corrections,
+      sort: effectiveSort,
+      results: page.map(({ sort_price, sort_rating, ...row }) => ({
+        ...row,
+        tags: tagsById[row.experience_id] || [],
+        image: imageById[row.experience_id] || null
+      })),
+      facets: await this.getFacets(match),
+      next_cursor: hasMore ? this.encodeCursor(effectiveSort, page[page.length - 1]) : null
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExperienceSearchService(require('../config/db.js'));
+module.exports.SORTS = SORTS;
+module.exports.PRICE_BUCKETS = PRICE_BUCKETS;
@@ -0,0 +1,285 @@
+// services/experienceStatusService.js
+// The one place experience statuses change. Creators move their listings
+// through draft -> pending (submitted for review); only an admin takes a
+// listing from pending to active (approve) or rejected (reject, with
+// reasons). Every change is written to experience_status_history and the
+// creator is notified of each admin decision.
+const dayjs = require('dayjs');
+const notificationService = require('./notificationService');
+
+const EXPERIENCE_STATUSES = ['draft', 'pending', 'rejected', 'active', 'inactive'];
+
+// Moves a creator may make on their own listing. inactive -> active is only
+// allowed once the listing has been approved (approved_at is set) and when
+// the creator took it offline themselves; after an admin takedown only an
+// admin can bring it back.
+const CREATOR_TRANSITIONS = {
+  draft: ['pending'],
+  pending: ['draft'],
+  rejected: ['pending', 'draft'],
+  active: ['inactive'],
+  inactive: ['active', 'draft']
+};
+
+// Moves only an admin may make, on top of the creator's
+const ADMIN_TRANSITIONS = {
+  pending: ['active', 'rejected'],
+  active: ['inactive'],
+  inactive: ['active']
+};
+
+// Statuses a listing may be created with
+const INITIAL_STATUSES = ['draft', 'pending'];
+
+const REJECTION_REASONS = {
+  incomplete_details: 'Some details are missing or unclear',
+  inaccurate_pricing: 'The pricing is incomplete or misleading',
+  poor_images: 'The photos are missing, low quality or unrelated',
+  availability_issues: 'The schedule or time slots are not usable',
+  policy_violation: 'The experience does not follow our listing policies',
+  duplicate_listing: 'This experience is already listed',
+  other: 'Other'
+};
+
+class ExperienceStatusService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Whether actor ({ isAdmin }) may move a listing from `from` to `to`.
+  // approved tells whether the listing has been approved before, takenDown
+  // whether an admin was the one who made it inactive.
+  canTransition(from, to, { isAdmin = false, approved = false, takenDown = false } = {}) {
+    if (isAdmin && (ADMIN_TRANSITIONS[from] || []).includes(to)) return true;
+    if (!(CREATOR_TRANSITIONS[from] || []).includes(to)) return false;
+    return !(from === 'inactive' && to === 'active' && (!approved || takenDown));
+  }
+
+  // Whether the listing's latest move to inactive was made by an admin
+  async wasTakenDown(connection, experienceId) {
+    const [rows] = await connection.query(
+      `SELECT changed_by_role FROM experience_status_history
+       WHERE experience_id = ? AND new_status = 'inactive'
+       ORDER BY changed_at DESC, history_id DESC LIMIT 1`,
+      [experienceId]
+    );
+    return rows.length > 0 && String(rows[0].changed_by_role).toLowerCase() === 'admin';
+  }
+
+  // null when the status is one the actor may create a listing with,
+  // otherwise the error message
+  checkInitialStatus(status, { isAdmin = false } = {}) {
+    if (!EXPERIENCE_STATUSES.includes(status)) {
+      return `Invalid status value. Must be one of: ${EXPERIENCE_STATUSES.join(', ')}`;
+    }
+    if (!isAdmin && !INITIAL_STATUSES.includes(status)) {
+      return 'New experiences start as draft or pending; an admin activates them after review';
+    }
+    return null;
+  }
+
+  // Validate admin rejection reasons ({ reasons: [code], note }).
+  // Returns { error } or { codes, text } for the history row.
+  parseRejection({ reasons, note } = {}) {
+    const codes = Array.isArray(reasons) ? [...new Set(reasons)] : (reasons ? [reasons] : []);
+    const trimmedNote = note ? String(note).trim() : '';
+
+    if (codes.length === 0) {
+      return { error: `reasons is required; use one or more of: ${Object.keys(REJECTION_REASONS).join(', ')}` };
+    }
+    const unknown = codes.find(code => !REJECTION_REASONS[code]);
+    if (unknown) {
+      return { error: `Unknown rejection reason "${unknown}"` };
+    }
+    if (codes.includes('other') && !trimmedNote) {
+      return { error: 'A note is required when the reason is "other"' };
+    }
+    if (trimmedNote.length > 500) {
+      return { error: 'note must be 500 characters or fewer' };
+    }
+
+    const labels = codes.filter(code => code !== 'other').map(code => REJECTION_REASONS[code]);
+    return { codes, text: [...labels, trimmedNote].filter(Boolean).join('. ') };
+  }
+
+  async recordHistory(connection, { experienceId, from, to, actorId, actorRole, reason, reasonCodes }) {
+    await connection.query(
+      `INSERT INTO experience_status_history
+        (experience_id, old_status, new_status, changed_by, changed_by_role, reason, reason_codes, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        experienceId,
+        from || null,
+        to,
+        actorId || null,
+        actorRole || (actorId ? 'user' : 'system'),
+        reason || null,
+        reasonCodes ? JSON.stringify(reasonCodes) : null,
+        dayjs().format('YYYY-MM-DD HH:mm:ss')
+      ]
+    );
+  }
+
+  // Call right after inserting an experience, inside the same transaction
+  async recordCreated(connection, experienceId, status, { actorId, actorRole } = {}) {
+    await this.recordHistory(connection, {
+      experienceId,
+      from: null,
+      to: status,
+      actorId,
+      actorRole,
+      reason: 'Experience created'
+    });
+  }
+
+  // Move one experience to `to` on behalf of actor ({ user_id, role, isAdmin }).
+  // Pass `connection` to take part in the caller's transaction; otherwise the
+  // change runs in its own. `from` limits the move to listings currently in
+  // one of those statuses (e.g. approve only works on pending ones).
+  // Returns { status: 'changed' | 'unchanged' | 'invalid_transition' | 'taken_down' | 'invalid_status' | 'not_found', from, to, experience }.
+  // taken_down: a creator tried to reactivate a listing an admin took offline.
+  async transition(experienceId, to, actor, { from, reason, reasonCodes, connection } = {}) {
+    if (!EXPERIENCE_STATUSES.includes(to)) {
+      return { status: 'invalid_status', to };
+    }
+
+    const conn = connection || await this.db.getConnection();
+    const ownTransaction = !connection;
+
+    try {
+      if (ownTransaction) await conn.beginTransaction();
+
+      const [rows] = await conn.query(
+        'SELECT experience_id, creator_id, title, status, approved_at FROM experience WHERE experience_id = ? FOR UPDATE',
+        [experienceId]
+      );
+
+      const takenDown = rows.length > 0 && !actor.isAdmin && rows[0].status === 'inactive' && to === 'active' &&
+        await this.wasTakenDown(conn, experienceId);
+
+      let result;
+      if (rows.length === 0) {
+        result = { status: 'not_found' };
+      } else if (takenDown) {
+        result = { status: 'taken_down', from: rows[0].status, to };
+      } else if (rows[0].status === to) {
+        result = { status: 'unchanged', from: to, to, experience: rows[0] };
+      } else if ((from && !from.includes(rows[0].status)) ||
+        !this.canTransition(rows[0].status, to, { isAdmin: actor.isAdmin, approved: !!rows[0].approved_at })) {
+        result = { status: 'invalid_transition', from: rows[0].status, to };
+      } else {
+        // An admin approving the listing is what makes it bookable
+        const approving = actor.isAdmin && rows[0].status === 'pending' && to === 'active';
+
+        await conn.query(
+          `UPDATE experience SET status = ?${approving ? ', approved_at = COALESCE(approved_at, NOW())' : ''}, updated_at = NOW()
+           WHERE experience_id = ?`,
+          [to, experienceId]
+        );
+
+        await this.recordHistory(conn, {
+          experienceId,
+          from: rows[0].status,
+          to,
+          actorId: actor.user_id,
+          actorRole: actor.role,
+          reason,
+          reasonCodes
+        });
+        result = { status: 'changed', from: rows[0].status, to, experience: rows[0] };
+      }
+
+      if (ownTransaction) {
+        await conn.commit();
+        conn.release();
+      }
+      return result;
+    } catch (error) {
+      if (ownTransaction) {
+        await conn.rollback();
+        conn.release();
+      }
+      console.error(`Error changing experience ${experienceId} to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  // Tell the creator what an admin decided. Failures are logged, not thrown:
+  // the decision itself is already saved.
+  async notifyCreator(experience, from, to, reason) {
+    const messages = {
+      active: {
+        type: 'update',
+        title: 'Experience approved',
+        description: `"${experience.title}" has been approved and is now live.`,
+        icon: 'checkmark-circle',
+        icon_color: '#10B981'
+      },
+      rejected: {
+        type: 'alert',
+        title: 'Experience needs changes',
+        description: `"${experience.title}" was not approved${reason ? `: ${reason}` : ''}. Update it and submit it again.`,
+        icon: 'close-circle',
+        icon_color: '#EF4444'
+      },
+      inactive: {
+        type: 'alert',
+        title: 'Experience taken offline',
+        description: `An admin took "${experience.title}" offline${reason ? `: ${reason}` : ''}.`,
+        icon: 'pause-circle',
+        icon_color: '#F59E0B'
+      }
+    };
+
+    const message = messages[to];
+    if (!message || !experience.creator_id) return;
+
+    try {
+      await notificationService.createNotification({
+        user_id: experience.creator_id,
+        ...message,
+        experience_id: experience.experience_id,
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+      });
+    } catch (notificationError) {
+      console.error(`Error notifying creator of experience ${experience.experience_id} (${from} -> ${to}):`, notificationError);
+    }
+  }
+
+  // Listings waiting for review, oldest submission first
+  async getQueue() {
+    const [rows] = await this.db.query(
+      `SELECT e.experience_id, e.title, e.price, e.unit, e.creator_id,
+              u.first_name AS creator_first_name, u.last_name AS creator_last_name,
+              d.name AS destination_name, d.city,
+              (SELECT MAX(h.changed_at) FROM experience_status_history h
+               WHERE h.experience_id = e.experience_id AND h.new_status = 'pending') AS submitted_at,
+              (SELECT COUNT(*) FROM experience_status_history h
+               WHERE h.experience_id = e.experience_id AND h.new_status = 'rejected') AS times_rejected
+       FROM experience e
+       LEFT JOIN users u ON u.user_id = e.creator_id
+       LEFT JOIN destination d ON d.destination_id = e.destination_id
+       WHERE e.status = 'pending'
+       ORDER BY submitted_at IS NULL, submitted_at, e.experience_id`
+    );
+    return rows;
+  }
+
+  async getHistory(experienceId) {
+    const [rows] = await this.db.query(
+      `SELECT h.history_id, h.experience_id, h.old_status, h.new_status, h.changed_by, h.changed_by_role,
+              h.reason, h.reason_codes, h.changed_at, u.first_name AS changed_by_first_name, u.last_name AS changed_by_last_name
+       FROM experience_status_history h
+       LEFT JOIN users u ON h.changed_by = u.user_id
+       WHERE h.experience_id = ?
+       ORDER BY h.changed_at, h.history_id`,
+      [experienceId]
+    );
+    return rows;
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExperienceStatusService(require('../config/db.js'));
+module.exports.EXPERIENCE_STATUSES = EXPERIENCE_STATUSES;
+module.exports.REJECTION_REASONS = REJECTION_REASONS;
@@ -0,0 +1,160 @@
+// services/inventoryService.js
+// Seats per slot occurrence. availability_time_slots.capacity is the max number
+// of guests per slot (NULL = unlimited); slot_inventory counts the guests booked
+// for each experience/date/start time. Reservations lock the inventory row
+// (SELECT ... FOR UPDATE) so concurrent bookings cannot oversell a slot.
+const dayjs = require('dayjs');
+const availabilityService = require('./availabilityService');
+
+class InventoryService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // The slot of an experience that starts at startTime on a given date,
+  // taking blackouts and one-off sessions into account
+  async findSlot(connection, experienceId, bookingDate, startTime) {
+    const slots = await availabilityService.getSlotsForDate(experienceId, bookingDate, connection);
+    return slots.find(slot => this.normalizeTime(slot.start_time) === this.normalizeTime(startTime)) || null;
+  }
+
+  // Guests booked per start time for one experience on one date
+  async getBookedGuests(experienceId, bookingDate) {
+    const [rows] = await this.db.query(
+      `SELECT TIME_FORMAT(start_time, '%H:%i:%s') AS start_time, booked_guests
+       FROM slot_inventory
+       WHERE experience_id = ? AND booking_date = ?`,
+      [experienceId, dayjs(bookingDate).format('YYYY-MM-DD')]
+    );
+
+    const booked = {};
+    rows.forEach(row => {
+      booked[row.start_time] = row.booked_guests;
+    });
+    return booked;
+  }
+
+  // Add remaining_capacity to each slot ({ start_time, capacity, ... }) for a date.
+  // remaining_capacity is null for unlimited slots.
+  async withRemainingCapacity(experienceId, bookingDate, slots) {
+    if (slots.length === 0) return slots;
+
+    const booked = await this.getBookedGuests(experienceId, bookingDate);
+
+    return slots.map(slot => {
+      const startTime = this.normalizeTime(slot.start_time);
+      const remaining = slot.capacity === null || slot.capacity === undefined
+        ? null
+        : Math.max(0, slot.capacity - (booked[startTime] || 0));
+
+      return { ...slot, remaining_capacity: remaining };
+    });
+  }
+
+  hasRoom(slot, guests = 1) {
+    return slot.remaining_capacity === null || slot.remaining_capacity === undefined || slot.remaining_capacity >= guests;
+  }
+
+  normalizeTime(time) {
+    return time.length === 5 ? `${time}:00` : time;
+  }
+
+  // Take `guests` seats inside the caller's transaction. Unlimited slots are
+  // still counted so a capacity added later starts from the real numbers.
+  async reserve(connection, { experienceId, bookingDate, startTime, capacity, guests = 1 }) {
+    const key = [experienceId, dayjs(bookingDate).format('YYYY-MM-DD'), this.normalizeTime(startTime)];
+
+    await connection.query(
+      `INSERT INTO slot_inventory (experience_id, booking_date, start_time, booked_guests)
+       VALUES (?, ?, ?, 0)
+       ON DUPLICATE KEY UPDATE booked_guests = booked_guests`,
+      key
+    );
+
+    const [rows] = await connection.query(
+      `SELECT booked_guests FROM slot_inventory
+       WHERE experience_id = ? AND booking_date = ? AND start_time = ?
+       FOR UPDATE`,
+      key
+    );
+
+    const booked = rows[0].booked_guests;
+    if (capacity !== null && capacity !== undefined && booked + guests > capacity) {
+      return { reserved: false, remaining: Math.max(0, capacity - booked) };
+    }
+
+    await connection.query(
+      `UPDATE slot_inventory SET booked_guests = booked_guests + ?
+       WHERE experience_id = ? AND booking_date = ? AND start_time = ?`,
+      [guests, ...key]
+    );
+
+    return {
+      reserved: true,
+      remaining: capacity === null || capacity === undefined ? null : capacity - booked - guests
+    };
+  }
+
+  // Give seats back, e.g. when a booking is cancelled or moved
+  async release(connection, { experienceId, bookingDate, startTime, guests = 1 }) {
+    if (!bookingDate || !startTime) return;
+
+    await connection.query(
+      `UPDATE slot_inventory SET booked_guests = GREATEST(0, booked_guests - ?)
+       WHERE experience_id = ? AND booking_date = ? AND start_time = ?`,
+      [guests, experienceId, dayjs(bookingDate).format('YYYY-MM-DD'), this.normalizeTime(startTime)]
+    );
+  }
+
+  // Reserve seats for several items ({ experience_id, booking_date, start_time, guests })
+  // inside the caller's transaction. Returns the items with their slot_id, or
+  // the list of items that no longer fit; the caller rolls back in that case.
+  async reserveItems(connection, items) {
+    // Always lock in the same order so two saves cannot deadlock each other
+    const ordered = [...items].sort((a, b) =>
+      a.experience_id - b.experience_id ||
+      String(a.booking_date).localeCompare(String(b.booking_date)) ||
+      String(a.start_time).localeCompare(String(b.start_time))
+    );
+
+    const reservations = [];
+    const conflicts = [];
+
+    for (const item of ordered) {
+      const slot = await this.findSlot(connection, item.experience_id, item.booking_date, item.start_time);
+      const guests = item.guests || 1;
+
+      const result = await this.reserve(connection, {
+        experienceId: item.experience_id,
+        bookingDate: item.booking_date,
+        startTime: item.start_time,
+        capacity: slot ? slot.capacity : null,
+        guests
+      });
+
+      if (!result.reserved) {
+        conflicts.push({
+          experience_id: item.experience_id,
+          booking_date: item.booking_date,
+          start_time: item.start_time,
+          requested_guests: guests,
+          remaining_capacity: result.remaining
+        });
+      } else {
+        reservations.push({
+          ...item,
+          guests,
+          slot_id: slot ? slot.slot_id : null,
+          exception_slot_id: slot ? slot.exception_slot_id : null
+        });
+      }
+    }
+
+    return conflicts.length > 0
+      ? { reserved: false, conflicts }
+      : { reserved: true, reservations };
+  }
+}
+
+// Export a singleton instance
+module.exports = new InventoryService(require('../config/db.js'));
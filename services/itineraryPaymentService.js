@@ -0,0 +1,48 @@
+// services/itineraryPaymentService.js
+// Keeps an itinerary's payment row in step with what its bookings cost.
+// Kept free of other services and controllers so anything that reprices a
+// booking (create, reschedule, proposals, day routes) can use it.
+
+class ItineraryPaymentService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Add a booking's price change to what the itinerary costs, inside the
+  // caller's transaction. The status compares what the traveler has paid and
+  // kept (paid minus refunded) with the new total. A refunded payment keeps
+  // its status when the total goes down, but new charges make it Partial or
+  // Unpaid again. Returns the new payment status and how much of what was
+  // kept is now over the total, or null when nothing changed.
+  async adjustTotal(connection, itineraryId, amount) {
+    if (!amount) return null;
+
+    const [payments] = await connection.query(
+      'SELECT * FROM itinerary_payments WHERE itinerary_id = ? FOR UPDATE',
+      [itineraryId]
+    );
+    if (payments.length === 0) return null;
+
+    const payment = payments[0];
+    const total = Math.max(0, Math.round((parseFloat(payment.total_amount) + amount) * 100) / 100);
+    const kept = Math.round((parseFloat(payment.amount_paid) - parseFloat(payment.amount_refunded || 0)) * 100) / 100;
+
+    let paymentStatus = payment.payment_status;
+    if (['Unpaid', 'Partial', 'Paid'].includes(paymentStatus) || amount > 0) {
+      paymentStatus = kept >= total && total > 0 ? 'Paid' : kept > 0 ? 'Partial' : 'Unpaid';
+    }
+
+    await connection.query(
+      'UPDATE itinerary_payments SET total_amount = ?, payment_status = ?, updated_at = NOW() WHERE payment_id = ?',
+      [total, paymentStatus, payment.payment_id]
+    );
+
+    return {
+      payment_status: paymentStatus,
+      overpaid: Math.max(0, Math.round((kept - total) * 100) / 100)
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ItineraryPaymentService(require('../config/db.js'));
@@ -0,0 +1,226 @@
+// services/itineraryPreviewService.js
+// Generated itinerary previews, kept server-side until they expire so
+// saveItinerary saves exactly what the traveler was shown. Items are checked
+// again against the live data when saving; each problem is one conflict:
+//   experience_unavailable - the experience was removed or is no longer active
+//   invalid_day            - day_number is outside the trip
+//   slot_unavailable       - the experience no longer offers that time that date
+//   slot_full              - not enough seats left for the party
+//   price_changed          - the price differs from the one quoted in the preview
+//   transfer_too_short     - too little time to travel from the activity before
+//                            it on the same day (utils/travelTime.js)
+const dayjs = require('dayjs');
+const availabilityService = require('./availabilityService');
+const inventoryService = require('./inventoryService');
+const { calculateItemPrice } = require('../utils/pricing');
+const { findTransferConflicts } = require('../utils/travelTime');
+const { signPreviewToken, verifyPreviewToken } = require('../utils/previewToken');
+
+const PREVIEW_TTL_HOURS = parseInt(process.env.PREVIEW_TTL_HOURS, 10) || 24;
+
+class ItineraryPreviewService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Store a preview; returns { preview_id, preview_token, expires_at }
+  async createPreview(travelerId, payload) {
+    const now = dayjs();
+    const expiresAt = now.add(PREVIEW_TTL_HOURS, 'hour').format('YYYY-MM-DD HH:mm:ss');
+
+    const [result] = await this.db.query(
+      `INSERT INTO itinerary_previews (traveler_id, payload, created_at, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [travelerId, JSON.stringify(payload), now.format('YYYY-MM-DD HH:mm:ss'), expiresAt]
+    );
+
+    return {
+      preview_id: result.insertId,
+      preview_token: signPreviewToken(result.insertId, PREVIEW_TTL_HOURS * 3600),
+      expires_at: expiresAt
+    };
+  }
+
+  // Previews nobody saved are of no use once expired
+  async purgeExpired() {
+    await this.db.query(
+      'DELETE FROM itinerary_previews WHERE expires_at < ? AND used_at IS NULL',
+      [dayjs().format('YYYY-MM-DD HH:mm:ss')]
+    );
+  }
+
+  // Returns { status: 'ok', preview } or a status of invalid, expired or used
+  async resolveToken(token) {
+    const verified = verifyPreviewToken(token);
+    if (verified.error) return { status: verified.error };
+
+    const [rows] = await this.db.query('SELECT * FROM itinerary_previews WHERE preview_id = ?', [verified.preview_id]);
+    if (rows.length === 0) return { status: 'invalid' };
+
+    const preview = rows[0];
+    if (dayjs(preview.expires_at).isBefore(dayjs())) return { status: 'expired' };
+    if (preview.used_at) return { status: 'used', itinerary_id: preview.itinerary_id };
+
+    return {
+      status: 'ok',
+      preview: {
+        ...preview,
+        payload: typeof preview.payload === 'string' ? JSON.parse(preview.payload) : preview.payload
+      }
+    };
+  }
+
+  // Mark the preview saved as part of the caller's transaction. Returns false
+  // when another request saved it first.
+  async markSaved(connection, previewId, itineraryId) {
+    const [result] = await connection.query(
+      'UPDATE itinerary_previews SET used_at = ?, itinerary_id = ? WHERE preview_id = ? AND used_at IS NULL',
+      [dayjs().format('YYYY-MM-DD HH:mm:ss'), itineraryId, previewId]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Check items ({ experience_id, day_number, start_time, end_time, subtotal })
+  // against the live experiences, availability and seats. With checkPrices the
+  // quoted subtotals must still be right. Returns { conflicts, experiences,
+  // pricing } where pricing[i] is the current price of items[i].
+  async revalidate({ start_date, end_date, items, party, checkPrices = false }) {
+    const conflicts = [];
+    const pricing = items.map(() => null);
+    const experienceIds = [...new Set(items.map(item => Number(item.experience_id)))];
+
+    const [experienceRows] = experienceIds.length > 0
+      ? await this.db.query(
+          `SELECT e.experience_id, e.creator_id, e.title, e.status, e.price, e.unit, e.child_price, e.group_pricing,
+                  e.current_revision_id, d.latitude, d.longitude
+           FROM experience e
+           LEFT JOIN destination d ON e.destination_id = d.destination_id
+           WHERE e.experience_id IN (?)`,
+          [experienceIds]
+        )
+      : [[]];
+
+    const experiences = {};
+    experienceRows.forEach(experience => {
+      experiences[experience.experience_id] = experience;
+    });
+
+    const startDate = dayjs(start_date);
+    const totalDays = dayjs(end_date).diff(startDate, 'day') + 1;
+    const calendar = await availabilityService.getCalendar(experienceIds, startDate, dayjs(end_date));
+
+    // Two items in the same slot need seats for the party twice
+    const seatsNeeded = {};
+    const slotKey = (item) => `${item.experience_id}|${item.day_number}|${inventoryService.normalizeTime(String(item.start_time))}`;
+    items.forEach(item => {
+      seatsNeeded[slotKey(item)] = (seatsNeeded[slotKey(item)] || 0) + party.guests;
+    });
+
+    for (const [index, item] of items.entries()) {
+      const experience = experiences[item.experience_id];
+      const base = {
+        index,
+        experience_id: Number(item.experience_id),
+        experience_name: experience ? experience.title : null,
+        day_number: item.day_number,
+        start_time: item.start_time,
+        end_time: item.end_time
+      };
+
+      if (!experience || experience.status !== 'active') {
+        conflicts.push({ ...base, type: 'experience_unavailable' });
+        continue;
+      }
+
+      const dayNumber = Number(item.day_number);
+      if (!Number.isInteger(dayNumber) || dayNumber < 1 || dayNumber > totalDays) {
+        conflicts.push({ ...base, type: 'invalid_day', total_days: totalDays });
+        continue;
+      }
+
+      const date = startDate.add(dayNumber - 1, 'day').format('YYYY-MM-DD');
+      const slots = calendar[item.experience_id][date].slots;
+      const slot = slots.find(candidate =>
+        inventoryService.normalizeTime(candidate.start_time) === inventoryService.normalizeTime(String(item.start_time)) &&
+        inventoryService.normalizeTime(candidate.end_time) === inventoryService.normalizeTime(String(item.end_time))
+      );
+
+      if (!slot) {
+        conflicts.push({
+          ...base,
+          type: 'slot_unavailable',
+          date,
+          available_slots: slots.map(candidate => ({ start_time: candidate.start_time, end_time: candidate.end_time }))
+        });
+        continue;
+      }
+
+      const [withCapacity] = await inventoryService.withRemainingCapacity(item.experience_id, date, [slot]);
+      if (!inventoryService.hasRoom(withCapacity, seatsNeeded[slotKey(item)])) {
+        conflicts.push({
+          ...base,
+          type: 'slot_full',
+          date,
+          requested_guests: party.guests,
+          remaining_capacity: withCapacity.remaining_capacity
+        });
+        continue;
+      }
+
+      pricing[index] = calculateItemPrice(experience, {
+        adults: party.adults,
+        children: party.children,
+        startTime: item.start_time,
+        endTime: item.end_time
+      });
+
+      if (checkPrices && item.subtotal !== undefined &&
+        Math.abs(pricing[index].subtotal - parseFloat(item.subtotal)) >= 0.01) {
+        conflicts.push({
+          ...base,
+          type: 'price_changed',
+          quoted_subtotal: parseFloat(item.subtotal),
+          current_subtotal: pricing[index].subtotal
+        });
+      }
+    }
+
+    // Consecutive activities must leave time to get from one to the next
+    const located = items.map((item, index) => {
+      const experience = experiences[item.experience_id];
+      return {
+        ...item,
+        index,
+        title: experience ? experience.title : null,
+        latitude: experience ? experience.latitude : null,
+        longitude: experience ? experience.longitude : null
+      };
+    });
+
+    findTransferConflicts(located).forEach(conflict => {
+      conflicts.push({
+        index: conflict.to.index,
+        experience_id: Number(conflict.to.experience_id),
+        experience_name: conflict.to.title,
+        day_number: conflict.day_number,
+        start_time: conflict.to.start_time,
+        end_time: conflict.to.end_time,
+        type: 'transfer_too_short',
+        from_index: conflict.from.index,
+        from_experience_id: Number(conflict.from.experience_id),
+        from_experience_name: conflict.from.title,
+        from_end_time: conflict.from.end_time,
+        gap_minutes: conflict.gap_minutes,
+        required_minutes: conflict.required_minutes,
+        travel_minutes: conflict.travel_minutes,
+        distance_km: conflict.distance_km
+      });
+    });
+
+    return { conflicts, experiences, pricing };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ItineraryPreviewService(require('../config/db.js'));
+module.exports.PREVIEW_TTL_HOURS = PREVIEW_TTL_HOURS;
@@ -0,0 +1,91 @@
+// services/mapPinService.js
+// Map pins for a viewport. Points in the same grid cell (see
+// clusterCellDegrees in utils/geoQuery.js) are merged into one cluster pin
+// with a count and the bounds to zoom into; a cell with a single point
+// comes back as that experience or destination.
+const { clusterCellDegrees, withinBboxSql } = require('../utils/geoQuery');
+
+const SOURCES = {
+  experience: {
+    from: 'experience e JOIN destination d ON d.destination_id = e.destination_id',
+    conditions: ["e.status = 'active'"],
+    id: 'e.experience_id',
+    label: 'e.title',
+    toPin: (row) => ({ type: 'experience', experience_id: row.id, title: row.label })
+  },
+  destination: {
+    from: 'destination d',
+    conditions: [],
+    id: 'd.destination_id',
+    label: 'd.name',
+    toPin: (row) => ({ type: 'destination', destination_id: row.id, name: row.label })
+  }
+};
+
+class MapPinService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // source: 'experience' or 'destination'
+  async getPins(source, bbox, zoom) {
+    const { from, conditions, id, label, toPin } = SOURCES[source];
+    const cell = clusterCellDegrees(zoom);
+    const box = withinBboxSql('d.location', bbox);
+
+    const [rows] = await this.db.query(
+      `SELECT
+         FLOOR(ST_X(d.location) / ?) AS cell_x,
+         FLOOR(ST_Y(d.location) / ?) AS cell_y,
+         COUNT(*) AS count,
+         AVG(d.latitude) AS latitude,
+         AVG(d.longitude) AS longitude,
+         MIN(d.longitude) AS west,
+         MIN(d.latitude) AS south,
+         MAX(d.longitude) AS east,
+         MAX(d.latitude) AS north,
+         MIN(${id}) AS id,
+         MIN(${label}) AS label
+       FROM ${from}
+       WHERE ${[
+         ...conditions,
+         'd.latitude IS NOT NULL AND d.longitude IS NOT NULL',
+         box.sql
+       ].join(' AND ')}
+       GROUP BY cell_x, cell_y
+       ORDER BY count DESC`,
+      [cell, cell, ...box.params]
+    );
+
+    const pins = rows.map(row => {
+      const position = {
+        latitude: Math.round(parseFloat(row.latitude) * 1e6) / 1e6,
+        longitude: Math.round(parseFloat(row.longitude) * 1e6) / 1e6
+      };
+
+      if (Number(row.count) === 1) {
+        return { ...toPin(row), ...position };
+      }
+
+      return {
+        type: 'cluster',
+        count: Number(row.count),
+        ...position,
+        bounds: {
+          west: parseFloat(row.west),
+          south: parseFloat(row.south),
+          east: parseFloat(row.east),
+          north: parseFloat(row.north)
+        }
+      };
+    });
+
+    return {
+      total: pins.reduce((sum, pin) => sum + (pin.count || 1), 0),
+      pins
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new MapPinService(require('../config/db.js'));
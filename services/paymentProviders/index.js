@@ -0,0 +1,38 @@
+// services/paymentProviders/index.js
+// Payment providers are interchangeable adapters. Each one implements:
+//
+//   name                                   -> string stored on payment_intents.provider
+//   createIntent({ amount, currency, metadata })
+//       -> { reference, status, client_secret, checkout_url }
+//   confirmIntent(reference, { payment_method })
+//       -> { reference, status: 'succeeded' | 'processing' | 'failed', failure_reason }
+//   cancelIntent(reference)                -> { reference, status: 'cancelled' }
+//   refundPayment(reference, amount)       -> { reference, status: 'succeeded' | 'failed', failure_reason }
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   getSignatureHeader(headers)            -> the raw signature header, stored for auditing
+//   parseWebhookEvent(body)
+//       -> { id, type, reference, status, failure_reason } (status null = nothing to apply)
+//
+// PAYMENT_PROVIDER picks the default provider (falls back to the local mock).
+const MockPaymentProvider = require('./mockProvider');
+
+const providers = {
+  mock: new MockPaymentProvider()
+};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,120 @@
+// services/paymentProviders/mockProvider.js
+// Local provider for development and testing. Nothing leaves the server:
+// every intent succeeds unless one of the test payment methods below is used.
+const crypto = require('crypto');
+
+// Webhook signatures look like "t=<unix seconds>,v1=<hex hmac>", where the HMAC
+// is SHA-256 over "<t>.<raw body>" keyed with PAYMENT_WEBHOOK_SECRET
+const SIGNATURE_HEADER = 'x-payment-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const EVENT_STATUSES = {
+  'payment_intent.succeeded': 'succeeded',
+  'payment_intent.processing': 'processing',
+  'payment_intent.failed': 'failed',
+  'payment_intent.cancelled': 'cancelled'
+};
+
+const TEST_PAYMENT_METHODS = {
+  DECLINED: 'mock_card_declined',
+  INSUFFICIENT_FUNDS: 'mock_insufficient_funds',
+  PROCESSING: 'mock_processing'
+};
+
+class MockPaymentProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async createIntent({ amount, currency }) {
+    const reference = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      reference,
+      status: 'requires_payment',
+      client_secret: `${reference}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      checkout_url: null,
+      amount,
+      currency
+    };
+  }
+
+  async confirmIntent(reference, { payment_method } = {}) {
+    switch (payment_method) {
+      case TEST_PAYMENT_METHODS.DECLINED:
+        return { reference, status: 'failed', failure_reason: 'Card declined' };
+      case TEST_PAYMENT_METHODS.INSUFFICIENT_FUNDS:
+        return { reference, status: 'failed', failure_reason: 'Insufficient funds' };
+      case TEST_PAYMENT_METHODS.PROCESSING:
+        return { reference, status: 'processing' };
+      default:
+        return { reference, status: 'succeeded' };
+    }
+  }
+
+  async cancelIntent(reference) {
+    return { reference, status: 'cancelled' };
+  }
+
+  async refundPayment(reference, amount) {
+    return {
+      reference: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      payment_reference: reference,
+      amount,
+      status: 'succeeded'
+    };
+  }
+
+  computeSignature(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET || '')
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  // Build a signature header for a payload, e.g. to simulate a delivery locally
+  signWebhookPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.computeSignature(timestamp, rawBody)}`;
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody || !process.env.PAYMENT_WEBHOOK_SECRET) return false;
+
+    const parts = Object.fromEntries(
+      header.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.computeSignature(timestamp, rawBody), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Normalise a webhook body into { id, type, reference, status, failure_reason }.
+  // status is null for event types that do not move a payment intent.
+  parseWebhookEvent(body) {
+    const data = body.data || {};
+
+    return {
+      id: body.id,
+      type: body.type,
+      reference: data.reference || null,
+      status: EVENT_STATUSES[body.type] || null,
+      failure_reason: data.failure_reason || null
+    };
+  }
+
+  getSignatureHeader(headers) {
+    return headers[SIGNATURE_HEADER] || null;
+  }
+}
+
+module.exports = MockPaymentProvider;
+module.exports.TEST_PAYMENT_METHODS = TEST_PAYMENT_METHODS;
@@ -0,0 +1,289 @@
+// services/paymentService.js
+const dayjs = require('dayjs');
+const { getProvider } = require('./paymentProviders');
+const notificationService = require('./notificationService');
+const bookingStateService = require('./bookingStateService');
+const { notifyCreatorsAfterPayment } = require('../controllers/bookingController');
+
+const DEFAULT_CURRENCY = 'PHP';
+const TERMINAL_INTENT_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+class PaymentService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getPaymentByItinerary(itineraryId) {
+    const [rows] = await this.db.query(
+      'SELECT * FROM itinerary_payments WHERE itinerary_id = ?',
+      [itineraryId]
+    );
+    return rows[0] || null;
+  }
+
+  async getIntentById(intentId) {
+    const [rows] = await this.db.query(
+      'SELECT * FROM payment_intents WHERE intent_id = ?',
+      [intentId]
+    );
+    return rows[0] || null;
+  }
+
+  async getIntentsByItinerary(itineraryId) {
+    const [rows] = await this.db.query(
+      `SELECT intent_id, provider, provider_reference, amount, currency, status,
+              failure_reason, succeeded_at, created_at, updated_at
+       FROM payment_intents
+       WHERE itinerary_id = ?
+       ORDER BY created_at DESC`,
+      [itineraryId]
+    );
+    return rows;
+  }
+
+  async getRefundsByItinerary(itineraryId) {
+    const [rows] = await this.db.query(
+      `SELECT refund_id, booking_id, amount, refund_percent, policy, hours_before_start,
+              reason, status, failure_reason, created_at, updated_at
+       FROM refunds
+       WHERE itinerary_id = ?
+       ORDER BY created_at DESC`,
+      [itineraryId]
+    );
+    return rows;
+  }
+
+  getRemainingBalance(payment) {
+    return toAmount(toAmount(payment.total_amount) - toAmount(payment.amount_paid));
+  }
+
+  // Open an intent with the provider for (part of) the remaining balance
+  async createIntent(payment, { travelerId, amount, currency = DEFAULT_CURRENCY, providerName } = {}) {
+    const provider = getProvider(providerName);
+    const providerIntent = await provider.createIntent({
+      amount: toAmount(amount),
+      currency,
+      metadata: { itinerary_id: payment.itinerary_id, payment_id: payment.payment_id }
+    });
+
+    const [result] = await this.db.query(
+      `INSERT INTO payment_intents
+        (payment_id, itinerary_id, traveler_id, provider, provider_reference, amount, currency,
+         status, client_secret, checkout_url, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payment.payment_id,
+        payment.itinerary_id,
+        travelerId,
+        provider.name,
+        providerIntent.reference,
+        toAmount(amount),
+        currency,
+        providerIntent.status || 'requires_payment',
+        providerIntent.client_secret || null,
+        providerIntent.checkout_url || null,
+        dayjs().format('YYYY-MM-DD HH:mm:ss'),
+        dayjs().format('YYYY-MM-DD HH:mm:ss')
+      ]
+    );
+
+    return this.getIntentById(result.insertId);
+  }
+
+  async confirmIntent(intent, { payment_method } = {}) {
+    const provider = getProvider(intent.provider);
+    const providerResult = await provider.confirmIntent(intent.provider_reference, { payment_method });
+    return this.applyIntentResult(intent.intent_id, providerResult);
+  }
+
+  async cancelIntent(intent) {
+    const provider = getProvider(intent.provider);
+    const providerResult = await provider.cancelIntent(intent.provider_reference);
+    return this.applyIntentResult(intent.intent_id, providerResult);
+  }
+
+  // Move an intent to the status reported by the provider. A succeeded intent
+  // is added to amount_paid and the itinerary's bookings follow the payment:
+  //   partly paid -> payment_status 'Partial'
+  //   fully paid  -> payment_status 'Paid', bookings 'Pending' -> 'Confirmed'
+  // Intents that already reached a final status are left untouched, so the same
+  // result can be applied more than once without paying twice.
+  async applyIntentResult(intentId, providerResult) {
+    const connection = await this.db.getConnection();
+    await connection.beginTransaction();
+
+    let intent;
+    let becamePaid = false;
+
+    try {
+      const [intentRows] = await connection.query(
+        'SELECT * FROM payment_intents WHERE intent_id = ? FOR UPDATE',
+        [intentId]
+      );
+
+      if (intentRows.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return null;
+      }
+
+      intent = intentRows[0];
+
+      if (TERMINAL_INTENT_STATUSES.includes(intent.status) || intent.status === providerResult.status) {
+        await connection.rollback();
+        connection.release();
+        return { intent, payment: await this.getPaymentByItinerary(intent.itinerary_id), changed: false, becamePaid };
+      }
+
+      const now = dayjs().format('YYYY-MM-DD HH:mm:ss');
+
+      await connection.query(
+        `UPDATE payment_intents
+         SET status = ?, failure_reason = ?, succeeded_at = ?, updated_at = ?
+         WHERE intent_id = ?`,
+        [
+          providerResult.status,
+          providerResult.failure_reason || null,
+          providerResult.status === 'succeeded' ? now : null,
+          now,
+          intentId
+        ]
+      );
+
+      if (providerResult.status === 'succeeded') {
+        const [paymentRows] = await connection.query(
+          'SELECT * FROM itinerary_payments WHERE payment_id = ? FOR UPDATE',
+          [intent.payment_id]
+        );
+        const payment = paymentRows[0];
+
+        const amountPaid = toAmount(toAmount(payment.amount_paid) + toAmount(intent.amount));
+        const paymentStatus = amountPaid >= toAmount(payment.total_amount) ? 'Paid' : 'Partial';
+        becamePaid = paymentStatus === 'Paid' && payment.payment_status !== 'Paid';
+
+        await connection.query(
+          `UPDATE itinerary_payments
+           SET amount_paid = ?, payment_status = ?, updated_at = ?
+           WHERE payment_id = ?`,
+          [amountPaid, paymentStatus, now, payment.payment_id]
+        );
+
+        await connection.query(
+          `UPDATE bookings SET payment_status = ?, updated_at = NOW()
+           WHERE itinerary_id = ? AND status != 'Cancelled'`,
+          [paymentStatus, intent.itinerary_id]
+        );
+
+        if (becamePaid) {
+          // Bookings the creator has not accepted yet stay Pending
+          const [acceptedBookings] = await connection.query(
+            `SELECT booking_id FROM bookings
+             WHERE itinerary_id = ? AND status = 'Pending' AND approval_status = 'accepted'`,
+            [intent.itinerary_id]
+          );
+
+          for (const booking of acceptedBookings) {
+            await bookingStateService.transition(booking.booking_id, 'Confirmed', {
+              actorId: intent.traveler_id,
+              actorRole: 'system',
+              reason: 'Itinerary fully paid',
+              connection
+            });
+          }
+        }
+      }
+
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error applying payment intent result:', error);
+      throw error;
+    }
+
+    const updatedIntent = await this.getIntentById(intentId);
+    const updatedPayment = await this.getPaymentByItinerary(updatedIntent.itinerary_id);
+
+    if (updatedIntent.status === 'succeeded') {
+      await this.notifyAfterPayment(updatedIntent, updatedPayment, becamePaid);
+    }
+
+    return { intent: updatedIntent, payment: updatedPayment, changed: true, becamePaid };
+  }
+
+  // Send a refund recorded in the refunds table back through the provider, using
+  // the most recent successful intent of the itinerary
+  async processRefund(refundId) {
+    const [refunds] = await this.db.query('SELECT * FROM refunds WHERE refund_id = ?', [refundId]);
+    const refund = refunds[0];
+    if (!refund || refund.status !== 'pending') return refund || null;
+
+    const [intents] = await this.db.query(
+      `SELECT * FROM payment_intents
+       WHERE payment_id = ? AND status = 'succeeded'
+       ORDER BY succeeded_at DESC
+       LIMIT 1`,
+      [refund.payment_id]
+    );
+
+    let result;
+    if (intents.length === 0) {
+      result = { status: 'failed', failure_reason: 'No successful payment to refund' };
+    } else {
+      try {
+        result = await getProvider(intents[0].provider).refundPayment(intents[0].provider_reference, toAmount(refund.amount));
+      } catch (error) {
+        console.error(`Error sending refund ${refundId} to provider:`, error);
+        result = { status: 'failed', failure_reason: error.message };
+      }
+    }
+
+    await this.db.query(
+      `UPDATE refunds
+       SET status = ?, intent_id = ?, provider_reference = ?, failure_reason = ?, updated_at = ?
+       WHERE refund_id = ?`,
+      [
+        result.status === 'succeeded' ? 'succeeded' : 'failed',
+        intents.length > 0 ? intents[0].intent_id : null,
+        result.reference || null,
+        result.failure_reason || null,
+        dayjs().format('YYYY-MM-DD HH:mm:ss'),
+        refundId
+      ]
+    );
+
+    const [updated] = await this.db.query('SELECT * FROM refunds WHERE refund_id = ?', [refundId]);
+    return updated[0];
+  }
+
+  async notifyAfterPayment(intent, payment, becamePaid) {
+    try {
+      const remaining = this.getRemainingBalance(payment);
+
+      await notificationService.createNotification({
+        user_id: intent.traveler_id,
+        type: 'update',
+        title: becamePaid ? 'Payment Complete!' : 'Payment Received',
+        description: becamePaid
+          ? 'Your trip is fully paid. Each booking is confirmed as soon as its creator accepts it.'
+          : `We received ${intent.currency} ${toAmount(intent.amount).toFixed(2)}. Remaining balance: ${intent.currency} ${remaining.toFixed(2)}.`,
+        itinerary_id: intent.itinerary_id,
+        icon: 'card',
+        icon_color: '#10B981',
+        created_at: dayjs().format('YYYY-MM-DD HH:mm:ss')
+      });
+
+      if (becamePaid) {
+        await notifyCreatorsAfterPayment(intent.itinerary_id);
+      }
+    } catch (notificationError) {
+      console.error('Error sending payment notifications:', notificationError);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new PaymentService(require('../config/db.js'));
@@ -0,0 +1,21 @@
+// services/routingProviders/haversineProvider.js
+// Offline fallback: straight-line distance, with the duration estimated by
+// utils/travelTime.js (road factor and average speed per road type).
+const { haversineKm, estimateTravel } = require('../../utils/travelTime');
+
+class HaversineRoutingProvider {
+  constructor() {
+    this.name = 'haversine';
+  }
+
+  async route(from, to) {
+    const estimate = estimateTravel(from, to);
+
+    return {
+      distance_km: haversineKm(from.latitude, from.longitude, to.latitude, to.longitude),
+      duration_minutes: estimate ? estimate.travel_minutes : 0
+    };
+  }
+}
+
+module.exports = HaversineRoutingProvider;
@@ -0,0 +1,41 @@
+// services/routingProviders/index.js
+// Routing providers are interchangeable adapters. Each one implements:
+//
+//   name                 -> string stored on route_cache.provider
+//   route(from, to)      -> { distance_km, duration_minutes }
+//       from / to are { latitude, longitude }; throws when no route is found
+//
+// ROUTING_PROVIDER picks the default provider (falls back to haversine).
+// The OSRM adapter is registered when OSRM_URL is set; OSRM_PROFILE and
+// OSRM_TIMEOUT_MS are optional.
+const HaversineRoutingProvider = require('./haversineProvider');
+const OsrmRoutingProvider = require('./osrmProvider');
+
+const providers = {
+  haversine: new HaversineRoutingProvider()
+};
+
+if (process.env.OSRM_URL) {
+  providers.osrm = new OsrmRoutingProvider({
+    baseUrl: process.env.OSRM_URL,
+    profile: process.env.OSRM_PROFILE || 'driving',
+    timeoutMs: parseInt(process.env.OSRM_TIMEOUT_MS, 10) || 5000
+  });
+}
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name = process.env.ROUTING_PROVIDER || 'haversine') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown routing provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,35 @@
+// services/routingProviders/osrmProvider.js
+// Adapter for a self-hosted OSRM server (or anything that speaks the same
+// HTTP API, such as a local stub during tests):
+//   GET <baseUrl>/route/v1/<profile>/<lng>,<lat>;<lng>,<lat>?overview=false
+//   -> { code: 'Ok', routes: [{ distance: <metres>, duration: <seconds> }] }
+class OsrmRoutingProvider {
+  constructor({ baseUrl, profile = 'driving', timeoutMs = 5000 }) {
+    this.name = 'osrm';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.profile = profile;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async route(from, to) {
+    const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
+    const url = `${this.baseUrl}/route/v1/${this.profile}/${coordinates}?overview=false`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`OSRM request failed with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.code !== 'Ok' || !Array.isArray(body.routes) || body.routes.length === 0) {
+      throw new Error(`OSRM found no route (${body.code || 'no code'})`);
+    }
+
+    return {
+      distance_km: body.routes[0].distance / 1000,
+      duration_minutes: body.routes[0].duration / 60
+    };
+  }
+}
+
+module.exports = OsrmRoutingProvider;
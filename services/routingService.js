@@ -0,0 +1,153 @@
+// services/routingService.js
+// Road distances and durations between two points. The configured routing
+// provider (services/routingProviders) is asked once per pair; answers are
+// kept in route_cache (and in memory) for ROUTE_CACHE_TTL_DAYS. When the
+// provider fails, or none is configured, the haversine estimate is used.
+const dayjs = require('dayjs');
+const { getProvider } = require('./routingProviders');
+
+const CACHE_TTL_DAYS = parseInt(process.env.ROUTE_CACHE_TTL_DAYS, 10) || 30;
+const MEMORY_LIMIT = 5000;
+// Provider calls in flight at once when many pairs are looked up together
+const CONCURRENCY = parseInt(process.env.ROUTING_CONCURRENCY, 10) || 4;
+
+const toPoint = (point) => {
+  if (!point) return null;
+
+  const latitude = parseFloat(point.latitude ?? point.lat);
+  const longitude = parseFloat(point.longitude ?? point.lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  return { latitude, longitude };
+};
+
+const pointKey = (point) => `${point.latitude.toFixed(5)},${point.longitude.toFixed(5)}`;
+
+class RoutingService {
+  constructor(db) {
+    this.db = db;
+    this.memory = new Map();
+    this.fallback = getProvider('haversine');
+  }
+
+  // True when a real road router is configured (not just the haversine fallback)
+  isAvailable() {
+    return getProvider().name !== this.fallback.name;
+  }
+
+  async fromFallback(origin, destination) {
+    const route = await this.fallback.route(origin, destination);
+    return { ...route, provider: this.fallback.name, cached: false };
+  }
+
+  // { distance_km, duration_minutes, provider, cached } between two points
+  // ({ latitude, longitude } or { lat, lng }), or null without coordinates
+  async getRoute(from, to) {
+    const origin = toPoint(from);
+    const destination = toPoint(to);
+    if (!origin || !destination) return null;
+
+    const provider = getProvider();
+    if (provider.name === this.fallback.name) {
+      return this.fromFallback(origin, destination);
+    }
+
+    const originKey = pointKey(origin);
+    const destinationKey = pointKey(destination);
+    const memoryKey = `${provider.name}|${originKey}|${destinationKey}`;
+
+    const remembered = this.memory.get(memoryKey);
+    if (remembered && dayjs().isBefore(remembered.expires_at)) {
+      return { ...remembered.route, cached: true };
+    }
+
+    try {
+      const [rows] = await this.db.query(
+        `SELECT distance_km, duration_minutes, created_at FROM route_cache
+         WHERE provider = ? AND origin_key = ? AND destination_key = ? AND created_at > ?`,
+        [
+          provider.name,
+          originKey,
+          destinationKey,
+          dayjs().subtract(CACHE_TTL_DAYS, 'day').format('YYYY-MM-DD HH:mm:ss')
+        ]
+      );
+
+      if (rows.length > 0) {
+        const route = {
+          distance_km: parseFloat(rows[0].distance_km),
+          duration_minutes: parseFloat(rows[0].duration_minutes),
+          provider: provider.name
+        };
+        this.remember(memoryKey, route, dayjs(rows[0].created_at));
+        return { ...route, cached: true };
+      }
+
+      const result = await provider.route(origin, destination);
+      const route = {
+        distance_km: Math.round(result.distance_km * 1000) / 1000,
+        duration_minutes: Math.round(result.duration_minutes * 100) / 100,
+        provider: provider.name
+      };
+
+      const now = dayjs();
+      await this.db.query(
+        `INSERT INTO route_cache (provider, origin_key, destination_key, distance_km, duration_minutes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE distance_km = VALUES(distance_km),
+           duration_minutes = VALUES(duration_minutes), created_at = VALUES(created_at)`,
+        [provider.name, originKey, destinationKey, route.distance_km, route.duration_minutes, now.format('YYYY-MM-DD HH:mm:ss')]
+      );
+      this.remember(memoryKey, route, now);
+
+      return { ...route, cached: false };
+    } catch (error) {
+      console.error(`Routing via ${provider.name} failed, using straight-line estimate:`, error.message);
+      return this.fromFallback(origin, destination);
+    }
+  }
+
+  remember(key, route, createdAt) {
+    // Drop the oldest entry once the in-memory copy is full
+    if (this.memory.size >= MEMORY_LIMIT) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, { route, expires_at: createdAt.add(CACHE_TTL_DAYS, 'day') });
+  }
+
+  async getDistanceKm(from, to) {
+    const route = await this.getRoute(from, to);
+    return route ? route.distance_km : null;
+  }
+
+  // Distances for many [from, to] pairs, in the same order. Pairs are looked
+  // up CONCURRENCY at a time instead of one after another; repeated pairs
+  // are only looked up once.
+  async getDistancesKm(pairs) {
+    const lookups = new Map();
+    pairs.forEach(([from, to]) => {
+      const origin = toPoint(from);
+      const destination = toPoint(to);
+      if (origin && destination) lookups.set(`${pointKey(origin)}|${pointKey(destination)}`, [origin, destination]);
+    });
+
+    const distances = new Map();
+    const queue = [...lookups.entries()];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const [key, [origin, destination]] = queue.shift();
+        distances.set(key, await this.getDistanceKm(origin, destination));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+
+    return pairs.map(([from, to]) => {
+      const origin = toPoint(from);
+      const destination = toPoint(to);
+      return origin && destination ? distances.get(`${pointKey(origin)}|${pointKey(destination)}`) : null;
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new RoutingService(require('../config/db.js'));
@@ -0,0 +1,222 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dayjs = require('dayjs');
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+class SessionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Refresh tokens are opaque random strings; only their hash is stored
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        user_id: user.user_id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        role: user.role,
+        is_first_login: user.is_first_login,
+        session_id: sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  async issueRefreshToken(connection, sessionId) {
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = dayjs().add(REFRESH_TOKEN_TTL_DAYS, 'day').format('YYYY-MM-DD HH:mm:ss');
+
+    const [result] = await connection.query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [sessionId, this.hashToken(refreshToken), dayjs().format('YYYY-MM-DD HH:mm:ss'), expiresAt]
+    );
+
+    return { refreshToken, tokenId: result.insertId, expiresAt };
+  }
+
+  // Start a new session for a user that just logged in
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    const now = dayjs();
+    const expiresAt = now.add(REFRESH_TOKEN_TTL_DAYS, 'day').format('YYYY-MM-DD HH:mm:ss');
+
+    const [result] = await this.db.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip_address, created_at, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        user.user_id,
+        userAgent || null,
+        ipAddress || null,
+        now.format('YYYY-MM-DD HH:mm:ss'),
+        now.format('YYYY-MM-DD HH:mm:ss'),
+        expiresAt
+      ]
+    );
+
+    const sessionId = result.insertId;
+    const { refreshToken } = await this.issueRefreshToken(this.db, sessionId);
+
+    return {
+      session_id: sessionId,
+      token: this.signAccessToken(user, sessionId),
+      refresh_token: refreshToken,
+      refresh_token_expires_at: expiresAt
+    };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair.
+  // Every refresh token is single-use: presenting one that was already rotated
+  // means it leaked, so the whole session is revoked.
+  async rotateRefreshToken(refreshToken, { userAgent, ipAddress } = {}) {
+    const connection = await this.db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [rows] = await connection.query(
+        `SELECT rt.token_id, rt.session_id, rt.expires_at, rt.used_at,
+                s.user_id, s.revoked_at, s.expires_at AS session_expires_at
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.session_id
+         WHERE rt.token_hash = ?
+         FOR UPDATE`,
+        [this.hashToken(refreshToken)]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'invalid' };
+      }
+
+      const record = rows[0];
+
+      if (record.revoked_at) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'revoked' };
+      }
+
+      if (record.used_at) {
+        await connection.query(
+          `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = 'refresh_token_reuse'
+           WHERE session_id = ?`,
+          [record.session_id]
+        );
+        await connection.commit();
+        connection.release();
+        console.warn(`🚨 Refresh token reuse detected for session ${record.session_id}. Session revoked.`);
+        return { status: 'reused' };
+      }
+
+      if (dayjs(record.expires_at).isBefore(dayjs()) || dayjs(record.session_expires_at).isBefore(dayjs())) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'expired' };
+      }
+
+      const [users] = await connection.query(
+        'SELECT user_id, email, first_name, last_name, role, is_first_login FROM users WHERE user_id = ?',
+        [record.user_id]
+      );
+
+      if (users.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return { status: 'invalid' };
+      }
+
+      const next = await this.issueRefreshToken(connection, record.session_id);
+
+      await connection.query(
+        'UPDATE refresh_tokens SET used_at = NOW(), replaced_by = ? WHERE token_id = ?',
+        [next.tokenId, record.token_id]
+      );
+
+      await connection.query(
+        `UPDATE user_sessions
+         SET last_used_at = NOW(), expires_at = ?,
+             user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+         WHERE session_id = ?`,
+        [next.expiresAt, userAgent || null, ipAddress || null, record.session_id]
+      );
+
+      await connection.commit();
+      connection.release();
+
+      return {
+        status: 'ok',
+        session_id: record.session_id,
+        token: this.signAccessToken(users[0], record.session_id),
+        refresh_token: next.refreshToken,
+        refresh_token_expires_at: next.expiresAt
+      };
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  async isSessionActive(sessionId) {
+    const [rows] = await this.db.query(
+      'SELECT revoked_at, expires_at FROM user_sessions WHERE session_id = ?',
+      [sessionId]
+    );
+
+    if (rows.length === 0) return false;
+    return !rows[0].revoked_at && dayjs(rows[0].expires_at).isAfter(dayjs());
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    const [result] = await this.db.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+       WHERE session_id = ? AND revoked_at IS NULL`,
+      [reason, sessionId]
+    );
+    return result.affectedRows;
+  }
+
+  // Sign out of all devices. Pass exceptSessionId to keep the current device signed in.
+  async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const params = [reason, userId];
+    let query = `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+                 WHERE user_id = ? AND revoked_at IS NULL`;
+
+    if (exceptSessionId) {
+      query += ' AND session_id != ?';
+      params.push(exceptSessionId);
+    }
+
+    const [result] = await this.db.query(query, params);
+    return result.affectedRows;
+  }
+
+  async getActiveSessions(userId) {
+    const [sessions] = await this.db.query(
+      `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return sessions;
+  }
+}
+
+// Export a singleton instance
+module.exports = new SessionService(require('../config/db.js'));
@@ -0,0 +1,174 @@
+// services/webhookService.js
+const dayjs = require('dayjs');
+const { getProvider } = require('./paymentProviders');
+const paymentService = require('./paymentService');
+
+class WebhookService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Entry point for POST /payments/webhook. Verifies the signature, stores the
+  // raw event and applies it. A redelivered event that was already handled is
+  // reported as a duplicate; one that failed before is processed again.
+  async receiveEvent(providerName, rawBody, headers) {
+    const provider = getProvider(providerName);
+
+    if (!provider.verifyWebhookSignature(rawBody, headers)) {
+      return { status: 'invalid_signature' };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      return { status: 'invalid_payload' };
+    }
+
+    const event = provider.parseWebhookEvent(body);
+    if (!event.id) {
+      return { status: 'invalid_payload' };
+    }
+
+    const [result] = await this.db.query(
+      `INSERT IGNORE INTO webhook_events
+        (provider, event_id, event_type, provider_reference, payload, signature, status, received_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'received', ?)`,
+      [
+        provider.name,
+        event.id,
+        event.type || null,
+        event.reference,
+        rawBody,
+        provider.getSignatureHeader(headers),
+        dayjs().format('YYYY-MM-DD HH:mm:ss')
+      ]
+    );
+
+    let webhookEventId = result.insertId;
+
+    if (result.affectedRows === 0) {
+      const [existing] = await this.db.query(
+        'SELECT * FROM webhook_events WHERE provider = ? AND event_id = ?',
+        [provider.name, event.id]
+      );
+
+      if (['processed', 'ignored'].includes(existing[0].status)) {
+        return { status: 'duplicate', event: existing[0] };
+      }
+
+      webhookEventId = existing[0].webhook_event_id;
+    }
+
+    return this.processEvent(webhookEventId);
+  }
+
+  async processEvent(webhookEventId) {
+    const [rows] = await this.db.query(
+      'SELECT * FROM webhook_events WHERE webhook_event_id = ?',
+      [webhookEventId]
+    );
+
+    if (rows.length === 0) return null;
+
+    const record = rows[0];
+
+    await this.db.query(
+      'UPDATE webhook_events SET attempts = attempts + 1 WHERE webhook_event_id = ?',
+      [webhookEventId]
+    );
+
+    try {
+      const provider = getProvider(record.provider);
+      const event = provider.parseWebhookEvent(JSON.parse(record.payload));
+
+      if (!event.status) {
+        return this.markEvent(webhookEventId, 'ignored', `Unhandled event type "${event.type}"`);
+      }
+
+      const [intents] = await this.db.query(
+        'SELECT intent_id, status FROM payment_intents WHERE provider = ? AND provider_reference = ?',
+        [provider.name, event.reference]
+      );
+
+      if (intents.length === 0) {
+        return this.markEvent(webhookEventId, 'failed', `No payment intent found for reference "${event.reference}"`);
+      }
+
+      // applyIntentResult locks the intent and skips intents that are already
+      // final, so replaying an event never adds the same payment twice
+      const result = await paymentService.applyIntentResult(intents[0].intent_id, {
+        status: event.status,
+        failure_reason: event.failure_reason
+      });
+
+      if (!result.changed && result.intent.status !== event.status) {
+        console.warn(`⚠️ Webhook ${record.event_id}: intent ${result.intent.intent_id} is already ${result.intent.status}, ignoring ${event.status}`);
+        return this.markEvent(webhookEventId, 'ignored', `Payment intent is already ${result.intent.status}`);
+      }
+
+      return this.markEvent(webhookEventId, 'processed', null);
+    } catch (error) {
+      console.error(`❌ Error processing webhook event ${record.event_id}:`, error);
+      return this.markEvent(webhookEventId, 'failed', error.message);
+    }
+  }
+
+  async markEvent(webhookEventId, status, errorMessage) {
+    await this.db.query(
+      `UPDATE webhook_events
+       SET status = ?, error_message = ?, processed_at = ?
+       WHERE webhook_event_id = ?`,
+      [
+        status,
+        errorMessage,
+        status === 'failed' ? null : dayjs().format('YYYY-MM-DD HH:mm:ss'),
+        webhookEventId
+      ]
+    );
+
+    const [rows] = await this.db.query(
+      'SELECT * FROM webhook_events WHERE webhook_event_id = ?',
+      [webhookEventId]
+    );
+
+    return { status, event: rows[0] };
+  }
+
+  // Reprocess a stored event. Processed events are skipped unless forced.
+  async replayEvent(webhookEventId, { force = false } = {}) {
+    const [rows] = await this.db.query(
+      'SELECT status FROM webhook_events WHERE webhook_event_id = ?',
+      [webhookEventId]
+    );
+
+    if (rows.length === 0) return null;
+
+    if (rows[0].status === 'processed' && !force) {
+      return { status: 'already_processed' };
+    }
+
+    return this.processEvent(webhookEventId);
+  }
+
+  async listEvents({ status, limit = 50 } = {}) {
+    const params = [];
+    let query = `SELECT webhook_event_id, provider, event_id, event_type, provider_reference,
+                        status, attempts, error_message, received_at, processed_at
+                 FROM webhook_events`;
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY received_at DESC LIMIT ?';
+    params.push(parseInt(limit, 10) || 50);
+
+    const [events] = await this.db.query(query, params);
+    return events;
+  }
+}
+
+// Export a singleton instance
+module.exports = new WebhookService(require('../config/db.js'));
@@ -0,0 +1,100 @@
+const dayjs = require('dayjs');
+
+// Cancellation policies. Each policy is a list of tiers: cancelling at least
+// `hours_before` hours before the booking starts refunds `refund_percent` of
+// what was paid for it. Anything later than the last tier gets no refund.
+
+const CANCELLATION_POLICIES = {
+  flexible: [
+    { hours_before: 24, refund_percent: 100 }
+  ],
+  moderate: [
+    { hours_before: 120, refund_percent: 100 },
+    { hours_before: 24, refund_percent: 50 }
+  ],
+  strict: [
+    { hours_before: 336, refund_percent: 100 },
+    { hours_before: 168, refund_percent: 50 }
+  ]
+};
+
+const DEFAULT_POLICY = 'moderate';
+const MAX_CUSTOM_TIERS = 5;
+
+const parseTiers = (tiers) => {
+  if (!tiers) return null;
+  return typeof tiers === 'string' ? JSON.parse(tiers) : tiers;
+};
+
+// Returns an error message, or null when the custom tiers are valid
+const validateCustomTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'Custom policies need at least one tier';
+  }
+  if (tiers.length > MAX_CUSTOM_TIERS) {
+    return `Custom policies can have at most ${MAX_CUSTOM_TIERS} tiers`;
+  }
+
+  const seenHours = new Set();
+  for (const tier of tiers) {
+    const hours = Number(tier.hours_before);
+    const percent = Number(tier.refund_percent);
+
+    if (!Number.isFinite(hours) || hours < 0) {
+      return 'hours_before must be a number of hours (0 or more)';
+    }
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      return 'refund_percent must be a whole number between 0 and 100';
+    }
+    if (seenHours.has(hours)) {
+      return 'Each tier needs a different hours_before';
+    }
+    seenHours.add(hours);
+  }
+
+  return null;
+};
+
+// Tiers that apply to an experience, sorted from earliest to latest cancellation
+const getPolicyTiers = (policy, customTiers) => {
+  const tiers = policy === 'custom'
+    ? (parseTiers(customTiers) || [])
+    : (CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES[DEFAULT_POLICY]);
+
+  return tiers
+    .map(tier => ({ hours_before: Number(tier.hours_before), refund_percent: Number(tier.refund_percent) }))
+    .sort((a, b) => b.hours_before - a.hours_before);
+};
+
+const getRefundPercent = (tiers, hoursBeforeStart) => {
+  if (hoursBeforeStart < 0) return 0; // already started
+  const tier = tiers.find(t => hoursBeforeStart >= t.hours_before);
+  return tier ? tier.refund_percent : 0;
+};
+
+// Refund for one booking.
+//   policy / customTiers - from the experience
+//   startsAt             - dayjs of the booking date + start time
+//   paidAmount           - what the traveler paid for this booking
+//   now                  - dayjs, defaults to the current time
+const calculateRefund = ({ policy, customTiers, startsAt, paidAmount, now = dayjs() }) => {
+  const tiers = getPolicyTiers(policy, customTiers);
+  const hoursBeforeStart = startsAt.diff(now, 'minute') / 60;
+  const refundPercent = getRefundPercent(tiers, hoursBeforeStart);
+  const refundAmount = Math.round(paidAmount * refundPercent) / 100;
+
+  return {
+    policy: policy || DEFAULT_POLICY,
+    hours_before_start: Math.round(hoursBeforeStart * 100) / 100,
+    refund_percent: refundPercent,
+    refund_amount: refundAmount
+  };
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  DEFAULT_POLICY,
+  validateCustomTiers,
+  getPolicyTiers,
+  calculateRefund
+};
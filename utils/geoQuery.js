@@ -0,0 +1,153 @@
+// "Near me" and map viewport filters on destination.location (a POINT with
+// x = longitude, y = latitude, see migrations/018_destination_location.sql).
+// Every filter first narrows by bounding rectangle with MBRContains so the
+// SPATIAL index is used, then radius filters check the exact great-circle
+// distance with ST_Distance_Sphere.
+//
+// Query parameters:
+//   lat, lng       - the point distances are measured from
+//   radius         - km around lat/lng (needs lat and lng)
+//   bbox           - viewport as west,south,east,north (GeoJSON order)
+
+const KM_PER_DEGREE = 111.32;
+const MAX_RADIUS_KM = 500;
+
+// Pins closer than this many screen pixels are merged into one cluster
+const CLUSTER_RADIUS_PX = 60;
+const TILE_SIZE_PX = 256;
+const MAX_ZOOM = 22;
+
+const parseNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// Smallest rectangle around a circle of radiusKm
+const boundingBox = (lat, lng, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const dLng = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+  return {
+    west: Math.max(lng - dLng, -180),
+    south: Math.max(lat - dLat, -90),
+    east: Math.min(lng + dLng, 180),
+    north: Math.min(lat + dLat, 90)
+  };
+};
+
+// "w,s,e,n" -> { west, south, east, north }; returns { error } when invalid.
+// Viewports across the antimeridian are not supported.
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    return { error: 'bbox must be west,south,east,north' };
+  }
+
+  const [west, south, east, north] = parts;
+  if (west < -180 || east > 180 || south < -90 || north > 90) {
+    return { error: 'bbox is outside the valid longitude/latitude range' };
+  }
+  if (west >= east || south >= north) {
+    return { error: 'bbox must have west < east and south < north' };
+  }
+
+  return { bbox: { west, south, east, north } };
+};
+
+// Read lat/lng/radius/bbox from a query string. Returns { error } or
+// { origin, radiusKm, bbox } where each is null when not given.
+const parseGeoQuery = (query) => {
+  const lat = parseNumber(query.lat);
+  const lng = parseNumber(query.lng);
+  const radiusKm = parseNumber(query.radius);
+
+  let origin = null;
+  if (lat !== null || lng !== null) {
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      return { error: 'lat and lng must be given together as valid coordinates' };
+    }
+    origin = { lat, lng };
+  }
+
+  if (radiusKm !== null) {
+    if (!origin) {
+      return { error: 'radius needs lat and lng' };
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius must be more than 0 and at most ${MAX_RADIUS_KM} km` };
+    }
+  }
+
+  let bbox = null;
+  if (query.bbox !== undefined && query.bbox !== '') {
+    const parsed = parseBbox(query.bbox);
+    if (parsed.error) return { error: parsed.error };
+    bbox = parsed.bbox;
+  }
+
+  return { origin, radiusKm, bbox };
+};
+
+// Km from origin to the point in column, rounded to 10 m; NULL when the
+// row has no coordinates (latitudeColumn is NULL)
+const distanceSql = (column, origin, latitudeColumn) => ({
+  sql: `IF(${latitudeColumn} IS NULL, NULL, ROUND(ST_Distance_Sphere(${column}, POINT(?, ?)) / 1000, 2))`,
+  params: [origin.lng, origin.lat]
+});
+
+// Index-friendly rectangle test
+const withinBboxSql = (column, bbox) => ({
+  sql: `MBRContains(ST_Envelope(LineString(POINT(?, ?), POINT(?, ?))), ${column})`,
+  params: [bbox.west, bbox.south, bbox.east, bbox.north]
+});
+
+// Rectangle around the circle first (uses the index), then the exact distance
+const withinRadiusSql = (column, origin, radiusKm) => {
+  const box = withinBboxSql(column, boundingBox(origin.lat, origin.lng, radiusKm));
+  return {
+    sql: `(${box.sql} AND ST_Distance_Sphere(${column}, POINT(?, ?)) <= ?)`,
+    params: [...box.params, origin.lng, origin.lat, radiusKm * 1000]
+  };
+};
+
+// Conditions for the parsed geo query, plus the lat/lng NOT NULL checks
+// (destinations without coordinates sit at POINT(0 0))
+const geoConditions = (column, { origin, radiusKm, bbox }, coordinateColumns) => {
+  const conditions = [];
+  const params = [];
+
+  if ((origin && radiusKm) || bbox) {
+    conditions.push(`${coordinateColumns.latitude} IS NOT NULL AND ${coordinateColumns.longitude} IS NOT NULL`);
+  }
+  if (origin && radiusKm) {
+    const radius = withinRadiusSql(column, origin, radiusKm);
+    conditions.push(radius.sql);
+    params.push(...radius.params);
+  }
+  if (bbox) {
+    const box = withinBboxSql(column, bbox);
+    conditions.push(box.sql);
+    params.push(...box.params);
+  }
+
+  return { conditions, params };
+};
+
+// Grid cell size in degrees for a zoom level; the grid is anchored at 0,0 so
+// clusters stay put while the map is panned
+const clusterCellDegrees = (zoom) => (360 / 2 ** zoom) * (CLUSTER_RADIUS_PX / TILE_SIZE_PX);
+
+const parseZoom = (value) => {
+  const zoom = Number(value);
+  return Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_ZOOM ? zoom : null;
+};
+
+module.exports = {
+  MAX_ZOOM,
+  boundingBox,
+  parseBbox,
+  parseGeoQuery,
+  parseZoom,
+  distanceSql,
+  withinBboxSql,
+  withinRadiusSql,
+  geoConditions,
+  clusterCellDegrees
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { estimateTravel, getRequiredGap } = require('./travelTime');
+const { calculateItemPrice } = require('./pricing');
+
+// Scoring planner used by smartItineraryGeneration. Each day is built in time
+// order: at every step all (experience, slot) pairs that still fit after the
+// previous stop are scored and the best one is taken. Scores are a weighted
+// sum of components between 0 and 1:
+//   preference - tags matching the chosen experience types and the traveler's
+//                saved preferences (preferences.preference_level)
+//   rating     - average_rating out of 5
+//   budget     - how well the party's price for the slot (utils/pricing.js:
+//                child and group prices, hourly units) fits what is left of
+//                the day's budget
+//   travel     - travel time from the previous stop (utils/travelTime.js)
+//   variety    - experience types not used yet today / this trip
+//   distance   - closeness to the city center for 'nearby', the opposite for 'far'
+//   price      - cheapness per guest on its own, whatever the budget (only
+//                used by the budget-friendly proposal)
+// A slot only fits when it leaves enough time to travel from the previous
+// stop. Ties are broken by a seeded random number, so the same inputs and
+// seed always give the same plan. PROPOSAL_STRATEGIES weigh the components
+// differently to get alternative plans from the same candidates.
+
+const PLANNER_VERSION = 'scoring-v3';
+
+const WEIGHTS = {
+  preference: 0.3,
+  rating: 0.2,
+  budget: 0.15,
+  travel: 0.15,
+  variety: 0.1,
+  distance: 0.1,
+  price: 0
+};
+
+// Alternative proposals offered for one generation request
+const PROPOSAL_STRATEGIES = {
+  balanced: {
+    label: 'Balanced',
+    weights: WEIGHTS
+  },
+  budget_friendly: {
+    label: 'Budget-friendly',
+    weights: { preference: 0.2, rating: 0.1, budget: 0.15, travel: 0.1, variety: 0.05, distance: 0.05, price: 0.35 }
+  },
+  top_rated: {
+    label: 'Top-rated',
+    weights: { preference: 0.2, rating: 0.5, budget: 0.1, travel: 0.1, variety: 0.05, distance: 0.05, price: 0 }
+  },
+  fewest_transfers: {
+    label: 'Fewest transfers',
+    weights: { preference: 0.2, rating: 0.1, budget: 0.1, travel: 0.45, variety: 0.05, distance: 0.1, price: 0 }
+  }
+};
+
+const PREFERENCE_LEVELS = { High: 1, Medium: 0.6, Low: 0.3 };
+
+// Highest price per activity for each budget choice (null = no ceiling)
+const BUDGET_CAPS = {
+  'free': 0,
+  'budget-friendly': 500,
+  'mid-range': 2000,
+  'premium': null
+};
+
+const MAX_TRAVEL_MINUTES = 90;
+const NEUTRAL_RATING = 3;
+
+// Deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Strategy weights nudged by up to ±spread of each weight, keeping their sum.
+// Used to find a different plan when a strategy repeats an earlier one.
+const perturbWeights = (weights, random, spread = 0.5) => {
+  const nudged = Object.fromEntries(
+    Object.entries(weights).map(([key, weight]) => [key, weight * (1 + spread * (2 * random() - 1))])
+  );
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const nudgedTotal = Object.values(nudged).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(
+    Object.entries(nudged).map(([key, weight]) => [key, nudgedTotal > 0 ? weight * total / nudgedTotal : weight])
+  );
+};
+
+// Seed derived from the generation inputs when the caller does not pass one
+const deriveSeed = (inputs) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(inputs)).digest();
+  return hash.readUInt32BE(0);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const matchesType = (experience, type) =>
+  (experience.tag_names || []).some(tag => tag.toLowerCase().includes(String(type).toLowerCase()));
+
+const typesOf = (experience, experienceTypes) =>
+  (experienceTypes || []).filter(type => matchesType(experience, type));
+
+const scorePreference = (experience, { experienceTypes, tagPreferences }) => {
+  const typeMatch = experienceTypes && experienceTypes.length > 0
+    ? typesOf(experience, experienceTypes).length / experienceTypes.length
+    : 0.5;
+
+  const levels = (experience.tag_ids || [])
+    .map(tagId => tagPreferences[tagId])
+    .filter(level => level !== undefined);
+  const savedMatch = levels.length > 0 ? Math.max(...levels) : 0;
+
+  return clamp(0.6 * Math.min(1, typeMatch * 2) + 0.4 * savedMatch);
+};
+
+const scoreRating = (experience) => {
+  const rating = parseFloat(experience.average_rating);
+  return clamp((Number.isFinite(rating) && rating > 0 ? rating : NEUTRAL_RATING) / 5);
+};
+
+// Keeps each day near its share of the budget instead of spending it all early.
+// price and dailyBudget are both for the whole party.
+const scoreBudget = (price, { dailyBudget, spentToday }) => {
+  if (dailyBudget === null) return 1;
+  if (dailyBudget === 0) return price === 0 ? 1 : 0;
+
+  const remaining = dailyBudget - spentToday;
+  if (price <= remaining) return 1 - 0.3 * (price / dailyBudget);
+  return clamp(1 - (price - remaining) / dailyBudget);
+};
+
+const scoreTravel = (minutes) => clamp(1 - minutes / MAX_TRAVEL_MINUTES);
+
+const scorePrice = (price, guests) => clamp(1 - price / guests / BUDGET_CAPS['mid-range']);
+
+const scoreVariety = (experience, { experienceTypes, typesToday, typesTrip }) => {
+  const types = typesOf(experience, experienceTypes);
+  if (types.length === 0) return 0.5;
+
+  const repeats = types.reduce(
+    (sum, type) => sum + (typesToday[type] || 0) + 0.5 * (typesTrip[type] || 0),
+    0
+  ) / types.length;
+
+  return clamp(1 / (1 + repeats));
+};
+
+const scoreDistance = (experience, travelDistance) => {
+  const km = parseFloat(
+    experience.distance_from_lodging ?? experience.distance_from_selected_city ?? experience.distance_from_city_center
+  );
+  if (!Number.isFinite(km)) return 0.5;
+
+  switch (String(travelDistance).toLowerCase()) {
+    case 'nearby': return clamp(1 - km / 20);
+    case 'far': return clamp(km / 40);
+    default: return clamp(1 - Math.abs(km - 20) / 40);
+  }
+};
+
+// Plan one day, or one gap of a day between activities that stay put.
+//   candidates - experiences with availableTimeSlots for that day
+//   context    - { experiencesPerDay, experienceTypes, tagPreferences, dailyBudget,
+//                  travelDistance, typesTrip, origin, random }
+//                and for a gap: originEnd (minutes the origin stop ends),
+//                destination (the next stop), latestStart (minutes it starts)
+//                and spent (already spent that day, for the party); weights
+//                replaces WEIGHTS; party ({ adults, children }) is who is
+//                priced, one adult when not set. dailyBudget is per person.
+// Returns [{ experience, slot, subtotal, score, components, travel_minutes }] in time order.
+const planDay = (candidates, context) => {
+  const {
+    experiencesPerDay,
+    experienceTypes,
+    tagPreferences = {},
+    dailyBudget,
+    travelDistance,
+    typesTrip,
+    origin = null,
+    originEnd = null,
+    destination = null,
+    latestStart = null,
+    spent = 0,
+    weights = WEIGHTS,
+    party = { adults: 1, children: 0 },
+    random
+  } = context;
+
+  const guests = party.adults + party.children;
+  const partyBudget = dailyBudget === null ? null : dailyBudget * guests;
+
+  const plan = [];
+  const usedToday = new Set();
+  const typesToday = {};
+  let spentToday = spent;
+  let previous = origin;
+  let previousEnd = originEnd;
+
+  while (plan.length < experiencesPerDay) {
+    let best = null;
+
+    for (const experience of candidates) {
+      if (usedToday.has(experience.experience_id)) continue;
+
+      const leg = previous ? estimateTravel(previous, experience) : null;
+      const travelMinutes = leg ? leg.travel_minutes : 0;
+      const earliestStart = previousEnd === null
+        ? 0
+        : previousEnd + (leg ? leg.buffer_minutes : 0);
+
+      // Time needed afterwards to reach the next stop of a gap
+      const onwardMinutes = destination ? getRequiredGap(experience, destination) : 0;
+
+      for (const slot of experience.availableTimeSlots) {
+        const start = toMinutes(slot.start_time);
+        if (start < earliestStart) continue;
+        if (latestStart !== null && toMinutes(slot.end_time) + onwardMinutes > latestStart) continue;
+
+        const subtotal = calculateItemPrice(experience, {
+          adults: party.adults,
+          children: party.children,
+          startTime: slot.start_time,
+          endTime: slot.end_time
+        }).subtotal;
+
+        const components = {
+          preference: scorePreference(experience, { experienceTypes, tagPreferences }),
+          rating: scoreRating(experience),
+          budget: scoreBudget(subtotal, { dailyBudget: partyBudget, spentToday }),
+          travel: scoreTravel(travelMinutes),
+          variety: scoreVariety(experience, { experienceTypes, typesToday, typesTrip }),
+          distance: scoreDistance(experience, travelDistance),
+          price: scorePrice(subtotal, guests)
+        };
+
+        // Idle time before the slot counts a little against it
+        const idleHours = previousEnd !== null ? Math.max(0, start - earliestStart) / 60 : 0;
+        const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + (weights[key] || 0) * components[key], 0)
+          - 0.02 * idleHours;
+        const tieBreak = random();
+
+        if (
+          !best ||
+          score > best.score + 1e-9 ||
+          (Math.abs(score - best.score) <= 1e-9 && tieBreak > best.tieBreak)
+        ) {
+          best = { experience, slot, subtotal, score, components, travel_minutes: travelMinutes, tieBreak };
+        }
+      }
+    }
+
+    if (!best) break;
+
+    plan.push({
+      experience: best.experience,
+      slot: best.slot,
+      subtotal: best.subtotal,
+      score: Math.round(best.score * 1000) / 1000,
+      components: Object.fromEntries(
+        Object.entries(best.components).map(([key, value]) => [key, Math.round(value * 1000) / 1000])
+      ),
+      travel_minutes: best.travel_minutes
+    });
+
+    usedToday.add(best.experience.experience_id);
+    spentToday += best.subtotal;
+    typesOf(best.experience, experienceTypes).forEach(type => {
+      typesToday[type] = (typesToday[type] || 0) + 1;
+      typesTrip[type] = (typesTrip[type] || 0) + 1;
+    });
+    previous = best.experience;
+    previousEnd = toMinutes(best.slot.end_time);
+  }
+
+  return plan;
+};
+
+// Budget for one day: the per-activity ceiling times the activities per day
+const getDailyBudget = (budget, experiencesPerDay) => {
+  const cap = BUDGET_CAPS[String(budget || '').toLowerCase()];
+  return cap === undefined || cap === null ? null : cap * experiencesPerDay;
+};
+
+// preference rows ({ tag_id, preference_level }) -> { [tag_id]: weight }
+const buildTagPreferences = (preferences) => {
+  const tagPreferences = {};
+  (preferences || []).forEach(preference => {
+    tagPreferences[preference.tag_id] = PREFERENCE_LEVELS[preference.preference_level] || 0;
+  });
+  return tagPreferences;
+};
+
+module.exports = {
+  PLANNER_VERSION,
+  WEIGHTS,
+  PROPOSAL_STRATEGIES,
+  createRandom,
+  deriveSeed,
+  perturbWeights,
+  planDay,
+  getDailyBudget,
+  buildTagPreferences,
+  typesOf
+};
@@ -0,0 +1,62 @@
+// Side-by-side comparison of an itinerary's current items and a newly
+// generated plan, day by day. Items are matched on experience_id. Every entry
+// gets a change:
+//   unchanged - same experience, same day and times
+//   retimed   - same experience and day, other times
+//   moved     - the experience is on another day in the other plan
+//   added     - only in the proposed plan
+//   removed   - only in the current plan
+
+const sameTime = (a, b) => String(a).slice(0, 5) === String(b).slice(0, 5);
+
+const byStartTime = (a, b) => String(a.start_time).localeCompare(String(b.start_time));
+
+// current / proposed: [{ experience_id, day_number, start_time, end_time, ... }]
+// Returns { days: [{ day_number, date, current, proposed }], summary }
+const buildPlanDiff = (current, proposed, { startDate, totalDays }) => {
+  const currentByExperience = new Map(current.map(item => [Number(item.experience_id), item]));
+  const proposedByExperience = new Map(proposed.map(item => [Number(item.experience_id), item]));
+  const summary = { unchanged: 0, retimed: 0, moved: 0, added: 0, removed: 0 };
+
+  const tag = (item, other) => {
+    if (!other) return null;
+    if (Number(other.day_number) !== Number(item.day_number)) return 'moved';
+    return sameTime(other.start_time, item.start_time) && sameTime(other.end_time, item.end_time)
+      ? 'unchanged'
+      : 'retimed';
+  };
+
+  const days = [];
+  for (let day = 1; day <= totalDays; day++) {
+    const currentDay = current
+      .filter(item => Number(item.day_number) === day)
+      .sort(byStartTime)
+      .map(item => {
+        const change = tag(item, proposedByExperience.get(Number(item.experience_id))) || 'removed';
+        if (change === 'removed') summary.removed++;
+        return { ...item, change };
+      });
+
+    const proposedDay = proposed
+      .filter(item => Number(item.day_number) === day)
+      .sort(byStartTime)
+      .map(item => {
+        const change = tag(item, currentByExperience.get(Number(item.experience_id))) || 'added';
+        summary[change]++;
+        return { ...item, change };
+      });
+
+    days.push({
+      day_number: day,
+      date: startDate.add(day - 1, 'day').format('YYYY-MM-DD'),
+      current: currentDay,
+      proposed: proposedDay
+    });
+  }
+
+  return { days, summary };
+};
+
+module.exports = {
+  buildPlanDiff
+};
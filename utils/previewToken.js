@@ -0,0 +1,30 @@
+// Signed tokens for generated itinerary previews. The preview itself is kept
+// server-side (services/itineraryPreviewService.js); the token only carries
+// its id, so a client cannot change what gets saved. The audience keeps
+// access tokens and preview tokens from being used for each other.
+const jwt = require('jsonwebtoken');
+
+const PREVIEW_TOKEN_AUDIENCE = 'itinerary-preview';
+
+const getSecret = () => process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signPreviewToken = (previewId, expiresInSeconds) => jwt.sign(
+  { preview_id: previewId },
+  getSecret(),
+  { expiresIn: expiresInSeconds, audience: PREVIEW_TOKEN_AUDIENCE }
+);
+
+// Returns { preview_id } or { error: 'expired' | 'invalid' }
+const verifyPreviewToken = (token) => {
+  try {
+    const { preview_id } = jwt.verify(String(token), getSecret(), { audience: PREVIEW_TOKEN_AUDIENCE });
+    return preview_id ? { preview_id } : { error: 'invalid' };
+  } catch (err) {
+    return { error: err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+};
+
+module.exports = {
+  signPreviewToken,
+  verifyPreviewToken
+};
@@ -0,0 +1,135 @@
+// Prices for one booking of an experience, based on the experience's unit:
+//   Entry   - per person
+//   Day     - per person
+//   Hour    - per hour of the booked slot, for the whole party
+//   Package - one price for the whole party
+// On per-person units children pay child_price when the experience sets one.
+// Group tiers replace the adult price once the party is big enough:
+//   [{ "min_guests": 6, "price": 450 }, ...]
+
+const PER_PERSON_UNITS = ['Entry', 'Day'];
+const MAX_GROUP_TIERS = 5;
+const MAX_PARTY_SIZE = 50;
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const parseGroupTiers = (tiers) => {
+  if (!tiers) return [];
+  return typeof tiers === 'string' ? JSON.parse(tiers) : tiers;
+};
+
+// Returns an error message, or null when the group tiers are valid
+const validateGroupTiers = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    return 'group_pricing must be a list of { min_guests, price } tiers';
+  }
+  if (tiers.length > MAX_GROUP_TIERS) {
+    return `group_pricing can have at most ${MAX_GROUP_TIERS} tiers`;
+  }
+
+  const seenSizes = new Set();
+  for (const tier of tiers) {
+    const minGuests = Number(tier.min_guests);
+    const price = Number(tier.price);
+
+    if (!Number.isInteger(minGuests) || minGuests < 2) {
+      return 'min_guests must be a whole number of 2 or more';
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      return 'Each group tier needs a price of 0 or more';
+    }
+    if (seenSizes.has(minGuests)) {
+      return 'Each group tier needs a different min_guests';
+    }
+    seenSizes.add(minGuests);
+  }
+
+  return null;
+};
+
+// Party size from a request body. Missing values mean one adult travelling alone.
+const parseParty = ({ adults, children } = {}) => {
+  const adultCount = adults === undefined || adults === null || adults === '' ? 1 : Number(adults);
+  const childCount = children === undefined || children === null || children === '' ? 0 : Number(children);
+
+  if (!Number.isInteger(adultCount) || adultCount < 1) {
+    return { error: 'adults must be a whole number of 1 or more' };
+  }
+  if (!Number.isInteger(childCount) || childCount < 0) {
+    return { error: 'children must be a whole number of 0 or more' };
+  }
+  if (adultCount + childCount > MAX_PARTY_SIZE) {
+    return { error: `A party can have at most ${MAX_PARTY_SIZE} guests` };
+  }
+
+  return { adults: adultCount, children: childCount, guests: adultCount + childCount };
+};
+
+// Length of a slot in hours (two decimals). Slots that end past midnight wrap around.
+const getSlotHours = (startTime, endTime) => {
+  if (!startTime || !endTime) return 1;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+
+  let minutes = toMinutes(endTime) - toMinutes(startTime);
+  if (minutes <= 0) minutes += 24 * 60;
+
+  return Math.round((minutes / 60) * 100) / 100;
+};
+
+// Adult price after group tiers: the biggest tier the party reaches wins
+const getAdultPrice = (experience, guests) => {
+  const tier = parseGroupTiers(experience.group_pricing)
+    .filter(t => guests >= Number(t.min_guests))
+    .sort((a, b) => Number(b.min_guests) - Number(a.min_guests))[0];
+
+  return tier ? toAmount(tier.price) : toAmount(experience.price);
+};
+
+// Subtotal for one booking.
+//   experience - { price, unit, child_price, group_pricing }
+//   adults / children - party size
+//   startTime / endTime - the booked slot, used by Hour units
+const calculateItemPrice = (experience, { adults = 1, children = 0, startTime, endTime } = {}) => {
+  const guests = adults + children;
+  const adultPrice = getAdultPrice(experience, guests);
+  const perPerson = PER_PERSON_UNITS.includes(experience.unit);
+
+  let childPrice = null;
+  let hours = null;
+  let subtotal;
+
+  if (perPerson) {
+    childPrice = experience.child_price === null || experience.child_price === undefined
+      ? adultPrice
+      : toAmount(experience.child_price);
+    subtotal = adultPrice * adults + childPrice * children;
+  } else if (experience.unit === 'Hour') {
+    hours = getSlotHours(startTime, endTime);
+    subtotal = adultPrice * hours;
+  } else {
+    subtotal = adultPrice;
+  }
+
+  return {
+    unit: experience.unit,
+    adults,
+    children,
+    guests,
+    unit_price: adultPrice,
+    child_price: childPrice,
+    hours,
+    subtotal: toAmount(subtotal)
+  };
+};
+
+module.exports = {
+  PER_PERSON_UNITS,
+  validateGroupTiers,
+  parseParty,
+  getSlotHours,
+  calculateItemPrice
+};
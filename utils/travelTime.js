@@ -0,0 +1,145 @@
+// Travel time between two stops, estimated from destination coordinates.
+// The straight-line (haversine) distance is stretched by ROAD_FACTOR because
+// roads are never straight, then divided by the average speed of the road
+// type the trip mostly uses:
+//   urban      - short hops inside a town        (up to 5 km)
+//   provincial - trips between neighbouring towns (up to 30 km)
+//   highway    - long transfers between cities
+// Speeds can be tuned with TRAVEL_SPEED_URBAN_KMH, TRAVEL_SPEED_PROVINCIAL_KMH,
+// TRAVEL_SPEED_HIGHWAY_KMH, TRAVEL_ROAD_FACTOR and TRAVEL_BUFFER_MINUTES.
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const ROAD_TYPES = [
+  { type: 'urban', maxKm: 5, speedKmh: envNumber('TRAVEL_SPEED_URBAN_KMH', 20) },
+  { type: 'provincial', maxKm: 30, speedKmh: envNumber('TRAVEL_SPEED_PROVINCIAL_KMH', 40) },
+  { type: 'highway', maxKm: Infinity, speedKmh: envNumber('TRAVEL_SPEED_HIGHWAY_KMH', 60) }
+];
+
+const ROAD_FACTOR = envNumber('TRAVEL_ROAD_FACTOR', 1.3);
+
+// Parking, walking to the entrance, checking in... Only added when there is
+// somewhere to travel to: two activities at the same destination need none.
+const BUFFER_MINUTES = envNumber('TRAVEL_BUFFER_MINUTES', 15);
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const getCoordinates = (stop) => {
+  if (!stop) return null;
+
+  const latitude = parseFloat(stop.latitude ?? stop.destination_latitude);
+  const longitude = parseFloat(stop.longitude ?? stop.destination_longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  return { latitude, longitude };
+};
+
+const getRoadType = (roadKm) => ROAD_TYPES.find(road => roadKm <= road.maxKm);
+
+// Estimated transfer between two stops ({ latitude, longitude } or
+// { destination_latitude, destination_longitude }). Returns null when either
+// stop has no coordinates.
+const estimateTravel = (from, to) => {
+  const origin = getCoordinates(from);
+  const destination = getCoordinates(to);
+  if (!origin || !destination) return null;
+
+  const roadKm = haversineKm(origin.latitude, origin.longitude, destination.latitude, destination.longitude) * ROAD_FACTOR;
+  const road = getRoadType(roadKm);
+  const travelMinutes = Math.ceil((roadKm / road.speedKmh) * 60);
+
+  return {
+    distance_km: Math.round(roadKm * 100) / 100,
+    road_type: road.type,
+    travel_minutes: travelMinutes,
+    // Time that has to be free between the two activities
+    buffer_minutes: roadKm > 0 ? travelMinutes + BUFFER_MINUTES : 0
+  };
+};
+
+// Time that has to be free between two stops. Without coordinates nothing is
+// known about the transfer, so no time is required.
+const getRequiredGap = (from, to) => {
+  const estimate = estimateTravel(from, to);
+  return estimate ? estimate.buffer_minutes : 0;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Transfer legs for a list of items ({ day_number, start_time, end_time, ...coords }).
+// Each item gets the leg from the activity before it on the same day:
+//   { from_index, distance_km, road_type, travel_minutes, buffer_minutes,
+//     gap_minutes, sufficient }
+// First items of a day get null. Legs come back in the same order as the items.
+const buildTransferLegs = (items) => {
+  const legs = new Array(items.length).fill(null);
+
+  const order = items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) =>
+      a.item.day_number - b.item.day_number ||
+      toMinutes(a.item.start_time) - toMinutes(b.item.start_time)
+    );
+
+  for (let i = 1; i < order.length; i++) {
+    const previous = order[i - 1];
+    const current = order[i];
+    if (previous.item.day_number !== current.item.day_number) continue;
+
+    const gapMinutes = toMinutes(current.item.start_time) - toMinutes(previous.item.end_time);
+    const estimate = estimateTravel(previous.item, current.item);
+    const bufferMinutes = estimate ? estimate.buffer_minutes : 0;
+
+    legs[current.index] = {
+      from_index: previous.index,
+      distance_km: estimate ? estimate.distance_km : null,
+      road_type: estimate ? estimate.road_type : null,
+      travel_minutes: estimate ? estimate.travel_minutes : null,
+      buffer_minutes: bufferMinutes,
+      gap_minutes: gapMinutes,
+      sufficient: gapMinutes >= bufferMinutes
+    };
+  }
+
+  return legs;
+};
+
+// Consecutive items that leave too little time to get from one to the next
+const findTransferConflicts = (items) => buildTransferLegs(items)
+  .map((leg, index) => ({ leg, index }))
+  .filter(({ leg }) => leg && !leg.sufficient)
+  .map(({ leg, index }) => ({
+    day_number: items[index].day_number,
+    from: items[leg.from_index],
+    to: items[index],
+    gap_minutes: leg.gap_minutes,
+    required_minutes: leg.buffer_minutes,
+    travel_minutes: leg.travel_minutes,
+    distance_km: leg.distance_km,
+    road_type: leg.road_type
+  }));
+
+module.exports = {
+  ROAD_TYPES,
+  BUFFER_MINUTES,
+  haversineKm,
+  estimateTravel,
+  getRequiredGap,
+  buildTransferLegs,
+  findTransferConflicts
+};